@@ -0,0 +1,514 @@
+// Jazzy - https://github.com/realm/jazzy
+// Copyright Realm Inc.
+// SPDX-License-Identifier: MIT
+
+window.jazzy = {'docset': false}
+if (typeof window.dash != 'undefined') {
+  document.documentElement.className += ' dash'
+  window.jazzy.docset = true
+}
+if (navigator.userAgent.match(/xcode/i)) {
+  document.documentElement.className += ' xcode'
+  window.jazzy.docset = true
+}
+
+// How long items take to open and close, in milliseconds. Pages can change
+// it; it is 0 when the reader asked for reduced motion.
+window.jazzy.animationDuration = 300
+
+function itemAnimationDuration() {
+  if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+    return 0;
+  }
+  return window.jazzy.animationDuration;
+}
+
+function setItemExpanded($link, open) {
+  $link.toggleClass('token-open', open).attr('aria-expanded', String(open));
+}
+
+function toggleItem($link, $content) {
+  toggleItemContent($link, $content);
+  saveOpenItems();
+}
+
+// Toggles without saving which items are open, for callers that toggle
+// several and save once
+function toggleItemContent($link, $content) {
+  var open = !$link.hasClass('token-open');
+  setItemExpanded($link, open);
+  var animationDuration = itemAnimationDuration();
+  if (animationDuration > 0) {
+    $content.slideToggle(animationDuration);
+  } else {
+    $content.toggle(open);
+  }
+  // Focus inside content that is going away goes back to its toggle.
+  if (!open && $.contains($content[0], document.activeElement)) {
+    $link[0].focus();
+  }
+}
+
+function itemLinkToContent($link) {
+  return $link.parent().parent().next();
+}
+
+// On doc load + hash-change, open any targeted item
+function openCurrentItemIfClosed() {
+  if (window.jazzy.docset) {
+    return;
+  }
+  var $link = $(`a[name="${location.hash.substring(1)}"]`).nextAll('.token');
+  if (!$link.length) {
+    return;
+  }
+  $content = itemLinkToContent($link);
+  if ($content.is(':hidden')) {
+    toggleItem($link, $content);
+  }
+  // Screen readers carry on from the item that was linked to.
+  if (document.activeElement !== $link[0]) {
+    $link[0].focus({ preventScroll: true });
+  }
+}
+
+// Each item link is a disclosure button for the details below it
+function initItemDisclosures() {
+  if (window.jazzy.docset) {
+    return;
+  }
+  $('.token').each(function(index) {
+    var $link = $(this);
+    var $content = itemLinkToContent($link);
+    if (!$content.attr('id')) {
+      $content.attr('id', 'item-details-' + index);
+    }
+    $link.attr({
+      'role': 'button',
+      'aria-controls': $content.attr('id'),
+      'aria-expanded': String($link.hasClass('token-open'))
+    });
+  });
+}
+
+// Opens or closes every item on the page, or only those inside `$scope`
+function setAllItemsOpen(open, $scope) {
+  if (window.jazzy.docset) {
+    return;
+  }
+  ($scope ? $scope.find('.token') : $('.token')).each(function() {
+    var $link = $(this);
+    var $content = itemLinkToContent($link);
+    if ($content.is(':hidden') == open) {
+      toggleItemContent($link, $content);
+    }
+  });
+  saveOpenItems();
+}
+
+// Which items are open is remembered per page for the rest of the session
+var openItemsKey = 'jazzy.openItems:' + location.pathname;
+
+function openItemLinks() {
+  return $('.token.token-open').map(function() {
+    return $(this).attr('href');
+  }).get();
+}
+
+function saveOpenItems() {
+  try {
+    sessionStorage.setItem(openItemsKey, JSON.stringify(openItemLinks()));
+  } catch (error) {
+    // Storage can be disabled or full; the state just isn't kept then.
+  }
+}
+
+function restoreOpenItems() {
+  if (window.jazzy.docset) {
+    return;
+  }
+  var open;
+  try {
+    open = JSON.parse(sessionStorage.getItem(openItemsKey));
+  } catch (error) {
+    return;
+  }
+  if (Array.isArray(open)) {
+    setOpenItems(open);
+  }
+}
+
+// Opens exactly the items linked to by `open` and closes the rest. No
+// animation: the page should look as it was left.
+function setOpenItems(open) {
+  $('.token').each(function() {
+    var $link = $(this);
+    var isOpen = open.indexOf($link.attr('href')) != -1;
+    if (isOpen != $link.hasClass('token-open')) {
+      setItemExpanded($link, isOpen);
+      itemLinkToContent($link).stop(true, true).toggle(isOpen);
+    }
+  });
+  saveOpenItems();
+}
+
+// History entries record which items are open and where the page was
+// scrolled, for back and forward to restore.
+function itemHistoryState() {
+  return $.extend({}, history.state, {
+    openItems: openItemLinks(),
+    scrollY: window.scrollY
+  });
+}
+
+function recordItemHistory() {
+  if (history.replaceState) {
+    history.replaceState(itemHistoryState(), '');
+  }
+}
+
+// "Expand all" / "Collapse all" buttons for the items in `$scope`
+function itemControls($scope, name) {
+  var $controls = $('<div class="item-controls">');
+  [[true, 'Expand all'], [false, 'Collapse all']].forEach(function([open, text]) {
+    $('<button type="button" class="item-controls-button">')
+      .text(text)
+      .attr('aria-label', name ? text + ' in ' + name : text)
+      .on('click', function() {
+        setAllItemsOpen(open, $scope);
+      })
+      .appendTo($controls);
+  });
+  return $controls;
+}
+
+// One set of controls for the page, and one for each named group of items
+function addItemControls() {
+  if (window.jazzy.docset || $('.token').length < 2) {
+    return;
+  }
+  var $groups = $('.task-group');
+  $groups.first().before(itemControls(null, null).addClass('item-controls--page'));
+  if ($groups.length < 2) {
+    return;
+  }
+  $groups.each(function() {
+    var $group = $(this);
+    var $name = $group.children('.task-name-container');
+    if ($name.length && $group.find('.token').length > 1) {
+      $name.after(itemControls($group, $name.find('.section-name').text().trim()));
+    }
+  });
+}
+
+$(initItemDisclosures);
+$(addItemControls);
+$(restoreOpenItems);
+$(openCurrentItemIfClosed);
+$(window).on('hashchange', function() {
+  // Back and forward to an entry that recorded its items restore those
+  // instead, see the `popstate` handler.
+  if (history.state && history.state.openItems) {
+    return;
+  }
+  openCurrentItemIfClosed();
+  recordItemHistory();
+});
+
+$(window).on('popstate', function(event) {
+  var state = event.originalEvent.state;
+  if (window.jazzy.docset || !state || !state.openItems) {
+    return;
+  }
+  setOpenItems(state.openItems);
+  window.scrollTo(0, state.scrollY || 0);
+});
+
+// On item link ('token') click, toggle its discussion
+$('.token').on('click', function(event) {
+  if (window.jazzy.docset) {
+    return;
+  }
+  var $link = $(this);
+  var href = $link.attr('href');
+  if (history.pushState) {
+    recordItemHistory();
+  }
+  toggleItem($link, itemLinkToContent($link));
+
+  // Keeps the document from jumping to the hash.
+  if (history.pushState) {
+    history.pushState(itemHistoryState(), '', href);
+  } else {
+    location.hash = href;
+  }
+  event.preventDefault();
+});
+
+// Buttons are also pressed with the space bar
+$('.token').on('keydown', function(event) {
+  if (event.key == ' ' && !window.jazzy.docset) {
+    event.preventDefault();
+    $(this).trigger('click');
+  }
+});
+
+// Clicks on links to the current, closed, item need to open the item
+$("a:not('.token')").on('click', function() {
+  if (location == this.href) {
+    openCurrentItemIfClosed();
+  }
+});
+
+// Copies text to the clipboard, falling back to a hidden selection where
+// the clipboard API is unavailable, e.g. on pages opened from disk
+function copyText(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    return navigator.clipboard.writeText(text);
+  }
+  var $textarea = $('<textarea readonly>').val(text)
+    .css({ position: 'fixed', top: 0, left: 0, opacity: 0 })
+    .appendTo('body');
+  $textarea[0].select();
+  var copied = document.execCommand('copy');
+  $textarea.remove();
+  return copied ? Promise.resolve() : Promise.reject(new Error('Copy failed'));
+}
+
+// Keyboard navigation between the items on a page
+var itemShortcuts = [
+  ['j / \u2193', 'Next item'],
+  ['k / \u2191', 'Previous item'],
+  ['o / Enter', 'Expand or collapse the item'],
+  ['y', 'Copy a link to the item'],
+  ['/', 'Search'],
+  ['Ctrl+K / \u2318K', 'Search actions'],
+  ['?', 'Show these shortcuts']
+];
+
+// Escapes text for HTML, attribute values included. Also used by the search
+// menu and results page.
+function escapeHTML(text) {
+  return text.replace(/[&<>"']/g, function(character) {
+    return '&#' + character.charCodeAt(0) + ';';
+  });
+}
+
+// Keys typed into these are text, not shortcuts. Also used by the search
+// shortcuts in jazzy.search.js.
+function isEditable(element) {
+  return $(element).is('input, textarea, select, [contenteditable]:not([contenteditable="false"])');
+}
+
+// The items to move between: declarations, which have a `.token` link, and
+// not e.g. the rows of the search results page
+function navigableItems() {
+  return $('.item').has('.token');
+}
+
+// The item holding the keyboard focus, if any
+function focusedItem() {
+  var $item = $(document.activeElement).closest('.item').has('.token');
+  return $item.length ? $item : null;
+}
+
+function focusItem($item) {
+  $item.attr('tabindex', '-1')[0].focus();
+}
+
+function focusItemRelative(delta) {
+  var $items = navigableItems();
+  if (!$items.length) {
+    return;
+  }
+  var $current = focusedItem();
+  var index = $current ? $items.index($current) + delta : (delta > 0 ? 0 : $items.length - 1);
+  focusItem($items.eq(Math.max(0, Math.min(index, $items.length - 1))));
+}
+
+// The live region is added empty when the page loads: screen readers only
+// read out changes to a region they already know about.
+function addStatusRegion() {
+  $('<div class="keyboard-status" role="status" aria-live="polite">').appendTo('body');
+}
+
+$(addStatusRegion);
+
+// Briefly shows `text`, and reads it out to screen readers. Also used by the
+// search palette in jazzy.search.js.
+function announce(text) {
+  var $status = $('.keyboard-status');
+  $status.text(text).addClass('keyboard-status--visible');
+  clearTimeout(announce.timeout);
+  announce.timeout = setTimeout(function() {
+    $status.removeClass('keyboard-status--visible');
+  }, 1500);
+}
+
+// Closes the overlay and gives the focus back to where it was
+function closeShortcutOverlay() {
+  var $overlay = $('.shortcut-overlay');
+  var returnFocus = $overlay.data('returnFocus');
+  $overlay.remove();
+  if (returnFocus && document.contains(returnFocus)) {
+    returnFocus.focus();
+  }
+}
+
+function toggleShortcutOverlay() {
+  var $overlay = $('.shortcut-overlay');
+  if ($overlay.length) {
+    closeShortcutOverlay();
+    return;
+  }
+  var returnFocus = document.activeElement;
+  var t = '<div class="shortcut-overlay" role="dialog" aria-modal="true" aria-label="Keyboard shortcuts" tabindex="-1">';
+  t += '<div class="shortcut-overlay-content"><h3>Keyboard shortcuts</h3><dl>';
+  itemShortcuts.forEach(function([keys, action]) {
+    t += '<dt><kbd>' + keys + '</kbd></dt><dd>' + action + '</dd>';
+  });
+  t += '</dl></div></div>';
+  $overlay = $(t).data('returnFocus', returnFocus).appendTo('body').on('click', function(event) {
+    if (event.target === this) {
+      closeShortcutOverlay();
+    }
+  });
+  $overlay[0].focus();
+}
+
+// Keys held back while the overlay is open: Tab, so the focus stays in it,
+// and the shortcuts, which would act on the page behind it
+var overlayHeldKeys = ['Tab', 'Enter', 'j', 'k', 'o', 'y', '/'];
+
+// Runs before the search shortcuts in jazzy.search.js, which skip keys whose
+// default is already prevented.
+function overlayKeydown(event) {
+  if (event.altKey) {
+    return;
+  }
+  if (event.ctrlKey || event.metaKey) {
+    if (event.key && event.key.toLowerCase() === 'k') {
+      event.preventDefault();
+    }
+    return;
+  }
+  if (event.key == 'Escape' || event.key == '?') {
+    event.preventDefault();
+    closeShortcutOverlay();
+  } else if (overlayHeldKeys.indexOf(event.key) !== -1) {
+    event.preventDefault();
+  }
+}
+
+// Focus that lands outside the open overlay, e.g. from a screen reader, goes
+// back to it.
+$(document).on('focusin', function(event) {
+  var $overlay = $('.shortcut-overlay');
+  if ($overlay.length && !$overlay[0].contains(event.target)) {
+    $overlay[0].focus();
+  }
+});
+
+$(document).on('keydown', function(event) {
+  if (event.isDefaultPrevented()) {
+    return;
+  }
+  if ($('.shortcut-overlay').length) {
+    overlayKeydown(event);
+    return;
+  }
+  if (event.ctrlKey || event.metaKey || event.altKey) {
+    return;
+  }
+  if (isEditable(event.target)) {
+    return;
+  }
+  var $item = focusedItem();
+  switch (event.key) {
+  case 'j':
+    focusItemRelative(1);
+    break;
+  case 'k':
+    focusItemRelative(-1);
+    break;
+  // Arrows only move between items once one has the focus, and scroll the
+  // page as usual otherwise.
+  case 'ArrowDown':
+  case 'ArrowUp':
+    if (!$item) {
+      return;
+    }
+    focusItemRelative(event.key == 'ArrowDown' ? 1 : -1);
+    break;
+  case 'o':
+  case 'Enter':
+    // Enter on a link inside the item follows the link.
+    if (!$item || window.jazzy.docset || (event.key == 'Enter' && event.target !== $item[0])) {
+      return;
+    }
+    var $link = $item.find('.token').first();
+    toggleItem($link, itemLinkToContent($link));
+    break;
+  case 'y':
+    if (!$item) {
+      return;
+    }
+    var url = new URL($item.find('.token').first().attr('href'), location.href).href;
+    copyText(url).then(function() {
+      announce('Link copied');
+    }, function() {
+      announce('Could not copy the link');
+    });
+    break;
+  case '?':
+    toggleShortcutOverlay();
+    break;
+  default:
+    return;
+  }
+  event.preventDefault();
+});
+
+// "Copy" buttons on Swift code blocks, declarations included. The text
+// comes from the DOM, so entities are decoded and whitespace is kept.
+function codeText(pre) {
+  return pre.textContent.replace(/\n$/, '');
+}
+
+function addCopyButtons() {
+  $('pre.highlight.swift').each(function() {
+    var pre = this;
+    var label = $(pre).closest('.declaration').length ? 'Copy declaration' : 'Copy code';
+    var $button = $('<button type="button" class="copy-button">')
+      .text('Copy')
+      .attr('aria-label', label)
+      .on('click', function() {
+        copyText(codeText(pre)).then(function() {
+          $button.text('Copied').addClass('copy-button--copied');
+          announce('Copied to the clipboard');
+        }, function() {
+          $button.text('Copy failed');
+          announce('Could not copy');
+        }).then(function() {
+          clearTimeout($button.data('timeout'));
+          $button.data('timeout', setTimeout(function() {
+            $button.text('Copy').removeClass('copy-button--copied');
+          }, 1500));
+        });
+      });
+    $(pre).wrap('<div class="copy-container">').after($button);
+  });
+}
+
+$(addCopyButtons);
+
+// KaTeX rendering
+if ("katex" in window) {
+  $($('.math').each( (_, element) => {
+    katex.render(element.textContent, element, {
+      displayMode: $(element).hasClass('m-block'),
+      throwOnError: false,
+      trust: true
+    });
+  }))
+}
@@ -0,0 +1,886 @@
+// Jazzy - https://github.com/realm/jazzy
+// Copyright Realm Inc.
+// SPDX-License-Identifier: MIT
+
+$(function(){
+  var $typeahead = $('[data-typeahead]');
+  var $form = $typeahead.parents('form');
+  var searchURL = $form.attr('action');
+  var detailsURL = searchURL.replace(/search\.json$/, 'search.details.index.json');
+  var aliasesURL = searchURL.replace(/search\.json$/, 'search.aliases.json');
+  var workerURL = searchURL.replace(/search\.json$/, 'js/jazzy.search.worker.js');
+  var scriptURL = searchURL.replace(/search\.json$/, 'search.js');
+
+  // Browsers refuse requests for `search.json` and worker scripts from pages
+  // opened from disk, but still run plain scripts.
+  var isFileProtocol = window.location.protocol === 'file:';
+
+  function displayTemplate(result) {
+    return result.name;
+  }
+
+  function suggestionTemplate(result) {
+    var t = '<div class="list-group-item clearfix">';
+    t += '<span class="doc-name">' + escapeHTML(result.name) + '</span>';
+    if (result.parent_name) {
+      t += '<span class="doc-parent-name label">' + escapeHTML(result.parent_name) + '</span>';
+    }
+    if (result.alias) {
+      t += '<div class="doc-alias">' + escapeHTML(result.alias.label) + '</div>';
+    }
+    if (result.summary) {
+      t += '<div class="doc-abstract">';
+      t += escapeHTML(excerpt(result.summary, plainTerms(result._query)));
+      t += '</div>';
+    }
+    t += '</div>';
+    return t;
+  }
+
+  // The free-text search terms of a query, without qualifiers.
+  function plainTerms(query) {
+    return jazzySearchIndex.queryTerms(jazzySearchIndex.parseQuery(query).text);
+  }
+
+  // Matches a term at the start of a word in running text.
+  function wordStartPattern(term) {
+    return new RegExp('\\b' + escapeRegExp(term), 'i');
+  }
+
+  // Cuts a summary down to about one line, starting near the first query
+  // term it mentions so the match stays in view.
+  function excerpt(summary, terms) {
+    const maxLength = 100;
+    var first = -1;
+    for (const term of terms) {
+      const index = summary.search(wordStartPattern(term));
+      if (index !== -1 && (first === -1 || index < first)) {
+        first = index;
+      }
+    }
+    var start = 0;
+    if (first > maxLength / 2) {
+      start = summary.lastIndexOf(' ', first - 20) + 1;
+    }
+    var text = summary.slice(start, start + maxLength);
+    if (start + maxLength < summary.length) {
+      text = text.replace(/\s+\S*$/, '') + '\u2026';
+    }
+    return start > 0 ? '\u2026' + text : text;
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Matches the first `length` characters of a camel-case word, but only
+  // where the rest of that word follows.
+  function wordPrefixPattern(word, length) {
+    return new RegExp(
+      escapeRegExp(word.slice(0, length)) + '(?=' + escapeRegExp(word.slice(length)) + ')'
+    );
+  }
+
+  // Highlights what each query term matched in a suggestion: a literal
+  // prefix of the name, prefixes of its camel-case words, a run of their
+  // initials, or words in its abstract.
+  function highlightPattern(query, suggestion) {
+    const terms = plainTerms(query);
+    const name = suggestion.name;
+    const words = jazzySearchIndex.camelSegments(name);
+    const initials = words.map(function(word) {
+      return word[0].toLowerCase();
+    }).join('');
+    const patterns = [];
+    for (const term of terms) {
+      if (name.toLowerCase().startsWith(term)) {
+        patterns.push(wordPrefixPattern(name, term.length));
+      }
+      for (const word of words) {
+        if (word.toLowerCase().startsWith(term)) {
+          patterns.push(wordPrefixPattern(word, term.length));
+        }
+      }
+      const start = initials.indexOf(term);
+      if (term.length > 1 && start !== -1) {
+        for (const word of words.slice(start, start + term.length)) {
+          patterns.push(wordPrefixPattern(word, 1));
+        }
+      }
+      if (term.length > 2) {
+        patterns.push(wordStartPattern(term));
+      }
+    }
+    return patterns.length > 0 ? patterns : null;
+  }
+
+  // Shown by the first section when no section has any results.
+  function notFoundTemplate(context) {
+    if (!isSearchable(context.query)) {
+      return '';
+    }
+    if (loadFailed) {
+      return '<div class="tt-not-found tt-error">Search couldn\u2019t be loaded. Click the search box to try again.</div>';
+    }
+    const current = searchFor(context.query);
+    if (current.error) {
+      return '<div class="tt-not-found tt-error">Search failed for <strong>' + escapeHTML(context.query) + '</strong>. Try changing the query.</div>';
+    }
+    if (!current.results || current.results.length > 0) {
+      return '';
+    }
+    var t = '<div class="tt-not-found">';
+    t += 'No results for <strong>' + escapeHTML(context.query) + '</strong>';
+    if (current.suggestions.length > 0) {
+      t += '<div class="tt-did-you-mean">Did you mean ';
+      t += current.suggestions.map(function(name) {
+        return '<a href="' + escapeHTML(resultsPageURL(name)) + '" data-query="' + escapeHTML(name) + '">' + escapeHTML(name) + '</a>';
+      }).join(', ');
+      t += '?</div>';
+    }
+    t += '<a class="tt-all-results" href="' + escapeHTML(resultsPageURL(context.query)) + '">See the full results page</a>';
+    t += '</div>';
+    return t;
+  }
+
+  // The last row of the menu, which leads to the results page.
+  function allResultsTemplate(item) {
+    var t = '<div class="tt-see-all">See all ' + item.count + ' ';
+    t += item.count === 1 ? 'result' : 'results';
+    t += '</div>';
+    return t;
+  }
+
+  // A typeahead source answering with `suggestions(results, query)` for the
+  // results of each query.
+  function resultsSource(suggestions) {
+    return function(query, sync, async) {
+      // `done` runs right away once the index has loaded, in time to
+      // answer synchronously.
+      var waited = false;
+      searcherLoaded.done(function() {
+        const current = searchFor(query);
+        if (current.results && !waited) {
+          const answer = suggestions(current.results, query);
+          sync(answer);
+          if (answer.length === 0) {
+            // Async sources only render `notFound` for async answers.
+            async(answer);
+          }
+        } else {
+          current.promise.then(function(results) {
+            async(suggestions(results, query));
+          }, function() {
+            async([]);
+          });
+        }
+      }).fail(function() {
+        async([]);
+      });
+      waited = true;
+    };
+  }
+
+  function resultsPageURL(query) {
+    return baseURL + 'search.html?q=' + encodeURIComponent(query);
+  }
+
+  // Shown by the first section while the index is still loading.
+  function pendingTemplate(context) {
+    if (searcher || !isSearchable(context.query)) {
+      return '';
+    }
+    return '<div class="tt-pending">Loading search\u2026</div>';
+  }
+
+  // Sections of the suggestion menu, in display order.
+  const resultGroups = [
+    { name: 'types', title: 'Types', limit: 5 },
+    { name: 'protocols', title: 'Protocols', limit: 3 },
+    { name: 'members', title: 'Methods & Properties', limit: 8 },
+    { name: 'cases', title: 'Enum cases', limit: 4 },
+    { name: 'globals', title: 'Global functions & typealiases', limit: 3 }
+  ];
+
+  // Sections grow by this many results each time their footer row is picked,
+  // and keep growing as it scrolls into view after that.
+  const moreBatchSize = 20;
+
+  function moreTemplate(context) {
+    var t = '<div role="option">Show ' + context.count + ' more ';
+    t += context.count === 1 ? 'result' : 'results';
+    t += '</div>';
+    return t;
+  }
+
+  function headerTemplate(group) {
+    return function(context) {
+      var t = '<div class="tt-header">';
+      t += group.title;
+      t += ' <span class="tt-header-count label">';
+      t += groupResults(searchFor(context.query).results, group.name).length;
+      t += '</span></div>';
+      return t;
+    };
+  }
+
+  // Symbols picked from the menu and queries submitted to the results page,
+  // newest first, kept across visits in localStorage.
+  const recentKey = 'jazzy.search.recent';
+  const recentLimit = 8;
+
+  function recentItems() {
+    try {
+      const items = JSON.parse(window.localStorage.getItem(recentKey));
+      return Array.isArray(items) ? items : [];
+    } catch (error) {
+      // Storage can be disabled or hold something unreadable.
+      return [];
+    }
+  }
+
+  function rememberRecent(item) {
+    const items = recentItems().filter(function(other) {
+      return other.url !== item.url || other.query !== item.query;
+    });
+    items.unshift(item);
+    try {
+      window.localStorage.setItem(recentKey, JSON.stringify(items.slice(0, recentLimit)));
+    } catch (error) {
+      // Not remembering is fine.
+    }
+  }
+
+  function recentURL(item) {
+    return item.url || 'search.html?q=' + encodeURIComponent(item.query);
+  }
+
+  function recentDisplay(item) {
+    return item.name || item.query;
+  }
+
+  function recentTemplate(item) {
+    var t = '<div class="list-group-item clearfix">';
+    t += '<span class="doc-name">' + escapeHTML(recentDisplay(item)) + '</span>';
+    if (item.query) {
+      t += '<span class="doc-parent-name label">Search</span>';
+    } else if (item.parent_name) {
+      t += '<span class="doc-parent-name label">' + escapeHTML(item.parent_name) + '</span>';
+    }
+    t += '</div>';
+    return t;
+  }
+
+  // How much results are favoured for what they are and how they matched,
+  // as factors of their lunr score. See `boostedScore` in
+  // `jazzy.search.index.js`; set a boost to 1 to turn it off.
+  const rankingBoosts = {
+    type: 3,
+    exactName: 5,
+    nameMatch: 2,
+    nesting: 0.8
+  };
+
+  // How much a match counts in each part of a symbol's documentation. Names
+  // and abstracts come from `search.json`; the rest is only searchable once
+  // the details index has loaded, see `Scripts/build-docs-search-index.js`.
+  const fieldWeights = {
+    name: 10,
+    segments: 5,
+    initials: 3,
+    abstract: 2,
+    declaration: 1,
+    parameters: 1,
+    returns: 0.5,
+    discussion: 0.5
+  };
+
+  // How many close names to suggest for a query without results.
+  const suggestionLimit = 3;
+
+  // Searches `search.json` in a worker. Only one query is in flight at a
+  // time: queries typed meanwhile replace each other, and only the newest
+  // is sent once the worker is free.
+  function workerSearcher() {
+    const worker = new Worker(workerURL);
+    const loaded = $.Deferred();
+    const detailsLoaded = $.Deferred();
+    var running = null;
+    var waiting = null;
+
+    function send(request) {
+      running = request;
+      worker.postMessage({
+        type: 'search',
+        query: request.query,
+        boosts: rankingBoosts,
+        fieldWeights: fieldWeights,
+        suggestionLimit: suggestionLimit
+      });
+    }
+
+    // Settles the query in flight and sends the one waiting, if any.
+    function finish(settle) {
+      const request = running;
+      running = null;
+      if (request) {
+        settle(request.deferred);
+      }
+      if (waiting) {
+        const next = waiting;
+        waiting = null;
+        send(next);
+      }
+    }
+
+    worker.onmessage = function(event) {
+      const message = event.data;
+      if (message.type === 'loaded') {
+        loaded.resolve();
+      } else if (message.type === 'detailsLoaded') {
+        detailsLoaded.resolve();
+      } else if (message.type === 'error') {
+        loaded.reject(message.message);
+      } else if (message.type === 'results') {
+        finish(function(deferred) {
+          deferred.resolve(message.results, message.suggestions);
+        });
+      } else if (message.type === 'searchError') {
+        finish(function(deferred) {
+          deferred.reject(new Error(message.message));
+        });
+      }
+    };
+    worker.onerror = function(event) {
+      event.preventDefault();
+      loaded.reject(event.message);
+      detailsLoaded.resolve();
+      finish(function(deferred) {
+        deferred.reject(new Error(event.message));
+      });
+    };
+
+    worker.postMessage({
+      type: 'load',
+      searchURL: new URL(searchURL, document.baseURI).href,
+      detailsURL: new URL(detailsURL, document.baseURI).href,
+      aliasesURL: new URL(aliasesURL, document.baseURI).href
+    });
+
+    return {
+      loaded: loaded.promise(),
+      detailsLoaded: detailsLoaded.promise(),
+      // Stops the worker, along with any download it is still making.
+      terminate: function() {
+        worker.terminate();
+        loaded.reject('Search worker stopped');
+        waiting = running = null;
+      },
+      search: function(query) {
+        const request = { query: query, deferred: $.Deferred() };
+        if (!running) {
+          send(request);
+        } else {
+          if (waiting) {
+            waiting.deferred.reject();
+          }
+          waiting = request;
+        }
+        return request.deferred.promise();
+      }
+    };
+  }
+
+  // Loads `search.js`, which sets `jazzySearchData` to the contents of
+  // `search.json` and `jazzySearchAliases` to those of `search.aliases.json`.
+  function loadSearchScript() {
+    const deferred = $.Deferred();
+    const script = document.createElement('script');
+    script.src = scriptURL;
+    script.onload = function() {
+      if (window.jazzySearchData) {
+        deferred.resolve(window.jazzySearchData);
+      } else {
+        deferred.reject(new Error('search.js did not set jazzySearchData'));
+      }
+    };
+    script.onerror = function() {
+      deferred.reject(new Error('Failed to load ' + scriptURL));
+    };
+    document.head.appendChild(script);
+    return deferred.promise();
+  }
+
+  // Searches `search.json` on the page itself, where workers aren't
+  // available.
+  function pageSearcher() {
+    var searchIndex, searchData, searchAliases, searchDetails;
+    const requests = [];
+    const detailsLoaded = $.Deferred();
+
+    function getJSON(url) {
+      const request = $.getJSON(url);
+      requests.push(request);
+      return request;
+    }
+
+    const data = isFileProtocol ? loadSearchScript() : getJSON(searchURL).then(function(data) {
+      return data;
+    });
+
+    // Aliases are optional, and `search.js` sets them alongside the data.
+    const aliasMap = isFileProtocol ? data.then(function() {
+      return window.jazzySearchAliases || null;
+    }) : getJSON(aliasesURL).then(function(aliases) {
+      return aliases;
+    }, function() {
+      return null;
+    });
+
+    const loaded = $.when(data, aliasMap).then(function(data, aliases) {
+      const dataFingerprint = jazzySearchIndex.fingerprint(data);
+      searchData = jazzySearchIndex.annotate(data);
+      searchAliases = jazzySearchIndex.resolveAliases(aliases, searchData);
+      searchIndex = jazzySearchIndex.build(searchData);
+
+      // The details index is prebuilt, and only fetched once search works.
+      // Pages opened from disk can't fetch it.
+      if (isFileProtocol) {
+        detailsLoaded.resolve();
+      } else {
+        getJSON(detailsURL).then(function(serializedDetails) {
+          searchDetails = jazzySearchIndex.loadDetails(serializedDetails, dataFingerprint, searchData);
+        }).always(detailsLoaded.resolve);
+      }
+    });
+
+    return {
+      loaded: loaded,
+      detailsLoaded: detailsLoaded.promise(),
+      // Aborts the downloads still in progress.
+      terminate: function() {
+        requests.forEach(function(request) {
+          request.abort();
+        });
+      },
+      search: function(query) {
+        const results = jazzySearchIndex.search(searchIndex, searchData, query, {
+          boosts: rankingBoosts,
+          fieldWeights: fieldWeights,
+          aliases: searchAliases,
+          details: searchDetails
+        });
+        const suggestions = results.length > 0
+          ? []
+          : jazzySearchIndex.closestNames(searchData, searchAliases, query, suggestionLimit);
+        return $.Deferred().resolve(results, suggestions).promise();
+      }
+    };
+  }
+
+  // Starts loading a searcher, preferring a worker and falling back to the
+  // page if the worker can't start or load. Pages opened from disk always
+  // search in the page. `loaded` resolves with the searcher once its index
+  // is ready, and `cancel` stops whichever searcher is still loading. The
+  // searcher's `detailsLoaded` resolves once the details index has loaded,
+  // or failed to.
+  function loadSearcher() {
+    var candidate = null;
+    var canceled = false;
+
+    function loadPageSearcher() {
+      candidate = pageSearcher();
+      return candidate.loaded.then(function() {
+        return candidate;
+      });
+    }
+
+    var loaded = null;
+    if (typeof Worker !== 'undefined' && !isFileProtocol) {
+      try {
+        candidate = workerSearcher();
+        const worker = candidate;
+        loaded = worker.loaded.then(function() {
+          return worker;
+        }, function(error) {
+          worker.terminate();
+          return canceled ? $.Deferred().reject(error) : loadPageSearcher();
+        });
+      } catch (error) {
+        // Workers can be refused, e.g. by a content security policy.
+      }
+    }
+    return {
+      loaded: loaded || loadPageSearcher(),
+      cancel: function() {
+        canceled = true;
+        if (candidate) {
+          candidate.terminate();
+        }
+      }
+    };
+  }
+
+  var searcher;
+
+  // The last query sent to the searcher, shared by every section of the
+  // menu. `results` stays null until the searcher answers.
+  var lastSearch = { query: null, results: null };
+
+  // Plain text needs a few characters to be worth searching, but operators
+  // such as `==` are shorter than that.
+  function isSearchable(query) {
+    const trimmed = query.trim();
+    if (isPaletteQuery(trimmed)) {
+      return false;
+    }
+    return trimmed.length >= 3 || jazzySearchIndex.isSelector(trimmed);
+  }
+
+  // Queries starting with `>` list page actions instead of symbols.
+  function isPaletteQuery(query) {
+    return query.trim().charAt(0) === '>';
+  }
+
+  // Actions offered in palette mode: each top-level category page, opening
+  // or closing every item, and copying a link to the page.
+  function paletteActions() {
+    const actions = $('.nav-group-name-link').map(function() {
+      const href = this.href;
+      return {
+        title: 'Go to ' + $(this).text().trim(),
+        run: function() {
+          window.location = href;
+        }
+      };
+    }).get();
+    if ($('.token').length && !window.jazzy.docset) {
+      actions.push({
+        title: 'Expand all items',
+        run: function() {
+          setAllItemsOpen(true);
+        }
+      }, {
+        title: 'Collapse all items',
+        run: function() {
+          setAllItemsOpen(false);
+        }
+      });
+    }
+    actions.push({
+      title: 'Copy link to this page',
+      run: function() {
+        copyText(window.location.href).then(function() {
+          announce('Link copied');
+        }, function() {
+          announce('Could not copy the link');
+        });
+      }
+    });
+    return actions;
+  }
+
+  function matchingActions(query) {
+    const words = query.trim().slice(1).toLowerCase().split(/\s+/).filter(Boolean);
+    return paletteActions().filter(function(action) {
+      const title = action.title.toLowerCase();
+      return words.every(function(word) {
+        return title.indexOf(word) !== -1;
+      });
+    });
+  }
+
+  function actionTemplate(action) {
+    return '<div class="list-group-item clearfix"><span class="doc-name">' + escapeHTML(action.title) + '</span></div>';
+  }
+
+  function actionsNotFoundTemplate(context) {
+    if (!isPaletteQuery(context.query)) {
+      return '';
+    }
+    return '<div class="tt-not-found">No matching actions</div>';
+  }
+
+  function searchFor(query) {
+    if (lastSearch.query !== query) {
+      const current = lastSearch = { query: query, results: null, suggestions: [] };
+      if (!isSearchable(query)) {
+        current.results = [];
+        current.promise = $.Deferred().resolve([]).promise();
+        return current;
+      }
+      current.promise = searcher.search(query).done(function(results, suggestions) {
+        current.results = results;
+        current.suggestions = suggestions || [];
+      }).fail(function(error) {
+        current.error = error;
+      });
+    }
+    return lastSearch;
+  }
+
+  function groupResults(results, group) {
+    return results.filter(function(doc) {
+      return doc.group === group;
+    });
+  }
+
+  // How long loading the index may take before search is reported as
+  // unavailable.
+  const loadTimeout = 20000;
+
+  // Rejects if `promise` hasn't settled within `timeout` milliseconds.
+  function withTimeout(promise, timeout) {
+    const deferred = $.Deferred();
+    const timer = setTimeout(function() {
+      deferred.reject(new Error('Timed out loading the search index'));
+    }, timeout);
+    promise.then(deferred.resolve, deferred.reject).always(function() {
+      clearTimeout(timer);
+    });
+    return deferred.promise();
+  }
+
+  var searcherLoaded;
+  var loadFailed = false;
+
+  // Loads the searcher on first use, whether for the menu or the full
+  // results page, and again if the last attempt failed or timed out. Calls
+  // while a load is in progress share it. A failed or timed-out attempt is
+  // stopped, so retries never leave earlier downloads running.
+  function ensureSearcher() {
+    if (!searcherLoaded || loadFailed) {
+      loadFailed = false;
+      $form.removeClass('error').addClass('loading');
+      const load = loadSearcher();
+      searcherLoaded = withTimeout(load.loaded, loadTimeout).then(function(loadedSearcher) {
+        searcher = loadedSearcher;
+        $form.removeClass('loading');
+        // Results from before the details index arrived may be missing
+        // some, so forget them. The menu is only searched again right away
+        // while it has focus and the user hasn't moved onto a suggestion;
+        // otherwise the next change of query searches again.
+        searcher.detailsLoaded.done(function() {
+          lastSearch = { query: null, results: null };
+          if (typeaheadReady && $typeahead.is(':focus') && !cursorMoved) {
+            refreshMenu();
+          }
+        });
+        return searcher;
+      }, function(error) {
+        load.cancel();
+        loadFailed = true;
+        $form.removeClass('loading').addClass('error');
+        return $.Deferred().reject(error);
+      });
+    }
+    return searcherLoaded;
+  }
+
+  window.jazzy = window.jazzy || {};
+
+  // Resolves with every result for `query`, best first. Unlike the menu,
+  // which shows what it can while the details index loads, this waits for
+  // it, so the full list includes matches in declarations and discussions.
+  window.jazzy.search = function(query) {
+    return ensureSearcher().then(function(loadedSearcher) {
+      return loadedSearcher.detailsLoaded;
+    }).then(function() {
+      return searchFor(query).promise;
+    });
+  };
+
+  var typeaheadReady = false;
+
+  // Whether the user has moved the menu's cursor onto a suggestion since
+  // last typing. The suggestion that `autoselect` highlights doesn't count.
+  var cursorMoved = false;
+
+  $typeahead.on('typeahead:cursorchange', function(e, suggestion) {
+    cursorMoved = !!suggestion;
+  });
+  $typeahead.on('input typeahead:close', function() {
+    cursorMoved = false;
+  });
+
+  // Runs the current query again, e.g. to replace a load error once the
+  // index is being loaded again. Keeps the caret where it was, as this can
+  // happen while typing.
+  function refreshMenu() {
+    const input = $typeahead[0];
+    const query = $typeahead.typeahead('val');
+    const start = input.selectionStart;
+    const end = input.selectionEnd;
+    $typeahead.typeahead('val', '');
+    $typeahead.typeahead('val', query);
+    if (input === document.activeElement) {
+      input.setSelectionRange(start, end);
+    }
+  }
+
+  // The menu is set up on first focus and waits for the index itself, so
+  // that it can say when the index is loading or failed to load. Focusing or
+  // clicking it again after a failure retries.
+  $typeahead.on('focus click', function() {
+    if (typeaheadReady) {
+      if (loadFailed) {
+        ensureSearcher();
+        refreshMenu();
+      }
+      return;
+    }
+    typeaheadReady = true;
+    ensureSearcher();
+    $typeahead.typeahead(
+      {
+        highlight: true,
+        minLength: 1,
+        autoselect: true
+      },
+      [{
+        name: 'recent',
+        limit: recentLimit,
+        minLength: 0,
+        display: recentDisplay,
+        templates: {
+          header: '<div class="tt-header">Recent</div>',
+          suggestion: recentTemplate
+        },
+        source: function(query, sync) {
+          sync(query ? [] : recentItems());
+        }
+      }, {
+        name: 'actions',
+        limit: 20,
+        display: 'title',
+        templates: {
+          header: '<div class="tt-header">Actions</div>',
+          suggestion: actionTemplate,
+          notFound: actionsNotFoundTemplate
+        },
+        source: function(query, sync) {
+          sync(isPaletteQuery(query) ? matchingActions(query) : []);
+        }
+      }].concat(resultGroups.map(function(group, index) {
+        return {
+          name: group.name,
+          limit: group.limit,
+          batchSize: moreBatchSize,
+          display: displayTemplate,
+          highlightPattern: highlightPattern,
+          templates: {
+            header: headerTemplate(group),
+            suggestion: suggestionTemplate,
+            more: moreTemplate,
+            notFound: index === 0 ? notFoundTemplate : undefined,
+            pending: index === 0 ? pendingTemplate : undefined
+          },
+          source: resultsSource(function(results) {
+            return groupResults(results, group.name);
+          })
+        };
+      }), {
+        name: 'all',
+        limit: 1,
+        display: 'query',
+        templates: {
+          suggestion: allResultsTemplate
+        },
+        source: resultsSource(function(results, query) {
+          return results.length > 0 ? [{ query: query, count: results.length }] : [];
+        })
+      })
+    );
+    $typeahead.trigger('focus');
+  });
+
+  // Focuses the search box, optionally replacing its query first.
+  function focusSearch(query) {
+    if (typeof query === 'string') {
+      if (typeaheadReady) {
+        $typeahead.typeahead('val', query);
+      } else {
+        $typeahead.val(query);
+      }
+    }
+    $typeahead.trigger('focus');
+  }
+
+  // `/` focuses the search box from anywhere on the page, and Ctrl/Cmd+K
+  // opens it in palette mode. In the search box, Ctrl/Cmd+K keeps what is
+  // typed and only adds the `>`; other fields keep the key to themselves.
+  $typeahead.attr('aria-keyshortcuts', '/ Control+K Meta+K');
+  $(document).on('keydown', function(event) {
+    if (event.altKey || event.isDefaultPrevented()) {
+      return;
+    }
+    const modified = event.ctrlKey || event.metaKey;
+    if (event.key === '/' && !modified && !isEditable(event.target)) {
+      event.preventDefault();
+      focusSearch();
+    } else if (modified && event.key && event.key.toLowerCase() === 'k') {
+      if (event.target === $typeahead[0]) {
+        event.preventDefault();
+        const query = $typeahead.val();
+        if (!isPaletteQuery(query)) {
+          focusSearch('>' + query);
+        }
+      } else if (!isEditable(event.target)) {
+        event.preventDefault();
+        focusSearch('>');
+      }
+    }
+  });
+
+  var baseURL = searchURL.slice(0, -"search.json".length);
+
+  $typeahead.on('typeahead:select', function(e, result) {
+    if (result.run) {
+      $typeahead.typeahead('val', '');
+      $typeahead.trigger('blur');
+      result.run();
+      return;
+    }
+    rememberRecent(result.url ?
+      { url: result.url, name: result.name, parent_name: result.parent_name } :
+      { query: result.query });
+    window.location = baseURL + recentURL(result);
+  });
+
+  // Names suggested for a query without results search for themselves.
+  $form.on('click', '.tt-did-you-mean a', function(e) {
+    e.preventDefault();
+    $typeahead.typeahead('val', $(this).attr('data-query'));
+    $typeahead.trigger('focus');
+  });
+
+  // Submitting the form without picking a suggestion shows every result.
+  $form.on('submit', function(e) {
+    e.preventDefault();
+    const query = $typeahead.val();
+    if (query.trim()) {
+      rememberRecent({ query: query });
+      window.location = resultsPageURL(query);
+    }
+  });
+
+  // `?q=term` on any page opens the search box with that query, and `&go=1`
+  // goes straight to its best match. The results page reads `q` itself.
+  const params = new URLSearchParams(window.location.search);
+  const linkedQuery = params.get('q');
+  if (linkedQuery && !$('[data-search-results]').length) {
+    if (params.get('go') === '1') {
+      window.jazzy.search(linkedQuery).then(function(results) {
+        if (results.length > 0) {
+          window.location.replace(baseURL + results[0].url);
+        } else {
+          focusSearch(linkedQuery);
+        }
+      }, function() {
+        focusSearch(linkedQuery);
+      });
+    } else {
+      focusSearch(linkedQuery);
+    }
+  }
+});
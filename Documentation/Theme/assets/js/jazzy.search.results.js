@@ -0,0 +1,191 @@
+// Jazzy - https://github.com/realm/jazzy
+// Copyright Realm Inc.
+// SPDX-License-Identifier: MIT
+
+// Lists every match for `search.html?q=...`, a page at a time, optionally
+// narrowed to one kind of symbol with `&kind=...`.
+$(function(){
+  var $summary = $('[data-search-summary]');
+  var $results = $('[data-search-results]');
+  if (!$summary.length || !$results.length) {
+    return;
+  }
+
+  var $typeahead = $('[data-typeahead]');
+  var searchURL = $typeahead.parents('form').attr('action');
+  var baseURL = searchURL.slice(0, -"search.json".length);
+  var pageSize = 25;
+
+  // The labels results are filtered by, in the order the filters are listed.
+  var kindOrder = [
+    'Class', 'Structure', 'Enumeration', 'Protocol', 'Extension', 'Type alias',
+    'Function', 'Variable', 'Initializer', 'Method', 'Property', 'Subscript',
+    'Associated type', 'Enum case', 'Overview'
+  ];
+
+  function readState() {
+    const params = new URLSearchParams(window.location.search);
+    return {
+      query: params.get('q') || '',
+      kind: params.get('kind') || '',
+      page: Math.max(parseInt(params.get('page'), 10) || 1, 1)
+    };
+  }
+
+  function stateURL(state) {
+    const params = new URLSearchParams();
+    params.set('q', state.query);
+    if (state.kind) {
+      params.set('kind', state.kind);
+    }
+    if (state.page > 1) {
+      params.set('page', state.page);
+    }
+    return window.location.pathname + '?' + params.toString();
+  }
+
+  function stateLink(state, text, current) {
+    if (current) {
+      return '<strong class="search-link search-link--current">' + text + '</strong>';
+    }
+    return '<a class="search-link" href="' + escapeHTML(stateURL(state)) + '">' + text + '</a>';
+  }
+
+  function kindFilters(state, results) {
+    const counts = {};
+    results.forEach(function(doc) {
+      counts[doc.label] = (counts[doc.label] || 0) + 1;
+    });
+    var t = '<p class="search-filters">';
+    t += stateLink({ query: state.query, kind: '', page: 1 }, 'All (' + results.length + ')', !state.kind);
+    kindOrder.forEach(function(kind) {
+      if (counts[kind]) {
+        const text = escapeHTML(kind) + ' (' + counts[kind] + ')';
+        t += ' ' + stateLink({ query: state.query, kind: kind, page: 1 }, text, state.kind === kind);
+      }
+    });
+    t += '</p>';
+    return t;
+  }
+
+  function resultItem(doc) {
+    var t = '<li class="item search-result">';
+    t += '<div>';
+    t += '<span class="search-result-kind">' + escapeHTML(doc.label || '') + '</span> ';
+    t += '<code><a href="' + escapeHTML(baseURL + doc.url) + '">' + escapeHTML(doc.name) + '</a></code>';
+    if (doc.parent_name) {
+      t += ' <span class="search-result-parent">in ' + escapeHTML(doc.parent_name) + '</span>';
+    }
+    if (doc.alias) {
+      t += ' <span class="search-result-alias">' + escapeHTML(doc.alias.label) + '</span>';
+    }
+    t += '</div>';
+    if (doc.summary) {
+      t += '<p class="search-result-abstract">' + escapeHTML(doc.summary) + '</p>';
+    }
+    t += '</li>';
+    return t;
+  }
+
+  function pagination(state, pageCount) {
+    if (pageCount < 2) {
+      return '';
+    }
+    function pageState(page) {
+      return { query: state.query, kind: state.kind, page: page };
+    }
+    var t = '<p class="search-pagination">';
+    if (state.page > 1) {
+      t += stateLink(pageState(state.page - 1), '&larr; Previous') + ' ';
+    }
+    for (let page = 1; page <= pageCount; page++) {
+      t += stateLink(pageState(page), String(page), page === state.page) + ' ';
+    }
+    if (state.page < pageCount) {
+      t += stateLink(pageState(state.page + 1), 'Next &rarr;');
+    }
+    t += '</p>';
+    return t;
+  }
+
+  // A kind label as counted, e.g. `1 Class` or `2 Classes`.
+  function kindName(kind, count) {
+    if (count === 1) {
+      return kind;
+    }
+    return kind.replace(/y$/, 'ie').replace(/s$/, 'se') + 's';
+  }
+
+  function render(state, results) {
+    const matching = state.kind ? results.filter(function(doc) {
+      return doc.label === state.kind;
+    }) : results;
+    const pageCount = Math.ceil(matching.length / pageSize);
+    const page = Math.min(state.page, Math.max(pageCount, 1));
+    const first = (page - 1) * pageSize;
+
+    // With a kind filter, the counts are of the results it lets through,
+    // e.g. `1 Enumeration of 368 results`.
+    var summary = results.length + (results.length === 1 ? ' result' : ' results');
+    if (state.kind) {
+      summary = matching.length + ' ' + escapeHTML(kindName(state.kind, matching.length)) + ' of ' + summary;
+    }
+    summary += ' for <strong>' + escapeHTML(state.query) + '</strong>';
+    if (matching.length > pageSize) {
+      summary += ', showing ' + (first + 1) + '–' + Math.min(first + pageSize, matching.length);
+      summary += ' of ' + matching.length;
+    }
+    $summary.html(summary);
+
+    if (results.length === 0) {
+      $results.empty();
+      return;
+    }
+    var t = kindFilters(state, results);
+    t += '<ul class="item-container search-results">';
+    matching.slice(first, first + pageSize).forEach(function(doc) {
+      t += resultItem(doc);
+    });
+    t += '</ul>';
+    t += pagination({ query: state.query, kind: state.kind, page: page }, pageCount);
+    $results.html(t);
+  }
+
+  var lastQuery;
+  var lastResults;
+
+  function show(state) {
+    $typeahead.val(state.query);
+    if (!state.query.trim()) {
+      $summary.text('Type in the search box to find symbols.');
+      $results.empty();
+      return;
+    }
+    if (state.query === lastQuery) {
+      render(state, lastResults);
+      return;
+    }
+    window.jazzy.search(state.query).then(function(results) {
+      lastQuery = state.query;
+      lastResults = results;
+      render(readState(), results);
+    }, function() {
+      $summary.text('Search is unavailable right now.');
+    });
+  }
+
+  $results.on('click', 'a.search-link', function(e) {
+    e.preventDefault();
+    history.pushState({}, '', this.href);
+    show(readState());
+    if (this.parentNode.classList.contains('search-pagination')) {
+      window.scrollTo(0, 0);
+    }
+  });
+
+  window.addEventListener('popstate', function() {
+    show(readState());
+  });
+
+  show(readState());
+});
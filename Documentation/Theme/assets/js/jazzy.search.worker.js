@@ -0,0 +1,73 @@
+// Jazzy - https://github.com/realm/jazzy
+// Copyright Realm Inc.
+// SPDX-License-Identifier: MIT
+
+// Loads the search index and answers queries from `jazzy.search.js`, keeping
+// the index build and lunr queries off the page's main thread.
+importScripts('lunr.min.js', 'jazzy.search.index.js');
+
+var searchIndex, searchData, searchAliases, searchDetails;
+
+function getJSON(url) {
+  return fetch(url).then(function(response) {
+    if (!response.ok) {
+      throw new Error(`${url}: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  });
+}
+
+function load(message) {
+  // Aliases are optional.
+  const aliasMap = getJSON(message.aliasesURL).catch(function() {
+    return null;
+  });
+
+  Promise.all([getJSON(message.searchURL), aliasMap]).then(function([data, aliases]) {
+    const dataFingerprint = jazzySearchIndex.fingerprint(data);
+    searchData = jazzySearchIndex.annotate(data);
+    searchAliases = jazzySearchIndex.resolveAliases(aliases, searchData);
+    searchIndex = jazzySearchIndex.build(searchData);
+    postMessage({ type: 'loaded' });
+    loadDetails(message.detailsURL, dataFingerprint);
+  }).catch(function(error) {
+    postMessage({ type: 'error', message: error.message });
+  });
+}
+
+// The details index is prebuilt, and only fetched once search works. Until it arrives, or if it can't be fetched, searches leave
+// out the sections it covers. Either way, the page hears when it's settled.
+function loadDetails(url, dataFingerprint) {
+  getJSON(url).then(function(serializedDetails) {
+    searchDetails = jazzySearchIndex.loadDetails(serializedDetails, dataFingerprint, searchData);
+  }).catch(function() {}).then(function() {
+    postMessage({ type: 'detailsLoaded' });
+  });
+}
+
+onmessage = function(event) {
+  const message = event.data;
+  if (message.type === 'load') {
+    load(message);
+  } else if (message.type === 'search') {
+    // Every search gets a reply, or the page would wait for it forever.
+    try {
+      const results = jazzySearchIndex.search(searchIndex, searchData, message.query, {
+        boosts: message.boosts,
+        fieldWeights: message.fieldWeights,
+        aliases: searchAliases,
+        details: searchDetails
+      });
+      postMessage({
+        type: 'results',
+        query: message.query,
+        results: results,
+        suggestions: results.length > 0
+          ? []
+          : jazzySearchIndex.closestNames(searchData, searchAliases, message.query, message.suggestionLimit)
+      });
+    } catch (error) {
+      postMessage({ type: 'searchError', query: message.query, message: error.message });
+    }
+  }
+};
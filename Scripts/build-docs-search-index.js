@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+//
+//  build-docs-search-index.js
+//
+//  Copyright (c) 2014-2018 Alamofire Software Foundation (http://alamofire.org/)
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+// Prebuilds the docs search index for what `search.json` leaves out, which
+// pages can't build themselves. `Scripts/build-docs.sh` runs it after
+// generating the docs with jazzy, or run it on its own:
+//
+//     node Scripts/build-docs-search-index.js [docs directories...]
+//
+// For each directory, reads `search.json` and writes the serialized lunr index
+// of each symbol's declaration, parameters, return value and discussion, read
+// from the generated pages, next to it as `search.details.index.json`.
+// Defaults to `docs` and its docset. Pages build the index of names and
+// abstracts themselves, which takes less time than downloading it, and load
+// this one once search already works.
+//
+// The index carries a fingerprint of the `search.json` it was built from, and
+// pages ignore it once that changes, so docs regenerated without rerunning
+// this script don't search sections of symbols that have moved.
+//
+// Also writes `search.js`, the same search data as a script that sets
+// `jazzySearchData`, and `jazzySearchAliases` if there is a
+// `search.aliases.json`, for pages opened from disk where browsers refuse to
+// fetch either.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const rootDirectory = path.join(__dirname, '..');
+const searchIndex = require(path.join(rootDirectory, 'Documentation/Theme/assets/js/jazzy.search.index.js'));
+
+const defaultDirectories = [
+  'docs',
+  'docs/docsets/Alamofire.docset/Contents/Resources/Documents'
+];
+
+// The first match of `pattern` in `html`, as plain text.
+function sectionText(html, pattern) {
+  const match = pattern.exec(html);
+  return match ? searchIndex.plainText(match[1]) : '';
+}
+
+// Doc comments start with the abstract that `search.json` already has, and
+// anything after its first paragraph is the discussion.
+function discussionText(html) {
+  return searchIndex.plainText(html.replace(/^\s*<p>[\s\S]*?<\/p>/, ''));
+}
+
+// The sections of a symbol's documentation, from the HTML that jazzy
+// generates for it, as plain text.
+function symbolDetails(html, docHTML) {
+  const details = {
+    declaration: sectionText(html, /<div class="declaration">[\s\S]*?<code>([\s\S]*?)<\/code><\/pre>/),
+    parameters: sectionText(html, /<h4>Parameters<\/h4>([\s\S]*?)<\/table>/),
+    returns: sectionText(html, /<h4>Return Value<\/h4>([\s\S]*?)<\/div>/),
+    discussion: docHTML === null ? '' : discussionText(docHTML)
+  };
+  for (const field of Object.keys(details)) {
+    if (!details[field]) {
+      delete details[field];
+    }
+  }
+  return details;
+}
+
+// Details for the page at `page`, a `search.json` URL without its fragment,
+// and for each symbol listed on it.
+function pageDetails(directory, page, searchData) {
+  const pagePath = path.join(directory, decodeURIComponent(page));
+  if (!fs.existsSync(pagePath)) {
+    return {};
+  }
+  const html = fs.readFileSync(pagePath, 'utf8');
+  const details = {};
+
+  // A type's own page opens with its declaration and documentation.
+  const topMatter = /<div class="section-content top-matter">([\s\S]*?)<\/div>\s*<\/section>/.exec(html);
+  if (topMatter && page in searchData) {
+    const docHTML = topMatter[1].split(/<\/pre>\s*<\/div>\s*<\/div>/)[1];
+    details[page] = symbolDetails(topMatter[1], docHTML === undefined ? null : docHTML);
+  }
+
+  for (const item of html.split('<li class="item">').slice(1)) {
+    const anchor = /<a name="(\/[^"]*)"><\/a>/.exec(item);
+    const url = anchor ? `${page}#${anchor[1]}` : null;
+    if (url in searchData) {
+      const docHTML = /<div class="abstract">([\s\S]*?)<\/div>\s*<div class="declaration">/.exec(item);
+      details[url] = symbolDetails(item, docHTML ? docHTML[1] : null);
+    }
+  }
+  return details;
+}
+
+function readDetails(directory, searchData) {
+  const pages = new Set(Object.keys(searchData).map((url) => url.split('#')[0]));
+  const details = {};
+  pages.forEach((page) => Object.assign(details, pageDetails(directory, page, searchData)));
+  return details;
+}
+
+function buildIndex(directory) {
+  const searchData = JSON.parse(fs.readFileSync(path.join(directory, 'search.json'), 'utf8'));
+  const details = readDetails(directory, searchData);
+  const index = searchIndex.serialize(searchIndex.buildDetails(searchData, details), searchData);
+  const indexPath = path.join(directory, 'search.details.index.json');
+  fs.writeFileSync(indexPath, JSON.stringify(index));
+  console.log(`Wrote ${path.relative(process.cwd(), indexPath)} (${Object.keys(details).length} of ${Object.keys(searchData).length} symbols)`);
+}
+
+function writeSearchScript(directory) {
+  const searchData = fs.readFileSync(path.join(directory, 'search.json'), 'utf8');
+  let script = `window.jazzySearchData = ${searchData.trim()};\n`;
+  const aliasesPath = path.join(directory, 'search.aliases.json');
+  if (fs.existsSync(aliasesPath)) {
+    const aliases = JSON.parse(fs.readFileSync(aliasesPath, 'utf8'));
+    script += `window.jazzySearchAliases = ${JSON.stringify(aliases)};\n`;
+  }
+  const scriptPath = path.join(directory, 'search.js');
+  fs.writeFileSync(scriptPath, script);
+  console.log(`Wrote ${path.relative(process.cwd(), scriptPath)}`);
+}
+
+const directories = process.argv.length > 2
+  ? process.argv.slice(2)
+  : defaultDirectories.map((directory) => path.join(rootDirectory, directory));
+
+directories.forEach((directory) => {
+  buildIndex(directory);
+  writeSearchScript(directory);
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+//
+//  build-docs-search-page.js
+//
+//  Copyright (c) 2014-2018 Alamofire Software Foundation (http://alamofire.org/)
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+
+// Adds `search.html`, the page listing every result for a docs search, which
+// jazzy has no template for. `Scripts/build-docs.sh` runs it after
+// generating the docs with jazzy, or run it on its own:
+//
+//     node Scripts/build-docs-search-page.js [docs directories...]
+//
+// For each directory, wraps the generated `index.html` header, navigation and
+// footer around the empty results list that `js/jazzy.search.results.js`
+// fills in. Defaults to `docs` and its docset.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const rootDirectory = path.join(__dirname, '..');
+
+const defaultDirectories = [
+  'docs',
+  'docs/docsets/Alamofire.docset/Contents/Resources/Documents'
+];
+
+const title = 'Search Results';
+
+const mainContent = `
+        <section class="section">
+          <div class="section-content top-matter">
+            <h1>${title}</h1>
+            <p class="search-summary" data-search-summary>Loading search results…</p>
+          </div>
+        </section>
+
+        <section class="section">
+          <div class="section-content" data-search-results>
+          </div>
+        </section>
+
+`;
+
+// Applies `replacement` to the first match of `pattern`, which must match.
+function replace(html, pattern, replacement) {
+  if (!pattern.test(html)) {
+    throw new Error(`index.html has no match for ${pattern}`);
+  }
+  return html.replace(pattern, replacement);
+}
+
+function buildSearchPage(directory) {
+  let html = fs.readFileSync(path.join(directory, 'index.html'), 'utf8');
+  html = replace(html, /<title>.*<\/title>/, `<title>${title}</title>`);
+  html = replace(html, /<a title=".*"><\/a>/, `<a title="${title}"></a>`);
+  html = replace(html, /( *)(<script src="js\/jazzy\.search\.js" defer><\/script>\n)/,
+    '$1$2$1<script src="js/jazzy.search.results.js" defer></script>\n');
+  html = replace(html, /( *)(<a class="breadcrumb" href="index\.html">.*<\/a>\n)/,
+    `$1$2$1<img class="carat" src="img/carat.png" alt=""/>\n$1${title}\n`);
+  html = replace(html, /(<article class="main-content">\n)[\s\S]*?( *<\/article>)/,
+    (match, start, end) => start + mainContent + end);
+
+  const pagePath = path.join(directory, 'search.html');
+  fs.writeFileSync(pagePath, html);
+  console.log(`Wrote ${path.relative(process.cwd(), pagePath)}`);
+}
+
+const directories = process.argv.length > 2
+  ? process.argv.slice(2)
+  : defaultDirectories.map((directory) => path.join(rootDirectory, directory));
+
+directories.forEach(buildSearchPage);
@@ -0,0 +1,41 @@
+#!/usr/bin/env bash
+#
+#  build-docs.sh
+#
+#  Copyright (c) 2014-2018 Alamofire Software Foundation (http://alamofire.org/)
+#
+#  Permission is hereby granted, free of charge, to any person obtaining a copy
+#  of this software and associated documentation files (the "Software"), to deal
+#  in the Software without restriction, including without limitation the rights
+#  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+#  copies of the Software, and to permit persons to whom the Software is
+#  furnished to do so, subject to the following conditions:
+#
+#  The above copyright notice and this permission notice shall be included in
+#  all copies or substantial portions of the Software.
+#
+#  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+#  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+#  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+#  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+#  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+#  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+#  THE SOFTWARE.
+#
+
+# Regenerates `docs` with jazzy, using the theme in `Documentation/Theme`,
+# then adds what jazzy can't generate: the search results page and the
+# prebuilt search index. Arguments are passed on to jazzy.
+#
+#     Scripts/build-docs.sh [jazzy options...]
+
+set -euo pipefail
+
+cd "$(dirname "$0")/.."
+
+bundle exec jazzy "$@"
+node Scripts/build-docs-search-page.js
+node Scripts/build-docs-search-index.js
+
+# jazzy archived the docset before the steps above added to it.
+(cd docs/docsets && tar --exclude='.DS_Store' -czf Alamofire.tgz Alamofire.docset)
@@ -0,0 +1,718 @@
+// Jazzy - https://github.com/realm/jazzy
+// Copyright Realm Inc.
+// SPDX-License-Identifier: MIT
+
+// Builds, loads and queries the lunr index over `search.json`. Shared by the
+// search worker, the docs pages and the Node script that prebuilds
+// `search.details.index.json`, so all of them index and search the same way.
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./lunr.min.js'));
+  } else {
+    root.jazzySearchIndex = factory(root.lunr);
+  }
+})(this, function(lunr) {
+  // Top-level page prefixes in `search.json` URLs, by the kind they document.
+  const kindPrefixes = {
+    'class': 'Classes',
+    'struct': 'Structs',
+    'enum': 'Enums',
+    'protocol': 'Protocols',
+    'extension': 'Extensions',
+    'typealias': 'Typealiases',
+    'function': 'Functions',
+    'variable': 'Global%20Variables'
+  };
+
+  // Alternative spellings accepted by the `kind:` qualifier.
+  const kindAliases = {
+    'classes': 'class',
+    'structs': 'struct',
+    'structure': 'struct',
+    'structures': 'struct',
+    'enums': 'enum',
+    'enumeration': 'enum',
+    'enumerations': 'enum',
+    'protocols': 'protocol',
+    'extensions': 'extension',
+    'typealiases': 'typealias',
+    'alias': 'typealias',
+    'func': 'function',
+    'functions': 'function',
+    'var': 'variable',
+    'variables': 'variable',
+    'global': 'variable'
+  };
+
+  const qualifierPattern = /^(kind|in|parent):(.*)$/i;
+
+  // Splits the raw input into free text and `kind:`, `in:` and `parent:`
+  // qualifiers. Qualifiers still missing their value are dropped, and so is
+  // any `*` in the text: lunr would take it for a wildcard, and no Alamofire
+  // operator contains one.
+  function parseQuery(query) {
+    const parsed = { text: [], filters: {} };
+    for (const word of query.trim().split(/\s+/)) {
+      const match = qualifierPattern.exec(word);
+      if (!match) {
+        parsed.text.push(word.replace(/\*/g, ''));
+      } else if (match[2]) {
+        const key = match[1].toLowerCase();
+        var value = match[2].toLowerCase();
+        if (key === 'kind') {
+          value = kindAliases[value] || value;
+        }
+        (parsed.filters[key] = parsed.filters[key] || []).push(value);
+      }
+    }
+    parsed.text = parsed.text.join(' ');
+    return parsed;
+  }
+
+  // The kind of page a `search.json` URL points into.
+  function urlKind(url) {
+    const page = url.split(/[/.#]/)[0];
+    return Object.keys(kindPrefixes).find(function(kind) {
+      return kindPrefixes[kind] === page;
+    });
+  }
+
+  // Names of the types enclosing the symbol at a `search.json` URL, outermost
+  // first. A type's own page is not counted as enclosing it.
+  function urlScopes(url) {
+    const parts = url.split('#');
+    const path = parts[0].replace(/\.html$/, '').split('/').slice(1);
+    if (parts.length === 1) {
+      path.pop();
+    }
+    return path.map(function(name) {
+      return decodeURIComponent(name).toLowerCase();
+    });
+  }
+
+  // The menu section for the symbol at a `search.json` URL. Members are told
+  // apart by the suffix of the mangled Swift USR in their anchor.
+  function urlGroup(url, kind) {
+    const usr = url.split('#/')[1];
+    if (kind === 'typealias' || kind === 'function' || kind === 'variable') {
+      return 'globals';
+    }
+    if (!usr || url.indexOf('.html#') === kindPrefixes[kind].length) {
+      return kind === 'protocol' ? 'protocols' : 'types';
+    }
+    if (/mF$/.test(usr)) {
+      return 'cases';
+    }
+    if (/^s:.*P$/.test(usr)) {
+      return 'protocols';
+    }
+    if (/^s:.*([CVO]|[^Q]a)$/.test(usr)) {
+      return 'types';
+    }
+    return 'members';
+  }
+
+  // Singular names for each kind of top-level page.
+  const kindLabels = {
+    'class': 'Class',
+    'struct': 'Structure',
+    'enum': 'Enumeration',
+    'protocol': 'Protocol',
+    'extension': 'Extension',
+    'typealias': 'Type alias',
+    'function': 'Function',
+    'variable': 'Variable'
+  };
+
+  // A readable kind for the symbol at a `search.json` URL, e.g. `Class` or
+  // `Method`, again going by the USR suffix for members.
+  function urlLabel(url, kind, group) {
+    const usr = url.split('#/')[1];
+    if (!usr && url.indexOf('/') === -1) {
+      return 'Overview';
+    }
+    if (group === 'cases') {
+      return 'Enum case';
+    }
+    if (!usr || group === 'globals' || url.indexOf('.html#') === kindPrefixes[kind].length) {
+      return kindLabels[kind];
+    }
+    const nestedType = /^s:.*([CVOP]|[^Q]a)$/.exec(usr);
+    if (nestedType) {
+      return { 'C': 'Class', 'V': 'Structure', 'O': 'Enumeration', 'P': 'Protocol' }[nestedType[1]] || 'Type alias';
+    }
+    if (/f[cC]$/.test(usr)) {
+      return 'Initializer';
+    }
+    if (/ip$/.test(usr)) {
+      return 'Subscript';
+    }
+    if (/vpZ?$/.test(usr)) {
+      return 'Property';
+    }
+    if (/Qa$/.test(usr)) {
+      return 'Associated type';
+    }
+    return 'Method';
+  }
+
+  function matchesFilters(doc, filters) {
+    const tests = {
+      kind: function(value) {
+        return doc.kind === value;
+      },
+      in: function(value) {
+        return doc.scopes.indexOf(value) !== -1;
+      },
+      parent: function(value) {
+        return (doc.parent_name || '').toLowerCase() === value;
+      }
+    };
+    return Object.keys(filters).every(function(key) {
+      return filters[key].some(tests[key]);
+    });
+  }
+
+  // Splits a name into its camel-case words, keeping acronyms together:
+  // `cURLDescription` becomes `c`, `URL`, `Description`.
+  function camelSegments(name) {
+    return name.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|[0-9]+/g) || [];
+  }
+
+  // The first letter of each camel-case word, e.g. `dsr` for
+  // `DataStreamRequest`. Empty for single-word names.
+  function initials(name) {
+    const segments = camelSegments(name);
+    if (segments.length < 2) {
+      return '';
+    }
+    return segments.map(function(segment) {
+      return segment[0];
+    }).join('').toLowerCase();
+  }
+
+  // Splits free text into distinct lowercase search terms. Camel-cased words
+  // are searched both whole and by their words, so `StreamReq` finds
+  // `DataStreamRequest`. Single-letter words, like the `c` of
+  // `cURLDescription`, are left out: as prefixes they match nearly every
+  // symbol, and the `initials` field covers them.
+  function queryTerms(text) {
+    const terms = [];
+    for (const word of text.split(lunr.tokenizer.separator)) {
+      terms.push(word.toLowerCase());
+      const segments = camelSegments(word);
+      if (segments.length > 1) {
+        for (const segment of segments) {
+          if (segment.length > 1) {
+            terms.push(segment.toLowerCase());
+          }
+        }
+      }
+    }
+    return terms.filter(function(term, index) {
+      return term.length > 0 && terms.indexOf(term) === index;
+    });
+  }
+
+  // Counts how many of the query terms contributed to a lunr result, either
+  // exactly (after stemming) or as the prefix of an indexed term. Typo matches
+  // don't count, which ranks them below exact and prefix matches.
+  function matchedTermCount(searchIndex, terms, result) {
+    const matchedTerms = Object.keys(result.matchData.metadata);
+    return terms.filter(function(term) {
+      const stemmed = searchIndex.pipeline.runString(term);
+      return matchedTerms.some(function(matched) {
+        return matched.startsWith(term) || stemmed.indexOf(matched) !== -1;
+      });
+    }).length;
+  }
+
+  // How many typos to tolerate in a term: none in short terms, where almost
+  // everything is a near miss, and more in long ones.
+  function typoDistance(term) {
+    if (term.length < 4) {
+      return 0;
+    }
+    return term.length < 8 ? 1 : 2;
+  }
+
+  // Multiplies a lunr score by the ranking boosts that apply to a result.
+  // Each boost is a factor, and a missing one counts as 1:
+  //
+  // - `type`: the symbol is a type or protocol rather than a member.
+  // - `exactName`: its name, or a method's base name, is the whole query.
+  // - `nameMatch`: a query term matched its name, not just its documentation.
+  // - `nesting`: applied once for each type enclosing it.
+  function boostedScore(doc, result, text, boosts) {
+    var score = result.score;
+    if (isType(doc)) {
+      score *= boosts.type || 1;
+    }
+    const name = doc.name.toLowerCase();
+    const compact = compactText(text);
+    if (name === compact || name.split('(')[0] === compact) {
+      score *= boosts.exactName || 1;
+    }
+    const metadata = result.matchData.metadata;
+    const nameMatched = Object.keys(metadata).some(function(term) {
+      return Object.keys(metadata[term]).some(function(field) {
+        return field !== 'abstract' && detailFields.indexOf(field) === -1;
+      });
+    });
+    if (nameMatched) {
+      score *= boosts.nameMatch || 1;
+    }
+    return score * Math.pow(boosts.nesting || 1, doc.scopes.length);
+  }
+
+  function isType(doc) {
+    return doc.group === 'types' || doc.group === 'protocols';
+  }
+
+  // Orders results with equal rank the same way every time: by name, then by
+  // URL, which is unique.
+  function compareNames(a, b) {
+    return a.name.localeCompare(b.name) || (a.url < b.url ? -1 : (a.url > b.url ? 1 : 0));
+  }
+
+  // Text as compared with names and aliases: lowercased, without spaces.
+  function compactText(text) {
+    return text.replace(/\s+/g, '').toLowerCase();
+  }
+
+  // Resolves an alias map, as in `search.aliases.json`, against the search
+  // data. Old names under `renamed` and concepts under `related` each list
+  // the symbols they lead to, by name for top-level symbols or as
+  // `Parent.name` for members. Only symbols the migration guides call
+  // renamed belong under `renamed`; removed or replaced ones are `related`.
+  function resolveAliases(aliasMap, searchData) {
+    const docs = Object.values(searchData);
+    const aliases = {};
+    for (const relation of ['renamed', 'related']) {
+      for (const [from, targets] of Object.entries((aliasMap && aliasMap[relation]) || {})) {
+        const urls = [];
+        for (const target of targets) {
+          for (const doc of docs) {
+            const qualifiedName = doc.parent_name ? doc.parent_name + '.' + doc.name : doc.name;
+            if (qualifiedName === target) {
+              urls.push(doc.url);
+            }
+          }
+        }
+        aliases[compactText(from)] = { from: from, renamed: relation === 'renamed', urls: urls };
+      }
+    }
+    return aliases;
+  }
+
+  // The aliases a query refers to: the whole alias, or most of it while it
+  // is still being typed.
+  function matchingAliases(aliases, text) {
+    const compact = compactText(text);
+    return Object.keys(aliases).filter(function(key) {
+      return key === compact || (key.startsWith(compact) && compact.length >= key.length * 0.6);
+    }).map(function(key) {
+      return aliases[key];
+    });
+  }
+
+  // Copies of the symbols a query's aliases lead to, each noting the alias
+  // and how to label it, e.g. `Renamed from SessionManager`.
+  function aliasResults(aliases, parsed, searchData) {
+    const results = [];
+    for (const alias of matchingAliases(aliases, parsed.text)) {
+      const label = alias.renamed ? 'Renamed from ' + alias.from : 'Related to \u201c' + alias.from + '\u201d';
+      for (const url of alias.urls) {
+        const doc = searchData[url];
+        const seen = results.some(function(result) {
+          return result.url === url;
+        });
+        if (doc && !seen && matchesFilters(doc, parsed.filters)) {
+          results.push(Object.assign({}, doc, {
+            alias: { from: alias.from, renamed: alias.renamed, label: label }
+          }));
+        }
+      }
+    }
+    return results;
+  }
+
+  function editDistance(a, b) {
+    var previous = Array.from({ length: b.length + 1 }, function(_, j) {
+      return j;
+    });
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  // The names, and old names from the aliases, closest to a query by edit
+  // distance, to suggest when it finds nothing. Methods are suggested by
+  // their base name.
+  function closestNames(searchData, aliases, query, limit) {
+    const text = compactText(parseQuery(query).text);
+    if (text.length < 3) {
+      return [];
+    }
+    const maxDistance = Math.max(2, Math.floor(text.length / 3));
+    const names = {};
+    for (const doc of Object.values(searchData)) {
+      const name = doc.name.split('(')[0];
+      names[compactText(name)] = names[compactText(name)] || name;
+    }
+    for (const alias of Object.values(aliases || {})) {
+      names[compactText(alias.from)] = names[compactText(alias.from)] || alias.from;
+    }
+    return Object.keys(names).map(function(key) {
+      return { name: names[key], distance: editDistance(text, key) };
+    }).filter(function(candidate) {
+      return candidate.distance <= maxDistance;
+    }).sort(function(a, b) {
+      return (a.distance - b.distance) || a.name.localeCompare(b.name);
+    }).slice(0, limit).map(function(candidate) {
+      return candidate.name;
+    });
+  }
+
+  // Words written like a Swift selector or operator, e.g. `validate(statusCode:`
+  // or `==`, are searched as such rather than as plain text. A `*` doesn't
+  // count, see `parseQuery`.
+  function isSelector(word) {
+    word = word.replace(/\*/g, '');
+    return /[():]/.test(word) || /^[^\w\s]+$/.test(word);
+  }
+
+  // The tokens a selector search can match in a name: the whole name, its
+  // base name or operator, and each argument label with its colon. For
+  // `validate(statusCode:)` those are `validate(statuscode:)`, `validate` and
+  // `statuscode:`.
+  function selectorTokens(name) {
+    const lowercased = name.toLowerCase();
+    const tokens = [lowercased];
+    const open = lowercased.indexOf('(');
+    if (open > 0) {
+      tokens.push(lowercased.slice(0, open));
+      for (const label of lowercased.slice(open + 1).split(':').slice(0, -1)) {
+        if (label !== '_') {
+          tokens.push(label + ':');
+        }
+      }
+    }
+    return tokens;
+  }
+
+  // Tokenizes like lunr, except for the `selector` field, which keeps the
+  // Swift punctuation that lunr would split or trim away.
+  function tokenizer(obj, metadata) {
+    if (metadata && metadata.fields.indexOf('selector') !== -1) {
+      return selectorTokens(lunr.utils.asString(obj)).map(function(token) {
+        return new lunr.Token(token, lunr.utils.clone(metadata));
+      });
+    }
+    return lunr.tokenizer(obj, metadata);
+  }
+
+  // Wraps a lunr pipeline function to leave `selector` tokens untouched.
+  function skippingSelectors(fn, label) {
+    const wrapped = function(token, i, tokens) {
+      if (token.metadata.fields.indexOf('selector') !== -1) {
+        return token;
+      }
+      return fn(token, i, tokens);
+    };
+    lunr.Pipeline.registerFunction(wrapped, label);
+    return wrapped;
+  }
+
+  const pipeline = [
+    skippingSelectors(lunr.trimmer, 'jazzyTrimmer'),
+    skippingSelectors(lunr.stopWordFilter, 'jazzyStopWordFilter'),
+    skippingSelectors(lunr.stemmer, 'jazzyStemmer')
+  ];
+
+  // Adds matches from the details index, which refers to symbols by their
+  // position in `urls`, to those from the main index. A symbol found in both
+  // gets one result with the scores summed.
+  function addDetailMatches(matches, detailMatches, urls) {
+    const byURL = {};
+    for (const match of matches) {
+      byURL[match.ref] = match;
+    }
+    for (const match of detailMatches) {
+      const url = urls[match.ref];
+      if (url in byURL) {
+        byURL[url].score += match.score;
+        byURL[url].matchData.combine(match.matchData);
+      } else {
+        byURL[url] = { ref: url, score: match.score, matchData: match.matchData };
+        matches.push(byURL[url]);
+      }
+    }
+  }
+
+  // Results for `query`, ranked first by how many of its terms they match and
+  // then by their score with `options.boosts` applied, see `boostedScore`.
+  // Symbols that `options.aliases`, from `resolveAliases`, lead to come
+  // right after any symbol named exactly like the query. With
+  // `options.details`, from `loadDetails`, the sections in `detailFields`
+  // are searched too.
+  function search(searchIndex, searchData, query, options) {
+    options = options || {};
+    const boosts = options.boosts || {};
+    const parsed = parseQuery(query);
+    const words = parsed.text.split(/\s+/);
+    const selectors = words.filter(isSelector).map(function(word) {
+      return word.toLowerCase();
+    });
+    const terms = queryTerms(words.filter(function(word) {
+      return !isSelector(word);
+    }).join(' '));
+
+    // Qualifiers on their own list everything they match: types and protocols
+    // first, as the `type` boost ranks them, then by name.
+    if (terms.length === 0 && selectors.length === 0) {
+      if (Object.keys(parsed.filters).length === 0) {
+        return [];
+      }
+      return Object.values(searchData).filter(function(doc) {
+        return matchesFilters(doc, parsed.filters);
+      }).sort(function(a, b) {
+        return (isType(b) - isType(a)) || compareNames(a, b);
+      });
+    }
+
+    // With `options.fieldWeights`, each field is searched on its own and its
+    // matches count that many times over. Fields it leaves out count once.
+    const weights = options.fieldWeights;
+
+    function addTerm(q, term, clause, fields) {
+      if (!weights) {
+        q.term(term, clause);
+        return;
+      }
+      for (const field of fields) {
+        const weight = field in weights ? weights[field] : 1;
+        if (weight > 0) {
+          q.term(term, Object.assign({}, clause, { fields: [field], boost: clause.boost * weight }));
+        }
+      }
+    }
+
+    // Typos aren't forgiven in the details index: in long passages, too many
+    // unrelated words are a letter or two away from a term.
+    function addTerms(q, fields, typos) {
+      for (const term of terms) {
+        addTerm(q, term, { boost: 100 }, fields);
+        addTerm(q, term, {
+          boost: 10,
+          wildcard: lunr.Query.wildcard.TRAILING
+        }, fields);
+        const editDistance = typoDistance(term);
+        if (typos && editDistance > 0) {
+          addTerm(q, term, { boost: 1, editDistance: editDistance }, fields);
+        }
+      }
+    }
+
+    const matches = searchIndex.query(function(q) {
+      addTerms(q, searchIndex.fields, true);
+      for (const selector of selectors) {
+        q.term(selector, { fields: ['selector'], usePipeline: false, boost: 100 });
+        q.term(selector, {
+          fields: ['selector'],
+          usePipeline: false,
+          boost: 10,
+          wildcard: lunr.Query.wildcard.TRAILING
+        });
+      }
+    });
+
+    const details = options.details;
+    if (details && terms.length > 0) {
+      addDetailMatches(matches, details.index.query(function(q) {
+        addTerms(q, details.index.fields, false);
+      }), details.urls);
+    }
+
+    const results = matches.map(function(result) {
+      const doc = searchData[result.ref];
+      return {
+        doc: doc,
+        score: boostedScore(doc, result, parsed.text, boosts),
+        matches: matchedTermCount(searchIndex, terms.concat(selectors), result)
+      };
+    }).filter(function(ranked) {
+      return matchesFilters(ranked.doc, parsed.filters);
+    }).sort(function(a, b) {
+      return (b.matches - a.matches) || (b.score - a.score) || compareNames(a.doc, b.doc);
+    }).map(function(ranked) {
+      return ranked.doc;
+    });
+
+    const aliased = aliasResults(options.aliases || {}, parsed, searchData);
+    if (aliased.length === 0) {
+      return results;
+    }
+    const compact = compactText(parsed.text);
+    const exact = results.filter(function(doc) {
+      return compactText(doc.name) === compact;
+    });
+    return exact.concat(aliased, results.filter(function(doc) {
+      return exact.indexOf(doc) === -1 && !aliased.some(function(alias) {
+        return alias.url === doc.url;
+      });
+    }));
+  }
+
+  // Sets up an index under construction to tokenize and stem like the rest.
+  function usePipeline(builder) {
+    builder.tokenizer = tokenizer;
+    builder.pipeline.reset();
+    builder.pipeline.add.apply(builder.pipeline, pipeline);
+  }
+
+  function build(searchData) {
+    return lunr(function() {
+      this.ref('url');
+      this.field('name');
+      this.field('abstract');
+      this.field('segments');
+      this.field('initials');
+      this.field('selector');
+      usePipeline(this);
+      for (const [url, doc] of Object.entries(searchData)) {
+        this.add({
+          url: url,
+          name: doc.name,
+          abstract: doc.abstract,
+          segments: camelSegments(doc.name).join(' '),
+          initials: initials(doc.name),
+          selector: doc.name
+        });
+      }
+    });
+  }
+
+  // Sections of a symbol's page that `search.json` leaves out. The Node
+  // script that prebuilds the indexes reads them from the generated HTML.
+  const detailFields = ['declaration', 'parameters', 'returns', 'discussion'];
+
+  // Indexes `details`, which maps `search.json` URLs to the plain text of
+  // each of the symbol's `detailFields`. This index is much larger than the
+  // main one, so it is kept apart for pages to load once search already
+  // works, and refers to symbols by their position in `search.json` rather
+  // than by URL.
+  function buildDetails(searchData, details) {
+    return lunr(function() {
+      this.ref('id');
+      for (const field of detailFields) {
+        this.field(field);
+      }
+      usePipeline(this);
+      Object.keys(searchData).forEach(function(url, id) {
+        if (details[url]) {
+          this.add(Object.assign({ id: String(id) }, details[url]));
+        }
+      }, this);
+    });
+  }
+
+  // A hash of `search.json`, as parsed and before `annotate`, that tells
+  // which data a prebuilt details index was built from.
+  function fingerprint(searchData) {
+    const text = JSON.stringify(searchData);
+    var hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  // Pairs an index from `buildDetails` with the fingerprint of the data it
+  // was built from, for writing to disk.
+  function serialize(index, searchData) {
+    return { fingerprint: fingerprint(searchData), index: index.toJSON() };
+  }
+
+  // Loads an index from `buildDetails` to pass to `search` as
+  // `options.details`. Returns null if it was built from other data than the
+  // `search.json` with `dataFingerprint`, like an index left over from an
+  // earlier docs build.
+  function loadDetails(serialized, dataFingerprint, searchData) {
+    if (!serialized || serialized.fingerprint !== dataFingerprint) {
+      return null;
+    }
+    return { index: lunr.Index.load(serialized.index), urls: Object.keys(searchData) };
+  }
+
+  const entities = {
+    'amp': '&',
+    'lt': '<',
+    'gt': '>',
+    'quot': '"',
+    'apos': "'",
+    'nbsp': ' ',
+    'lsquo': '\u2018',
+    'rsquo': '\u2019',
+    'ldquo': '\u201C',
+    'rdquo': '\u201D',
+    'ndash': '\u2013',
+    'mdash': '\u2014',
+    'hellip': '\u2026'
+  };
+
+  // The text of an abstract's HTML, with tags dropped, entities decoded and
+  // whitespace collapsed. Works without a DOM, so the worker can use it.
+  function plainText(html) {
+    return html.replace(/<[^>]*>/g, '').replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, function(entity, name) {
+      if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X'
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      return entities[name.toLowerCase()] || entity;
+    }).replace(/\s+/g, ' ').trim();
+  }
+
+  // Adds the URL, the plain-text summary and the derived kind, scopes, menu
+  // section and label to each entry of `search.json`.
+  function annotate(searchData) {
+    for (const [url, doc] of Object.entries(searchData)) {
+      doc.url = url;
+      doc.summary = plainText(doc.abstract || '');
+      doc.kind = urlKind(url);
+      doc.scopes = urlScopes(url);
+      doc.group = urlGroup(url, doc.kind);
+      doc.label = urlLabel(url, doc.kind, doc.group);
+    }
+    return searchData;
+  }
+
+  return {
+    build: build,
+    buildDetails: buildDetails,
+    detailFields: detailFields,
+    plainText: plainText,
+    fingerprint: fingerprint,
+    serialize: serialize,
+    loadDetails: loadDetails,
+    annotate: annotate,
+    resolveAliases: resolveAliases,
+    search: search,
+    closestNames: closestNames,
+    parseQuery: parseQuery,
+    isSelector: isSelector,
+    queryTerms: queryTerms,
+    camelSegments: camelSegments
+  };
+});
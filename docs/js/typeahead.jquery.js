@@ -172,7 +172,9 @@
             empty: "tt-empty",
             open: "tt-open",
             cursor: "tt-cursor",
-            highlight: "tt-highlight"
+            highlight: "tt-highlight",
+            more: "tt-more",
+            chunk: "tt-chunk"
         };
         return build;
         function build(o) {
@@ -460,6 +462,10 @@
         function getRegex(patterns, caseSensitive, wordsOnly, diacriticInsensitive) {
             var escapedPatterns = [], regexStr;
             for (var i = 0, len = patterns.length; i < len; i++) {
+                if (patterns[i] instanceof RegExp) {
+                    escapedPatterns.push(patterns[i].source);
+                    continue;
+                }
                 var escapedWord = _.escapeRegExChars(patterns[i]);
                 if (diacriticInsensitive) {
                     escapedWord = escapedWord.replace(/\S/g, accent_replacer);
@@ -708,11 +714,12 @@
     }();
     var Dataset = function() {
         "use strict";
-        var keys, nameGenerator;
+        var keys, nameGenerator, chunkSize = 20, defaultItemHeight = 40;
         keys = {
             dataset: "tt-selectable-dataset",
             val: "tt-selectable-display",
-            obj: "tt-selectable-object"
+            obj: "tt-selectable-object",
+            chunk: "tt-chunk-suggestions"
         };
         nameGenerator = _.getIdGenerator();
         function Dataset(o, www) {
@@ -730,8 +737,15 @@
             }
             www.mixin(this);
             this.highlight = !!o.highlight;
+            this.highlightPattern = o.highlightPattern;
             this.name = _.toStr(o.name || nameGenerator());
-            this.limit = o.limit || 5;
+            this.limit = this.initialLimit = o.limit || 5;
+            this.batchSize = o.batchSize || 0;
+            this.expanded = false;
+            this.query = null;
+            this.remaining = 0;
+            this.itemHeight = defaultItemHeight;
+            this.minLength = _.isNumber(o.minLength) ? o.minLength : 1;
             this.displayFn = getDisplayFn(o.display || o.displayKey);
             this.templates = getTemplates(o.templates, this.displayFn);
             this.source = o.source.__ttAdapter ? o.source.__ttAdapter() : o.source;
@@ -750,6 +764,9 @@
             }
             return null;
         };
+        Dataset.extractDatasetName = function extractDatasetName(el) {
+            return $(el).data(keys.dataset) || "";
+        };
         _.mixin(Dataset.prototype, EventEmitter, {
             _overwrite: function overwrite(query, suggestions) {
                 suggestions = suggestions || [];
@@ -780,6 +797,7 @@
                 $fragment = this._getSuggestionsFragment(query, suggestions);
                 this.$lastSuggestion = $fragment.children().last();
                 this.$el.html($fragment).prepend(this._getHeader(query, suggestions)).append(this._getFooter(query, suggestions));
+                this._renderMore(query);
             },
             _appendSuggestions: function appendSuggestions(query, suggestions) {
                 var $fragment, $lastSuggestion;
@@ -787,6 +805,17 @@
                 $lastSuggestion = $fragment.children().last();
                 this.$lastSuggestion.after($fragment);
                 this.$lastSuggestion = $lastSuggestion;
+                this._renderMore(query);
+            },
+            _renderMore: function renderMore(query) {
+                this.$el.children(this.selectors.more).remove();
+                if (this.batchSize && this.remaining > 0) {
+                    $(this.templates.more({
+                        query: query,
+                        count: this.remaining,
+                        dataset: this.name
+                    })).attr("id", _.guid()).data(keys.dataset, this.name).addClass(this.classes.more + " " + this.classes.selectable).insertAfter(this.$lastSuggestion);
+                }
             },
             _renderPending: function renderPending(query) {
                 var template = this.templates.pending;
@@ -808,22 +837,74 @@
                 this.$el.empty();
                 this._resetLastSuggestion();
             },
-            _getSuggestionsFragment: function getSuggestionsFragment(query, suggestions) {
-                var that = this, fragment;
-                fragment = document.createDocumentFragment();
-                _.each(suggestions, function getSuggestionNode(suggestion) {
-                    var $el, context;
-                    context = that._injectQuery(query, suggestion);
-                    $el = $(that.templates.suggestion(context)).data(keys.dataset, that.name).data(keys.obj, suggestion).data(keys.val, that.displayFn(suggestion)).addClass(that.classes.suggestion + " " + that.classes.selectable);
-                    fragment.appendChild($el[0]);
-                });
+            _getSuggestionNode: function getSuggestionNode(query, suggestion) {
+                var $el, context;
+                context = this._injectQuery(query, suggestion);
+                $el = $(this.templates.suggestion(context)).data(keys.dataset, this.name).data(keys.obj, suggestion).data(keys.val, this.displayFn(suggestion)).addClass(this.classes.suggestion + " " + this.classes.selectable);
                 this.highlight && highlight({
                     className: this.classes.highlight,
-                    node: fragment,
-                    pattern: query
+                    node: $el[0],
+                    pattern: this.highlightPattern ? this.highlightPattern(query, suggestion) : query
                 });
+                return $el[0];
+            },
+            _getSuggestionsFragment: function getSuggestionsFragment(query, suggestions) {
+                var that = this, fragment, i;
+                fragment = document.createDocumentFragment();
+                if (suggestions.length <= chunkSize) {
+                    _.each(suggestions, function(suggestion) {
+                        fragment.appendChild(that._getSuggestionNode(query, suggestion));
+                    });
+                    return $(fragment);
+                }
+                for (i = 0; i < suggestions.length; i += chunkSize) {
+                    fragment.appendChild($("<div>").addClass(this.classes.chunk).data(keys.chunk, {
+                        query: query,
+                        suggestions: suggestions.slice(i, i + chunkSize)
+                    })[0]);
+                }
+                this._sizeChunks($(fragment).children());
                 return $(fragment);
             },
+            _sizeChunks: function sizeChunks($chunks) {
+                var that = this;
+                $chunks.each(function() {
+                    var $chunk = $(this);
+                    $chunk.is(":empty") && $chunk.css("height", $chunk.data(keys.chunk).suggestions.length * that.itemHeight);
+                });
+            },
+            renderVisibleChunks: function renderVisibleChunks($viewport) {
+                var that = this, $chunks, viewHeight;
+                $chunks = this.$el.find(this.selectors.chunk);
+                if (!$chunks.length || !$viewport.is(":visible")) {
+                    return;
+                }
+                viewHeight = $viewport.innerHeight();
+                $chunks.each(function() {
+                    var $chunk = $(this), chunk = $chunk.data(keys.chunk), top = $chunk.position().top, height = $chunk.outerHeight(), fragment;
+                    var isNearView = top < viewHeight * 2 && top + height > -viewHeight;
+                    if (isNearView && $chunk.is(":empty")) {
+                        fragment = document.createDocumentFragment();
+                        _.each(chunk.suggestions, function(suggestion) {
+                            fragment.appendChild(that._getSuggestionNode(chunk.query, suggestion));
+                        });
+                        $chunk.css("height", "").append(fragment);
+                        that.itemHeight = $chunk.outerHeight() / chunk.suggestions.length || that.itemHeight;
+                    } else if (!isNearView && !$chunk.is(":empty") && !$chunk.find(that.selectors.cursor).length) {
+                        $chunk.css("height", height).empty();
+                    }
+                });
+                this._sizeChunks($chunks);
+            },
+            isMoreVisible: function isMoreVisible($viewport) {
+                var $more = this.$el.children(this.selectors.more);
+                return $more.length > 0 && $more.position().top < $viewport.innerHeight();
+            },
+            showMore: function showMore() {
+                this.limit += this.batchSize;
+                this.expanded = true;
+                this.update(this.query);
+            },
             _getFooter: function getFooter(query, suggestions) {
                 return this.templates.footer ? this.templates.footer({
                     query: query,
@@ -848,6 +929,15 @@
             },
             update: function update(query) {
                 var that = this, canceled = false, syncCalled = false, rendered = 0;
+                if (query !== this.query) {
+                    this.limit = this.initialLimit;
+                    this.expanded = false;
+                }
+                this.query = query;
+                if (query.length < this.minLength) {
+                    this.clear();
+                    return;
+                }
                 this.cancel();
                 this.cancel = function cancel() {
                     canceled = true;
@@ -861,7 +951,9 @@
                         return;
                     }
                     syncCalled = true;
-                    suggestions = (suggestions || []).slice(0, that.limit);
+                    suggestions = suggestions || [];
+                    that.remaining = Math.max(suggestions.length - that.limit, 0);
+                    suggestions = suggestions.slice(0, that.limit);
                     rendered = suggestions.length;
                     that._overwrite(query, suggestions);
                     if (rendered < that.limit && that.async) {
@@ -874,6 +966,7 @@
                         that.cancel = $.noop;
                         var idx = Math.abs(rendered - that.limit);
                         rendered += idx;
+                        that.remaining = Math.max(suggestions.length - idx, 0);
                         that._append(query, suggestions.slice(0, idx));
                         that.async && that.trigger("asyncReceived", query, that.name);
                     }
@@ -906,6 +999,7 @@
                 pending: templates.pending && _.templatify(templates.pending),
                 header: templates.header && _.templatify(templates.header),
                 footer: templates.footer && _.templatify(templates.footer),
+                more: templates.more ? _.templatify(templates.more) : moreTemplate,
                 suggestion: templates.suggestion ? userSuggestionTemplate : suggestionTemplate
             };
             function userSuggestionTemplate(context) {
@@ -915,6 +1009,9 @@
             function suggestionTemplate(context) {
                 return $('<div role="option">').attr("id", _.guid()).text(displayFn(context));
             }
+            function moreTemplate(context) {
+                return $('<div role="option">').text("Show " + context.count + " more");
+            }
         }
         function isValidName(str) {
             return /^[_a-zA-Z0-9-]+$/.test(str);
@@ -944,6 +1041,7 @@
             },
             _onRendered: function onRendered(type, dataset, suggestions, async) {
                 this.$node.toggleClass(this.classes.empty, this._allDatasetsEmpty());
+                this._renderVisibleChunks();
                 this.trigger("datasetRendered", dataset, suggestions, async);
             },
             _onCleared: function onCleared() {
@@ -953,6 +1051,19 @@
             _propagate: function propagate() {
                 this.trigger.apply(this, arguments);
             },
+            _onScroll: function onScroll() {
+                var that = this;
+                this._renderVisibleChunks();
+                _.each(this.datasets, function(dataset) {
+                    dataset.expanded && dataset.isMoreVisible(that.$node) && dataset.showMore();
+                });
+            },
+            _renderVisibleChunks: function renderVisibleChunks() {
+                var that = this;
+                _.each(this.datasets, function(dataset) {
+                    dataset.renderVisibleChunks(that.$node);
+                });
+            },
             _allDatasetsEmpty: function allDatasetsEmpty() {
                 return _.every(this.datasets, _.bind(function isDatasetEmpty(dataset) {
                     var isEmpty = dataset.isEmpty();
@@ -989,6 +1100,7 @@
                 this.$node.on("mouseleave", function() {
                     that._removeCursor();
                 });
+                this.$node.on("scroll.tt", _.bind(this._onScroll, this));
                 _.each(this.datasets, function(dataset) {
                     dataset.onSync("asyncRequested", that._propagate, that).onSync("asyncCanceled", that._propagate, that).onSync("asyncReceived", that._propagate, that).onSync("rendered", that._onRendered, that).onSync("cleared", that._onCleared, that);
                 });
@@ -1000,6 +1112,7 @@
             open: function open() {
                 this.$node.scrollTop(0);
                 this.$node.addClass(this.classes.open);
+                this._renderVisibleChunks();
             },
             close: function close() {
                 this.$node.attr("aria-expanded", false);
@@ -1026,6 +1139,28 @@
                     this._ensureVisible($selectable);
                 }
             },
+            isMoreSelectable: function isMoreSelectable($el) {
+                return !!$el && $el.is(this.selectors.more);
+            },
+            _getDatasetFor: function getDatasetFor($el) {
+                var name = Dataset.extractDatasetName($el);
+                return _.filter(this.datasets, function(dataset) {
+                    return dataset.name === name;
+                })[0] || null;
+            },
+            isExpanded: function isExpanded($more) {
+                var dataset = this._getDatasetFor($more);
+                return !!dataset && dataset.expanded;
+            },
+            showMore: function showMore($more) {
+                var index, dataset, $next;
+                index = this._getSelectables().index($more);
+                if (dataset = this._getDatasetFor($more)) {
+                    dataset.showMore();
+                    $next = this._getSelectables().eq(index);
+                    $next.length && this.setCursor($next);
+                }
+            },
             getSelectableData: function getSelectableData($el) {
                 return $el && $el.length ? Dataset.extractData($el) : null;
             },
@@ -1163,7 +1298,7 @@
     var Typeahead = function() {
         "use strict";
         function Typeahead(o, www) {
-            var onFocused, onBlurred, onEnterKeyed, onTabKeyed, onEscKeyed, onUpKeyed, onDownKeyed, onLeftKeyed, onRightKeyed, onQueryChanged, onWhitespaceChanged;
+            var that = this, onFocused, onBlurred, onEnterKeyed, onTabKeyed, onEscKeyed, onUpKeyed, onDownKeyed, onLeftKeyed, onRightKeyed, onQueryChanged, onWhitespaceChanged;
             o = o || {};
             if (!o.input) {
                 $.error("missing input");
@@ -1179,6 +1314,9 @@
             this.minLength = _.isNumber(o.minLength) ? o.minLength : 1;
             this.input = o.input;
             this.menu = o.menu;
+            _.each(this.menu.datasets, function(dataset) {
+                that.minLength = Math.min(that.minLength, dataset.minLength);
+            });
             this.enabled = true;
             this.autoselect = !!o.autoselect;
             this.active = false;
@@ -1393,7 +1531,12 @@
                 return this.input.getQuery();
             },
             select: function select($selectable) {
-                var data = this.menu.getSelectableData($selectable);
+                var data;
+                if (this.menu.isMoreSelectable($selectable)) {
+                    this.menu.showMore($selectable);
+                    return true;
+                }
+                data = this.menu.getSelectableData($selectable);
                 if (data && !this.eventBus.before("select", data.obj, data.dataset)) {
                     this.input.setQuery(data.val, true);
                     this.eventBus.trigger("select", data.obj, data.dataset);
@@ -1425,6 +1568,13 @@
                 this.input.trigger("cursorchange", id);
                 cancelMove = this._minLengthMet() && this.menu.update(query);
                 if (!cancelMove && !this.eventBus.before("cursorchange", suggestion, datasetName)) {
+                    if (delta > 0 && this.menu.isMoreSelectable($candidate) && this.menu.isExpanded($candidate)) {
+                        this.menu.showMore($candidate);
+                        $candidate = this.menu.getActiveSelectable();
+                        data = this.menu.getSelectableData($candidate);
+                        suggestion = data ? data.obj : null;
+                        this.input.trigger("cursorchange", $candidate ? $candidate.attr("id") : null);
+                    }
                     this.menu.setCursor($candidate);
                     if (data) {
                         if (typeof data.val === "string") {
@@ -1475,6 +1625,7 @@
                     var $input, $wrapper, $hint, $menu, defaultHint, defaultMenu, eventBus, input, menu, status, typeahead, MenuConstructor;
                     _.each(datasets, function(d) {
                         d.highlight = !!o.highlight;
+                        d.minLength = _.isNumber(d.minLength) ? d.minLength : o.minLength;
                     });
                     $input = $(this);
                     $wrapper = $(www.html.wrapper);
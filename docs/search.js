@@ -0,0 +1,2 @@
+window.jazzySearchData = {"Typealiases.html#/s:9Alamofire10Parametersa":{"name":"Parameters","abstract":"\u003cp\u003eA dictionary of parameters to apply to a \u003ccode\u003eURLRequest\u003c/code\u003e.\u003c/p\u003e"},"Typealiases.html#/s:9Alamofire14AFDataResponsea":{"name":"AFDataResponse","abstract":"\u003cp\u003eDefault type of \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataResponse.html\"\u003eDataResponse\u003c/a\u003e\u003c/code\u003e returned by Alamofire, with an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html\"\u003eAFError\u003c/a\u003e\u003c/code\u003e \u003ccode\u003eFailure\u003c/code\u003e type.\u003c/p\u003e"},"Typealiases.html#/s:9Alamofire18AFDownloadResponsea":{"name":"AFDownloadResponse","abstract":"\u003cp\u003eDefault type of \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadResponse.html\"\u003eDownloadResponse\u003c/a\u003e\u003c/code\u003e returned by Alamofire, with an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html\"\u003eAFError\u003c/a\u003e\u003c/code\u003e \u003ccode\u003eFailure\u003c/code\u003e type.\u003c/p\u003e"},"Typealiases.html#/s:9Alamofire8AFResulta":{"name":"AFResult","abstract":"\u003cp\u003eDefault type of \u003ccode\u003eResult\u003c/code\u003e returned by Alamofire, with an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html\"\u003eAFError\u003c/a\u003e\u003c/code\u003e \u003ccode\u003eFailure\u003c/code\u003e type.\u003c/p\u003e"},"Typealiases.html#/s:9Alamofire12AdaptHandlera":{"name":"AdaptHandler","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestAdapter.html\"\u003eRequestAdapter\u003c/a\u003e\u003c/code\u003e closure definition.\u003c/p\u003e"},"Typealiases.html#/s:9Alamofire12RetryHandlera":{"name":"RetryHandler","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestRetrier.html\"\u003eRequestRetrier\u003c/a\u003e\u003c/code\u003e closure definition.\u003c/p\u003e"},"Typealiases.html#/s:9Alamofire17DisabledEvaluatora":{"name":"DisabledEvaluator","abstract":"\u003cp\u003eDisables all evaluation which in turn will always consider any server trust as valid.\u003c/p\u003e"},"Structs/Empty.html#/s:9Alamofire5EmptyV5valueACvpZ":{"name":"value","abstract":"\u003cp\u003eStatic \u003ccode\u003eEmpty\u003c/code\u003e instance used for all \u003ccode\u003eEmpty\u003c/code\u003e responses.\u003c/p\u003e","parent_name":"Empty"},"Structs/Empty.html#/s:9Alamofire13EmptyResponseP10emptyValuexyFZ":{"name":"emptyValue()","parent_name":"Empty"},"Structs/URLResponseSerializer.html#/s:9Alamofire21URLResponseSerializerVACycfc":{"name":"init()","abstract":"\u003cp\u003eCreates an instance.\u003c/p\u003e","parent_name":"URLResponseSerializer"},"Structs/URLResponseSerializer.html#/s:9Alamofire34DownloadResponseSerializerProtocolP09serializeB07request8response7fileURL5error16SerializedObjectQz10Foundation10URLRequestVSg_So17NSHTTPURLResponseCSgAK0J0VSgs5Error_pSgtKF":{"name":"serializeDownload(request:response:fileURL:error:)","parent_name":"URLResponseSerializer"},"Structs/GoogleXSSIPreprocessor.html#/s:9Alamofire22GoogleXSSIPreprocessorVACycfc":{"name":"init()","abstract":"\u003cp\u003eCreates an instance.\u003c/p\u003e","parent_name":"GoogleXSSIPreprocessor"},"Structs/GoogleXSSIPreprocessor.html#/s:9Alamofire16DataPreprocessorP10preprocessy10Foundation0B0VAGKF":{"name":"preprocess(_:)","parent_name":"GoogleXSSIPreprocessor"},"Structs/PassthroughPreprocessor.html#/s:9Alamofire23PassthroughPreprocessorVACycfc":{"name":"init()","abstract":"\u003cp\u003eCreates an instance.\u003c/p\u003e","parent_name":"PassthroughPreprocessor"},"Structs/PassthroughPreprocessor.html#/s:9Alamofire16DataPreprocessorP10preprocessy10Foundation0B0VAGKF":{"name":"preprocess(_:)","parent_name":"PassthroughPreprocessor"},"Structs/RequestAdapterState.html#/s:9Alamofire19RequestAdapterStateV9requestID10Foundation4UUIDVvp":{"name":"requestID","abstract":"\u003cp\u003eThe \u003ccode\u003eUUID\u003c/code\u003e of the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e associated with the \u003ccode\u003eURLRequest\u003c/code\u003e to adapt.\u003c/p\u003e","parent_name":"RequestAdapterState"},"Structs/RequestAdapterState.html#/s:9Alamofire19RequestAdapterStateV7sessionAA7SessionCvp":{"name":"session","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Session.html\"\u003eSession\u003c/a\u003e\u003c/code\u003e associated with the \u003ccode\u003eURLRequest\u003c/code\u003e to adapt.\u003c/p\u003e","parent_name":"RequestAdapterState"},"Structs/DeflateRequestCompressor/DuplicateHeaderBehavior.html#/s:9Alamofire24DeflateRequestCompressorV23DuplicateHeaderBehaviorO5erroryA2EmF":{"name":"error","abstract":"\u003cp\u003eThrows a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DeflateRequestCompressor.html#/s:9Alamofire24DeflateRequestCompressorV20DuplicateHeaderErrorV\"\u003eDuplicateHeaderError\u003c/a\u003e\u003c/code\u003e. The default.\u003c/p\u003e","parent_name":"DuplicateHeaderBehavior"},"Structs/DeflateRequestCompressor/DuplicateHeaderBehavior.html#/s:9Alamofire24DeflateRequestCompressorV23DuplicateHeaderBehaviorO7replaceyA2EmF":{"name":"replace","abstract":"\u003cp\u003eReplaces the existing header value with \u003ccode\u003edeflate\u003c/code\u003e.\u003c/p\u003e","parent_name":"DuplicateHeaderBehavior"},"Structs/DeflateRequestCompressor/DuplicateHeaderBehavior.html#/s:9Alamofire24DeflateRequestCompressorV23DuplicateHeaderBehaviorO4skipyA2EmF":{"name":"skip","abstract":"\u003cp\u003eSilently skips compression when the header exists.\u003c/p\u003e","parent_name":"DuplicateHeaderBehavior"},"Structs/DeflateRequestCompressor/DuplicateHeaderBehavior.html":{"name":"DuplicateHeaderBehavior","abstract":"\u003cp\u003eType that determines the action taken when the \u003ccode\u003eURLRequest\u003c/code\u003e already has a \u003ccode\u003eContent-Encoding\u003c/code\u003e header.\u003c/p\u003e","parent_name":"DeflateRequestCompressor"},"Structs/DeflateRequestCompressor.html#/s:9Alamofire24DeflateRequestCompressorV20DuplicateHeaderErrorV":{"name":"DuplicateHeaderError","abstract":"\u003cp\u003e\u003ccode\u003eError\u003c/code\u003e produced when the outgoing \u003ccode\u003eURLRequest\u003c/code\u003e already has a \u003ccode\u003eContent-Encoding\u003c/code\u003e header, when the instance has","parent_name":"DeflateRequestCompressor"},"Structs/DeflateRequestCompressor.html#/s:9Alamofire24DeflateRequestCompressorV23duplicateHeaderBehaviorAC09DuplicatefG0Ovp":{"name":"duplicateHeaderBehavior","abstract":"\u003cp\u003eBehavior to use when the outgoing \u003ccode\u003eURLRequest\u003c/code\u003e already has a \u003ccode\u003eContent-Encoding\u003c/code\u003e header.\u003c/p\u003e","parent_name":"DeflateRequestCompressor"},"Structs/DeflateRequestCompressor.html#/s:9Alamofire24DeflateRequestCompressorV22shouldCompressBodyDataySb10Foundation0H0VYbcvp":{"name":"shouldCompressBodyData","abstract":"\u003cp\u003eClosure which determines whether the outgoing body data should be compressed.\u003c/p\u003e","parent_name":"DeflateRequestCompressor"},"Structs/DeflateRequestCompressor.html#/s:9Alamofire24DeflateRequestCompressorV23duplicateHeaderBehavior22shouldCompressBodyDataA2C09DuplicatefG0O_Sb10Foundation0K0VYbctcfc":{"name":"init(duplicateHeaderBehavior:shouldCompressBodyData:)","abstract":"\u003cp\u003eCreates an instance with the provided parameters.\u003c/p\u003e","parent_name":"DeflateRequestCompressor"},"Structs/DeflateRequestCompressor.html#/s:9Alamofire14RequestAdapterP5adapt_3for10completiony10Foundation10URLRequestV_AA7SessionCys6ResultOyAIs5Error_pGYbctF":{"name":"adapt(_:for:completion:)","parent_name":"DeflateRequestCompressor"},"Structs/Redirector/Behavior.html#/s:9Alamofire10RedirectorV8BehaviorO6followyA2EmF":{"name":"follow","abstract":"\u003cp\u003eFollow the redirect as defined in the response.\u003c/p\u003e","parent_name":"Behavior"},"Structs/Redirector/Behavior.html#/s:9Alamofire10RedirectorV8BehaviorO11doNotFollowyA2EmF":{"name":"doNotFollow","abstract":"\u003cp\u003eDo not follow the redirect defined in the response.\u003c/p\u003e","parent_name":"Behavior"},"Structs/Redirector/Behavior.html#/s:9Alamofire10RedirectorV8BehaviorO6modifyyAE10Foundation10URLRequestVSgSo16NSURLSessionTaskC_AISo17NSHTTPURLResponseCtYbccAEmF":{"name":"modify(_:)","abstract":"\u003cp\u003eModify the redirect request defined in the response.\u003c/p\u003e","parent_name":"Behavior"},"Structs/Redirector/Behavior.html":{"name":"Behavior","abstract":"\u003cp\u003eDefines the behavior of the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/Redirector.html\"\u003eRedirector\u003c/a\u003e\u003c/code\u003e type.\u003c/p\u003e","parent_name":"Redirector"},"Structs/Redirector.html#/s:9Alamofire10RedirectorV6followACvpZ":{"name":"follow","abstract":"\u003cp\u003eReturns a \u003ccode\u003eRedirector\u003c/code\u003e with a \u003ccode\u003e.follow\u003c/code\u003e \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/Redirector/Behavior.html\"\u003eBehavior\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Redirector"},"Structs/Redirector.html#/s:9Alamofire10RedirectorV11doNotFollowACvpZ":{"name":"doNotFollow","abstract":"\u003cp\u003eReturns a \u003ccode\u003eRedirector\u003c/code\u003e with a \u003ccode\u003e.doNotFollow\u003c/code\u003e \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/Redirector/Behavior.html\"\u003eBehavior\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Redirector"},"Structs/Redirector.html#/s:9Alamofire10RedirectorV8behaviorAC8BehaviorOvp":{"name":"behavior","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/Redirector/Behavior.html\"\u003eBehavior\u003c/a\u003e\u003c/code\u003e of the \u003ccode\u003eRedirector\u003c/code\u003e.\u003c/p\u003e","parent_name":"Redirector"},"Structs/Redirector.html#/s:9Alamofire10RedirectorV8behaviorA2C8BehaviorO_tcfc":{"name":"init(behavior:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003eRedirector\u003c/code\u003e instance from the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/Redirector/Behavior.html\"\u003eBehavior\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Redirector"},"Structs/Redirector.html#/s:9Alamofire15RedirectHandlerP4task_18willBeRedirectedTo3for10completionySo16NSURLSessionTaskC_10Foundation10URLRequestVSo17NSHTTPURLResponseCyALSgctF":{"name":"task(_:willBeRedirectedTo:for:completion:)","parent_name":"Redirector"},"Structs/StreamOf/Iterator.html#/s:ScI4next7ElementQzSgyYaKF":{"name":"next()","parent_name":"Iterator"},"Structs/StreamOf.html#/s:Sci13AsyncIteratorQa":{"name":"AsyncIterator","parent_name":"StreamOf"},"Structs/StreamOf.html#/s:9Alamofire8StreamOfV15BufferingPolicya":{"name":"BufferingPolicy","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"StreamOf"},"Structs/StreamOf.html#/s:Sci17makeAsyncIterator0bC0QzyF":{"name":"makeAsyncIterator()","parent_name":"StreamOf"},"Structs/StreamOf/Iterator.html":{"name":"Iterator","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"StreamOf"},"Structs/DataStreamTask.html#/s:9Alamofire14DataStreamTaskV0C0a":{"name":"Stream","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"DataStreamTask"},"Structs/DataStreamTask.html#/s:9Alamofire14DataStreamTaskV09streamingB023automaticallyCancelling15bufferingPolicyAA0C2OfVyAA0bC7RequestC0C0Vy_10Foundation0B0Vs5NeverOGGSb_ScS12ContinuationV09BufferingI0OyAR__GtF":{"name":"streamingData(automaticallyCancelling:bufferingPolicy:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataStreamTask.html#/s:9Alamofire14DataStreamTaskV0C0a\"\u003eStream\u003c/a\u003e\u003c/code\u003e of \u003ccode\u003eData\u003c/code\u003e values from the underlying \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest.html\"\u003eDataStreamRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataStreamTask"},"Structs/DataStreamTask.html#/s:9Alamofire14DataStreamTaskV16streamingStrings23automaticallyCancelling15bufferingPolicyAA0C2OfVyAA0bC7RequestC0C0Vy_SSs5NeverOGGSb_ScS12ContinuationV09BufferingJ0OyAO__GtF":{"name":"streamingStrings(automaticallyCancelling:bufferingPolicy:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataStreamTask.html#/s:9Alamofire14DataStreamTaskV0C0a\"\u003eStream\u003c/a\u003e\u003c/code\u003e of \u003ccode\u003eUTF-8\u003c/code\u003e \u003ccode\u003eString\u003c/code\u003es from the underlying \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest.html\"\u003eDataStreamRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataStreamTask"},"Structs/DataStreamTask.html#/s:9Alamofire14DataStreamTaskV19streamingDecodables_23automaticallyCancelling15bufferingPolicyAA0C2OfVyAA0bC7RequestC0C0Vy_xAA7AFErrorOGGxm_SbScS12ContinuationV09BufferingJ0OyAO__GtSeRzs8SendableRzlF":{"name":"streamingDecodables(_:automaticallyCancelling:bufferingPolicy:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataStreamTask.html#/s:9Alamofire14DataStreamTaskV0C0a\"\u003eStream\u003c/a\u003e\u003c/code\u003e of \u003ccode\u003eDecodable\u003c/code\u003e values from the underlying \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest.html\"\u003eDataStreamRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataStreamTask"},"Structs/DataStreamTask.html#/s:9Alamofire14DataStreamTaskV18streamingResponses15serializedUsing23automaticallyCancelling15bufferingPolicyAA0C2OfVyAA0bC7RequestC0C0Vy_16SerializedObjectQzAA7AFErrorOGGx_SbScS12ContinuationV09BufferingL0OyAR__GtAA0bC10SerializerRzlF":{"name":"streamingResponses(serializedUsing:automaticallyCancelling:bufferingPolicy:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataStreamTask.html#/s:9Alamofire14DataStreamTaskV0C0a\"\u003eStream\u003c/a\u003e\u003c/code\u003e of values using the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataStreamSerializer.html\"\u003eDataStreamSerializer\u003c/a\u003e\u003c/code\u003e from the underlying \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest.html\"\u003eDataStreamRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataStreamTask"},"Structs/DataStreamTask.html#/s:9Alamofire14DataStreamTaskV6cancelyyF":{"name":"cancel()","abstract":"\u003cp\u003eCancel the underlying \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest.html\"\u003eDataStreamRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataStreamTask"},"Structs/DataStreamTask.html#/s:9Alamofire14DataStreamTaskV6resumeyyF":{"name":"resume()","abstract":"\u003cp\u003eResume the underlying \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest.html\"\u003eDataStreamRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataStreamTask"},"Structs/DataStreamTask.html#/s:9Alamofire14DataStreamTaskV7suspendyyF":{"name":"suspend()","abstract":"\u003cp\u003eSuspend the underlying \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest.html\"\u003eDataStreamRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataStreamTask"},"Structs/DownloadTask.html#/s:9Alamofire12DownloadTaskV8responseAA0B8ResponseVyxAA7AFErrorOGvp":{"name":"response","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadResponse.html\"\u003eDownloadResponse\u003c/a\u003e\u003c/code\u003e produced by the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DownloadRequest.html\"\u003eDownloadRequest\u003c/a\u003e\u003c/code\u003e and its response handler.\u003c/p\u003e","parent_name":"DownloadTask"},"Structs/DownloadTask.html#/s:9Alamofire12DownloadTaskV6results6ResultOyxAA7AFErrorOGvp":{"name":"result","abstract":"\u003cp\u003e\u003ccode\u003eResult\u003c/code\u003e of any response serialization performed for the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadTask.html#/s:9Alamofire12DownloadTaskV8responseAA0B8ResponseVyxAA7AFErrorOGvp\"\u003eresponse\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DownloadTask"},"Structs/DownloadTask.html#/s:9Alamofire12DownloadTaskV5valuexvp":{"name":"value","abstract":"\u003cp\u003e\u003ccode\u003eValue\u003c/code\u003e returned by the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadTask.html#/s:9Alamofire12DownloadTaskV8responseAA0B8ResponseVyxAA7AFErrorOGvp\"\u003eresponse\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DownloadTask"},"Structs/DownloadTask.html#/s:9Alamofire12DownloadTaskV6cancelyyF":{"name":"cancel()","abstract":"\u003cp\u003eCancel the underlying \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DownloadRequest.html\"\u003eDownloadRequest\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003eTask\u003c/code\u003e.\u003c/p\u003e","parent_name":"DownloadTask"},"Structs/DownloadTask.html#/s:9Alamofire12DownloadTaskV6resumeyyF":{"name":"resume()","abstract":"\u003cp\u003eResume the underlying \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DownloadRequest.html\"\u003eDownloadRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DownloadTask"},"Structs/DownloadTask.html#/s:9Alamofire12DownloadTaskV7suspendyyF":{"name":"suspend()","abstract":"\u003cp\u003eSuspend the underlying \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DownloadRequest.html\"\u003eDownloadRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DownloadTask"},"Structs/DataTask.html#/s:9Alamofire8DataTaskV8responseAA0B8ResponseVyxAA7AFErrorOGvp":{"name":"response","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataResponse.html\"\u003eDataResponse\u003c/a\u003e\u003c/code\u003e produced by the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataRequest.html\"\u003eDataRequest\u003c/a\u003e\u003c/code\u003e and its response handler.\u003c/p\u003e","parent_name":"DataTask"},"Structs/DataTask.html#/s:9Alamofire8DataTaskV6results6ResultOyxAA7AFErrorOGvp":{"name":"result","abstract":"\u003cp\u003e\u003ccode\u003eResult\u003c/code\u003e of any response serialization performed for the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataTask.html#/s:9Alamofire8DataTaskV8responseAA0B8ResponseVyxAA7AFErrorOGvp\"\u003eresponse\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataTask"},"Structs/DataTask.html#/s:9Alamofire8DataTaskV5valuexvp":{"name":"value","abstract":"\u003cp\u003e\u003ccode\u003eValue\u003c/code\u003e returned by the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataTask.html#/s:9Alamofire8DataTaskV8responseAA0B8ResponseVyxAA7AFErrorOGvp\"\u003eresponse\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataTask"},"Structs/DataTask.html#/s:9Alamofire8DataTaskV6cancelyyF":{"name":"cancel()","abstract":"\u003cp\u003eCancel the underlying \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataRequest.html\"\u003eDataRequest\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003eTask\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataTask"},"Structs/DataTask.html#/s:9Alamofire8DataTaskV6resumeyyF":{"name":"resume()","abstract":"\u003cp\u003eResume the underlying \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataRequest.html\"\u003eDataRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataTask"},"Structs/DataTask.html#/s:9Alamofire8DataTaskV7suspendyyF":{"name":"suspend()","abstract":"\u003cp\u003eSuspend the underlying \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataRequest.html\"\u003eDataRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataTask"},"Structs/DownloadResponsePublisher.html#/s:7Combine9PublisherP6OutputQa":{"name":"Output","parent_name":"DownloadResponsePublisher"},"Structs/DownloadResponsePublisher.html#/s:7Combine9PublisherP7FailureQa":{"name":"Failure","parent_name":"DownloadResponsePublisher"},"Structs/DownloadResponsePublisher.html#/s:9Alamofire25DownloadResponsePublisherV_5queue10serializerACyxGAA0B7RequestC_So012OS_dispatch_E0Cqd__tc16SerializedObjectQyd__RszAA0C10SerializerRd__lufc":{"name":"init(_:queue:serializer:)","abstract":"\u003cp\u003eCreates an instance which will serialize responses using the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ResponseSerializer.html\"\u003eResponseSerializer\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DownloadResponsePublisher"},"Structs/DownloadResponsePublisher.html#/s:9Alamofire25DownloadResponsePublisherV_5queue10serializerACyxGAA0B7RequestC_So012OS_dispatch_E0Cqd__tc16SerializedObjectQyd__RszAA0bC18SerializerProtocolRd__lufc":{"name":"init(_:queue:serializer:)","abstract":"\u003cp\u003eCreates an instance which will serialize responses using the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DownloadResponseSerializerProtocol.html\"\u003eDownloadResponseSerializerProtocol\u003c/a\u003e\u003c/code\u003e value.\u003c/p\u003e","parent_name":"DownloadResponsePublisher"},"Structs/DownloadResponsePublisher.html#/s:9Alamofire25DownloadResponsePublisherV6result7Combine03AnyD0Vys6ResultOyxAA7AFErrorOGs5NeverOGyF":{"name":"result()","abstract":"\u003cp\u003ePublishes only the \u003ccode\u003eResult\u003c/code\u003e of the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadResponse.html\"\u003eDownloadResponse\u003c/a\u003e\u003c/code\u003e value.\u003c/p\u003e","parent_name":"DownloadResponsePublisher"},"Structs/DownloadResponsePublisher.html#/s:9Alamofire25DownloadResponsePublisherV5value7Combine03AnyD0VyxAA7AFErrorOGyF":{"name":"value()","abstract":"\u003cp\u003ePublishes the \u003ccode\u003eResult\u003c/code\u003e of the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadResponse.html\"\u003eDownloadResponse\u003c/a\u003e\u003c/code\u003e as a single \u003ccode\u003eValue\u003c/code\u003e or fail with the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html\"\u003eAFError\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"DownloadResponsePublisher"},"Structs/DownloadResponsePublisher.html#/s:7Combine9PublisherP7receive10subscriberyqd___tAA10SubscriberRd__7FailureQyd__AGRtz5InputQyd__6OutputRtzlF":{"name":"receive(subscriber:)","parent_name":"DownloadResponsePublisher"},"Structs/DownloadResponsePublisher.html#/s:9Alamofire25DownloadResponsePublisherVAA10Foundation3URLVSgRszrlE_5queueACyAGGAA0B7RequestC_So012OS_dispatch_G0Ctcfc":{"name":"init(_:queue:)","abstract":"\u003cp\u003eCreates an instance which publishes a \u003ccode\u003eDownloadResponse\u0026lt;URL?, AFError\u0026gt;\u003c/code\u003e value without serialization.\u003c/p\u003e","parent_name":"DownloadResponsePublisher"},"Structs/DataStreamPublisher.html#/s:7Combine9PublisherP6OutputQa":{"name":"Output","parent_name":"DataStreamPublisher"},"Structs/DataStreamPublisher.html#/s:7Combine9PublisherP7FailureQa":{"name":"Failure","parent_name":"DataStreamPublisher"},"Structs/DataStreamPublisher.html#/s:9Alamofire19DataStreamPublisherV_5queue10serializerACyxGAA0bC7RequestC_So012OS_dispatch_E0Cqd__tc16SerializedObjectQyd__RszAA0bC10SerializerRd__lufc":{"name":"init(_:queue:serializer:)","abstract":"\u003cp\u003eCreates an instance which will serialize responses using the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataStreamSerializer.html\"\u003eDataStreamSerializer\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataStreamPublisher"},"Structs/DataStreamPublisher.html#/s:9Alamofire19DataStreamPublisherV6result7Combine03AnyD0Vys6ResultOyxAA7AFErrorOGs5NeverOGyF":{"name":"result()","abstract":"\u003cp\u003ePublishes only the \u003ccode\u003eResult\u003c/code\u003e of the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest/Stream.html\"\u003eDataStreamRequest.Stream\u003c/a\u003e\u003c/code\u003e\u0026lsquo;s \u003ccode\u003eEvent\u003c/code\u003es.\u003c/p\u003e","parent_name":"DataStreamPublisher"},"Structs/DataStreamPublisher.html#/s:9Alamofire19DataStreamPublisherV5value7Combine03AnyD0VyxAA7AFErrorOGyF":{"name":"value()","abstract":"\u003cp\u003ePublishes the streamed values of the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest/Stream.html\"\u003eDataStreamRequest.Stream\u003c/a\u003e\u003c/code\u003e as a sequence of \u003ccode\u003eValue\u003c/code\u003e or fail with the","parent_name":"DataStreamPublisher"},"Structs/DataStreamPublisher.html#/s:7Combine9PublisherP7receive10subscriberyqd___tAA10SubscriberRd__7FailureQyd__AGRtz5InputQyd__6OutputRtzlF":{"name":"receive(subscriber:)","parent_name":"DataStreamPublisher"},"Structs/DataResponsePublisher.html#/s:7Combine9PublisherP6OutputQa":{"name":"Output","parent_name":"DataResponsePublisher"},"Structs/DataResponsePublisher.html#/s:7Combine9PublisherP7FailureQa":{"name":"Failure","parent_name":"DataResponsePublisher"},"Structs/DataResponsePublisher.html#/s:9Alamofire21DataResponsePublisherV_5queue10serializerACyxGAA0B7RequestC_So012OS_dispatch_E0Cqd__tc16SerializedObjectQyd__RszAA0C10SerializerRd__lufc":{"name":"init(_:queue:serializer:)","abstract":"\u003cp\u003eCreates an instance which will serialize responses using the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ResponseSerializer.html\"\u003eResponseSerializer\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataResponsePublisher"},"Structs/DataResponsePublisher.html#/s:9Alamofire21DataResponsePublisherV_5queue10serializerACyxGAA0B7RequestC_So012OS_dispatch_E0Cqd__tc16SerializedObjectQyd__RszAA0bC18SerializerProtocolRd__lufc":{"name":"init(_:queue:serializer:)","abstract":"\u003cp\u003eCreates an instance which will serialize responses using the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataResponseSerializerProtocol.html\"\u003eDataResponseSerializerProtocol\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataResponsePublisher"},"Structs/DataResponsePublisher.html#/s:9Alamofire21DataResponsePublisherV6result7Combine03AnyD0Vys6ResultOyxAA7AFErrorOGs5NeverOGyF":{"name":"result()","abstract":"\u003cp\u003ePublishes only the \u003ccode\u003eResult\u003c/code\u003e of the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataResponse.html\"\u003eDataResponse\u003c/a\u003e\u003c/code\u003e value.\u003c/p\u003e","parent_name":"DataResponsePublisher"},"Structs/DataResponsePublisher.html#/s:9Alamofire21DataResponsePublisherV5value7Combine03AnyD0VyxAA7AFErrorOGyF":{"name":"value()","abstract":"\u003cp\u003ePublishes the \u003ccode\u003eResult\u003c/code\u003e of the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataResponse.html\"\u003eDataResponse\u003c/a\u003e\u003c/code\u003e as a single \u003ccode\u003eValue\u003c/code\u003e or fail with the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html\"\u003eAFError\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"DataResponsePublisher"},"Structs/DataResponsePublisher.html#/s:7Combine9PublisherP7receive10subscriberyqd___tAA10SubscriberRd__7FailureQyd__AGRtz5InputQyd__6OutputRtzlF":{"name":"receive(subscriber:)","parent_name":"DataResponsePublisher"},"Structs/DataResponsePublisher.html#/s:9Alamofire21DataResponsePublisherVAA10Foundation0B0VSgRszrlE_5queueACyAGGAA0B7RequestC_So012OS_dispatch_F0Ctcfc":{"name":"init(_:queue:)","abstract":"\u003cp\u003eCreates an instance which publishes a \u003ccode\u003eDataResponse\u0026lt;Data?, AFError\u0026gt;\u003c/code\u003e value without serialization.\u003c/p\u003e","parent_name":"DataResponsePublisher"},"Structs/ResponseCacher/Behavior.html#/s:9Alamofire14ResponseCacherV8BehaviorO5cacheyA2EmF":{"name":"cache","abstract":"\u003cp\u003eStores the cached response in the cache.\u003c/p\u003e","parent_name":"Behavior"},"Structs/ResponseCacher/Behavior.html#/s:9Alamofire14ResponseCacherV8BehaviorO10doNotCacheyA2EmF":{"name":"doNotCache","abstract":"\u003cp\u003ePrevents the cached response from being stored in the cache.\u003c/p\u003e","parent_name":"Behavior"},"Structs/ResponseCacher/Behavior.html#/s:9Alamofire14ResponseCacherV8BehaviorO6modifyyAESo19NSCachedURLResponseCSgSo20NSURLSessionDataTaskC_AHtYbccAEmF":{"name":"modify(_:)","abstract":"\u003cp\u003eModifies the cached response before storing it in the cache.\u003c/p\u003e","parent_name":"Behavior"},"Structs/ResponseCacher/Behavior.html":{"name":"Behavior","abstract":"\u003cp\u003eDefines the behavior of the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/ResponseCacher.html\"\u003eResponseCacher\u003c/a\u003e\u003c/code\u003e type.\u003c/p\u003e","parent_name":"ResponseCacher"},"Structs/ResponseCacher.html#/s:9Alamofire14ResponseCacherV5cacheACvpZ":{"name":"cache","abstract":"\u003cp\u003eReturns a \u003ccode\u003eResponseCacher\u003c/code\u003e with a \u003ccode\u003e.cache\u003c/code\u003e \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/ResponseCacher/Behavior.html\"\u003eBehavior\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"ResponseCacher"},"Structs/ResponseCacher.html#/s:9Alamofire14ResponseCacherV10doNotCacheACvpZ":{"name":"doNotCache","abstract":"\u003cp\u003eReturns a \u003ccode\u003eResponseCacher\u003c/code\u003e with a \u003ccode\u003e.doNotCache\u003c/code\u003e \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/ResponseCacher/Behavior.html\"\u003eBehavior\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"ResponseCacher"},"Structs/ResponseCacher.html#/s:9Alamofire14ResponseCacherV8behaviorAC8BehaviorOvp":{"name":"behavior","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/ResponseCacher/Behavior.html\"\u003eBehavior\u003c/a\u003e\u003c/code\u003e of the \u003ccode\u003eResponseCacher\u003c/code\u003e.\u003c/p\u003e","parent_name":"ResponseCacher"},"Structs/ResponseCacher.html#/s:9Alamofire14ResponseCacherV8behaviorA2C8BehaviorO_tcfc":{"name":"init(behavior:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003eResponseCacher\u003c/code\u003e instance from the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/ResponseCacher/Behavior.html\"\u003eBehavior\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"ResponseCacher"},"Structs/ResponseCacher.html#/s:9Alamofire21CachedResponseHandlerP8dataTask_09willCacheC010completionySo016NSURLSessionDataF0C_So19NSCachedURLResponseCyAJSgctF":{"name":"dataTask(_:willCacheResponse:completion:)","parent_name":"ResponseCacher"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionV4typexvp":{"name":"type","abstract":"\u003cp\u003eStores the type or meta-type of any extended type.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVyACyxGxcfc":{"name":"init(_:)","abstract":"\u003cp\u003eCreate an instance from the provided value.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo25NSURLSessionConfigurationCRbzlE7defaultAEvpZ":{"name":"default","abstract":"\u003cp\u003eAlamofire\u0026rsquo;s default configuration. Same as \u003ccode\u003eURLSessionConfiguration.default\u003c/code\u003e but adds Alamofire default","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo25NSURLSessionConfigurationCRbzlE9ephemeralAEvpZ":{"name":"ephemeral","abstract":"\u003cp\u003e\u003ccode\u003e.ephemeral\u003c/code\u003e configuration with Alamofire\u0026rsquo;s default \u003ccode\u003eAccept-Language\u003c/code\u003e, \u003ccode\u003eAccept-Encoding\u003c/code\u003e, and \u003ccode\u003eUser-Agent\u003c/code\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo8NSBundleCRbzlE12certificatesSaySo17SecCertificateRefaGvp":{"name":"certificates","abstract":"\u003cp\u003eReturns all valid \u003ccode\u003ecer\u003c/code\u003e, \u003ccode\u003ecrt\u003c/code\u003e, and \u003ccode\u003eder\u003c/code\u003e certificates in the bundle.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo8NSBundleCRbzlE10publicKeysSaySo9SecKeyRefaGvp":{"name":"publicKeys","abstract":"\u003cp\u003eReturns all public keys for the valid certificates in the bundle.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo8NSBundleCRbzlE5paths19forResourcesOfTypesSaySSGAH_tF":{"name":"paths(forResourcesOfTypes:)","abstract":"\u003cp\u003eReturns all pathnames for the resources identified by the provided file extensions.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo11SecTrustRefaRszlE8evaluate13afterApplyingySo0c6PolicyE0a_tKF":{"name":"evaluate(afterApplying:)","abstract":"\u003cp\u003eEvaluates \u003ccode\u003eself\u003c/code\u003e after applying the \u003ccode\u003eSecPolicy\u003c/code\u003e value provided.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo11SecTrustRefaRszlE8validate6policy13errorProducerySo0c6PolicyE0a_s5Error_ps5Int32V_So0cD10ResultTypeVtXEtKF":{"name":"validate(policy:errorProducer:)","abstract":"\u003cp\u003eAttempts to validate \u003ccode\u003eself\u003c/code\u003e using the \u003ccode\u003eSecPolicy\u003c/code\u003e provided and transforming any error produced using the closure passed.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo11SecTrustRefaRszlE5apply6policyAESo0c6PolicyE0a_tKF":{"name":"apply(policy:)","abstract":"\u003cp\u003eApplies a \u003ccode\u003eSecPolicy\u003c/code\u003e to \u003ccode\u003eself\u003c/code\u003e, throwing if it fails.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo11SecTrustRefaRszlE8evaluateyyKF":{"name":"evaluate()","abstract":"\u003cp\u003eEvaluate \u003ccode\u003eself\u003c/code\u003e, throwing an \u003ccode\u003eError\u003c/code\u003e if evaluation fails.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo11SecTrustRefaRszlE8validate13errorProducerys5Error_ps5Int32V_So0cD10ResultTypeVtXE_tKF":{"name":"validate(errorProducer:)","abstract":"\u003cp\u003eValidate \u003ccode\u003eself\u003c/code\u003e, passing any failure values through \u003ccode\u003eerrorProducer\u003c/code\u003e.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo11SecTrustRefaRszlE21setAnchorCertificatesyySaySo0c11CertificateE0aGKF":{"name":"setAnchorCertificates(_:)","abstract":"\u003cp\u003eSets a custom certificate chain on \u003ccode\u003eself\u003c/code\u003e, allowing full validation of a self-signed certificate and its chain.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo11SecTrustRefaRszlE10publicKeysSaySo0c3KeyE0aGvp":{"name":"publicKeys","abstract":"\u003cp\u003eThe public keys contained in \u003ccode\u003eself\u003c/code\u003e.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo11SecTrustRefaRszlE12certificatesSaySo0c11CertificateE0aGvp":{"name":"certificates","abstract":"\u003cp\u003eThe \u003ccode\u003eSecCertificate\u003c/code\u003es contained in \u003ccode\u003eself\u003c/code\u003e.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo11SecTrustRefaRszlE15certificateDataSay10Foundation0G0VGvp":{"name":"certificateData","abstract":"\u003cp\u003eThe \u003ccode\u003eData\u003c/code\u003e values for all certificates contained in \u003ccode\u003eself\u003c/code\u003e.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo11SecTrustRefaRszlE24performDefaultValidation7forHostySS_tKF":{"name":"performDefaultValidation(forHost:)","abstract":"\u003cp\u003eValidates \u003ccode\u003eself\u003c/code\u003e after applying \u003ccode\u003eSecPolicy.af.default\u003c/code\u003e. This evaluation does not validate the hostname.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo11SecTrustRefaRszlE17performValidation7forHostySS_tKF":{"name":"performValidation(forHost:)","abstract":"\u003cp\u003eValidates \u003ccode\u003eself\u003c/code\u003e after applying \u003ccode\u003eSecPolicy.af.hostname(host)\u003c/code\u003e, which performs the default validation as well as","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo12SecPolicyRefaRszlE7defaultAEvpZ":{"name":"default","abstract":"\u003cp\u003eCreates a \u003ccode\u003eSecPolicy\u003c/code\u003e instance which will validate server certificates but not require a host name match.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo12SecPolicyRefaRszlE8hostnameyAESSFZ":{"name":"hostname(_:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003eSecPolicy\u003c/code\u003e instance which will validate server certificates and much match the provided hostname.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo12SecPolicyRefaRszlE10revocation7optionsAeA24RevocationTrustEvaluatorC7OptionsV_tKFZ":{"name":"revocation(options:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003eSecPolicy\u003c/code\u003e which checks the revocation of certificates.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASaySo17SecCertificateRefaGRszlE4dataSay10Foundation4DataVGvp":{"name":"data","abstract":"\u003cp\u003eAll \u003ccode\u003eData\u003c/code\u003e values for the contained \u003ccode\u003eSecCertificate\u003c/code\u003es.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASaySo17SecCertificateRefaGRszlE10publicKeysSaySo0c3KeyE0aGvp":{"name":"publicKeys","abstract":"\u003cp\u003eAll public \u003ccode\u003eSecKey\u003c/code\u003e values for the contained \u003ccode\u003eSecCertificate\u003c/code\u003es.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo17SecCertificateRefaRszlE9publicKeySo0cgE0aSgvp":{"name":"publicKey","abstract":"\u003cp\u003eThe public key for \u003ccode\u003eself\u003c/code\u003e, if it can be extracted.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAAs5Int32VRszlE9isSuccessSbvp":{"name":"isSuccess","abstract":"\u003cp\u003eReturns whether \u003ccode\u003eself\u003c/code\u003e is \u003ccode\u003eerrSecSuccess\u003c/code\u003e.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/AlamofireExtension.html#/s:9Alamofire0A9ExtensionVAASo18SecTrustResultTypeVRszlE9isSuccessSbvp":{"name":"isSuccess","abstract":"\u003cp\u003eReturns whether \u003ccode\u003eself\u003c/code\u003e is \u003ccode\u003e.unspecified\u003c/code\u003e or \u003ccode\u003e.proceed\u003c/code\u003e.\u003c/p\u003e","parent_name":"AlamofireExtension"},"Structs/DecodableWebSocketMessageDecoder/Error.html#/s:9Alamofire32DecodableWebSocketMessageDecoderV5ErrorO8decodingyAEyx_GsAD_pcAGmSeRzs8SendableRzlF":{"name":"decoding(_:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"Error"},"Structs/DecodableWebSocketMessageDecoder/Error.html#/s:9Alamofire32DecodableWebSocketMessageDecoderV5ErrorO07unknownE0yAEyx_GSS_tcAGmSeRzs8SendableRzlF":{"name":"unknownMessage(description:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"Error"},"Structs/DecodableWebSocketMessageDecoder/Error.html":{"name":"Error","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"DecodableWebSocketMessageDecoder"},"Structs/DecodableWebSocketMessageDecoder.html#/s:9Alamofire32DecodableWebSocketMessageDecoderV7decoderAA04DataF0_pvp":{"name":"decoder","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"DecodableWebSocketMessageDecoder"},"Structs/DecodableWebSocketMessageDecoder.html#/s:9Alamofire32DecodableWebSocketMessageDecoderV7decoderACyxGAA04DataF0_p_tcfc":{"name":"init(decoder:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"DecodableWebSocketMessageDecoder"},"Structs/DecodableWebSocketMessageDecoder.html#/s:9Alamofire32DecodableWebSocketMessageDecoderV6decodeyxSo012NSURLSessioncD4TaskC10FoundationE0E0OKF":{"name":"decode(_:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"DecodableWebSocketMessageDecoder"},"Structs/DownloadResponse.html#/s:9Alamofire16DownloadResponseV7request10Foundation10URLRequestVSgvp":{"name":"request","abstract":"\u003cp\u003eThe URL request sent to the server.\u003c/p\u003e","parent_name":"DownloadResponse"},"Structs/DownloadResponse.html#/s:9Alamofire16DownloadResponseV8responseSo17NSHTTPURLResponseCSgvp":{"name":"response","abstract":"\u003cp\u003eThe server\u0026rsquo;s response to the URL request.\u003c/p\u003e","parent_name":"DownloadResponse"},"Structs/DownloadResponse.html#/s:9Alamofire16DownloadResponseV7fileURL10Foundation0E0VSgvp":{"name":"fileURL","abstract":"\u003cp\u003eThe final destination URL of the data returned from the server after it is moved.\u003c/p\u003e","parent_name":"DownloadResponse"},"Structs/DownloadResponse.html#/s:9Alamofire16DownloadResponseV10resumeData10Foundation0E0VSgvp":{"name":"resumeData","abstract":"\u003cp\u003eThe resume data generated if the request was cancelled.\u003c/p\u003e","parent_name":"DownloadResponse"},"Structs/DownloadResponse.html#/s:9Alamofire16DownloadResponseV7metricsSo23NSURLSessionTaskMetricsCSgvp":{"name":"metrics","abstract":"\u003cp\u003eThe final metrics of the response.\u003c/p\u003e","parent_name":"DownloadResponse"},"Structs/DownloadResponse.html#/s:9Alamofire16DownloadResponseV21serializationDurationSdvp":{"name":"serializationDuration","abstract":"\u003cp\u003eThe time taken to serialize the response.\u003c/p\u003e","parent_name":"DownloadResponse"},"Structs/DownloadResponse.html#/s:9Alamofire16DownloadResponseV6results6ResultOyxq_Gvp":{"name":"result","abstract":"\u003cp\u003eThe result of response serialization.\u003c/p\u003e","parent_name":"DownloadResponse"},"Structs/DownloadResponse.html#/s:9Alamofire16DownloadResponseV5valuexSgvp":{"name":"value","abstract":"\u003cp\u003eReturns the associated value of the result if it is a success, \u003ccode\u003enil\u003c/code\u003e otherwise.\u003c/p\u003e","parent_name":"DownloadResponse"},"Structs/DownloadResponse.html#/s:9Alamofire16DownloadResponseV5errorq_Sgvp":{"name":"error","abstract":"\u003cp\u003eReturns the associated error value if the result if it is a failure, \u003ccode\u003enil\u003c/code\u003e otherwise.\u003c/p\u003e","parent_name":"DownloadResponse"},"Structs/DownloadResponse.html#/s:9Alamofire16DownloadResponseV7request8response7fileURL10resumeData7metrics21serializationDuration6resultACyxq_G10Foundation10URLRequestVSg_So17NSHTTPURLResponseCSgAL0G0VSgAL0I0VSgSo23NSURLSessionTaskMetricsCSgSds6ResultOyxq_Gtcfc":{"name":"init(request:response:fileURL:resumeData:metrics:serializationDuration:result:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003eDownloadResponse\u003c/code\u003e instance with the specified parameters derived from response serialization.\u003c/p\u003e","parent_name":"DownloadResponse"},"Structs/DownloadResponse.html#/s:9Alamofire16DownloadResponseV11descriptionSSvp":{"name":"description","abstract":"\u003cp\u003eThe textual representation used when written to an output stream, which includes whether the result was a","parent_name":"DownloadResponse"},"Structs/DownloadResponse.html#/s:9Alamofire16DownloadResponseV16debugDescriptionSSvp":{"name":"debugDescription","abstract":"\u003cp\u003eThe debug textual representation used when written to an output stream, which includes the URL request, the URL","parent_name":"DownloadResponse"},"Structs/DownloadResponse.html#/s:9Alamofire16DownloadResponseV3mapyACyqd__q_Gqd__xXEs8SendableRd__lF":{"name":"map(_:)","abstract":"\u003cp\u003eEvaluates the given closure when the result of this \u003ccode\u003eDownloadResponse\u003c/code\u003e is a success, passing the unwrapped","parent_name":"DownloadResponse"},"Structs/DownloadResponse.html#/s:9Alamofire16DownloadResponseV6tryMapyACyqd__s5Error_pGqd__xKXEs8SendableRd__lF":{"name":"tryMap(_:)","abstract":"\u003cp\u003eEvaluates the given closure when the result of this \u003ccode\u003eDownloadResponse\u003c/code\u003e is a success, passing the unwrapped","parent_name":"DownloadResponse"},"Structs/DownloadResponse.html#/s:9Alamofire16DownloadResponseV8mapErroryACyxqd__Gqd__q_XEs0E0Rd__lF":{"name":"mapError(_:)","abstract":"\u003cp\u003eEvaluates the specified closure when the \u003ccode\u003eDownloadResponse\u003c/code\u003e is a failure, passing the unwrapped error as a parameter.\u003c/p\u003e","parent_name":"DownloadResponse"},"Structs/DownloadResponse.html#/s:9Alamofire16DownloadResponseV11tryMapErroryACyxs0F0_pGqd__q_KXEsAERd__lF":{"name":"tryMapError(_:)","abstract":"\u003cp\u003eEvaluates the specified closure when the \u003ccode\u003eDownloadResponse\u003c/code\u003e is a failure, passing the unwrapped error as a parameter.\u003c/p\u003e","parent_name":"DownloadResponse"},"Structs/DataResponse.html#/s:9Alamofire12DataResponseV7request10Foundation10URLRequestVSgvp":{"name":"request","abstract":"\u003cp\u003eThe URL request sent to the server.\u003c/p\u003e","parent_name":"DataResponse"},"Structs/DataResponse.html#/s:9Alamofire12DataResponseV8responseSo17NSHTTPURLResponseCSgvp":{"name":"response","abstract":"\u003cp\u003eThe server\u0026rsquo;s response to the URL request.\u003c/p\u003e","parent_name":"DataResponse"},"Structs/DataResponse.html#/s:9Alamofire12DataResponseV4data10Foundation0B0VSgvp":{"name":"data","abstract":"\u003cp\u003eThe data returned by the server.\u003c/p\u003e","parent_name":"DataResponse"},"Structs/DataResponse.html#/s:9Alamofire12DataResponseV7metricsSo23NSURLSessionTaskMetricsCSgvp":{"name":"metrics","abstract":"\u003cp\u003eThe final metrics of the response.\u003c/p\u003e","parent_name":"DataResponse"},"Structs/DataResponse.html#/s:9Alamofire12DataResponseV21serializationDurationSdvp":{"name":"serializationDuration","abstract":"\u003cp\u003eThe time taken to serialize the response.\u003c/p\u003e","parent_name":"DataResponse"},"Structs/DataResponse.html#/s:9Alamofire12DataResponseV6results6ResultOyxq_Gvp":{"name":"result","abstract":"\u003cp\u003eThe result of response serialization.\u003c/p\u003e","parent_name":"DataResponse"},"Structs/DataResponse.html#/s:9Alamofire12DataResponseV5valuexSgvp":{"name":"value","abstract":"\u003cp\u003eReturns the associated value of the result if it is a success, \u003ccode\u003enil\u003c/code\u003e otherwise.\u003c/p\u003e","parent_name":"DataResponse"},"Structs/DataResponse.html#/s:9Alamofire12DataResponseV5errorq_Sgvp":{"name":"error","abstract":"\u003cp\u003eReturns the associated error value if the result if it is a failure, \u003ccode\u003enil\u003c/code\u003e otherwise.\u003c/p\u003e","parent_name":"DataResponse"},"Structs/DataResponse.html#/s:9Alamofire12DataResponseV7request8response4data7metrics21serializationDuration6resultACyxq_G10Foundation10URLRequestVSg_So17NSHTTPURLResponseCSgAK0B0VSgSo23NSURLSessionTaskMetricsCSgSds6ResultOyxq_Gtcfc":{"name":"init(request:response:data:metrics:serializationDuration:result:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003eDataResponse\u003c/code\u003e instance with the specified parameters derived from the response serialization.\u003c/p\u003e","parent_name":"DataResponse"},"Structs/DataResponse.html#/s:9Alamofire12DataResponseV11descriptionSSvp":{"name":"description","abstract":"\u003cp\u003eThe textual representation used when written to an output stream, which includes whether the result was a","parent_name":"DataResponse"},"Structs/DataResponse.html#/s:9Alamofire12DataResponseV16debugDescriptionSSvp":{"name":"debugDescription","abstract":"\u003cp\u003eThe debug textual representation used when written to an output stream, which includes (if available) a summary","parent_name":"DataResponse"},"Structs/DataResponse.html#/s:9Alamofire12DataResponseV3mapyACyqd__q_Gqd__xXEs8SendableRd__lF":{"name":"map(_:)","abstract":"\u003cp\u003eEvaluates the specified closure when the result of this \u003ccode\u003eDataResponse\u003c/code\u003e is a success, passing the unwrapped","parent_name":"DataResponse"},"Structs/DataResponse.html#/s:9Alamofire12DataResponseV6tryMapyACyqd__s5Error_pGqd__xKXEs8SendableRd__lF":{"name":"tryMap(_:)","abstract":"\u003cp\u003eEvaluates the given closure when the result of this \u003ccode\u003eDataResponse\u003c/code\u003e is a success, passing the unwrapped result","parent_name":"DataResponse"},"Structs/DataResponse.html#/s:9Alamofire12DataResponseV8mapErroryACyxqd__Gqd__q_XEs0E0Rd__lF":{"name":"mapError(_:)","abstract":"\u003cp\u003eEvaluates the specified closure when the \u003ccode\u003eDataResponse\u003c/code\u003e is a failure, passing the unwrapped error as a parameter.\u003c/p\u003e","parent_name":"DataResponse"},"Structs/DataResponse.html#/s:9Alamofire12DataResponseV11tryMapErroryACyxs0F0_pGqd__q_KXEsAERd__lF":{"name":"tryMapError(_:)","abstract":"\u003cp\u003eEvaluates the specified closure when the \u003ccode\u003eDataResponse\u003c/code\u003e is a failure, passing the unwrapped error as a parameter.\u003c/p\u003e","parent_name":"DataResponse"},"Structs/JSONEncoding/Error.html#/s:9Alamofire12JSONEncodingV5ErrorO17invalidJSONObjectyA2EmF":{"name":"invalidJSONObject","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/JSONEncoding.html\"\u003eJSONEncoding\u003c/a\u003e\u003c/code\u003e attempted to encode an invalid JSON object. Usually this means the value included types not","parent_name":"Error"},"Structs/JSONEncoding/Error.html#/s:9Alamofire12JSONEncodingV5ErrorO20localizedDescriptionSSvp":{"name":"localizedDescription","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"Error"},"Structs/JSONEncoding/Error.html":{"name":"Error","abstract":"\u003cp\u003eError produced by \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/JSONEncoding.html\"\u003eJSONEncoding\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"JSONEncoding"},"Structs/JSONEncoding.html#/s:9Alamofire12JSONEncodingV7defaultACvpZ":{"name":"default","abstract":"\u003cp\u003eReturns a \u003ccode\u003eJSONEncoding\u003c/code\u003e instance with default writing options.\u003c/p\u003e","parent_name":"JSONEncoding"},"Structs/JSONEncoding.html#/s:9Alamofire12JSONEncodingV13prettyPrintedACvpZ":{"name":"prettyPrinted","abstract":"\u003cp\u003eReturns a \u003ccode\u003eJSONEncoding\u003c/code\u003e instance with \u003ccode\u003e.prettyPrinted\u003c/code\u003e writing options.\u003c/p\u003e","parent_name":"JSONEncoding"},"Structs/JSONEncoding.html#/s:9Alamofire12JSONEncodingV7optionsSo20NSJSONWritingOptionsVvp":{"name":"options","abstract":"\u003cp\u003eThe options for writing the parameters as JSON data.\u003c/p\u003e","parent_name":"JSONEncoding"},"Structs/JSONEncoding.html#/s:9Alamofire12JSONEncodingV7optionsACSo20NSJSONWritingOptionsV_tcfc":{"name":"init(options:)","abstract":"\u003cp\u003eCreates an instance using the specified \u003ccode\u003eWritingOptions\u003c/code\u003e.\u003c/p\u003e","parent_name":"JSONEncoding"},"Structs/JSONEncoding.html#/s:9Alamofire17ParameterEncodingP6encode_4with10Foundation10URLRequestVAA0G11Convertible_p_SDySSs8Sendable_pGSgtKF":{"name":"encode(_:with:)","parent_name":"JSONEncoding"},"Structs/JSONEncoding.html#/s:9Alamofire12JSONEncodingV6encode_14withJSONObject10Foundation10URLRequestVAA0G11Convertible_p_ypSgtKF":{"name":"encode(_:withJSONObject:)","abstract":"\u003cp\u003eEncodes any JSON compatible object into a \u003ccode\u003eURLRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"JSONEncoding"},"Structs/URLEncoding/BoolEncoding.html#/s:9Alamofire11URLEncodingV12BoolEncodingO7numericyA2EmF":{"name":"numeric","abstract":"\u003cp\u003eEncode \u003ccode\u003etrue\u003c/code\u003e as \u003ccode\u003e1\u003c/code\u003e and \u003ccode\u003efalse\u003c/code\u003e as \u003ccode\u003e0\u003c/code\u003e. This is the default behavior.\u003c/p\u003e","parent_name":"BoolEncoding"},"Structs/URLEncoding/BoolEncoding.html#/s:9Alamofire11URLEncodingV12BoolEncodingO7literalyA2EmF":{"name":"literal","abstract":"\u003cp\u003eEncode \u003ccode\u003etrue\u003c/code\u003e and \u003ccode\u003efalse\u003c/code\u003e as string literals.\u003c/p\u003e","parent_name":"BoolEncoding"},"Structs/URLEncoding/ArrayEncoding.html#/s:9Alamofire11URLEncodingV13ArrayEncodingO8bracketsyA2EmF":{"name":"brackets","abstract":"\u003cp\u003eAn empty set of square brackets is appended to the key for every value. This is the default behavior.\u003c/p\u003e","parent_name":"ArrayEncoding"},"Structs/URLEncoding/ArrayEncoding.html#/s:9Alamofire11URLEncodingV13ArrayEncodingO10noBracketsyA2EmF":{"name":"noBrackets","abstract":"\u003cp\u003eNo brackets are appended. The key is encoded as is.\u003c/p\u003e","parent_name":"ArrayEncoding"},"Structs/URLEncoding/ArrayEncoding.html#/s:9Alamofire11URLEncodingV13ArrayEncodingO15indexInBracketsyA2EmF":{"name":"indexInBrackets","abstract":"\u003cp\u003eBrackets containing the item index are appended. This matches the jQuery and Node.js behavior.\u003c/p\u003e","parent_name":"ArrayEncoding"},"Structs/URLEncoding/ArrayEncoding.html#/s:9Alamofire11URLEncodingV13ArrayEncodingO6customyAES2S_SitYbccAEmF":{"name":"custom(_:)","abstract":"\u003cp\u003eProvide a custom array key encoding with the given closure.\u003c/p\u003e","parent_name":"ArrayEncoding"},"Structs/URLEncoding/Destination.html#/s:9Alamofire11URLEncodingV11DestinationO15methodDependentyA2EmF":{"name":"methodDependent","abstract":"\u003cp\u003eApplies encoded query string result to existing query string for \u003ccode\u003eGET\u003c/code\u003e, \u003ccode\u003eHEAD\u003c/code\u003e and \u003ccode\u003eDELETE\u003c/code\u003e requests and","parent_name":"Destination"},"Structs/URLEncoding/Destination.html#/s:9Alamofire11URLEncodingV11DestinationO11queryStringyA2EmF":{"name":"queryString","abstract":"\u003cp\u003eSets or appends encoded query string result to existing query string.\u003c/p\u003e","parent_name":"Destination"},"Structs/URLEncoding/Destination.html#/s:9Alamofire11URLEncodingV11DestinationO8httpBodyyA2EmF":{"name":"httpBody","abstract":"\u003cp\u003eSets encoded query string result as the HTTP body of the URL request.\u003c/p\u003e","parent_name":"Destination"},"Structs/URLEncoding/Destination.html":{"name":"Destination","abstract":"\u003cp\u003eDefines whether the url-encoded query string is applied to the existing query string or HTTP body of the","parent_name":"URLEncoding"},"Structs/URLEncoding/ArrayEncoding.html":{"name":"ArrayEncoding","abstract":"\u003cp\u003eConfigures how \u003ccode\u003eArray\u003c/code\u003e parameters are encoded.\u003c/p\u003e","parent_name":"URLEncoding"},"Structs/URLEncoding/BoolEncoding.html":{"name":"BoolEncoding","abstract":"\u003cp\u003eConfigures how \u003ccode\u003eBool\u003c/code\u003e parameters are encoded.\u003c/p\u003e","parent_name":"URLEncoding"},"Structs/URLEncoding.html#/s:9Alamofire11URLEncodingV7defaultACvpZ":{"name":"default","abstract":"\u003cp\u003eReturns a default \u003ccode\u003eURLEncoding\u003c/code\u003e instance with a \u003ccode\u003e.methodDependent\u003c/code\u003e destination.\u003c/p\u003e","parent_name":"URLEncoding"},"Structs/URLEncoding.html#/s:9Alamofire11URLEncodingV11queryStringACvpZ":{"name":"queryString","abstract":"\u003cp\u003eReturns a \u003ccode\u003eURLEncoding\u003c/code\u003e instance with a \u003ccode\u003e.queryString\u003c/code\u003e destination.\u003c/p\u003e","parent_name":"URLEncoding"},"Structs/URLEncoding.html#/s:9Alamofire11URLEncodingV8httpBodyACvpZ":{"name":"httpBody","abstract":"\u003cp\u003eReturns a \u003ccode\u003eURLEncoding\u003c/code\u003e instance with an \u003ccode\u003e.httpBody\u003c/code\u003e destination.\u003c/p\u003e","parent_name":"URLEncoding"},"Structs/URLEncoding.html#/s:9Alamofire11URLEncodingV11destinationAC11DestinationOvp":{"name":"destination","abstract":"\u003cp\u003eThe destination defining where the encoded query string is to be applied to the URL request.\u003c/p\u003e","parent_name":"URLEncoding"},"Structs/URLEncoding.html#/s:9Alamofire11URLEncodingV13arrayEncodingAC05ArrayD0Ovp":{"name":"arrayEncoding","abstract":"\u003cp\u003eThe encoding to use for \u003ccode\u003eArray\u003c/code\u003e parameters.\u003c/p\u003e","parent_name":"URLEncoding"},"Structs/URLEncoding.html#/s:9Alamofire11URLEncodingV12boolEncodingAC04BoolD0Ovp":{"name":"boolEncoding","abstract":"\u003cp\u003eThe encoding to use for \u003ccode\u003eBool\u003c/code\u003e parameters.\u003c/p\u003e","parent_name":"URLEncoding"},"Structs/URLEncoding.html#/s:9Alamofire11URLEncodingV11destination13arrayEncoding04boolE0A2C11DestinationO_AC05ArrayE0OAC04BoolE0Otcfc":{"name":"init(destination:arrayEncoding:boolEncoding:)","abstract":"\u003cp\u003eCreates an instance using the specified parameters.\u003c/p\u003e","parent_name":"URLEncoding"},"Structs/URLEncoding.html#/s:9Alamofire17ParameterEncodingP6encode_4with10Foundation10URLRequestVAA0G11Convertible_p_SDySSs8Sendable_pGSgtKF":{"name":"encode(_:with:)","parent_name":"URLEncoding"},"Structs/URLEncoding.html#/s:9Alamofire11URLEncodingV15queryComponents7fromKey5valueSaySS_SStGSS_yptF":{"name":"queryComponents(fromKey:value:)","abstract":"\u003cp\u003eCreates a percent-escaped, URL encoded query string components from the given key-value pair recursively.\u003c/p\u003e","parent_name":"URLEncoding"},"Structs/URLEncoding.html#/s:9Alamofire11URLEncodingV6escapeyS2SF":{"name":"escape(_:)","abstract":"\u003cp\u003eCreates a percent-escaped string following RFC 3986 for a query string key or value.\u003c/p\u003e","parent_name":"URLEncoding"},"Structs/HTTPMethod.html#/s:9Alamofire10HTTPMethodV7connectACvpZ":{"name":"connect","abstract":"\u003cp\u003e\u003ccode\u003eCONNECT\u003c/code\u003e method.\u003c/p\u003e","parent_name":"HTTPMethod"},"Structs/HTTPMethod.html#/s:9Alamofire10HTTPMethodV6deleteACvpZ":{"name":"delete","abstract":"\u003cp\u003e\u003ccode\u003eDELETE\u003c/code\u003e method.\u003c/p\u003e","parent_name":"HTTPMethod"},"Structs/HTTPMethod.html#/s:9Alamofire10HTTPMethodV3getACvpZ":{"name":"get","abstract":"\u003cp\u003e\u003ccode\u003eGET\u003c/code\u003e method.\u003c/p\u003e","parent_name":"HTTPMethod"},"Structs/HTTPMethod.html#/s:9Alamofire10HTTPMethodV4headACvpZ":{"name":"head","abstract":"\u003cp\u003e\u003ccode\u003eHEAD\u003c/code\u003e method.\u003c/p\u003e","parent_name":"HTTPMethod"},"Structs/HTTPMethod.html#/s:9Alamofire10HTTPMethodV7optionsACvpZ":{"name":"options","abstract":"\u003cp\u003e\u003ccode\u003eOPTIONS\u003c/code\u003e method.\u003c/p\u003e","parent_name":"HTTPMethod"},"Structs/HTTPMethod.html#/s:9Alamofire10HTTPMethodV5patchACvpZ":{"name":"patch","abstract":"\u003cp\u003e\u003ccode\u003ePATCH\u003c/code\u003e method.\u003c/p\u003e","parent_name":"HTTPMethod"},"Structs/HTTPMethod.html#/s:9Alamofire10HTTPMethodV4postACvpZ":{"name":"post","abstract":"\u003cp\u003e\u003ccode\u003ePOST\u003c/code\u003e method.\u003c/p\u003e","parent_name":"HTTPMethod"},"Structs/HTTPMethod.html#/s:9Alamofire10HTTPMethodV3putACvpZ":{"name":"put","abstract":"\u003cp\u003e\u003ccode\u003ePUT\u003c/code\u003e method.\u003c/p\u003e","parent_name":"HTTPMethod"},"Structs/HTTPMethod.html#/s:9Alamofire10HTTPMethodV5queryACvpZ":{"name":"query","abstract":"\u003cp\u003e\u003ccode\u003eQUERY\u003c/code\u003e method.\u003c/p\u003e","parent_name":"HTTPMethod"},"Structs/HTTPMethod.html#/s:9Alamofire10HTTPMethodV5traceACvpZ":{"name":"trace","abstract":"\u003cp\u003e\u003ccode\u003eTRACE\u003c/code\u003e method.\u003c/p\u003e","parent_name":"HTTPMethod"},"Structs/HTTPMethod.html#/s:SY8rawValue03RawB0Qzvp":{"name":"rawValue","parent_name":"HTTPMethod"},"Structs/HTTPMethod.html#/s:SY8rawValuexSg03RawB0Qz_tcfc":{"name":"init(rawValue:)","parent_name":"HTTPMethod"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV4nameSSvp":{"name":"name","abstract":"\u003cp\u003eName of the header.\u003c/p\u003e","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV5valueSSvp":{"name":"value","abstract":"\u003cp\u003eValue of the header.\u003c/p\u003e","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV4name5valueACSS_SStcfc":{"name":"init(name:value:)","abstract":"\u003cp\u003eCreates an instance from the given \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV4nameSSvp\"\u003ename\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV5valueSSvp\"\u003evalue\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:s23CustomStringConvertibleP11descriptionSSvp":{"name":"description","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV6acceptyACSSFZ":{"name":"accept(_:)","abstract":"\u003cp\u003eReturns an \u003ccode\u003eAccept\u003c/code\u003e header.\u003c/p\u003e","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV13acceptCharsetyACSSFZ":{"name":"acceptCharset(_:)","abstract":"\u003cp\u003eReturns an \u003ccode\u003eAccept-Charset\u003c/code\u003e header.\u003c/p\u003e","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV14acceptLanguageyACSSFZ":{"name":"acceptLanguage(_:)","abstract":"\u003cp\u003eReturns an \u003ccode\u003eAccept-Language\u003c/code\u003e header.\u003c/p\u003e","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV14acceptEncodingyACSSFZ":{"name":"acceptEncoding(_:)","abstract":"\u003cp\u003eReturns an \u003ccode\u003eAccept-Encoding\u003c/code\u003e header.\u003c/p\u003e","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV13authorization8username8passwordACSS_SStFZ":{"name":"authorization(username:password:)","abstract":"\u003cp\u003eReturns a \u003ccode\u003eBasic\u003c/code\u003e \u003ccode\u003eAuthorization\u003c/code\u003e header using the \u003ccode\u003eusername\u003c/code\u003e and \u003ccode\u003epassword\u003c/code\u003e provided.\u003c/p\u003e","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV13authorization11bearerTokenACSS_tFZ":{"name":"authorization(bearerToken:)","abstract":"\u003cp\u003eReturns a \u003ccode\u003eBearer\u003c/code\u003e \u003ccode\u003eAuthorization\u003c/code\u003e header using the \u003ccode\u003ebearerToken\u003c/code\u003e provided.\u003c/p\u003e","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV13authorizationyACSSFZ":{"name":"authorization(_:)","abstract":"\u003cp\u003eReturns an \u003ccode\u003eAuthorization\u003c/code\u003e header.\u003c/p\u003e","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV18contentDispositionyACSSFZ":{"name":"contentDisposition(_:)","abstract":"\u003cp\u003eReturns a \u003ccode\u003eContent-Disposition\u003c/code\u003e header.\u003c/p\u003e","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV15contentEncodingyACSSFZ":{"name":"contentEncoding(_:)","abstract":"\u003cp\u003eReturns a \u003ccode\u003eContent-Encoding\u003c/code\u003e header.\u003c/p\u003e","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV11contentTypeyACSSFZ":{"name":"contentType(_:)","abstract":"\u003cp\u003eReturns a \u003ccode\u003eContent-Type\u003c/code\u003e header.\u003c/p\u003e","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV9userAgentyACSSFZ":{"name":"userAgent(_:)","abstract":"\u003cp\u003eReturns a \u003ccode\u003eUser-Agent\u003c/code\u003e header.\u003c/p\u003e","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV17websocketProtocolyACSSFZ":{"name":"websocketProtocol(_:)","abstract":"\u003cp\u003eReturns a \u003ccode\u003eSec-WebSocket-Protocol\u003c/code\u003e header.\u003c/p\u003e","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV21defaultAcceptEncodingACvpZ":{"name":"defaultAcceptEncoding","abstract":"\u003cp\u003eReturns Alamofire\u0026rsquo;s default \u003ccode\u003eAccept-Encoding\u003c/code\u003e header, appropriate for the encodings supported by particular OS","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV21defaultAcceptLanguageACvpZ":{"name":"defaultAcceptLanguage","abstract":"\u003cp\u003eReturns Alamofire\u0026rsquo;s default \u003ccode\u003eAccept-Language\u003c/code\u003e header, generated by querying \u003ccode\u003eLocale\u003c/code\u003e for the user\u0026rsquo;s","parent_name":"HTTPHeader"},"Structs/HTTPHeader.html#/s:9Alamofire10HTTPHeaderV16defaultUserAgentACvpZ":{"name":"defaultUserAgent","abstract":"\u003cp\u003eReturns Alamofire\u0026rsquo;s default \u003ccode\u003eUser-Agent\u003c/code\u003e header.\u003c/p\u003e","parent_name":"HTTPHeader"},"Structs/HTTPHeaders.html#/s:9Alamofire11HTTPHeadersVACycfc":{"name":"init()","abstract":"\u003cp\u003eCreates an empty instance.\u003c/p\u003e","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:9Alamofire11HTTPHeadersVyACSayAA10HTTPHeaderVGcfc":{"name":"init(_:)","abstract":"\u003cp\u003eCreates an instance from an array of \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/HTTPHeader.html\"\u003eHTTPHeader\u003c/a\u003e\u003c/code\u003es. Duplicate case-insensitive names are collapsed into the last","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:9Alamofire11HTTPHeadersVyACSDyS2SGcfc":{"name":"init(_:)","abstract":"\u003cp\u003eCreates an instance from a \u003ccode\u003e[String: String]\u003c/code\u003e. Duplicate case-insensitive names are collapsed into the last name","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:9Alamofire11HTTPHeadersV3add4name5valueySS_SStF":{"name":"add(name:value:)","abstract":"\u003cp\u003eCase-insensitively updates or appends an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/HTTPHeader.html\"\u003eHTTPHeader\u003c/a\u003e\u003c/code\u003e into the instance using the provided \u003ccode\u003ename\u003c/code\u003e and \u003ccode\u003evalue\u003c/code\u003e.\u003c/p\u003e","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:9Alamofire11HTTPHeadersV3addyyAA10HTTPHeaderVF":{"name":"add(_:)","abstract":"\u003cp\u003eCase-insensitively updates or appends the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/HTTPHeader.html\"\u003eHTTPHeader\u003c/a\u003e\u003c/code\u003e into the instance.\u003c/p\u003e","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:9Alamofire11HTTPHeadersV6update4name5valueySS_SStF":{"name":"update(name:value:)","abstract":"\u003cp\u003eCase-insensitively updates or appends an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/HTTPHeader.html\"\u003eHTTPHeader\u003c/a\u003e\u003c/code\u003e into the instance using the provided \u003ccode\u003ename\u003c/code\u003e and \u003ccode\u003evalue\u003c/code\u003e.\u003c/p\u003e","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:9Alamofire11HTTPHeadersV6updateyyAA10HTTPHeaderVF":{"name":"update(_:)","abstract":"\u003cp\u003eCase-insensitively updates or appends the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/HTTPHeader.html\"\u003eHTTPHeader\u003c/a\u003e\u003c/code\u003e into the instance.\u003c/p\u003e","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:9Alamofire11HTTPHeadersV6remove4nameySS_tF":{"name":"remove(name:)","abstract":"\u003cp\u003eCase-insensitively removes an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/HTTPHeader.html\"\u003eHTTPHeader\u003c/a\u003e\u003c/code\u003e, if it exists, from the instance.\u003c/p\u003e","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:9Alamofire11HTTPHeadersV4sortyyF":{"name":"sort()","abstract":"\u003cp\u003eSort the current instance by header name, case insensitively.\u003c/p\u003e","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:9Alamofire11HTTPHeadersV6sortedACyF":{"name":"sorted()","abstract":"\u003cp\u003eReturns an instance sorted by header name.\u003c/p\u003e","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:9Alamofire11HTTPHeadersV5value3forSSSgSS_tF":{"name":"value(for:)","abstract":"\u003cp\u003eCase-insensitively find a header\u0026rsquo;s value by name.\u003c/p\u003e","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:9Alamofire11HTTPHeadersVySSSgSScip":{"name":"subscript(_:)","abstract":"\u003cp\u003eCase-insensitively access the header with the given name.\u003c/p\u003e","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:9Alamofire11HTTPHeadersV10dictionarySDyS2SGvp":{"name":"dictionary","abstract":"\u003cp\u003eThe dictionary representation of all headers.\u003c/p\u003e","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:s30ExpressibleByDictionaryLiteralP010dictionaryD0x3KeyQz_5ValueQztd_tcfc":{"name":"init(dictionaryLiteral:)","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:s25ExpressibleByArrayLiteralP05arrayD0x0cD7ElementQzd_tcfc":{"name":"init(arrayLiteral:)","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:ST12makeIterator0B0QzyF":{"name":"makeIterator()","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:Sl10startIndex0B0Qzvp":{"name":"startIndex","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:Sl8endIndex0B0Qzvp":{"name":"endIndex","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:Sly7ElementQz5IndexQzcip":{"name":"subscript(_:)","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:Sl5index5after5IndexQzAD_tF":{"name":"index(after:)","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:s23CustomStringConvertibleP11descriptionSSvp":{"name":"description","parent_name":"HTTPHeaders"},"Structs/HTTPHeaders.html#/s:9Alamofire11HTTPHeadersV7defaultACvpZ":{"name":"default","abstract":"\u003cp\u003eThe default set of \u003ccode\u003eHTTPHeaders\u003c/code\u003e used by Alamofire. Includes \u003ccode\u003eAccept-Encoding\u003c/code\u003e, \u003ccode\u003eAccept-Language\u003c/code\u003e, and","parent_name":"HTTPHeaders"},"Structs/StringStreamSerializer.html#/s:9Alamofire22StringStreamSerializerVACycfc":{"name":"init()","abstract":"\u003cp\u003eCreates an instance.\u003c/p\u003e","parent_name":"StringStreamSerializer"},"Structs/StringStreamSerializer.html#/s:9Alamofire20DataStreamSerializerP9serializey16SerializedObjectQz10Foundation0B0VKF":{"name":"serialize(_:)","parent_name":"StringStreamSerializer"},"Structs/PassthroughStreamSerializer.html#/s:9Alamofire27PassthroughStreamSerializerVACycfc":{"name":"init()","abstract":"\u003cp\u003eCreates an instance.\u003c/p\u003e","parent_name":"PassthroughStreamSerializer"},"Structs/PassthroughStreamSerializer.html#/s:9Alamofire20DataStreamSerializerP9serializey16SerializedObjectQz10Foundation0B0VKF":{"name":"serialize(_:)","parent_name":"PassthroughStreamSerializer"},"Structs/DecodableStreamSerializer.html#/s:9Alamofire25DecodableStreamSerializerV7decoderAA11DataDecoder_pvp":{"name":"decoder","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataDecoder.html\"\u003eDataDecoder\u003c/a\u003e\u003c/code\u003e used to decode incoming \u003ccode\u003eData\u003c/code\u003e.\u003c/p\u003e","parent_name":"DecodableStreamSerializer"},"Structs/DecodableStreamSerializer.html#/s:9Alamofire25DecodableStreamSerializerV16dataPreprocessorAA04DataF0_pvp":{"name":"dataPreprocessor","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataPreprocessor.html\"\u003eDataPreprocessor\u003c/a\u003e\u003c/code\u003e incoming \u003ccode\u003eData\u003c/code\u003e is passed through before being passed to the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataDecoder.html\"\u003eDataDecoder\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DecodableStreamSerializer"},"Structs/DecodableStreamSerializer.html#/s:9Alamofire25DecodableStreamSerializerV7decoder16dataPreprocessorACyxGAA11DataDecoder_p_AA0hG0_ptcfc":{"name":"init(decoder:dataPreprocessor:)","abstract":"\u003cp\u003eCreates an instance with the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataDecoder.html\"\u003eDataDecoder\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataPreprocessor.html\"\u003eDataPreprocessor\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DecodableStreamSerializer"},"Structs/DecodableStreamSerializer.html#/s:9Alamofire20DataStreamSerializerP9serializey16SerializedObjectQz10Foundation0B0VKF":{"name":"serialize(_:)","parent_name":"DecodableStreamSerializer"},"Structs/DecodableStreamSerializer.html":{"name":"DecodableStreamSerializer","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataStreamSerializer.html\"\u003eDataStreamSerializer\u003c/a\u003e\u003c/code\u003e which uses the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataPreprocessor.html\"\u003eDataPreprocessor\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataDecoder.html\"\u003eDataDecoder\u003c/a\u003e\u003c/code\u003e to serialize the incoming \u003ccode\u003eData\u003c/code\u003e.\u003c/p\u003e"},"Structs/PassthroughStreamSerializer.html":{"name":"PassthroughStreamSerializer","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataStreamSerializer.html\"\u003eDataStreamSerializer\u003c/a\u003e\u003c/code\u003e which performs no serialization on incoming \u003ccode\u003eData\u003c/code\u003e.\u003c/p\u003e"},"Structs/StringStreamSerializer.html":{"name":"StringStreamSerializer","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataStreamSerializer.html\"\u003eDataStreamSerializer\u003c/a\u003e\u003c/code\u003e which serializes incoming stream \u003ccode\u003eData\u003c/code\u003e into \u003ccode\u003eUTF8\u003c/code\u003e-decoded \u003ccode\u003eString\u003c/code\u003e values.\u003c/p\u003e"},"Structs/HTTPHeaders.html":{"name":"HTTPHeaders","abstract":"\u003cp\u003eAn order-preserving and case-insensitive representation of HTTP headers.\u003c/p\u003e"},"Structs/HTTPHeader.html":{"name":"HTTPHeader","abstract":"\u003cp\u003eA representation of a single HTTP header\u0026rsquo;s name / value pair.\u003c/p\u003e"},"Structs/HTTPMethod.html":{"name":"HTTPMethod","abstract":"\u003cp\u003eType representing HTTP methods. Raw \u003ccode\u003eString\u003c/code\u003e value is stored and compared case-sensitively, so"},"Structs/URLEncoding.html":{"name":"URLEncoding","abstract":"\u003cp\u003eCreates a url-encoded query string to be set as or appended to any existing URL query string or set as the HTTP"},"Structs/JSONEncoding.html":{"name":"JSONEncoding","abstract":"\u003cp\u003eUses \u003ccode\u003eJSONSerialization\u003c/code\u003e to create a JSON representation of the parameters object, which is set as the body of the"},"Structs/DataResponse.html":{"name":"DataResponse","abstract":"\u003cp\u003eType used to store all values associated with a serialized response of a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataRequest.html\"\u003eDataRequest\u003c/a\u003e\u003c/code\u003e or \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest.html\"\u003eUploadRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e"},"Structs/DownloadResponse.html":{"name":"DownloadResponse","abstract":"\u003cp\u003eUsed to store all data associated with a serialized response of a download request.\u003c/p\u003e"},"Structs/DecodableWebSocketMessageDecoder.html":{"name":"DecodableWebSocketMessageDecoder","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e"},"Structs/AlamofireExtension.html":{"name":"AlamofireExtension","abstract":"\u003cp\u003eType that acts as a generic extension point for all \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/AlamofireExtended.html\"\u003eAlamofireExtended\u003c/a\u003e\u003c/code\u003e types.\u003c/p\u003e"},"Structs/ResponseCacher.html":{"name":"ResponseCacher","abstract":"\u003cp\u003e\u003ccode\u003eResponseCacher\u003c/code\u003e is a convenience \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/CachedResponseHandler.html\"\u003eCachedResponseHandler\u003c/a\u003e\u003c/code\u003e making it easy to cache, not cache, or modify a cached"},"Structs/DataResponsePublisher.html":{"name":"DataResponsePublisher","abstract":"\u003cp\u003eA Combine \u003ccode\u003ePublisher\u003c/code\u003e that publishes the \u003ccode\u003eDataResponse\u0026lt;Value, AFError\u0026gt;\u003c/code\u003e of the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataRequest.html\"\u003eDataRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e"},"Structs/DataStreamPublisher.html":{"name":"DataStreamPublisher","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e"},"Structs/DownloadResponsePublisher.html":{"name":"DownloadResponsePublisher","abstract":"\u003cp\u003eA Combine \u003ccode\u003ePublisher\u003c/code\u003e that publishes the \u003ccode\u003eDownloadResponse\u0026lt;Value, AFError\u0026gt;\u003c/code\u003e of the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DownloadRequest.html\"\u003eDownloadRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e"},"Structs/DataTask.html":{"name":"DataTask","abstract":"\u003cp\u003eValue used to \u003ccode\u003eawait\u003c/code\u003e a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataResponse.html\"\u003eDataResponse\u003c/a\u003e\u003c/code\u003e and associated values.\u003c/p\u003e"},"Structs/DownloadTask.html":{"name":"DownloadTask","abstract":"\u003cp\u003eValue used to \u003ccode\u003eawait\u003c/code\u003e a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadResponse.html\"\u003eDownloadResponse\u003c/a\u003e\u003c/code\u003e and associated values.\u003c/p\u003e"},"Structs/DataStreamTask.html":{"name":"DataStreamTask","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e"},"Structs/StreamOf.html":{"name":"StreamOf","abstract":"\u003cp\u003eAn asynchronous sequence generated from an underlying \u003ccode\u003eAsyncStream\u003c/code\u003e. Only produced by Alamofire.\u003c/p\u003e"},"Structs/Redirector.html":{"name":"Redirector","abstract":"\u003cp\u003e\u003ccode\u003eRedirector\u003c/code\u003e is a convenience \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RedirectHandler.html\"\u003eRedirectHandler\u003c/a\u003e\u003c/code\u003e making it easy to follow, not follow, or modify a redirect.\u003c/p\u003e"},"Structs/DeflateRequestCompressor.html":{"name":"DeflateRequestCompressor","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestAdapter.html\"\u003eRequestAdapter\u003c/a\u003e\u003c/code\u003e which compresses outgoing \u003ccode\u003eURLRequest\u003c/code\u003e bodies using the \u003ccode\u003edeflate\u003c/code\u003e \u003ccode\u003eContent-Encoding\u003c/code\u003e and adds the"},"Structs/RequestAdapterState.html":{"name":"RequestAdapterState","abstract":"\u003cp\u003eStores all state associated with a \u003ccode\u003eURLRequest\u003c/code\u003e being adapted.\u003c/p\u003e"},"Structs/PassthroughPreprocessor.html":{"name":"PassthroughPreprocessor","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataPreprocessor.html\"\u003eDataPreprocessor\u003c/a\u003e\u003c/code\u003e that returns passed \u003ccode\u003eData\u003c/code\u003e without any transform.\u003c/p\u003e"},"Structs/GoogleXSSIPreprocessor.html":{"name":"GoogleXSSIPreprocessor","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataPreprocessor.html\"\u003eDataPreprocessor\u003c/a\u003e\u003c/code\u003e that trims Google\u0026rsquo;s typical \u003ccode\u003e)]}\u0026#39;,\\n\u003c/code\u003e XSSI JSON header.\u003c/p\u003e"},"Structs/URLResponseSerializer.html":{"name":"URLResponseSerializer","abstract":"\u003cp\u003eA \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DownloadResponseSerializerProtocol.html\"\u003eDownloadResponseSerializerProtocol\u003c/a\u003e\u003c/code\u003e that performs only \u003ccode\u003eError\u003c/code\u003e checking and ensures that a downloaded \u003ccode\u003efileURL\u003c/code\u003e"},"Structs/Empty.html":{"name":"Empty","abstract":"\u003cp\u003eType representing an empty value. Use \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/Empty.html#/s:9Alamofire5EmptyV5valueACvpZ\"\u003eEmpty.value\u003c/a\u003e\u003c/code\u003e to get the static instance.\u003c/p\u003e"},"Protocols/ServerTrustEvaluating.html#/s:9Alamofire21ServerTrustEvaluatingP8evaluate_7forHostySo03SecC3Refa_SStKF":{"name":"evaluate(_:forHost:)","abstract":"\u003cp\u003eEvaluates the given \u003ccode\u003eSecTrust\u003c/code\u003e value for the given \u003ccode\u003ehost\u003c/code\u003e.\u003c/p\u003e","parent_name":"ServerTrustEvaluating"},"Protocols/ServerTrustEvaluating.html#/s:9Alamofire21ServerTrustEvaluatingPA2A010RevocationC9EvaluatorCRszrlE18revocationCheckingAEvpZ":{"name":"revocationChecking","abstract":"\u003cp\u003eProvides a default \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/RevocationTrustEvaluator.html\"\u003eRevocationTrustEvaluator\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"ServerTrustEvaluating"},"Protocols/ServerTrustEvaluating.html#/s:9Alamofire21ServerTrustEvaluatingPA2A010RevocationC9EvaluatorCRszrlE18revocationChecking24performDefaultValidation12validateHost7optionsAESb_SbAE7OptionsVtFZ":{"name":"revocationChecking(performDefaultValidation:validateHost:options:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/RevocationTrustEvaluator.html\"\u003eRevocationTrustEvaluator\u003c/a\u003e\u003c/code\u003e using the provided parameters.\u003c/p\u003e","parent_name":"ServerTrustEvaluating"},"Protocols/ServerTrustEvaluating.html#/s:9Alamofire21ServerTrustEvaluatingPA2A018PinnedCertificatesC9EvaluatorCRszrlE06pinnedF0AEvpZ":{"name":"pinnedCertificates","abstract":"\u003cp\u003eProvides a default \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/PinnedCertificatesTrustEvaluator.html\"\u003ePinnedCertificatesTrustEvaluator\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"ServerTrustEvaluating"},"Protocols/ServerTrustEvaluating.html#/s:9Alamofire21ServerTrustEvaluatingPA2A018PinnedCertificatesC9EvaluatorCRszrlE06pinnedF012certificates016acceptSelfSignedF024performDefaultValidation12validateHostAESaySo17SecCertificateRefaG_S3btFZ":{"name":"pinnedCertificates(certificates:acceptSelfSignedCertificates:performDefaultValidation:validateHost:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/PinnedCertificatesTrustEvaluator.html\"\u003ePinnedCertificatesTrustEvaluator\u003c/a\u003e\u003c/code\u003e using the provided parameters.\u003c/p\u003e","parent_name":"ServerTrustEvaluating"},"Protocols/ServerTrustEvaluating.html#/s:9Alamofire21ServerTrustEvaluatingPA2A010PublicKeysC9EvaluatorCRszrlE06publicF0AEvpZ":{"name":"publicKeys","abstract":"\u003cp\u003eProvides a default \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/PublicKeysTrustEvaluator.html\"\u003ePublicKeysTrustEvaluator\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"ServerTrustEvaluating"},"Protocols/ServerTrustEvaluating.html#/s:9Alamofire21ServerTrustEvaluatingPA2A010PublicKeysC9EvaluatorCRszrlE06publicF04keys24performDefaultValidation12validateHostAESaySo9SecKeyRefaG_S2btFZ":{"name":"publicKeys(keys:performDefaultValidation:validateHost:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/PublicKeysTrustEvaluator.html\"\u003ePublicKeysTrustEvaluator\u003c/a\u003e\u003c/code\u003e from the provided parameters.\u003c/p\u003e","parent_name":"ServerTrustEvaluating"},"Protocols/ServerTrustEvaluating.html#/s:9Alamofire21ServerTrustEvaluatingPA2A09CompositeC9EvaluatorCRszrlE9composite10evaluatorsAESayAaB_pG_tFZ":{"name":"composite(evaluators:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/CompositeTrustEvaluator.html\"\u003eCompositeTrustEvaluator\u003c/a\u003e\u003c/code\u003e from the provided evaluators.\u003c/p\u003e","parent_name":"ServerTrustEvaluating"},"Protocols/DataDecoder.html#/s:9Alamofire11DataDecoderP6decode_4fromqd__qd__m_10Foundation0B0VtKSeRd__lF":{"name":"decode(_:from:)","abstract":"\u003cp\u003eDecode \u003ccode\u003eData\u003c/code\u003e into the provided type.\u003c/p\u003e","parent_name":"DataDecoder"},"Protocols/EmptyResponse.html#/s:9Alamofire13EmptyResponseP10emptyValuexyFZ":{"name":"emptyValue()","abstract":"\u003cp\u003eEmpty value for the conforming type.\u003c/p\u003e","parent_name":"EmptyResponse"},"Protocols/DataPreprocessor.html#/s:9Alamofire16DataPreprocessorP10preprocessy10Foundation0B0VAGKF":{"name":"preprocess(_:)","abstract":"\u003cp\u003eProcess           \u003ccode\u003eData\u003c/code\u003e before it\u0026rsquo;s handled by a serializer.\u003c/p\u003e","parent_name":"DataPreprocessor"},"Protocols/DataPreprocessor.html#/s:9Alamofire16DataPreprocessorPA2A011PassthroughC0VRszrlE11passthroughAEvpZ":{"name":"passthrough","abstract":"\u003cp\u003eProvides a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/PassthroughPreprocessor.html\"\u003ePassthroughPreprocessor\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"DataPreprocessor"},"Protocols/DataPreprocessor.html#/s:9Alamofire16DataPreprocessorPA2A22GoogleXSSIPreprocessorVRszrlE10googleXSSIAEvpZ":{"name":"googleXSSI","abstract":"\u003cp\u003eProvides a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/GoogleXSSIPreprocessor.html\"\u003eGoogleXSSIPreprocessor\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"DataPreprocessor"},"Protocols/ResponseSerializer.html#/s:9Alamofire18ResponseSerializerP16dataPreprocessorAA04DataE0_pvp":{"name":"dataPreprocessor","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataPreprocessor.html\"\u003eDataPreprocessor\u003c/a\u003e\u003c/code\u003e used to prepare incoming \u003ccode\u003eData\u003c/code\u003e for serialization.\u003c/p\u003e","parent_name":"ResponseSerializer"},"Protocols/ResponseSerializer.html#/s:9Alamofire18ResponseSerializerP19emptyRequestMethodsShyAA10HTTPMethodVGvp":{"name":"emptyRequestMethods","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/HTTPMethod.html\"\u003eHTTPMethod\u003c/a\u003e\u003c/code\u003es for which empty response bodies are considered appropriate.\u003c/p\u003e","parent_name":"ResponseSerializer"},"Protocols/ResponseSerializer.html#/s:9Alamofire18ResponseSerializerP05emptyB5CodesShySiGvp":{"name":"emptyResponseCodes","abstract":"\u003cp\u003eHTTP response codes for which empty response bodies are considered appropriate.\u003c/p\u003e","parent_name":"ResponseSerializer"},"Protocols/ResponseSerializer.html#/s:9Alamofire18ResponseSerializerPAAE23defaultDataPreprocessorAA0eF0_pvpZ":{"name":"defaultDataPreprocessor","abstract":"\u003cp\u003eDefault \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataPreprocessor.html\"\u003eDataPreprocessor\u003c/a\u003e\u003c/code\u003e. \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/PassthroughPreprocessor.html\"\u003ePassthroughPreprocessor\u003c/a\u003e\u003c/code\u003e by default.\u003c/p\u003e","parent_name":"ResponseSerializer"},"Protocols/ResponseSerializer.html#/s:9Alamofire18ResponseSerializerPAAE26defaultEmptyRequestMethodsShyAA10HTTPMethodVGvpZ":{"name":"defaultEmptyRequestMethods","abstract":"\u003cp\u003eDefault \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/HTTPMethod.html\"\u003eHTTPMethod\u003c/a\u003e\u003c/code\u003es for which empty response bodies are always considered appropriate. \u003ccode\u003e[.head]\u003c/code\u003e by default.\u003c/p\u003e","parent_name":"ResponseSerializer"},"Protocols/ResponseSerializer.html#/s:9Alamofire18ResponseSerializerPAAE012defaultEmptyB5CodesShySiGvpZ":{"name":"defaultEmptyResponseCodes","abstract":"\u003cp\u003eHTTP response codes for which empty response bodies are always considered appropriate. \u003ccode\u003e[204, 205]\u003c/code\u003e by default.\u003c/p\u003e","parent_name":"ResponseSerializer"},"Protocols/ResponseSerializer.html#/s:9Alamofire18ResponseSerializerPAAE018requestAllowsEmptyB4DataySbSg10Foundation10URLRequestVSgF":{"name":"requestAllowsEmptyResponseData(_:)","abstract":"\u003cp\u003eDetermines whether the \u003ccode\u003erequest\u003c/code\u003e allows empty response bodies, if \u003ccode\u003erequest\u003c/code\u003e exists.\u003c/p\u003e","parent_name":"ResponseSerializer"},"Protocols/ResponseSerializer.html#/s:9Alamofire18ResponseSerializerPAAE019responseAllowsEmptyB4DataySbSgSo17NSHTTPURLResponseCSgF":{"name":"responseAllowsEmptyResponseData(_:)","abstract":"\u003cp\u003eDetermines whether the \u003ccode\u003eresponse\u003c/code\u003e allows empty response bodies, if \u003ccode\u003eresponse\u003c/code\u003e exists.\u003c/p\u003e","parent_name":"ResponseSerializer"},"Protocols/ResponseSerializer.html#/s:9Alamofire18ResponseSerializerPAAE05emptyB7Allowed10forRequest8responseSb10Foundation10URLRequestVSg_So17NSHTTPURLResponseCSgtF":{"name":"emptyResponseAllowed(forRequest:response:)","abstract":"\u003cp\u003eDetermines whether \u003ccode\u003erequest\u003c/code\u003e and \u003ccode\u003eresponse\u003c/code\u003e allow empty response bodies.\u003c/p\u003e","parent_name":"ResponseSerializer"},"Protocols/ResponseSerializer.html#/s:9Alamofire18ResponseSerializerPAAE9decodable2of16dataPreprocessor7decoder05emptyB5Codes0I14RequestMethodsAA09DecodablebC0Cyqd__Gqd__m_AA04DataG0_pAA0N7Decoder_pShySiGShyAA10HTTPMethodVGtALRszSeRd__s8SendableRd__lFZ":{"name":"decodable(of:dataPreprocessor:decoder:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DecodableResponseSerializer.html\"\u003eDecodableResponseSerializer\u003c/a\u003e\u003c/code\u003e using the values provided.\u003c/p\u003e","parent_name":"ResponseSerializer"},"Protocols/ResponseSerializer.html#/s:9Alamofire18ResponseSerializerPA2A04DatabC0CRszrlE4dataAEvpZ":{"name":"data","abstract":"\u003cp\u003eProvides a default \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataResponseSerializer.html\"\u003eDataResponseSerializer\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"ResponseSerializer"},"Protocols/ResponseSerializer.html#/s:9Alamofire18ResponseSerializerPA2A04DatabC0CRszrlE4data0E12Preprocessor05emptyB5Codes0G14RequestMethodsAeA0dF0_p_ShySiGShyAA10HTTPMethodVGtFZ":{"name":"data(dataPreprocessor:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataResponseSerializer.html\"\u003eDataResponseSerializer\u003c/a\u003e\u003c/code\u003e using the provided parameters.\u003c/p\u003e","parent_name":"ResponseSerializer"},"Protocols/ResponseSerializer.html#/s:9Alamofire18ResponseSerializerPA2A06StringbC0CRszrlE6stringAEvpZ":{"name":"string","abstract":"\u003cp\u003eProvides a default \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/StringResponseSerializer.html\"\u003eStringResponseSerializer\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"ResponseSerializer"},"Protocols/ResponseSerializer.html#/s:9Alamofire18ResponseSerializerPA2A06StringbC0CRszrlE6string16dataPreprocessor8encoding05emptyB5Codes0I14RequestMethodsAeA04DataG0_p_SS10FoundationE8EncodingVSgShySiGShyAA10HTTPMethodVGtFZ":{"name":"string(dataPreprocessor:encoding:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/StringResponseSerializer.html\"\u003eStringResponseSerializer\u003c/a\u003e\u003c/code\u003e with the provided values.\u003c/p\u003e","parent_name":"ResponseSerializer"},"Protocols/DownloadResponseSerializerProtocol.html#/s:9Alamofire34DownloadResponseSerializerProtocolP16SerializedObjectQa":{"name":"SerializedObject","abstract":"\u003cp\u003eThe type of serialized object to be created.\u003c/p\u003e","parent_name":"DownloadResponseSerializerProtocol"},"Protocols/DownloadResponseSerializerProtocol.html#/s:9Alamofire34DownloadResponseSerializerProtocolP09serializeB07request8response7fileURL5error16SerializedObjectQz10Foundation10URLRequestVSg_So17NSHTTPURLResponseCSgAK0J0VSgs5Error_pSgtKF":{"name":"serializeDownload(request:response:fileURL:error:)","abstract":"\u003cp\u003eSerialize the downloaded response \u003ccode\u003eData\u003c/code\u003e from disk into the provided type.\u003c/p\u003e","parent_name":"DownloadResponseSerializerProtocol"},"Protocols/DownloadResponseSerializerProtocol.html#/s:9Alamofire34DownloadResponseSerializerProtocolPA2A04DatacdE0RzrlE09serializeB07request8response7fileURL5error16SerializedObjectAaDPQz10Foundation10URLRequestVSg_So17NSHTTPURLResponseCSgAM0K0VSgs5Error_pSgtKF":{"name":"serializeDownload(request:response:fileURL:error:)","parent_name":"DownloadResponseSerializerProtocol"},"Protocols/DownloadResponseSerializerProtocol.html#/s:9Alamofire34DownloadResponseSerializerProtocolPA2A011URLResponseD0VRszrlE3urlAEvpZ":{"name":"url","abstract":"\u003cp\u003eProvides a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/URLResponseSerializer.html\"\u003eURLResponseSerializer\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"DownloadResponseSerializerProtocol"},"Protocols/DataResponseSerializerProtocol.html#/s:9Alamofire30DataResponseSerializerProtocolP16SerializedObjectQa":{"name":"SerializedObject","abstract":"\u003cp\u003eThe type of serialized object to be created.\u003c/p\u003e","parent_name":"DataResponseSerializerProtocol"},"Protocols/DataResponseSerializerProtocol.html#/s:9Alamofire30DataResponseSerializerProtocolP9serialize7request8response4data5error16SerializedObjectQz10Foundation10URLRequestVSg_So17NSHTTPURLResponseCSgAK0B0VSgs5Error_pSgtKF":{"name":"serialize(request:response:data:error:)","abstract":"\u003cp\u003eSerialize the response \u003ccode\u003eData\u003c/code\u003e into the provided type.\u003c/p\u003e","parent_name":"DataResponseSerializerProtocol"},"Protocols/RequestRetrier.html#/s:9Alamofire14RequestRetrierP5retry_3for5dueTo10completionyAA0B0C_AA7SessionCs5Error_pyAA11RetryResultOYbctF":{"name":"retry(_:for:dueTo:completion:)","abstract":"\u003cp\u003eDetermines whether the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e should be retried by calling the \u003ccode\u003ecompletion\u003c/code\u003e closure.\u003c/p\u003e","parent_name":"RequestRetrier"},"Protocols/RequestRetrier.html#/s:9Alamofire14RequestRetrierPA2A0C0CRszrlE7retrier5usingAEyAA0B0C_AA7SessionCs5Error_pyAA11RetryResultOctc_tFZ":{"name":"retrier(using:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Retrier.html\"\u003eRetrier\u003c/a\u003e\u003c/code\u003e using the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbTypealiases.html#/s:9Alamofire12RetryHandlera\"\u003eRetryHandler\u003c/a\u003e\u003c/code\u003e closure.\u003c/p\u003e","parent_name":"RequestRetrier"},"Protocols/RequestAdapter.html#/s:9Alamofire14RequestAdapterP5adapt_3for10completiony10Foundation10URLRequestV_AA7SessionCys6ResultOyAIs5Error_pGYbctF":{"name":"adapt(_:for:completion:)","abstract":"\u003cp\u003eInspects and adapts the specified \u003ccode\u003eURLRequest\u003c/code\u003e in some manner and calls the completion handler with the Result.\u003c/p\u003e","parent_name":"RequestAdapter"},"Protocols/RequestAdapter.html#/s:9Alamofire14RequestAdapterP5adapt_5using10completiony10Foundation10URLRequestV_AA0bC5StateVys6ResultOyAIs5Error_pGYbctF":{"name":"adapt(_:using:completion:)","abstract":"\u003cp\u003eInspects and adapts the specified \u003ccode\u003eURLRequest\u003c/code\u003e in some manner and calls the completion handler with the Result.\u003c/p\u003e","parent_name":"RequestAdapter"},"Protocols/RequestAdapter.html#/s:9Alamofire14RequestAdapterPA2A0C0CRszrlE7adapter5usingAEy10Foundation10URLRequestV_AA7SessionCys6ResultOyAJs5Error_pGctc_tFZ":{"name":"adapter(using:)","abstract":"\u003cp\u003eCreates an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Adapter.html\"\u003eAdapter\u003c/a\u003e\u003c/code\u003e using the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbTypealiases.html#/s:9Alamofire12AdaptHandlera\"\u003eAdaptHandler\u003c/a\u003e\u003c/code\u003e closure.\u003c/p\u003e","parent_name":"RequestAdapter"},"Protocols/RedirectHandler.html#/s:9Alamofire15RedirectHandlerP4task_18willBeRedirectedTo3for10completionySo16NSURLSessionTaskC_10Foundation10URLRequestVSo17NSHTTPURLResponseCyALSgctF":{"name":"task(_:willBeRedirectedTo:for:completion:)","abstract":"\u003cp\u003eDetermines how the HTTP redirect response should be redirected to the new request.\u003c/p\u003e","parent_name":"RedirectHandler"},"Protocols/RedirectHandler.html#/s:9Alamofire15RedirectHandlerPA2A10RedirectorVRszrlE6followAEvpZ":{"name":"follow","abstract":"\u003cp\u003eProvides a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/Redirector.html\"\u003eRedirector\u003c/a\u003e\u003c/code\u003e which follows redirects. Equivalent to \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/Redirector.html#/s:9Alamofire10RedirectorV6followACvpZ\"\u003eRedirector.follow\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"RedirectHandler"},"Protocols/RedirectHandler.html#/s:9Alamofire15RedirectHandlerPA2A10RedirectorVRszrlE11doNotFollowAEvpZ":{"name":"doNotFollow","abstract":"\u003cp\u003eProvides a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/Redirector.html\"\u003eRedirector\u003c/a\u003e\u003c/code\u003e which does not follow redirects. Equivalent to \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/Redirector.html#/s:9Alamofire10RedirectorV11doNotFollowACvpZ\"\u003eRedirector.doNotFollow\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"RedirectHandler"},"Protocols/RedirectHandler.html#/s:9Alamofire15RedirectHandlerPA2A10RedirectorVRszrlE6modify5usingAE10Foundation10URLRequestVSgSo16NSURLSessionTaskC_AJSo17NSHTTPURLResponseCtYbc_tFZ":{"name":"modify(using:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/Redirector.html\"\u003eRedirector\u003c/a\u003e\u003c/code\u003e which modifies the redirected \u003ccode\u003eURLRequest\u003c/code\u003e using the provided closure.\u003c/p\u003e","parent_name":"RedirectHandler"},"Protocols/RequestInterceptor.html#/s:9Alamofire14RequestAdapterP5adapt_3for10completiony10Foundation10URLRequestV_AA7SessionCys6ResultOyAIs5Error_pGYbctF":{"name":"adapt(_:for:completion:)","parent_name":"RequestInterceptor"},"Protocols/RequestInterceptor.html#/s:9Alamofire14RequestRetrierP5retry_3for5dueTo10completionyAA0B0C_AA7SessionCs5Error_pyAA11RetryResultOYbctF":{"name":"retry(_:for:dueTo:completion:)","parent_name":"RequestInterceptor"},"Protocols/RequestInterceptor.html#/s:9Alamofire18RequestInterceptorPA2A14OfflineRetrierCRszrlE07offlineE07monitor11maximumWait02isD5ErrorAE7Network13NWPathMonitorCyXA_8Dispatch0O12TimeIntervalOSbs0K0_pYbctFZ":{"name":"offlineRetrier(monitor:maximumWait:isOfflineError:)","abstract":"\u003cp\u003eCreates an instance from the provided \u003ccode\u003eNWPathMonitor\u003c/code\u003e, maximum wait for connectivity, and offline error predicate.\u003c/p\u003e","parent_name":"RequestInterceptor"},"Protocols/RequestInterceptor.html#/s:9Alamofire18RequestInterceptorPA2A14OfflineRetrierCRszrlE07offlineE021requiredInterfaceType11maximumWait02isD5ErrorAE7Network11NWInterfaceV0hI0O_8Dispatch0P12TimeIntervalOSbs0M0_pYbctFZ":{"name":"offlineRetrier(requiredInterfaceType:maximumWait:isOfflineError:)","abstract":"\u003cp\u003eCreates an instance using an \u003ccode\u003eNWPathMonitor\u003c/code\u003e configured with the provided \u003ccode\u003eInterfaceType\u003c/code\u003e, maximum wait for","parent_name":"RequestInterceptor"},"Protocols/RequestInterceptor.html#/s:9Alamofire18RequestInterceptorPA2A14OfflineRetrierCRszrlE07offlineE024prohibitedInterfaceTypes11maximumWait02isD5ErrorAESay7Network11NWInterfaceV0H4TypeOG_8Dispatch0Q12TimeIntervalOSbs0M0_pYbctFZ":{"name":"offlineRetrier(prohibitedInterfaceTypes:maximumWait:isOfflineError:)","abstract":"\u003cp\u003eCreates an instance using an \u003ccode\u003eNWPathMonitor\u003c/code\u003e configured with the provided \u003ccode\u003eInterfaceType\u003c/code\u003es, maximum wait for","parent_name":"RequestInterceptor"},"Protocols/RequestInterceptor.html#/s:9Alamofire18RequestInterceptorPA2A07DeflateB10CompressorVRszrlE07deflateE0AEvpZ":{"name":"deflateCompressor","abstract":"\u003cp\u003eCreate a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DeflateRequestCompressor.html\"\u003eDeflateRequestCompressor\u003c/a\u003e\u003c/code\u003e with default \u003ccode\u003eduplicateHeaderBehavior\u003c/code\u003e and \u003ccode\u003eshouldCompressBodyData\u003c/code\u003e values.\u003c/p\u003e","parent_name":"RequestInterceptor"},"Protocols/RequestInterceptor.html#/s:9Alamofire18RequestInterceptorPA2A07DeflateB10CompressorVRszrlE07deflateE023duplicateHeaderBehavior22shouldCompressBodyDataA2E09DuplicatehI0O_Sb10Foundation0M0VYbctFZ":{"name":"deflateCompressor(duplicateHeaderBehavior:shouldCompressBodyData:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DeflateRequestCompressor.html\"\u003eDeflateRequestCompressor\u003c/a\u003e\u003c/code\u003e with the provided \u003ccode\u003eDuplicateHeaderBehavior\u003c/code\u003e and \u003ccode\u003eshouldCompressBodyData\u003c/code\u003e","parent_name":"RequestInterceptor"},"Protocols/RequestInterceptor.html#/s:9Alamofire18RequestInterceptorPA2A0C0CRszrlE11interceptor7adapter7retrierAEy10Foundation10URLRequestV_AA7SessionCys6ResultOyAKs5Error_pGctc_yAA0B0C_AMsAP_pyAA05RetryJ0OctctFZ":{"name":"interceptor(adapter:retrier:)","abstract":"\u003cp\u003eCreates an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Interceptor.html\"\u003eInterceptor\u003c/a\u003e\u003c/code\u003e using the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbTypealiases.html#/s:9Alamofire12AdaptHandlera\"\u003eAdaptHandler\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbTypealiases.html#/s:9Alamofire12RetryHandlera\"\u003eRetryHandler\u003c/a\u003e\u003c/code\u003e closures.\u003c/p\u003e","parent_name":"RequestInterceptor"},"Protocols/RequestInterceptor.html#/s:9Alamofire18RequestInterceptorPA2A0C0CRszrlE11interceptor7adapter7retrierAeA0B7Adapter_p_AA0B7Retrier_ptFZ":{"name":"interceptor(adapter:retrier:)","abstract":"\u003cp\u003eCreates an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Interceptor.html\"\u003eInterceptor\u003c/a\u003e\u003c/code\u003e using the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestAdapter.html\"\u003eRequestAdapter\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestRetrier.html\"\u003eRequestRetrier\u003c/a\u003e\u003c/code\u003e instances.\u003c/p\u003e","parent_name":"RequestInterceptor"},"Protocols/RequestInterceptor.html#/s:9Alamofire18RequestInterceptorPA2A0C0CRszrlE11interceptor8adapters8retriers12interceptorsAESayAA0B7Adapter_pG_SayAA0B7Retrier_pGSayAaB_pGtFZ":{"name":"interceptor(adapters:retriers:interceptors:)","abstract":"\u003cp\u003eCreates an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Interceptor.html\"\u003eInterceptor\u003c/a\u003e\u003c/code\u003e using the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestAdapter.html\"\u003eRequestAdapter\u003c/a\u003e\u003c/code\u003es, \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestRetrier.html\"\u003eRequestRetrier\u003c/a\u003e\u003c/code\u003es, and \u003ccode\u003eRequestInterceptor\u003c/code\u003es.\u003c/p\u003e","parent_name":"RequestInterceptor"},"Protocols/RequestInterceptor.html#/s:9Alamofire18RequestInterceptorPA2A11RetryPolicyCRszrlE05retryE0AEvpZ":{"name":"retryPolicy","abstract":"\u003cp\u003eProvides a default \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/RetryPolicy.html\"\u003eRetryPolicy\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"RequestInterceptor"},"Protocols/RequestInterceptor.html#/s:9Alamofire18RequestInterceptorPA2A11RetryPolicyCRszrlE05retryE00F5Limit22exponentialBackoffBase0hI5Scale20retryableHTTPMethods0L15HTTPStatusCodes0l8URLErrorO0AESu_SuSdShyAA10HTTPMethodVGShySiGShy10Foundation0P0V4CodeVGtFZ":{"name":"retryPolicy(retryLimit:exponentialBackoffBase:exponentialBackoffScale:retryableHTTPMethods:retryableHTTPStatusCodes:retryableURLErrorCodes:)","abstract":"\u003cp\u003eCreates an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/RetryPolicy.html\"\u003eRetryPolicy\u003c/a\u003e\u003c/code\u003e from the specified parameters.\u003c/p\u003e","parent_name":"RequestInterceptor"},"Protocols/RequestInterceptor.html#/s:9Alamofire18RequestInterceptorPA2A25ConnectionLostRetryPolicyCRszrlE010connectionefG0AEvpZ":{"name":"connectionLostRetryPolicy","abstract":"\u003cp\u003eProvides a default \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ConnectionLostRetryPolicy.html\"\u003eConnectionLostRetryPolicy\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"RequestInterceptor"},"Protocols/RequestInterceptor.html#/s:9Alamofire18RequestInterceptorPA2A25ConnectionLostRetryPolicyCRszrlE010connectionefG010retryLimit22exponentialBackoffBase0kL5Scale20retryableHTTPMethodsAESu_SuSdShyAA10HTTPMethodVGtFZ":{"name":"connectionLostRetryPolicy(retryLimit:exponentialBackoffBase:exponentialBackoffScale:retryableHTTPMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ConnectionLostRetryPolicy.html\"\u003eConnectionLostRetryPolicy\u003c/a\u003e\u003c/code\u003e instance from the specified parameters.\u003c/p\u003e","parent_name":"RequestInterceptor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP5queueSo012OS_dispatch_D0Cvp":{"name":"queue","abstract":"\u003cp\u003eThe \u003ccode\u003eDispatchQueue\u003c/code\u003e on which events will be called.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_25didBecomeInvalidWithErrorySo12NSURLSessionC_s0J0_pSgtF":{"name":"urlSession(_:didBecomeInvalidWithError:)","abstract":"\u003cp\u003eEvent called during \u003ccode\u003eURLSessionDelegate\u003c/code\u003e\u0026lsquo;s \u003ccode\u003eurlSession(_:didBecomeInvalidWithError:)\u003c/code\u003e method.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task10didReceiveySo12NSURLSessionC_So0I4TaskCSo28NSURLAuthenticationChallengeCtF":{"name":"urlSession(_:task:didReceive:)","abstract":"\u003cp\u003eEvent called during \u003ccode\u003eURLSessionTaskDelegate\u003c/code\u003e\u0026lsquo;s \u003ccode\u003eurlSession(_:task:didReceive:completionHandler:)\u003c/code\u003e method.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task15didSendBodyData14totalBytesSent0kl10ExpectedToH0ySo12NSURLSessionC_So0P4TaskCs5Int64VA2NtF":{"name":"urlSession(_:task:didSendBodyData:totalBytesSent:totalBytesExpectedToSend:)","abstract":"\u003cp\u003eEvent called during \u003ccode\u003eURLSessionTaskDelegate\u003c/code\u003e\u0026lsquo;s \u003ccode\u003eurlSession(_:task:didSendBodyData:totalBytesSent:totalBytesExpectedToSend:)\u003c/code\u003e method.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_22taskNeedsNewBodyStreamySo12NSURLSessionC_So0K4TaskCtF":{"name":"urlSession(_:taskNeedsNewBodyStream:)","abstract":"\u003cp\u003eEvent called during \u003ccode\u003eURLSessionTaskDelegate\u003c/code\u003e\u0026lsquo;s \u003ccode\u003eurlSession(_:task:needNewBodyStream:)\u003c/code\u003e method.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task26willPerformHTTPRedirection10newRequestySo12NSURLSessionC_So0L4TaskCSo17NSHTTPURLResponseC10Foundation10URLRequestVtF":{"name":"urlSession(_:task:willPerformHTTPRedirection:newRequest:)","abstract":"\u003cp\u003eEvent called during \u003ccode\u003eURLSessionTaskDelegate\u003c/code\u003e\u0026lsquo;s \u003ccode\u003eurlSession(_:task:willPerformHTTPRedirection:newRequest:completionHandler:)\u003c/code\u003e method.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task19didFinishCollectingySo12NSURLSessionC_So0J4TaskCSo0jK7MetricsCtF":{"name":"urlSession(_:task:didFinishCollecting:)","abstract":"\u003cp\u003eEvent called during \u003ccode\u003eURLSessionTaskDelegate\u003c/code\u003e\u0026lsquo;s \u003ccode\u003eurlSession(_:task:didFinishCollecting:)\u003c/code\u003e method.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task20didCompleteWithErrorySo12NSURLSessionC_So0K4TaskCs0J0_pSgtF":{"name":"urlSession(_:task:didCompleteWithError:)","abstract":"\u003cp\u003eEvent called during \u003ccode\u003eURLSessionTaskDelegate\u003c/code\u003e\u0026lsquo;s \u003ccode\u003eurlSession(_:task:didCompleteWithError:)\u003c/code\u003e method.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_28taskIsWaitingForConnectivityySo12NSURLSessionC_So0K4TaskCtF":{"name":"urlSession(_:taskIsWaitingForConnectivity:)","abstract":"\u003cp\u003eEvent called during \u003ccode\u003eURLSessionTaskDelegate\u003c/code\u003e\u0026lsquo;s \u003ccode\u003eurlSession(_:taskIsWaitingForConnectivity:)\u003c/code\u003e method.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_8dataTask10didReceiveySo12NSURLSessionC_So0j4DataG0CSo13NSURLResponseCtF":{"name":"urlSession(_:dataTask:didReceive:)","abstract":"\u003cp\u003eEvent called during \u003ccode\u003eURLSessionDataDelegate\u003c/code\u003e\u0026lsquo;s \u003ccode\u003eurlSession(_:dataTask:didReceive:completionHandler:)\u003c/code\u003e method.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_8dataTask10didReceiveySo12NSURLSessionC_So0j4DataG0C10Foundation0K0VtF":{"name":"urlSession(_:dataTask:didReceive:)","abstract":"\u003cp\u003eEvent called during \u003ccode\u003eURLSessionDataDelegate\u003c/code\u003e\u0026lsquo;s \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/EventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_8dataTask10didReceiveySo12NSURLSessionC_So0j4DataG0CSo13NSURLResponseCtF\"\u003eurlSession(_:dataTask:didReceive:)\u003c/a\u003e\u003c/code\u003e method.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_8dataTask17willCacheResponseySo12NSURLSessionC_So0k4DataG0CSo19NSCachedURLResponseCtF":{"name":"urlSession(_:dataTask:willCacheResponse:)","abstract":"\u003cp\u003eEvent called during \u003ccode\u003eURLSessionDataDelegate\u003c/code\u003e\u0026lsquo;s \u003ccode\u003eurlSession(_:dataTask:willCacheResponse:completionHandler:)\u003c/code\u003e method.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_12downloadTask17didResumeAtOffset18expectedTotalBytesySo12NSURLSessionC_So0o8DownloadG0Cs5Int64VAMtF":{"name":"urlSession(_:downloadTask:didResumeAtOffset:expectedTotalBytes:)","abstract":"\u003cp\u003eEvent called during \u003ccode\u003eURLSessionDownloadDelegate\u003c/code\u003e\u0026lsquo;s \u003ccode\u003eurlSession(_:downloadTask:didResumeAtOffset:expectedTotalBytes:)\u003c/code\u003e method.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_12downloadTask12didWriteData17totalBytesWritten0kl10ExpectedToI0ySo12NSURLSessionC_So0p8DownloadG0Cs5Int64VA2NtF":{"name":"urlSession(_:downloadTask:didWriteData:totalBytesWritten:totalBytesExpectedToWrite:)","abstract":"\u003cp\u003eEvent called during \u003ccode\u003eURLSessionDownloadDelegate\u003c/code\u003e\u0026lsquo;s \u003ccode\u003eurlSession(_:downloadTask:didWriteData:totalBytesWritten:totalBytesExpectedToWrite:)\u003c/code\u003e method.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_12downloadTask22didFinishDownloadingToySo12NSURLSessionC_So0l8DownloadG0C10Foundation3URLVtF":{"name":"urlSession(_:downloadTask:didFinishDownloadingTo:)","abstract":"\u003cp\u003eEvent called during \u003ccode\u003eURLSessionDownloadDelegate\u003c/code\u003e\u0026lsquo;s \u003ccode\u003eurlSession(_:downloadTask:didFinishDownloadingTo:)\u003c/code\u003e method.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_26didCreateInitialURLRequestyAA7RequestC_10Foundation0H0VtF":{"name":"request(_:didCreateInitialURLRequest:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003eURLRequest\u003c/code\u003e is first created for a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e. If a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestAdapter.html\"\u003eRequestAdapter\u003c/a\u003e\u003c/code\u003e is active, the","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_34didFailToCreateURLRequestWithErroryAA7RequestC_AA7AFErrorOtF":{"name":"request(_:didFailToCreateURLRequestWithError:)","abstract":"\u003cp\u003eEvent called when the attempt to create a \u003ccode\u003eURLRequest\u003c/code\u003e from a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e\u0026lsquo;s original \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/URLRequestConvertible.html\"\u003eURLRequestConvertible\u003c/a\u003e\u003c/code\u003e value fails.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_22didAdaptInitialRequest2toyAA0H0C_10Foundation10URLRequestVAKtF":{"name":"request(_:didAdaptInitialRequest:to:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestAdapter.html\"\u003eRequestAdapter\u003c/a\u003e\u003c/code\u003e adapts the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e\u0026lsquo;s initial \u003ccode\u003eURLRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_24didFailToAdaptURLRequest9withErroryAA7RequestC_10Foundation0I0VAA7AFErrorOtF":{"name":"request(_:didFailToAdaptURLRequest:withError:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestAdapter.html\"\u003eRequestAdapter\u003c/a\u003e\u003c/code\u003e fails to adapt the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e\u0026lsquo;s initial \u003ccode\u003eURLRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_19didCreateURLRequestyAA7RequestC_10Foundation0G0VtF":{"name":"request(_:didCreateURLRequest:)","abstract":"\u003cp\u003eEvent called when a final \u003ccode\u003eURLRequest\u003c/code\u003e is created for a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_13didCreateTaskyAA7RequestC_So012NSURLSessionG0CtF":{"name":"request(_:didCreateTask:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003eURLSessionTask\u003c/code\u003e subclass instance is created for a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_16didGatherMetricsyAA7RequestC_So016NSURLSessionTaskG0CtF":{"name":"request(_:didGatherMetrics:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e receives a \u003ccode\u003eURLSessionTaskMetrics\u003c/code\u003e value.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_11didFailTask14earlyWithErroryAA7RequestC_So012NSURLSessionG0CAA7AFErrorOtF":{"name":"request(_:didFailTask:earlyWithError:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e fails due to an error created by Alamofire. e.g. When certificate pinning fails.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_15didCompleteTask4withyAA7RequestC_So012NSURLSessionG0CAA7AFErrorOSgtF":{"name":"request(_:didCompleteTask:with:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e\u0026lsquo;s task completes, possibly with an error. A \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e may receive this event","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP17requestIsRetryingyyAA7RequestCF":{"name":"requestIsRetrying(_:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e is about to be retried.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP16requestDidFinishyyAA7RequestCF":{"name":"requestDidFinish(_:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e finishes and response serializers are being called.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP16requestDidResumeyyAA7RequestCF":{"name":"requestDidResume(_:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e receives a \u003ccode\u003eresume\u003c/code\u003e call.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_13didResumeTaskyAA7RequestC_So012NSURLSessionG0CtF":{"name":"request(_:didResumeTask:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e\u0026lsquo;s associated \u003ccode\u003eURLSessionTask\u003c/code\u003e is resumed.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP17requestDidSuspendyyAA7RequestCF":{"name":"requestDidSuspend(_:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e receives a \u003ccode\u003esuspend\u003c/code\u003e call.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_14didSuspendTaskyAA7RequestC_So012NSURLSessionG0CtF":{"name":"request(_:didSuspendTask:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e\u0026lsquo;s associated \u003ccode\u003eURLSessionTask\u003c/code\u003e is suspended.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP16requestDidCancelyyAA7RequestCF":{"name":"requestDidCancel(_:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e receives a \u003ccode\u003ecancel\u003c/code\u003e call.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_13didCancelTaskyAA7RequestC_So012NSURLSessionG0CtF":{"name":"request(_:didCancelTask:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e\u0026lsquo;s associated \u003ccode\u003eURLSessionTask\u003c/code\u003e is cancelled.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_18didValidateRequest8response4data10withResultyAA04DataG0C_10Foundation10URLRequestVSgSo17NSHTTPURLResponseCAK0L0VSgs0K0Oyyts5Error_pGtF":{"name":"request(_:didValidateRequest:response:data:withResult:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataRequest.html\"\u003eDataRequest\u003c/a\u003e\u003c/code\u003e calls a \u003ccode\u003eValidation\u003c/code\u003e.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_16didParseResponseyAA11DataRequestC_AA0hG0Vy10Foundation0H0VSgAA7AFErrorOGtF":{"name":"request(_:didParseResponse:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataRequest.html\"\u003eDataRequest\u003c/a\u003e\u003c/code\u003e creates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataResponse.html\"\u003eDataResponse\u0026lt;Data?\u0026gt;\u003c/a\u003e\u003c/code\u003e value without calling a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ResponseSerializer.html\"\u003eResponseSerializer\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_16didParseResponseyAA11DataRequestC_AA0hG0Vyqd__AA7AFErrorOGts8SendableRd__lF":{"name":"request(_:didParseResponse:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataRequest.html\"\u003eDataRequest\u003c/a\u003e\u003c/code\u003e calls a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ResponseSerializer.html\"\u003eResponseSerializer\u003c/a\u003e\u003c/code\u003e and creates a generic \u003ccode\u003eDataResponse\u0026lt;Value, AFError\u0026gt;\u003c/code\u003e.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_18didValidateRequest8response10withResultyAA010DataStreamG0C_10Foundation10URLRequestVSgSo17NSHTTPURLResponseCs0J0Oyyts5Error_pGtF":{"name":"request(_:didValidateRequest:response:withResult:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest.html\"\u003eDataStreamRequest\u003c/a\u003e\u003c/code\u003e calls a \u003ccode\u003eValidation\u003c/code\u003e closure.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_14didParseStreamyAA04DataG7RequestC_s6ResultOyqd__AA7AFErrorOGts8SendableRd__lF":{"name":"request(_:didParseStream:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataStreamSerializer.html\"\u003eDataStreamSerializer\u003c/a\u003e\u003c/code\u003e produces a value from streamed \u003ccode\u003eData\u003c/code\u003e.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_19didCreateUploadableyAA13UploadRequestC_AG0G0OtF":{"name":"request(_:didCreateUploadable:)","abstract":"\u003cp\u003eEvent called when an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest.html\"\u003eUploadRequest\u003c/a\u003e\u003c/code\u003e creates its \u003ccode\u003eUploadable\u003c/code\u003e value, indicating the type of upload it represents.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_34didFailToCreateUploadableWithErroryAA13UploadRequestC_AA7AFErrorOtF":{"name":"request(_:didFailToCreateUploadableWithError:)","abstract":"\u003cp\u003eEvent called when an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest.html\"\u003eUploadRequest\u003c/a\u003e\u003c/code\u003e failed to create its \u003ccode\u003eUploadable\u003c/code\u003e value due to an error.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_21didProvideInputStreamyAA13UploadRequestC_So07NSInputH0CtF":{"name":"request(_:didProvideInputStream:)","abstract":"\u003cp\u003eEvent called when an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest.html\"\u003eUploadRequest\u003c/a\u003e\u003c/code\u003e provides the \u003ccode\u003eInputStream\u003c/code\u003e from its \u003ccode\u003eUploadable\u003c/code\u003e value. This only occurs if","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_25didFinishDownloadingUsing4withyAA15DownloadRequestC_So16NSURLSessionTaskCs6ResultOy10Foundation3URLVAA7AFErrorOGtF":{"name":"request(_:didFinishDownloadingUsing:with:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DownloadRequest.html\"\u003eDownloadRequest\u003c/a\u003e\u003c/code\u003e\u0026lsquo;s \u003ccode\u003eURLSessionDownloadTask\u003c/code\u003e finishes and the temporary file has been moved.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_23didCreateDestinationURLyAA15DownloadRequestC_10Foundation0H0VtF":{"name":"request(_:didCreateDestinationURL:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DownloadRequest.html\"\u003eDownloadRequest\u003c/a\u003e\u003c/code\u003e\u0026lsquo;s \u003ccode\u003eDestination\u003c/code\u003e closure is called and creates the destination URL the","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_18didValidateRequest8response7fileURL10withResultyAA08DownloadG0C_10Foundation10URLRequestVSgSo17NSHTTPURLResponseCAK0J0VSgs0L0Oyyts5Error_pGtF":{"name":"request(_:didValidateRequest:response:fileURL:withResult:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DownloadRequest.html\"\u003eDownloadRequest\u003c/a\u003e\u003c/code\u003e calls a \u003ccode\u003eValidation\u003c/code\u003e.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_16didParseResponseyAA15DownloadRequestC_AA0hG0Vy10Foundation3URLVSgAA7AFErrorOGtF":{"name":"request(_:didParseResponse:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DownloadRequest.html\"\u003eDownloadRequest\u003c/a\u003e\u003c/code\u003e creates a \u003ccode\u003eDownloadResponse\u0026lt;URL?, AFError\u0026gt;\u003c/code\u003e without calling a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ResponseSerializer.html\"\u003eResponseSerializer\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/EventMonitor.html#/s:9Alamofire12EventMonitorP7request_16didParseResponseyAA15DownloadRequestC_AA0hG0Vyqd__AA7AFErrorOGts8SendableRd__lF":{"name":"request(_:didParseResponse:)","abstract":"\u003cp\u003eEvent called when a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DownloadRequest.html\"\u003eDownloadRequest\u003c/a\u003e\u003c/code\u003e calls a \u003ccode\u003eDownloadResponseSerializer\u003c/code\u003e and creates a generic \u003ccode\u003eDownloadResponse\u0026lt;Value, AFError\u0026gt;\u003c/code\u003e\u003c/p\u003e","parent_name":"EventMonitor"},"Protocols/CachedResponseHandler.html#/s:9Alamofire21CachedResponseHandlerP8dataTask_09willCacheC010completionySo016NSURLSessionDataF0C_So19NSCachedURLResponseCyAJSgctF":{"name":"dataTask(_:willCacheResponse:completion:)","abstract":"\u003cp\u003eDetermines whether the HTTP response should be stored in the cache.\u003c/p\u003e","parent_name":"CachedResponseHandler"},"Protocols/CachedResponseHandler.html#/s:9Alamofire21CachedResponseHandlerPA2A0C6CacherVRszrlE5cacheAEvpZ":{"name":"cache","abstract":"\u003cp\u003eProvides a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/ResponseCacher.html\"\u003eResponseCacher\u003c/a\u003e\u003c/code\u003e which caches the response, if allowed. Equivalent to \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/ResponseCacher.html#/s:9Alamofire14ResponseCacherV5cacheACvpZ\"\u003eResponseCacher.cache\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"CachedResponseHandler"},"Protocols/CachedResponseHandler.html#/s:9Alamofire21CachedResponseHandlerPA2A0C6CacherVRszrlE10doNotCacheAEvpZ":{"name":"doNotCache","abstract":"\u003cp\u003eProvides a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/ResponseCacher.html\"\u003eResponseCacher\u003c/a\u003e\u003c/code\u003e which does not cache the response. Equivalent to \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/ResponseCacher.html#/s:9Alamofire14ResponseCacherV10doNotCacheACvpZ\"\u003eResponseCacher.doNotCache\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"CachedResponseHandler"},"Protocols/CachedResponseHandler.html#/s:9Alamofire21CachedResponseHandlerPA2A0C6CacherVRszrlE6modify5usingAESo19NSCachedURLResponseCSgSo20NSURLSessionDataTaskC_AItYbc_tFZ":{"name":"modify(using:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/ResponseCacher.html\"\u003eResponseCacher\u003c/a\u003e\u003c/code\u003e which modifies the proposed \u003ccode\u003eCachedURLResponse\u003c/code\u003e using the provided closure.\u003c/p\u003e","parent_name":"CachedResponseHandler"},"Protocols/Authenticator.html#/s:9Alamofire13AuthenticatorP10CredentialQa":{"name":"Credential","abstract":"\u003cp\u003eThe type of credential associated with the \u003ccode\u003eAuthenticator\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"Authenticator"},"Protocols/Authenticator.html#/s:9Alamofire13AuthenticatorP5apply_2toy10CredentialQz_10Foundation10URLRequestVztF":{"name":"apply(_:to:)","abstract":"\u003cp\u003eApplies the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/Authenticator.html#/s:9Alamofire13AuthenticatorP10CredentialQa\"\u003eCredential\u003c/a\u003e\u003c/code\u003e to the \u003ccode\u003eURLRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"Authenticator"},"Protocols/Authenticator.html#/s:9Alamofire13AuthenticatorP7refresh_3for10completiony10CredentialQz_AA7SessionCys6ResultOyAHs5Error_pGYbctF":{"name":"refresh(_:for:completion:)","abstract":"\u003cp\u003eRefreshes the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/Authenticator.html#/s:9Alamofire13AuthenticatorP10CredentialQa\"\u003eCredential\u003c/a\u003e\u003c/code\u003e and executes the \u003ccode\u003ecompletion\u003c/code\u003e closure with the \u003ccode\u003eResult\u003c/code\u003e once complete.\u003c/p\u003e","parent_name":"Authenticator"},"Protocols/Authenticator.html#/s:9Alamofire13AuthenticatorP10didRequest_4with28failDueToAuthenticationErrorSb10Foundation10URLRequestV_So17NSHTTPURLResponseCs0J0_ptF":{"name":"didRequest(_:with:failDueToAuthenticationError:)","abstract":"\u003cp\u003eDetermines whether the \u003ccode\u003eURLRequest\u003c/code\u003e failed due to an authentication error based on the \u003ccode\u003eHTTPURLResponse\u003c/code\u003e.\u003c/p\u003e","parent_name":"Authenticator"},"Protocols/Authenticator.html#/s:9Alamofire13AuthenticatorP9isRequest_17authenticatedWithSb10Foundation10URLRequestV_10CredentialQztF":{"name":"isRequest(_:authenticatedWith:)","abstract":"\u003cp\u003eDetermines whether the \u003ccode\u003eURLRequest\u003c/code\u003e is authenticated with the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/Authenticator.html#/s:9Alamofire13AuthenticatorP10CredentialQa\"\u003eCredential\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Authenticator"},"Protocols/AuthenticationCredential.html#/s:9Alamofire24AuthenticationCredentialP15requiresRefreshSbvp":{"name":"requiresRefresh","abstract":"\u003cp\u003eWhether the credential requires a refresh. This property should always return \u003ccode\u003etrue\u003c/code\u003e when the credential is","parent_name":"AuthenticationCredential"},"Protocols/AlamofireExtended.html#/s:9Alamofire0A8ExtendedP0B4TypeQa":{"name":"ExtendedType","abstract":"\u003cp\u003eType being extended.\u003c/p\u003e","parent_name":"AlamofireExtended"},"Protocols/AlamofireExtended.html#/s:9Alamofire0A8ExtendedP2afAA0A9ExtensionVy0B4TypeQzGmvpZ":{"name":"af","abstract":"\u003cp\u003eStatic Alamofire extension point.\u003c/p\u003e","parent_name":"AlamofireExtended"},"Protocols/AlamofireExtended.html#/s:9Alamofire0A8ExtendedP2afAA0A9ExtensionVy0B4TypeQzGvp":{"name":"af","abstract":"\u003cp\u003eInstance Alamofire extension point.\u003c/p\u003e","parent_name":"AlamofireExtended"},"Protocols/AlamofireExtended.html#/s:9Alamofire0A8ExtendedPAAE2afAA0A9ExtensionVyxGmvpZ":{"name":"af","abstract":"\u003cp\u003eStatic Alamofire extension point.\u003c/p\u003e","parent_name":"AlamofireExtended"},"Protocols/AlamofireExtended.html#/s:9Alamofire0A8ExtendedPAAE2afAA0A9ExtensionVyxGvp":{"name":"af","abstract":"\u003cp\u003eInstance Alamofire extension point.\u003c/p\u003e","parent_name":"AlamofireExtended"},"Protocols/WebSocketMessageSerializer.html#/s:9Alamofire26WebSocketMessageSerializerP6OutputQa":{"name":"Output","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"WebSocketMessageSerializer"},"Protocols/WebSocketMessageSerializer.html#/s:9Alamofire26WebSocketMessageSerializerP7FailureQa":{"name":"Failure","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"WebSocketMessageSerializer"},"Protocols/WebSocketMessageSerializer.html#/s:9Alamofire26WebSocketMessageSerializerP6decodey6OutputQzSo012NSURLSessionbC4TaskC10FoundationE0D0OKF":{"name":"decode(_:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"WebSocketMessageSerializer"},"Protocols/WebSocketMessageSerializer.html#/s:9Alamofire26WebSocketMessageSerializerPAAE4json8decoding5usingAA09DecodablebcD7DecoderVyqd__Gqd__m_10Foundation11JSONDecoderCtAIRszSeRd__s8SendableRd__lFZ":{"name":"json(decoding:using:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"WebSocketMessageSerializer"},"Protocols/UploadableConvertible.html#/s:9Alamofire21UploadableConvertibleP06createB0AA13UploadRequestC0B0OyKF":{"name":"createUploadable()","abstract":"\u003cp\u003eProduces an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest/Uploadable.html\"\u003eUploadRequest.Uploadable\u003c/a\u003e\u003c/code\u003e value from the instance.\u003c/p\u003e","parent_name":"UploadableConvertible"},"Protocols/URLRequestConvertible.html#/s:9Alamofire21URLRequestConvertibleP02asB010Foundation0B0VyKF":{"name":"asURLRequest()","abstract":"\u003cp\u003eReturns a \u003ccode\u003eURLRequest\u003c/code\u003e or throws if an \u003ccode\u003eError\u003c/code\u003e was encountered.\u003c/p\u003e","parent_name":"URLRequestConvertible"},"Protocols/URLRequestConvertible.html#/s:9Alamofire21URLRequestConvertiblePAAE10urlRequest10Foundation0B0VSgvp":{"name":"urlRequest","abstract":"\u003cp\u003eThe \u003ccode\u003eURLRequest\u003c/code\u003e returned by discarding any \u003ccode\u003eError\u003c/code\u003e encountered.\u003c/p\u003e","parent_name":"URLRequestConvertible"},"Protocols/URLConvertible.html#/s:9Alamofire14URLConvertibleP5asURL10Foundation0D0VyKF":{"name":"asURL()","abstract":"\u003cp\u003eReturns a \u003ccode\u003eURL\u003c/code\u003e from the conforming instance or throws.\u003c/p\u003e","parent_name":"URLConvertible"},"Protocols/RequestDelegate.html#/s:9Alamofire15RequestDelegateP20sessionConfigurationSo012NSURLSessionE0Cvp":{"name":"sessionConfiguration","abstract":"\u003cp\u003e\u003ccode\u003eURLSessionConfiguration\u003c/code\u003e used to create the underlying \u003ccode\u003eURLSessionTask\u003c/code\u003es.\u003c/p\u003e","parent_name":"RequestDelegate"},"Protocols/RequestDelegate.html#/s:9Alamofire15RequestDelegateP16startImmediatelySbvp":{"name":"startImmediately","abstract":"\u003cp\u003eDetermines whether the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e should automatically call \u003ccode\u003eresume()\u003c/code\u003e when adding the first response handler.\u003c/p\u003e","parent_name":"RequestDelegate"},"Protocols/RequestDelegate.html#/s:9Alamofire15RequestDelegateP14readyToPerform7requestyAA0B0C_tF":{"name":"readyToPerform(request:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"RequestDelegate"},"Protocols/RequestDelegate.html#/s:9Alamofire15RequestDelegateP7cleanup5afteryAA0B0C_tF":{"name":"cleanup(after:)","abstract":"\u003cp\u003eNotifies the delegate the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e has reached a point where it needs cleanup.\u003c/p\u003e","parent_name":"RequestDelegate"},"Protocols/RequestDelegate.html#/s:9Alamofire15RequestDelegateP11retryResult3for5dueTo10completionyAA0B0C_AA7AFErrorOyAA05RetryE0OYbctF":{"name":"retryResult(for:dueTo:completion:)","abstract":"\u003cp\u003eAsynchronously ask the delegate whether a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e will be retried.\u003c/p\u003e","parent_name":"RequestDelegate"},"Protocols/RequestDelegate.html#/s:9Alamofire15RequestDelegateP05retryB0_9withDelayyAA0B0C_SdSgtF":{"name":"retryRequest(_:withDelay:)","abstract":"\u003cp\u003eAsynchronously retry the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"RequestDelegate"},"Protocols/ParameterEncoding.html#/s:9Alamofire17ParameterEncodingP6encode_4with10Foundation10URLRequestVAA0G11Convertible_p_SDySSs8Sendable_pGSgtKF":{"name":"encode(_:with:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003eURLRequest\u003c/code\u003e by encoding parameters and applying them on the passed request.\u003c/p\u003e","parent_name":"ParameterEncoding"},"Protocols/ParameterEncoder.html#/s:9Alamofire16ParameterEncoderP6encode_4into10Foundation10URLRequestVqd__Sg_AHtKSERd__s8SendableRd__lF":{"name":"encode(_:into:)","abstract":"\u003cp\u003eEncode the provided \u003ccode\u003eEncodable\u003c/code\u003e parameters into \u003ccode\u003erequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"ParameterEncoder"},"Protocols/ParameterEncoder.html#/s:9Alamofire16ParameterEncoderPA2A013JSONParameterC0CRszrlE4jsonAEvpZ":{"name":"json","abstract":"\u003cp\u003eProvides a default \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/JSONParameterEncoder.html\"\u003eJSONParameterEncoder\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"ParameterEncoder"},"Protocols/ParameterEncoder.html#/s:9Alamofire16ParameterEncoderPA2A013JSONParameterC0CRszrlE4json7encoderAE10Foundation11JSONEncoderC_tFZ":{"name":"json(encoder:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/JSONParameterEncoder.html\"\u003eJSONParameterEncoder\u003c/a\u003e\u003c/code\u003e using the provided \u003ccode\u003eJSONEncoder\u003c/code\u003e.\u003c/p\u003e","parent_name":"ParameterEncoder"},"Protocols/ParameterEncoder.html#/s:9Alamofire16ParameterEncoderPA2A014URLEncodedFormbC0CRszrlE010urlEncodedE0AEvpZ":{"name":"urlEncodedForm","abstract":"\u003cp\u003eProvides a default \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/URLEncodedFormParameterEncoder.html\"\u003eURLEncodedFormParameterEncoder\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"ParameterEncoder"},"Protocols/ParameterEncoder.html#/s:9Alamofire16ParameterEncoderPA2A014URLEncodedFormbC0CRszrlE010urlEncodedE07encoder11destinationAeA0deC0C_AE11DestinationOtFZ":{"name":"urlEncodedForm(encoder:destination:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/URLEncodedFormParameterEncoder.html\"\u003eURLEncodedFormParameterEncoder\u003c/a\u003e\u003c/code\u003e with the provided encoder and destination.\u003c/p\u003e","parent_name":"ParameterEncoder"},"Protocols/DataStreamSerializer.html#/s:9Alamofire20DataStreamSerializerP16SerializedObjectQa":{"name":"SerializedObject","abstract":"\u003cp\u003eType produced from the serialized \u003ccode\u003eData\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataStreamSerializer"},"Protocols/DataStreamSerializer.html#/s:9Alamofire20DataStreamSerializerP9serializey16SerializedObjectQz10Foundation0B0VKF":{"name":"serialize(_:)","abstract":"\u003cp\u003eSerializes incoming \u003ccode\u003eData\u003c/code\u003e into a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataStreamSerializer.html#/s:9Alamofire20DataStreamSerializerP16SerializedObjectQa\"\u003eSerializedObject\u003c/a\u003e\u003c/code\u003e value.\u003c/p\u003e","parent_name":"DataStreamSerializer"},"Protocols/DataStreamSerializer.html#/s:9Alamofire20DataStreamSerializerPAAE9decodable2of7decoder16dataPreprocessorAA09DecodablecD0Vyqd__Gqd__m_AA0B7Decoder_pAA0bI0_ptAJRszSeRd__s8SendableRd__lFZ":{"name":"decodable(of:decoder:dataPreprocessor:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DecodableStreamSerializer.html\"\u003eDecodableStreamSerializer\u003c/a\u003e\u003c/code\u003e instance with the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataDecoder.html\"\u003eDataDecoder\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataPreprocessor.html\"\u003eDataPreprocessor\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataStreamSerializer"},"Protocols/DataStreamSerializer.html#/s:9Alamofire20DataStreamSerializerPA2A011PassthroughcD0VRszrlE11passthroughAEvpZ":{"name":"passthrough","abstract":"\u003cp\u003eProvides a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/PassthroughStreamSerializer.html\"\u003ePassthroughStreamSerializer\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"DataStreamSerializer"},"Protocols/DataStreamSerializer.html#/s:9Alamofire20DataStreamSerializerPA2A06StringcD0VRszrlE6stringAEvpZ":{"name":"string","abstract":"\u003cp\u003eProvides a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/StringStreamSerializer.html\"\u003eStringStreamSerializer\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"DataStreamSerializer"},"Protocols/DataStreamSerializer.html":{"name":"DataStreamSerializer","abstract":"\u003cp\u003eA type which can serialize incoming \u003ccode\u003eData\u003c/code\u003e.\u003c/p\u003e"},"Protocols/ParameterEncoder.html":{"name":"ParameterEncoder","abstract":"\u003cp\u003eA type that can encode any \u003ccode\u003eEncodable\u003c/code\u003e type into a \u003ccode\u003eURLRequest\u003c/code\u003e.\u003c/p\u003e"},"Protocols/ParameterEncoding.html":{"name":"ParameterEncoding","abstract":"\u003cp\u003eA type used to define how a set of parameters are applied to a \u003ccode\u003eURLRequest\u003c/code\u003e.\u003c/p\u003e"},"Protocols/RequestDelegate.html":{"name":"RequestDelegate","abstract":"\u003cp\u003eProtocol abstraction for \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e\u0026lsquo;s communication back to the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/SessionDelegate.html\"\u003eSessionDelegate\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e"},"Protocols/URLConvertible.html":{"name":"URLConvertible","abstract":"\u003cp\u003eTypes adopting the \u003ccode\u003eURLConvertible\u003c/code\u003e protocol can be used to construct \u003ccode\u003eURL\u003c/code\u003es, which can then be used to construct"},"Protocols/URLRequestConvertible.html":{"name":"URLRequestConvertible","abstract":"\u003cp\u003eTypes adopting the \u003ccode\u003eURLRequestConvertible\u003c/code\u003e protocol can be used to safely construct \u003ccode\u003eURLRequest\u003c/code\u003es.\u003c/p\u003e"},"Protocols/UploadableConvertible.html":{"name":"UploadableConvertible","abstract":"\u003cp\u003eA type that can produce an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest/Uploadable.html\"\u003eUploadRequest.Uploadable\u003c/a\u003e\u003c/code\u003e value.\u003c/p\u003e"},"Protocols.html#/s:9Alamofire17UploadConvertibleP":{"name":"UploadConvertible","abstract":"\u003cp\u003eA type that can be converted to an upload, whether from an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest/Uploadable.html\"\u003eUploadRequest.Uploadable\u003c/a\u003e\u003c/code\u003e or \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/URLRequestConvertible.html\"\u003eURLRequestConvertible\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e"},"Protocols/WebSocketMessageSerializer.html":{"name":"WebSocketMessageSerializer","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e"},"Protocols/AlamofireExtended.html":{"name":"AlamofireExtended","abstract":"\u003cp\u003eProtocol describing the \u003ccode\u003eaf\u003c/code\u003e extension points for Alamofire extended types.\u003c/p\u003e"},"Protocols/AuthenticationCredential.html":{"name":"AuthenticationCredential","abstract":"\u003cp\u003eTypes adopting the \u003ccode\u003eAuthenticationCredential\u003c/code\u003e protocol can be used to authenticate \u003ccode\u003eURLRequest\u003c/code\u003es.\u003c/p\u003e"},"Protocols/Authenticator.html":{"name":"Authenticator","abstract":"\u003cp\u003eTypes adopting the \u003ccode\u003eAuthenticator\u003c/code\u003e protocol can be used to authenticate \u003ccode\u003eURLRequest\u003c/code\u003es with an"},"Protocols/CachedResponseHandler.html":{"name":"CachedResponseHandler","abstract":"\u003cp\u003eA type that handles whether the data task should store the HTTP response in the cache.\u003c/p\u003e"},"Protocols/EventMonitor.html":{"name":"EventMonitor","abstract":"\u003cp\u003eProtocol outlining the lifetime events inside Alamofire. It includes both events received from the various"},"Protocols/RequestInterceptor.html":{"name":"RequestInterceptor","abstract":"\u003cp\u003eType that provides both \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestAdapter.html\"\u003eRequestAdapter\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestRetrier.html\"\u003eRequestRetrier\u003c/a\u003e\u003c/code\u003e functionality.\u003c/p\u003e"},"Protocols/RedirectHandler.html":{"name":"RedirectHandler","abstract":"\u003cp\u003eA type that handles how an HTTP redirect response from a remote server should be redirected to the new request.\u003c/p\u003e"},"Protocols/RequestAdapter.html":{"name":"RequestAdapter","abstract":"\u003cp\u003eA type that can inspect and optionally adapt a \u003ccode\u003eURLRequest\u003c/code\u003e in some manner if necessary.\u003c/p\u003e"},"Protocols/RequestRetrier.html":{"name":"RequestRetrier","abstract":"\u003cp\u003eA type that determines whether a request should be retried after being executed by the specified session manager"},"Protocols/DataResponseSerializerProtocol.html":{"name":"DataResponseSerializerProtocol","abstract":"\u003cp\u003eThe type to which all data response serializers must conform in order to serialize a response.\u003c/p\u003e"},"Protocols/DownloadResponseSerializerProtocol.html":{"name":"DownloadResponseSerializerProtocol","abstract":"\u003cp\u003eThe type to which all download response serializers must conform in order to serialize a response.\u003c/p\u003e"},"Protocols/ResponseSerializer.html":{"name":"ResponseSerializer","abstract":"\u003cp\u003eA serializer that can handle both data and download responses.\u003c/p\u003e"},"Protocols/DataPreprocessor.html":{"name":"DataPreprocessor","abstract":"\u003cp\u003eType used to preprocess \u003ccode\u003eData\u003c/code\u003e before it handled by a serializer.\u003c/p\u003e"},"Protocols/EmptyResponse.html":{"name":"EmptyResponse","abstract":"\u003cp\u003eProtocol representing an empty response. Use \u003ccode\u003eT.emptyValue()\u003c/code\u003e to get an instance.\u003c/p\u003e"},"Protocols/DataDecoder.html":{"name":"DataDecoder","abstract":"\u003cp\u003eAny type which can decode \u003ccode\u003eData\u003c/code\u003e into a \u003ccode\u003eDecodable\u003c/code\u003e type.\u003c/p\u003e"},"Protocols/ServerTrustEvaluating.html":{"name":"ServerTrustEvaluating","abstract":"\u003cp\u003eA protocol describing the API used to evaluate server trusts.\u003c/p\u003e"},"Extensions/CharacterSet.html#/s:10Foundation12CharacterSetV9AlamofireE17afURLQueryAllowedACvpZ":{"name":"afURLQueryAllowed","abstract":"\u003cp\u003eCreates a CharacterSet from RFC 3986 allowed characters.\u003c/p\u003e","parent_name":"CharacterSet"},"Extensions/%5BServerTrustEvaluating%5D.html#/s:Sa9AlamofireAA21ServerTrustEvaluating_pRszlE8evaluate_7forHostySo03SecC3Refa_SStKF":{"name":"evaluate(_:forHost:)","abstract":"\u003cp\u003eEvaluates the given \u003ccode\u003eSecTrust\u003c/code\u003e value for the given \u003ccode\u003ehost\u003c/code\u003e.\u003c/p\u003e","parent_name":"[ServerTrustEvaluating]"},"Extensions/URLComponents.html#/s:10Foundation13URLComponentsV9AlamofireE5asURLAA0E0VyKF":{"name":"asURL()","abstract":"\u003cp\u003eReturns a \u003ccode\u003eURL\u003c/code\u003e if the \u003ccode\u003eself\u003c/code\u003e\u0026lsquo;s \u003ccode\u003eurl\u003c/code\u003e is not nil, otherwise throws.\u003c/p\u003e","parent_name":"URLComponents"},"Extensions/URL.html#/s:10Foundation3URLV9AlamofireE02asB0ACyKF":{"name":"asURL()","abstract":"\u003cp\u003eReturns \u003ccode\u003eself\u003c/code\u003e.\u003c/p\u003e","parent_name":"URL"},"Extensions/String.html#/s:SS9AlamofireE5asURL10Foundation0C0VyKF":{"name":"asURL()","abstract":"\u003cp\u003eReturns a \u003ccode\u003eURL\u003c/code\u003e if \u003ccode\u003eself\u003c/code\u003e can be used to initialize a \u003ccode\u003eURL\u003c/code\u003e instance, otherwise throws.\u003c/p\u003e","parent_name":"String"},"Extensions/Notification.html#/s:10Foundation12NotificationV9AlamofireE7requestAD7RequestCSgvp":{"name":"request","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e contained by the instance\u0026rsquo;s \u003ccode\u003euserInfo\u003c/code\u003e, \u003ccode\u003enil\u003c/code\u003e otherwise.\u003c/p\u003e","parent_name":"Notification"},"Extensions/URLSessionConfiguration.html#/s:So25NSURLSessionConfigurationC9AlamofireE7headersAC11HTTPHeadersVvp":{"name":"headers","abstract":"\u003cp\u003eReturns \u003ccode\u003ehttpAdditionalHeaders\u003c/code\u003e as \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/HTTPHeaders.html\"\u003eHTTPHeaders\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"URLSessionConfiguration"},"Extensions/HTTPURLResponse.html#/s:So17NSHTTPURLResponseC9AlamofireE7headersAC11HTTPHeadersVvp":{"name":"headers","abstract":"\u003cp\u003eReturns \u003ccode\u003eallHeaderFields\u003c/code\u003e as \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/HTTPHeaders.html\"\u003eHTTPHeaders\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"HTTPURLResponse"},"Extensions/URLRequest.html#/s:10Foundation10URLRequestV9AlamofireE7headersAD11HTTPHeadersVvp":{"name":"headers","abstract":"\u003cp\u003eReturns \u003ccode\u003eallHTTPHeaderFields\u003c/code\u003e as \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/HTTPHeaders.html\"\u003eHTTPHeaders\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"URLRequest"},"Extensions/URLRequest.html#/s:10Foundation10URLRequestV9AlamofireE02asB0ACyKF":{"name":"asURLRequest()","abstract":"\u003cp\u003eReturns \u003ccode\u003eself\u003c/code\u003e.\u003c/p\u003e","parent_name":"URLRequest"},"Extensions/URLRequest.html#/s:10Foundation10URLRequestV9AlamofireE3url6method7headersAcD14URLConvertible_p_AD10HTTPMethodVAD11HTTPHeadersVSgtKcfc":{"name":"init(url:method:headers:)","abstract":"\u003cp\u003eCreates an instance with the specified \u003ccode\u003eurl\u003c/code\u003e, \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbExtensions/URLRequest.html#/s:10Foundation10URLRequestV9AlamofireE6methodAD10HTTPMethodVSgvp\"\u003emethod\u003c/a\u003e\u003c/code\u003e, and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbExtensions/URLRequest.html#/s:10Foundation10URLRequestV9AlamofireE7headersAD11HTTPHeadersVvp\"\u003eheaders\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"URLRequest"},"Extensions/URLRequest.html#/s:10Foundation10URLRequestV9AlamofireE6methodAD10HTTPMethodVSgvp":{"name":"method","abstract":"\u003cp\u003eReturns the \u003ccode\u003ehttpMethod\u003c/code\u003e as Alamofire\u0026rsquo;s \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/HTTPMethod.html\"\u003eHTTPMethod\u003c/a\u003e\u003c/code\u003e type.\u003c/p\u003e","parent_name":"URLRequest"},"Extensions/URLRequest.html#/s:10Foundation10URLRequestV9AlamofireE8validateyyKF":{"name":"validate()","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"URLRequest"},"Extensions/Error.html#/s:s5ErrorP9AlamofireE9asAFErrorAC0D0OSgvp":{"name":"asAFError","abstract":"\u003cp\u003eReturns the instance cast as an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html\"\u003eAFError\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Error"},"Extensions/Error.html#/s:s5ErrorP9AlamofireE9asAFError10orFailWith4file4lineAC0D0OSSyXK_s12StaticStringVSutF":{"name":"asAFError(orFailWith:file:line:)","abstract":"\u003cp\u003eReturns the instance cast as an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html\"\u003eAFError\u003c/a\u003e\u003c/code\u003e. If casting fails, a \u003ccode\u003efatalError\u003c/code\u003e with the specified \u003ccode\u003emessage\u003c/code\u003e is thrown.\u003c/p\u003e","parent_name":"Error"},"Extensions/Error.html":{"name":"Error"},"Extensions/URLRequest.html":{"name":"URLRequest"},"Extensions/HTTPURLResponse.html":{"name":"HTTPURLResponse"},"Extensions/URLSessionConfiguration.html":{"name":"URLSessionConfiguration"},"Extensions/Notification.html":{"name":"Notification"},"Extensions/String.html":{"name":"String"},"Extensions/URL.html":{"name":"URL"},"Extensions/URLComponents.html":{"name":"URLComponents"},"Extensions.html#/s:10Foundation11JSONDecoderC":{"name":"JSONDecoder","abstract":"\u003cp\u003e\u003ccode\u003eJSONDecoder\u003c/code\u003e automatically conforms to \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataDecoder.html\"\u003eDataDecoder\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e"},"Extensions.html#/s:10Foundation19PropertyListDecoderC":{"name":"PropertyListDecoder","abstract":"\u003cp\u003e\u003ccode\u003ePropertyListDecoder\u003c/code\u003e automatically conforms to \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataDecoder.html\"\u003eDataDecoder\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e"},"Extensions/%5BServerTrustEvaluating%5D.html":{"name":"[ServerTrustEvaluating]"},"Extensions.html#/c:objc(cs)NSBundle":{"name":"Bundle"},"Extensions.html#/c:@T@SecTrustRef":{"name":"SecTrust"},"Extensions.html#/c:@T@SecPolicyRef":{"name":"SecPolicy"},"Extensions.html#/s:Sa":{"name":"Array"},"Extensions.html#/c:@T@SecCertificateRef":{"name":"SecCertificate"},"Extensions.html#/c:@T@OSStatus":{"name":"OSStatus"},"Extensions.html#/c:@E@SecTrustResultType":{"name":"SecTrustResultType"},"Extensions/CharacterSet.html":{"name":"CharacterSet"},"Enums/RetryResult.html#/s:9Alamofire11RetryResultO5retryyA2CmF":{"name":"retry","abstract":"\u003cp\u003eRetry should be attempted immediately.\u003c/p\u003e","parent_name":"RetryResult"},"Enums/RetryResult.html#/s:9Alamofire11RetryResultO14retryWithDelayyACSdcACmF":{"name":"retryWithDelay(_:)","abstract":"\u003cp\u003eRetry should be attempted after the associated \u003ccode\u003eTimeInterval\u003c/code\u003e.\u003c/p\u003e","parent_name":"RetryResult"},"Enums/RetryResult.html#/s:9Alamofire11RetryResultO05doNotB0yA2CmF":{"name":"doNotRetry","abstract":"\u003cp\u003eDo not retry.\u003c/p\u003e","parent_name":"RetryResult"},"Enums/RetryResult.html#/s:9Alamofire11RetryResultO05doNotB9WithErroryACs0G0_pcACmF":{"name":"doNotRetryWithError(_:)","abstract":"\u003cp\u003eDo not retry due to the associated \u003ccode\u003eError\u003c/code\u003e.\u003c/p\u003e","parent_name":"RetryResult"},"Enums/AuthenticationError.html#/s:9Alamofire19AuthenticationErrorO17missingCredentialyA2CmF":{"name":"missingCredential","abstract":"\u003cp\u003eThe credential was missing so the request could not be authenticated.\u003c/p\u003e","parent_name":"AuthenticationError"},"Enums/AuthenticationError.html#/s:9Alamofire19AuthenticationErrorO16excessiveRefreshyA2CmF":{"name":"excessiveRefresh","abstract":"\u003cp\u003eThe credential was refreshed too many times within the \u003ccode\u003eRefreshWindow\u003c/code\u003e.\u003c/p\u003e","parent_name":"AuthenticationError"},"Enums/AFError/URLRequestValidationFailureReason.html#/s:9Alamofire7AFErrorO33URLRequestValidationFailureReasonO20bodyDataInGETRequestyAE10Foundation0H0VcAEmF":{"name":"bodyDataInGETRequest(_:)","abstract":"\u003cp\u003eURLRequest with GET method had body data.\u003c/p\u003e","parent_name":"URLRequestValidationFailureReason"},"Enums/AFError/ServerTrustFailureReason/Output.html#/s:9Alamofire7AFErrorO24ServerTrustFailureReasonO6OutputV4hostSSvp":{"name":"host","abstract":"\u003cp\u003eThe host for which the evaluation was performed.\u003c/p\u003e","parent_name":"Output"},"Enums/AFError/ServerTrustFailureReason/Output.html#/s:9Alamofire7AFErrorO24ServerTrustFailureReasonO6OutputV5trustSo03SecD3Refavp":{"name":"trust","abstract":"\u003cp\u003eThe \u003ccode\u003eSecTrust\u003c/code\u003e value which was evaluated.\u003c/p\u003e","parent_name":"Output"},"Enums/AFError/ServerTrustFailureReason/Output.html#/s:9Alamofire7AFErrorO24ServerTrustFailureReasonO6OutputV6statuss5Int32Vvp":{"name":"status","abstract":"\u003cp\u003eThe \u003ccode\u003eOSStatus\u003c/code\u003e of evaluation operation.\u003c/p\u003e","parent_name":"Output"},"Enums/AFError/ServerTrustFailureReason/Output.html#/s:9Alamofire7AFErrorO24ServerTrustFailureReasonO6OutputV6resultSo03SecD10ResultTypeVvp":{"name":"result","abstract":"\u003cp\u003eThe result of the evaluation operation.\u003c/p\u003e","parent_name":"Output"},"Enums/AFError/ServerTrustFailureReason/Output.html":{"name":"Output","abstract":"\u003cp\u003eThe output of a server trust evaluation.\u003c/p\u003e","parent_name":"ServerTrustFailureReason"},"Enums/AFError/ServerTrustFailureReason.html#/s:9Alamofire7AFErrorO24ServerTrustFailureReasonO19noRequiredEvaluatoryAESS_tcAEmF":{"name":"noRequiredEvaluator(host:)","abstract":"\u003cp\u003eNo \u003ccode\u003eServerTrustEvaluator\u003c/code\u003e was found for the associated host.\u003c/p\u003e","parent_name":"ServerTrustFailureReason"},"Enums/AFError/ServerTrustFailureReason.html#/s:9Alamofire7AFErrorO24ServerTrustFailureReasonO19noCertificatesFoundyA2EmF":{"name":"noCertificatesFound","abstract":"\u003cp\u003eNo certificates were found with which to perform the trust evaluation.\u003c/p\u003e","parent_name":"ServerTrustFailureReason"},"Enums/AFError/ServerTrustFailureReason.html#/s:9Alamofire7AFErrorO24ServerTrustFailureReasonO17noPublicKeysFoundyA2EmF":{"name":"noPublicKeysFound","abstract":"\u003cp\u003eNo public keys were found with which to perform the trust evaluation.\u003c/p\u003e","parent_name":"ServerTrustFailureReason"},"Enums/AFError/ServerTrustFailureReason.html#/s:9Alamofire7AFErrorO24ServerTrustFailureReasonO23policyApplicationFailedyAESo03SecD3Refa_So0j6PolicyK0as5Int32VtcAEmF":{"name":"policyApplicationFailed(trust:policy:status:)","abstract":"\u003cp\u003eDuring evaluation, application of the associated \u003ccode\u003eSecPolicy\u003c/code\u003e failed.\u003c/p\u003e","parent_name":"ServerTrustFailureReason"},"Enums/AFError/ServerTrustFailureReason.html#/s:9Alamofire7AFErrorO24ServerTrustFailureReasonO31settingAnchorCertificatesFailedyAEs5Int32V_SaySo17SecCertificateRefaGtcAEmF":{"name":"settingAnchorCertificatesFailed(status:certificates:)","abstract":"\u003cp\u003eDuring evaluation, setting the associated anchor certificates failed.\u003c/p\u003e","parent_name":"ServerTrustFailureReason"},"Enums/AFError/ServerTrustFailureReason.html#/s:9Alamofire7AFErrorO24ServerTrustFailureReasonO30revocationPolicyCreationFailedyA2EmF":{"name":"revocationPolicyCreationFailed","abstract":"\u003cp\u003eDuring evaluation, creation of the revocation policy failed.\u003c/p\u003e","parent_name":"ServerTrustFailureReason"},"Enums/AFError/ServerTrustFailureReason.html#/s:9Alamofire7AFErrorO24ServerTrustFailureReasonO21trustEvaluationFailedyAEs5Error_pSg_tcAEmF":{"name":"trustEvaluationFailed(error:)","abstract":"\u003cp\u003e\u003ccode\u003eSecTrust\u003c/code\u003e evaluation failed with the associated \u003ccode\u003eError\u003c/code\u003e, if one was produced.\u003c/p\u003e","parent_name":"ServerTrustFailureReason"},"Enums/AFError/ServerTrustFailureReason.html#/s:9Alamofire7AFErrorO24ServerTrustFailureReasonO23defaultEvaluationFailedyA2E6OutputV_tcAEmF":{"name":"defaultEvaluationFailed(output:)","abstract":"\u003cp\u003eDefault evaluation failed with the associated \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError/ServerTrustFailureReason/Output.html\"\u003eOutput\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"ServerTrustFailureReason"},"Enums/AFError/ServerTrustFailureReason.html#/s:9Alamofire7AFErrorO24ServerTrustFailureReasonO20hostValidationFailedyA2E6OutputV_tcAEmF":{"name":"hostValidationFailed(output:)","abstract":"\u003cp\u003eHost validation failed with the associated \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError/ServerTrustFailureReason/Output.html\"\u003eOutput\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"ServerTrustFailureReason"},"Enums/AFError/ServerTrustFailureReason.html#/s:9Alamofire7AFErrorO24ServerTrustFailureReasonO21revocationCheckFailedyA2E6OutputV_AA010RevocationD9EvaluatorC7OptionsVtcAEmF":{"name":"revocationCheckFailed(output:options:)","abstract":"\u003cp\u003eRevocation check failed with the associated \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError/ServerTrustFailureReason/Output.html\"\u003eOutput\u003c/a\u003e\u003c/code\u003e and options.\u003c/p\u003e","parent_name":"ServerTrustFailureReason"},"Enums/AFError/ServerTrustFailureReason.html#/s:9Alamofire7AFErrorO24ServerTrustFailureReasonO24certificatePinningFailedyAESS_So03SecD3RefaSaySo0j11CertificateK0aGAKtcAEmF":{"name":"certificatePinningFailed(host:trust:pinnedCertificates:serverCertificates:)","abstract":"\u003cp\u003eCertificate pinning failed.\u003c/p\u003e","parent_name":"ServerTrustFailureReason"},"Enums/AFError/ServerTrustFailureReason.html#/s:9Alamofire7AFErrorO24ServerTrustFailureReasonO22publicKeyPinningFailedyAESS_So03SecD3RefaSaySo0khL0aGAKtcAEmF":{"name":"publicKeyPinningFailed(host:trust:pinnedKeys:serverKeys:)","abstract":"\u003cp\u003ePublic key pinning failed.\u003c/p\u003e","parent_name":"ServerTrustFailureReason"},"Enums/AFError/ServerTrustFailureReason.html#/s:9Alamofire7AFErrorO24ServerTrustFailureReasonO22customEvaluationFailedyAEs5Error_p_tcAEmF":{"name":"customEvaluationFailed(error:)","abstract":"\u003cp\u003eCustom server trust evaluation failed due to the associated \u003ccode\u003eError\u003c/code\u003e.\u003c/p\u003e","parent_name":"ServerTrustFailureReason"},"Enums/AFError/ResponseSerializationFailureReason.html#/s:9Alamofire7AFErrorO34ResponseSerializationFailureReasonO24inputDataNilOrZeroLengthyA2EmF":{"name":"inputDataNilOrZeroLength","abstract":"\u003cp\u003eThe server response contained no data or the data was zero length.\u003c/p\u003e","parent_name":"ResponseSerializationFailureReason"},"Enums/AFError/ResponseSerializationFailureReason.html#/s:9Alamofire7AFErrorO34ResponseSerializationFailureReasonO12inputFileNilyA2EmF":{"name":"inputFileNil","abstract":"\u003cp\u003eThe file containing the server response did not exist.\u003c/p\u003e","parent_name":"ResponseSerializationFailureReason"},"Enums/AFError/ResponseSerializationFailureReason.html#/s:9Alamofire7AFErrorO34ResponseSerializationFailureReasonO19inputFileReadFailedyAE10Foundation3URLV_tcAEmF":{"name":"inputFileReadFailed(at:)","abstract":"\u003cp\u003eThe file containing the server response could not be read from the associated \u003ccode\u003eURL\u003c/code\u003e.\u003c/p\u003e","parent_name":"ResponseSerializationFailureReason"},"Enums/AFError/ResponseSerializationFailureReason.html#/s:9Alamofire7AFErrorO34ResponseSerializationFailureReasonO06stringD6FailedyAESS10FoundationE8EncodingV_tcAEmF":{"name":"stringSerializationFailed(encoding:)","abstract":"\u003cp\u003eString serialization failed using the provided \u003ccode\u003eString.Encoding\u003c/code\u003e.\u003c/p\u003e","parent_name":"ResponseSerializationFailureReason"},"Enums/AFError/ResponseSerializationFailureReason.html#/s:9Alamofire7AFErrorO34ResponseSerializationFailureReasonO04jsonD6FailedyAEs5Error_p_tcAEmF":{"name":"jsonSerializationFailed(error:)","abstract":"\u003cp\u003eJSON serialization failed with an underlying system error.\u003c/p\u003e","parent_name":"ResponseSerializationFailureReason"},"Enums/AFError/ResponseSerializationFailureReason.html#/s:9Alamofire7AFErrorO34ResponseSerializationFailureReasonO14decodingFailedyAEs5Error_p_tcAEmF":{"name":"decodingFailed(error:)","abstract":"\u003cp\u003eA \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataDecoder.html\"\u003eDataDecoder\u003c/a\u003e\u003c/code\u003e failed to decode the response due to the associated \u003ccode\u003eError\u003c/code\u003e.\u003c/p\u003e","parent_name":"ResponseSerializationFailureReason"},"Enums/AFError/ResponseSerializationFailureReason.html#/s:9Alamofire7AFErrorO34ResponseSerializationFailureReasonO06customD6FailedyAEs5Error_p_tcAEmF":{"name":"customSerializationFailed(error:)","abstract":"\u003cp\u003eA custom response serializer failed due to the associated \u003ccode\u003eError\u003c/code\u003e.\u003c/p\u003e","parent_name":"ResponseSerializationFailureReason"},"Enums/AFError/ResponseSerializationFailureReason.html#/s:9Alamofire7AFErrorO34ResponseSerializationFailureReasonO012invalidEmptyC0yAESS_tcAEmF":{"name":"invalidEmptyResponse(type:)","abstract":"\u003cp\u003eGeneric serialization failed for an empty response that wasn\u0026rsquo;t type \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/Empty.html\"\u003eEmpty\u003c/a\u003e\u003c/code\u003e but instead the associated type.\u003c/p\u003e","parent_name":"ResponseSerializationFailureReason"},"Enums/AFError/ResponseValidationFailureReason.html#/s:9Alamofire7AFErrorO31ResponseValidationFailureReasonO11dataFileNilyA2EmF":{"name":"dataFileNil","abstract":"\u003cp\u003eThe data file containing the server response did not exist.\u003c/p\u003e","parent_name":"ResponseValidationFailureReason"},"Enums/AFError/ResponseValidationFailureReason.html#/s:9Alamofire7AFErrorO31ResponseValidationFailureReasonO18dataFileReadFailedyAE10Foundation3URLV_tcAEmF":{"name":"dataFileReadFailed(at:)","abstract":"\u003cp\u003eThe data file containing the server response at the associated \u003ccode\u003eURL\u003c/code\u003e could not be read.\u003c/p\u003e","parent_name":"ResponseValidationFailureReason"},"Enums/AFError/ResponseValidationFailureReason.html#/s:9Alamofire7AFErrorO31ResponseValidationFailureReasonO18missingContentTypeyAESaySSG_tcAEmF":{"name":"missingContentType(acceptableContentTypes:)","abstract":"\u003cp\u003eThe response did not contain a \u003ccode\u003eContent-Type\u003c/code\u003e and the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html#/s:9Alamofire7AFErrorO22acceptableContentTypesSaySSGSgvp\"\u003eacceptableContentTypes\u003c/a\u003e\u003c/code\u003e provided did not contain a","parent_name":"ResponseValidationFailureReason"},"Enums/AFError/ResponseValidationFailureReason.html#/s:9Alamofire7AFErrorO31ResponseValidationFailureReasonO23unacceptableContentTypeyAESaySSG_SStcAEmF":{"name":"unacceptableContentType(acceptableContentTypes:responseContentType:)","abstract":"\u003cp\u003eThe response \u003ccode\u003eContent-Type\u003c/code\u003e did not match any type in the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html#/s:9Alamofire7AFErrorO22acceptableContentTypesSaySSGSgvp\"\u003eacceptableContentTypes\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"ResponseValidationFailureReason"},"Enums/AFError/ResponseValidationFailureReason.html#/s:9Alamofire7AFErrorO31ResponseValidationFailureReasonO22unacceptableStatusCodeyAESi_tcAEmF":{"name":"unacceptableStatusCode(code:)","abstract":"\u003cp\u003eThe response status code was not acceptable.\u003c/p\u003e","parent_name":"ResponseValidationFailureReason"},"Enums/AFError/ResponseValidationFailureReason.html#/s:9Alamofire7AFErrorO31ResponseValidationFailureReasonO06customD6FailedyAEs5Error_p_tcAEmF":{"name":"customValidationFailed(error:)","abstract":"\u003cp\u003eCustom response validation failed due to the associated \u003ccode\u003eError\u003c/code\u003e.\u003c/p\u003e","parent_name":"ResponseValidationFailureReason"},"Enums/AFError/ParameterEncoderFailureReason/RequiredComponent.html#/s:9Alamofire7AFErrorO29ParameterEncoderFailureReasonO17RequiredComponentO3urlyA2GmF":{"name":"url","abstract":"\u003cp\u003eThe \u003ccode\u003eURL\u003c/code\u003e was missing or unable to be extracted from the passed \u003ccode\u003eURLRequest\u003c/code\u003e or during encoding.\u003c/p\u003e","parent_name":"RequiredComponent"},"Enums/AFError/ParameterEncoderFailureReason/RequiredComponent.html#/s:9Alamofire7AFErrorO29ParameterEncoderFailureReasonO17RequiredComponentO10httpMethodyAGSS_tcAGmF":{"name":"httpMethod(rawValue:)","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/HTTPMethod.html\"\u003eHTTPMethod\u003c/a\u003e\u003c/code\u003e could not be extracted from the passed \u003ccode\u003eURLRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"RequiredComponent"},"Enums/AFError/ParameterEncoderFailureReason/RequiredComponent.html":{"name":"RequiredComponent","abstract":"\u003cp\u003ePossible missing components.\u003c/p\u003e","parent_name":"ParameterEncoderFailureReason"},"Enums/AFError/ParameterEncoderFailureReason.html#/s:9Alamofire7AFErrorO29ParameterEncoderFailureReasonO24missingRequiredComponentyA2E0hI0OcAEmF":{"name":"missingRequiredComponent(_:)","abstract":"\u003cp\u003eA \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError/ParameterEncoderFailureReason/RequiredComponent.html\"\u003eRequiredComponent\u003c/a\u003e\u003c/code\u003e was missing during encoding.\u003c/p\u003e","parent_name":"ParameterEncoderFailureReason"},"Enums/AFError/ParameterEncoderFailureReason.html#/s:9Alamofire7AFErrorO29ParameterEncoderFailureReasonO13encoderFailedyAEs5Error_p_tcAEmF":{"name":"encoderFailed(error:)","abstract":"\u003cp\u003eThe underlying encoder failed with the associated error.\u003c/p\u003e","parent_name":"ParameterEncoderFailureReason"},"Enums/AFError/ParameterEncodingFailureReason.html#/s:9Alamofire7AFErrorO30ParameterEncodingFailureReasonO10missingURLyA2EmF":{"name":"missingURL","abstract":"\u003cp\u003eThe \u003ccode\u003eURLRequest\u003c/code\u003e did not have a \u003ccode\u003eURL\u003c/code\u003e to encode.\u003c/p\u003e","parent_name":"ParameterEncodingFailureReason"},"Enums/AFError/ParameterEncodingFailureReason.html#/s:9Alamofire7AFErrorO30ParameterEncodingFailureReasonO04jsonD6FailedyAEs5Error_p_tcAEmF":{"name":"jsonEncodingFailed(error:)","abstract":"\u003cp\u003eJSON serialization failed with an underlying system error during the encoding process.\u003c/p\u003e","parent_name":"ParameterEncodingFailureReason"},"Enums/AFError/ParameterEncodingFailureReason.html#/s:9Alamofire7AFErrorO30ParameterEncodingFailureReasonO06customD6FailedyAEs5Error_p_tcAEmF":{"name":"customEncodingFailed(error:)","abstract":"\u003cp\u003eCustom parameter encoding failed due to the associated \u003ccode\u003eError\u003c/code\u003e.\u003c/p\u003e","parent_name":"ParameterEncodingFailureReason"},"Enums/AFError/UnexpectedInputStreamLength.html#/s:9Alamofire7AFErrorO27UnexpectedInputStreamLengthV13bytesExpecteds6UInt64Vvp":{"name":"bytesExpected","abstract":"\u003cp\u003eThe expected byte count to read.\u003c/p\u003e","parent_name":"UnexpectedInputStreamLength"},"Enums/AFError/UnexpectedInputStreamLength.html#/s:9Alamofire7AFErrorO27UnexpectedInputStreamLengthV9bytesReads6UInt64Vvp":{"name":"bytesRead","abstract":"\u003cp\u003eThe actual byte count read.\u003c/p\u003e","parent_name":"UnexpectedInputStreamLength"},"Enums/AFError/MultipartEncodingFailureReason.html#/s:9Alamofire7AFErrorO30MultipartEncodingFailureReasonO18bodyPartURLInvalidyAE10Foundation3URLV_tcAEmF":{"name":"bodyPartURLInvalid(url:)","abstract":"\u003cp\u003eThe \u003ccode\u003efileURL\u003c/code\u003e provided for reading an encodable body part isn\u0026rsquo;t a file \u003ccode\u003eURL\u003c/code\u003e.\u003c/p\u003e","parent_name":"MultipartEncodingFailureReason"},"Enums/AFError/MultipartEncodingFailureReason.html#/s:9Alamofire7AFErrorO30MultipartEncodingFailureReasonO23bodyPartFilenameInvalidyAE10Foundation3URLV_tcAEmF":{"name":"bodyPartFilenameInvalid(in:)","abstract":"\u003cp\u003eThe filename of the \u003ccode\u003efileURL\u003c/code\u003e provided has either an empty \u003ccode\u003elastPathComponent\u003c/code\u003e or \u003ccode\u003epathExtension\u003c/code\u003e.\u003c/p\u003e","parent_name":"MultipartEncodingFailureReason"},"Enums/AFError/MultipartEncodingFailureReason.html#/s:9Alamofire7AFErrorO30MultipartEncodingFailureReasonO24bodyPartFileNotReachableyAE10Foundation3URLV_tcAEmF":{"name":"bodyPartFileNotReachable(at:)","abstract":"\u003cp\u003eThe file at the \u003ccode\u003efileURL\u003c/code\u003e provided was not reachable.\u003c/p\u003e","parent_name":"MultipartEncodingFailureReason"},"Enums/AFError/MultipartEncodingFailureReason.html#/s:9Alamofire7AFErrorO30MultipartEncodingFailureReasonO33bodyPartFileNotReachableWithErroryAE10Foundation3URLV_s0M0_ptcAEmF":{"name":"bodyPartFileNotReachableWithError(atURL:error:)","abstract":"\u003cp\u003eAttempting to check the reachability of the \u003ccode\u003efileURL\u003c/code\u003e provided threw an error.\u003c/p\u003e","parent_name":"MultipartEncodingFailureReason"},"Enums/AFError/MultipartEncodingFailureReason.html#/s:9Alamofire7AFErrorO30MultipartEncodingFailureReasonO23bodyPartFileIsDirectoryyAE10Foundation3URLV_tcAEmF":{"name":"bodyPartFileIsDirectory(at:)","abstract":"\u003cp\u003eThe file at the \u003ccode\u003efileURL\u003c/code\u003e provided is actually a directory.\u003c/p\u003e","parent_name":"MultipartEncodingFailureReason"},"Enums/AFError/MultipartEncodingFailureReason.html#/s:9Alamofire7AFErrorO30MultipartEncodingFailureReasonO28bodyPartFileSizeNotAvailableyAE10Foundation3URLV_tcAEmF":{"name":"bodyPartFileSizeNotAvailable(at:)","abstract":"\u003cp\u003eThe size of the file at the \u003ccode\u003efileURL\u003c/code\u003e provided was not returned by the system.\u003c/p\u003e","parent_name":"MultipartEncodingFailureReason"},"Enums/AFError/MultipartEncodingFailureReason.html#/s:9Alamofire7AFErrorO30MultipartEncodingFailureReasonO36bodyPartFileSizeQueryFailedWithErroryAE10Foundation3URLV_s0N0_ptcAEmF":{"name":"bodyPartFileSizeQueryFailedWithError(forURL:error:)","abstract":"\u003cp\u003eThe attempt to find the size of the file at the \u003ccode\u003efileURL\u003c/code\u003e provided threw an error.\u003c/p\u003e","parent_name":"MultipartEncodingFailureReason"},"Enums/AFError/MultipartEncodingFailureReason.html#/s:9Alamofire7AFErrorO30MultipartEncodingFailureReasonO33bodyPartInputStreamCreationFailedyAE10Foundation3URLV_tcAEmF":{"name":"bodyPartInputStreamCreationFailed(for:)","abstract":"\u003cp\u003eAn \u003ccode\u003eInputStream\u003c/code\u003e could not be created for the provided \u003ccode\u003efileURL\u003c/code\u003e.\u003c/p\u003e","parent_name":"MultipartEncodingFailureReason"},"Enums/AFError/MultipartEncodingFailureReason.html#/s:9Alamofire7AFErrorO30MultipartEncodingFailureReasonO26outputStreamCreationFailedyAE10Foundation3URLV_tcAEmF":{"name":"outputStreamCreationFailed(for:)","abstract":"\u003cp\u003eAn \u003ccode\u003eOutputStream\u003c/code\u003e could not be created when attempting to write the encoded data to disk.\u003c/p\u003e","parent_name":"MultipartEncodingFailureReason"},"Enums/AFError/MultipartEncodingFailureReason.html#/s:9Alamofire7AFErrorO30MultipartEncodingFailureReasonO29outputStreamFileAlreadyExistsyAE10Foundation3URLV_tcAEmF":{"name":"outputStreamFileAlreadyExists(at:)","abstract":"\u003cp\u003eThe encoded body data could not be written to disk because a file already exists at the provided \u003ccode\u003efileURL\u003c/code\u003e.\u003c/p\u003e","parent_name":"MultipartEncodingFailureReason"},"Enums/AFError/MultipartEncodingFailureReason.html#/s:9Alamofire7AFErrorO30MultipartEncodingFailureReasonO22outputStreamURLInvalidyAE10Foundation3URLV_tcAEmF":{"name":"outputStreamURLInvalid(url:)","abstract":"\u003cp\u003eThe \u003ccode\u003efileURL\u003c/code\u003e provided for writing the encoded body data to disk is not a file \u003ccode\u003eURL\u003c/code\u003e.\u003c/p\u003e","parent_name":"MultipartEncodingFailureReason"},"Enums/AFError/MultipartEncodingFailureReason.html#/s:9Alamofire7AFErrorO30MultipartEncodingFailureReasonO23outputStreamWriteFailedyAEs5Error_p_tcAEmF":{"name":"outputStreamWriteFailed(error:)","abstract":"\u003cp\u003eThe attempt to write the encoded body data to disk failed with an underlying error.\u003c/p\u003e","parent_name":"MultipartEncodingFailureReason"},"Enums/AFError/MultipartEncodingFailureReason.html#/s:9Alamofire7AFErrorO30MultipartEncodingFailureReasonO21inputStreamReadFailedyAEs5Error_p_tcAEmF":{"name":"inputStreamReadFailed(error:)","abstract":"\u003cp\u003eThe attempt to read an encoded body part \u003ccode\u003eInputStream\u003c/code\u003e failed with underlying system error.\u003c/p\u003e","parent_name":"MultipartEncodingFailureReason"},"Enums/AFError/MultipartEncodingFailureReason.html":{"name":"MultipartEncodingFailureReason","abstract":"\u003cp\u003eThe underlying reason the \u003ccode\u003e.multipartEncodingFailed\u003c/code\u003e error occurred.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError/UnexpectedInputStreamLength.html":{"name":"UnexpectedInputStreamLength","abstract":"\u003cp\u003eRepresents unexpected input stream length that occur when encoding the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/MultipartFormData.html\"\u003eMultipartFormData\u003c/a\u003e\u003c/code\u003e. Instances will be","parent_name":"AFError"},"Enums/AFError/ParameterEncodingFailureReason.html":{"name":"ParameterEncodingFailureReason","abstract":"\u003cp\u003eThe underlying reason the \u003ccode\u003e.parameterEncodingFailed\u003c/code\u003e error occurred.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError/ParameterEncoderFailureReason.html":{"name":"ParameterEncoderFailureReason","abstract":"\u003cp\u003eThe underlying reason the \u003ccode\u003e.parameterEncoderFailed\u003c/code\u003e error occurred.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError/ResponseValidationFailureReason.html":{"name":"ResponseValidationFailureReason","abstract":"\u003cp\u003eThe underlying reason the \u003ccode\u003e.responseValidationFailed\u003c/code\u003e error occurred.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError/ResponseSerializationFailureReason.html":{"name":"ResponseSerializationFailureReason","abstract":"\u003cp\u003eThe underlying reason the response serialization error occurred.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError/ServerTrustFailureReason.html":{"name":"ServerTrustFailureReason","abstract":"\u003cp\u003eUnderlying reason a server trust evaluation error occurred.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError/URLRequestValidationFailureReason.html":{"name":"URLRequestValidationFailureReason","abstract":"\u003cp\u003eThe underlying reason the \u003ccode\u003e.urlRequestValidationFailed\u003c/code\u003e error occurred.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO22createUploadableFailedyACs5Error_p_tcACmF":{"name":"createUploadableFailed(error:)","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/UploadableConvertible.html\"\u003eUploadableConvertible\u003c/a\u003e\u003c/code\u003e threw an error in \u003ccode\u003ecreateUploadable()\u003c/code\u003e.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO22createURLRequestFailedyACs5Error_p_tcACmF":{"name":"createURLRequestFailed(error:)","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/URLRequestConvertible.html\"\u003eURLRequestConvertible\u003c/a\u003e\u003c/code\u003e threw an error in \u003ccode\u003easURLRequest()\u003c/code\u003e.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO24downloadedFileMoveFailedyACs5Error_p_10Foundation3URLVAHtcACmF":{"name":"downloadedFileMoveFailed(error:source:destination:)","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/SessionDelegate.html\"\u003eSessionDelegate\u003c/a\u003e\u003c/code\u003e threw an error while attempting to move downloaded file to destination URL.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO19explicitlyCancelledyA2CmF":{"name":"explicitlyCancelled","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e was explicitly cancelled.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO10invalidURLyAcA14URLConvertible_p_tcACmF":{"name":"invalidURL(url:)","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/URLConvertible.html\"\u003eURLConvertible\u003c/a\u003e\u003c/code\u003e type failed to create a valid \u003ccode\u003eURL\u003c/code\u003e.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO23multipartEncodingFailedyA2C09MultipartD13FailureReasonO_tcACmF":{"name":"multipartEncodingFailed(reason:)","abstract":"\u003cp\u003eMultipart form encoding failed.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO23parameterEncodingFailedyA2C09ParameterD13FailureReasonO_tcACmF":{"name":"parameterEncodingFailed(reason:)","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ParameterEncoding.html\"\u003eParameterEncoding\u003c/a\u003e\u003c/code\u003e threw an error during the encoding process.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO22parameterEncoderFailedyA2C09ParameterD13FailureReasonO_tcACmF":{"name":"parameterEncoderFailed(reason:)","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ParameterEncoder.html\"\u003eParameterEncoder\u003c/a\u003e\u003c/code\u003e threw an error while running the encoder.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO23requestAdaptationFailedyACs5Error_p_tcACmF":{"name":"requestAdaptationFailed(error:)","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestAdapter.html\"\u003eRequestAdapter\u003c/a\u003e\u003c/code\u003e threw an error during adaptation.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO18requestRetryFailedyACs5Error_p_sAE_ptcACmF":{"name":"requestRetryFailed(retryError:originalError:)","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestRetrier.html\"\u003eRequestRetrier\u003c/a\u003e\u003c/code\u003e threw an error during the request retry process.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO24responseValidationFailedyA2C08ResponseD13FailureReasonO_tcACmF":{"name":"responseValidationFailed(reason:)","abstract":"\u003cp\u003eResponse validation failed.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO27responseSerializationFailedyA2C08ResponseD13FailureReasonO_tcACmF":{"name":"responseSerializationFailed(reason:)","abstract":"\u003cp\u003eResponse serialization failed.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO27serverTrustEvaluationFailedyA2C06ServerD13FailureReasonO_tcACmF":{"name":"serverTrustEvaluationFailed(reason:)","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ServerTrustEvaluating.html\"\u003eServerTrustEvaluating\u003c/a\u003e\u003c/code\u003e instance threw an error during trust evaluation.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO20sessionDeinitializedyA2CmF":{"name":"sessionDeinitialized","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Session.html\"\u003eSession\u003c/a\u003e\u003c/code\u003e which issued the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e was deinitialized, most likely because its reference went out of scope.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO18sessionInvalidatedyACs5Error_pSg_tcACmF":{"name":"sessionInvalidated(error:)","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Session.html\"\u003eSession\u003c/a\u003e\u003c/code\u003e was explicitly invalidated, possibly with the \u003ccode\u003eError\u003c/code\u003e produced by the underlying \u003ccode\u003eURLSession\u003c/code\u003e.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO17sessionTaskFailedyACs5Error_p_tcACmF":{"name":"sessionTaskFailed(error:)","abstract":"\u003cp\u003e\u003ccode\u003eURLSessionTask\u003c/code\u003e completed with error.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO26urlRequestValidationFailedyA2C010URLRequestE13FailureReasonO_tcACmF":{"name":"urlRequestValidationFailed(reason:)","abstract":"\u003cp\u003e\u003ccode\u003eURLRequest\u003c/code\u003e failed validation.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO27isSessionDeinitializedErrorSbvp":{"name":"isSessionDeinitializedError","abstract":"\u003cp\u003eReturns whether the instance is \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html#/s:9Alamofire7AFErrorO20sessionDeinitializedyA2CmF\"\u003e.sessionDeinitialized\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO25isSessionInvalidatedErrorSbvp":{"name":"isSessionInvalidatedError","abstract":"\u003cp\u003eReturns whether the instance is \u003ccode\u003e.sessionInvalidated\u003c/code\u003e.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO26isExplicitlyCancelledErrorSbvp":{"name":"isExplicitlyCancelledError","abstract":"\u003cp\u003eReturns whether the instance is \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html#/s:9Alamofire7AFErrorO19explicitlyCancelledyA2CmF\"\u003e.explicitlyCancelled\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO17isInvalidURLErrorSbvp":{"name":"isInvalidURLError","abstract":"\u003cp\u003eReturns whether the instance is \u003ccode\u003e.invalidURL\u003c/code\u003e.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO24isParameterEncodingErrorSbvp":{"name":"isParameterEncodingError","abstract":"\u003cp\u003eReturns whether the instance is \u003ccode\u003e.parameterEncodingFailed\u003c/code\u003e. When \u003ccode\u003etrue\u003c/code\u003e, the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html#/s:9Alamofire7AFErrorO15underlyingErrors0D0_pSgvp\"\u003eunderlyingError\u003c/a\u003e\u003c/code\u003e property will","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO23isParameterEncoderErrorSbvp":{"name":"isParameterEncoderError","abstract":"\u003cp\u003eReturns whether the instance is \u003ccode\u003e.parameterEncoderFailed\u003c/code\u003e. When \u003ccode\u003etrue\u003c/code\u003e, the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html#/s:9Alamofire7AFErrorO15underlyingErrors0D0_pSgvp\"\u003eunderlyingError\u003c/a\u003e\u003c/code\u003e property will","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO24isMultipartEncodingErrorSbvp":{"name":"isMultipartEncodingError","abstract":"\u003cp\u003eReturns whether the instance is \u003ccode\u003e.multipartEncodingFailed\u003c/code\u003e. When \u003ccode\u003etrue\u003c/code\u003e, the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html#/s:9Alamofire7AFErrorO3url10Foundation3URLVSgvp\"\u003eurl\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html#/s:9Alamofire7AFErrorO15underlyingErrors0D0_pSgvp\"\u003eunderlyingError\u003c/a\u003e\u003c/code\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO24isRequestAdaptationErrorSbvp":{"name":"isRequestAdaptationError","abstract":"\u003cp\u003eReturns whether the instance is \u003ccode\u003e.requestAdaptationFailed\u003c/code\u003e. When \u003ccode\u003etrue\u003c/code\u003e, the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html#/s:9Alamofire7AFErrorO15underlyingErrors0D0_pSgvp\"\u003eunderlyingError\u003c/a\u003e\u003c/code\u003e property will","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO25isResponseValidationErrorSbvp":{"name":"isResponseValidationError","abstract":"\u003cp\u003eReturns whether the instance is \u003ccode\u003e.responseValidationFailed\u003c/code\u003e. When \u003ccode\u003etrue\u003c/code\u003e, the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html#/s:9Alamofire7AFErrorO22acceptableContentTypesSaySSGSgvp\"\u003eacceptableContentTypes\u003c/a\u003e\u003c/code\u003e,","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO28isResponseSerializationErrorSbvp":{"name":"isResponseSerializationError","abstract":"\u003cp\u003eReturns whether the instance is \u003ccode\u003e.responseSerializationFailed\u003c/code\u003e. When \u003ccode\u003etrue\u003c/code\u003e, the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html#/s:9Alamofire7AFErrorO20failedStringEncodingSS10FoundationE0E0VSgvp\"\u003efailedStringEncoding\u003c/a\u003e\u003c/code\u003e and","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO28isServerTrustEvaluationErrorSbvp":{"name":"isServerTrustEvaluationError","abstract":"\u003cp\u003eReturns whether the instance is \u003ccode\u003e.serverTrustEvaluationFailed\u003c/code\u003e. When \u003ccode\u003etrue\u003c/code\u003e, the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html#/s:9Alamofire7AFErrorO15underlyingErrors0D0_pSgvp\"\u003eunderlyingError\u003c/a\u003e\u003c/code\u003e property will","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO19isRequestRetryErrorSbvp":{"name":"isRequestRetryError","abstract":"\u003cp\u003eReturns whether the instance is \u003ccode\u003erequestRetryFailed\u003c/code\u003e. When \u003ccode\u003etrue\u003c/code\u003e, the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html#/s:9Alamofire7AFErrorO15underlyingErrors0D0_pSgvp\"\u003eunderlyingError\u003c/a\u003e\u003c/code\u003e property will","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO23isCreateUploadableErrorSbvp":{"name":"isCreateUploadableError","abstract":"\u003cp\u003eReturns whether the instance is \u003ccode\u003ecreateUploadableFailed\u003c/code\u003e. When \u003ccode\u003etrue\u003c/code\u003e, the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html#/s:9Alamofire7AFErrorO15underlyingErrors0D0_pSgvp\"\u003eunderlyingError\u003c/a\u003e\u003c/code\u003e property will","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO23isCreateURLRequestErrorSbvp":{"name":"isCreateURLRequestError","abstract":"\u003cp\u003eReturns whether the instance is \u003ccode\u003ecreateURLRequestFailed\u003c/code\u003e. When \u003ccode\u003etrue\u003c/code\u003e, the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html#/s:9Alamofire7AFErrorO15underlyingErrors0D0_pSgvp\"\u003eunderlyingError\u003c/a\u003e\u003c/code\u003e property will","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO25isDownloadedFileMoveErrorSbvp":{"name":"isDownloadedFileMoveError","abstract":"\u003cp\u003eReturns whether the instance is \u003ccode\u003edownloadedFileMoveFailed\u003c/code\u003e. When \u003ccode\u003etrue\u003c/code\u003e, the \u003ccode\u003edestination\u003c/code\u003e and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html#/s:9Alamofire7AFErrorO15underlyingErrors0D0_pSgvp\"\u003eunderlyingError\u003c/a\u003e\u003c/code\u003e properties will","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO18isSessionTaskErrorSbvp":{"name":"isSessionTaskError","abstract":"\u003cp\u003eReturns whether the instance is \u003ccode\u003ecreateURLRequestFailed\u003c/code\u003e. When \u003ccode\u003etrue\u003c/code\u003e, the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html#/s:9Alamofire7AFErrorO15underlyingErrors0D0_pSgvp\"\u003eunderlyingError\u003c/a\u003e\u003c/code\u003e property will","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO14urlConvertibleAA14URLConvertible_pSgvp":{"name":"urlConvertible","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/URLConvertible.html\"\u003eURLConvertible\u003c/a\u003e\u003c/code\u003e associated with the error.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO3url10Foundation3URLVSgvp":{"name":"url","abstract":"\u003cp\u003eThe \u003ccode\u003eURL\u003c/code\u003e associated with the error.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO15underlyingErrors0D0_pSgvp":{"name":"underlyingError","abstract":"\u003cp\u003eThe underlying \u003ccode\u003eError\u003c/code\u003e responsible for generating the failure associated with \u003ccode\u003e.sessionInvalidated\u003c/code\u003e,","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO22acceptableContentTypesSaySSGSgvp":{"name":"acceptableContentTypes","abstract":"\u003cp\u003eThe acceptable \u003ccode\u003eContent-Type\u003c/code\u003es of a \u003ccode\u003e.responseValidationFailed\u003c/code\u003e error.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO19responseContentTypeSSSgvp":{"name":"responseContentType","abstract":"\u003cp\u003eThe response \u003ccode\u003eContent-Type\u003c/code\u003e of a \u003ccode\u003e.responseValidationFailed\u003c/code\u003e error.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO12responseCodeSiSgvp":{"name":"responseCode","abstract":"\u003cp\u003eThe response code of a \u003ccode\u003e.responseValidationFailed\u003c/code\u003e error.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO20failedStringEncodingSS10FoundationE0E0VSgvp":{"name":"failedStringEncoding","abstract":"\u003cp\u003eThe \u003ccode\u003eString.Encoding\u003c/code\u003e associated with a failed \u003ccode\u003e.stringResponse()\u003c/code\u003e call.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO9sourceURL10Foundation0D0VSgvp":{"name":"sourceURL","abstract":"\u003cp\u003eThe \u003ccode\u003esource\u003c/code\u003e URL of a \u003ccode\u003e.downloadedFileMoveFailed\u003c/code\u003e error.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO14destinationURL10Foundation0D0VSgvp":{"name":"destinationURL","abstract":"\u003cp\u003eThe \u003ccode\u003edestination\u003c/code\u003e URL of a \u003ccode\u003e.downloadedFileMoveFailed\u003c/code\u003e error.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:9Alamofire7AFErrorO18downloadResumeData10Foundation0E0VSgvp":{"name":"downloadResumeData","abstract":"\u003cp\u003eThe download resume data of any underlying network error. Only produced by \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DownloadRequest.html\"\u003eDownloadRequest\u003c/a\u003e\u003c/code\u003es.\u003c/p\u003e","parent_name":"AFError"},"Enums/AFError.html#/s:10Foundation14LocalizedErrorP16errorDescriptionSSSgvp":{"name":"errorDescription","parent_name":"AFError"},"Enums/AFInfo.html#/s:9Alamofire6AFInfoO7versionSSvpZ":{"name":"version","abstract":"\u003cp\u003eCurrent Alamofire version.\u003c/p\u003e","parent_name":"AFInfo"},"Enums/AFInfo.html":{"name":"AFInfo","abstract":"\u003cp\u003eNamespace for informational Alamofire values.\u003c/p\u003e"},"Enums/AFError.html":{"name":"AFError","abstract":"\u003cp\u003e\u003ccode\u003eAFError\u003c/code\u003e is the error type returned by Alamofire. It encompasses a few different types of errors, each with"},"Enums/AuthenticationError.html":{"name":"AuthenticationError","abstract":"\u003cp\u003eRepresents various authentication failures that occur when using the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/AuthenticationInterceptor.html\"\u003eAuthenticationInterceptor\u003c/a\u003e\u003c/code\u003e. All errors are"},"Enums/RetryResult.html":{"name":"RetryResult","abstract":"\u003cp\u003eOutcome of determination whether retry is necessary.\u003c/p\u003e"},"Global%20Variables.html#/s:9Alamofire2AFAA7SessionCvp":{"name":"AF","abstract":"\u003cp\u003eReference to \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Session.html#/s:9Alamofire7SessionC7defaultACvpZ\"\u003eSession.default\u003c/a\u003e\u003c/code\u003e for quick bootstrapping and examples.\u003c/p\u003e"},"Classes/URLEncodedFormEncoder/Error.html#/s:9Alamofire21URLEncodedFormEncoderC5ErrorO17invalidRootObjectyAESScAEmF":{"name":"invalidRootObject(_:)","abstract":"\u003cp\u003eAn invalid root object was created by the encoder. Only keyed values are valid.\u003c/p\u003e","parent_name":"Error"},"Classes/URLEncodedFormEncoder/SpaceEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC13SpaceEncodingO14percentEscapedyA2EmF":{"name":"percentEscaped","abstract":"\u003cp\u003eEncodes spaces using percent escaping (\u003ccode\u003e%20\u003c/code\u003e).\u003c/p\u003e","parent_name":"SpaceEncoding"},"Classes/URLEncodedFormEncoder/SpaceEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC13SpaceEncodingO12plusReplacedyA2EmF":{"name":"plusReplaced","abstract":"\u003cp\u003eEncodes spaces as \u003ccode\u003e+\u003c/code\u003e.\u003c/p\u003e","parent_name":"SpaceEncoding"},"Classes/URLEncodedFormEncoder/NilEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC11NilEncodingV7dropKeyAEvpZ":{"name":"dropKey","abstract":"\u003cp\u003eEncodes \u003ccode\u003enil\u003c/code\u003e by dropping the entire key / value pair.\u003c/p\u003e","parent_name":"NilEncoding"},"Classes/URLEncodedFormEncoder/NilEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC11NilEncodingV9dropValueAEvpZ":{"name":"dropValue","abstract":"\u003cp\u003eEncodes \u003ccode\u003enil\u003c/code\u003e by dropping only the value. e.g. \u003ccode\u003evalue1=one\u0026amp;nilValue=\u0026amp;value2=two\u003c/code\u003e.\u003c/p\u003e","parent_name":"NilEncoding"},"Classes/URLEncodedFormEncoder/NilEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC11NilEncodingV4nullAEvpZ":{"name":"null","abstract":"\u003cp\u003eEncodes \u003ccode\u003enil\u003c/code\u003e as \u003ccode\u003enull\u003c/code\u003e.\u003c/p\u003e","parent_name":"NilEncoding"},"Classes/URLEncodedFormEncoder/NilEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC11NilEncodingV8encodingAESSSgyYbc_tcfc":{"name":"init(encoding:)","abstract":"\u003cp\u003eCreates an instance with the encoding closure called for \u003ccode\u003enil\u003c/code\u003e values.\u003c/p\u003e","parent_name":"NilEncoding"},"Classes/URLEncodedFormEncoder/KeyPathEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC15KeyPathEncodingV8bracketsAEvpZ":{"name":"brackets","abstract":"\u003cp\u003eEncodes key paths by wrapping each component in brackets. e.g. \u003ccode\u003eparent[child][grandchild]\u003c/code\u003e.\u003c/p\u003e","parent_name":"KeyPathEncoding"},"Classes/URLEncodedFormEncoder/KeyPathEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC15KeyPathEncodingV4dotsAEvpZ":{"name":"dots","abstract":"\u003cp\u003eEncodes key paths by separating each component with dots. e.g. \u003ccode\u003eparent.child.grandchild\u003c/code\u003e.\u003c/p\u003e","parent_name":"KeyPathEncoding"},"Classes/URLEncodedFormEncoder/KeyPathEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC15KeyPathEncodingV8encodingAES2SYbc_tcfc":{"name":"init(encoding:)","abstract":"\u003cp\u003eCreates an instance with the encoding closure called for each sub-key in a key path.\u003c/p\u003e","parent_name":"KeyPathEncoding"},"Classes/URLEncodedFormEncoder/KeyEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC11KeyEncodingO14useDefaultKeysyA2EmF":{"name":"useDefaultKeys","abstract":"\u003cp\u003eUse the keys specified by each type. This is the default encoding.\u003c/p\u003e","parent_name":"KeyEncoding"},"Classes/URLEncodedFormEncoder/KeyEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC11KeyEncodingO18convertToSnakeCaseyA2EmF":{"name":"convertToSnakeCase","abstract":"\u003cp\u003eConvert from \u0026ldquo;camelCaseKeys\u0026rdquo; to \u0026ldquo;snake_case_keys\u0026rdquo; before writing a key.\u003c/p\u003e","parent_name":"KeyEncoding"},"Classes/URLEncodedFormEncoder/KeyEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC11KeyEncodingO18convertToKebabCaseyA2EmF":{"name":"convertToKebabCase","abstract":"\u003cp\u003eSame as convertToSnakeCase, but using \u003ccode\u003e-\u003c/code\u003e instead of \u003ccode\u003e_\u003c/code\u003e.","parent_name":"KeyEncoding"},"Classes/URLEncodedFormEncoder/KeyEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC11KeyEncodingO11capitalizedyA2EmF":{"name":"capitalized","abstract":"\u003cp\u003eCapitalize the first letter only.","parent_name":"KeyEncoding"},"Classes/URLEncodedFormEncoder/KeyEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC11KeyEncodingO10uppercasedyA2EmF":{"name":"uppercased","abstract":"\u003cp\u003eUppercase all letters.","parent_name":"KeyEncoding"},"Classes/URLEncodedFormEncoder/KeyEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC11KeyEncodingO10lowercasedyA2EmF":{"name":"lowercased","abstract":"\u003cp\u003eLowercase all letters.","parent_name":"KeyEncoding"},"Classes/URLEncodedFormEncoder/KeyEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC11KeyEncodingO6customyAES2SccAEmF":{"name":"custom(_:)","abstract":"\u003cp\u003eA custom encoding using the provided closure.\u003c/p\u003e","parent_name":"KeyEncoding"},"Classes/URLEncodedFormEncoder/DateEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC12DateEncodingO010deferredToE0yA2EmF":{"name":"deferredToDate","abstract":"\u003cp\u003eDefers encoding to the \u003ccode\u003eDate\u003c/code\u003e type. This is the default encoding.\u003c/p\u003e","parent_name":"DateEncoding"},"Classes/URLEncodedFormEncoder/DateEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC12DateEncodingO16secondsSince1970yA2EmF":{"name":"secondsSince1970","abstract":"\u003cp\u003eEncodes \u003ccode\u003eDate\u003c/code\u003es as seconds since midnight UTC on January 1, 1970.\u003c/p\u003e","parent_name":"DateEncoding"},"Classes/URLEncodedFormEncoder/DateEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC12DateEncodingO21millisecondsSince1970yA2EmF":{"name":"millisecondsSince1970","abstract":"\u003cp\u003eEncodes \u003ccode\u003eDate\u003c/code\u003es as milliseconds since midnight UTC on January 1, 1970.\u003c/p\u003e","parent_name":"DateEncoding"},"Classes/URLEncodedFormEncoder/DateEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC12DateEncodingO7iso8601yA2EmF":{"name":"iso8601","abstract":"\u003cp\u003eEncodes \u003ccode\u003eDate\u003c/code\u003es according to the ISO8601 and RFC3339 standards.\u003c/p\u003e","parent_name":"DateEncoding"},"Classes/URLEncodedFormEncoder/DateEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC12DateEncodingO9formattedyAESo15NSDateFormatterCcAEmF":{"name":"formatted(_:)","abstract":"\u003cp\u003eEncodes \u003ccode\u003eDate\u003c/code\u003es using the given \u003ccode\u003eDateFormatter\u003c/code\u003e.\u003c/p\u003e","parent_name":"DateEncoding"},"Classes/URLEncodedFormEncoder/DateEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC12DateEncodingO6customyAESS10Foundation0E0VKccAEmF":{"name":"custom(_:)","abstract":"\u003cp\u003eEncodes \u003ccode\u003eDate\u003c/code\u003es using the given closure.\u003c/p\u003e","parent_name":"DateEncoding"},"Classes/URLEncodedFormEncoder/DataEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC12DataEncodingO010deferredToE0yA2EmF":{"name":"deferredToData","abstract":"\u003cp\u003eDefers encoding to the \u003ccode\u003eData\u003c/code\u003e type.\u003c/p\u003e","parent_name":"DataEncoding"},"Classes/URLEncodedFormEncoder/DataEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC12DataEncodingO6base64yA2EmF":{"name":"base64","abstract":"\u003cp\u003eEncodes \u003ccode\u003eData\u003c/code\u003e as a Base64-encoded string. This is the default encoding.\u003c/p\u003e","parent_name":"DataEncoding"},"Classes/URLEncodedFormEncoder/DataEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC12DataEncodingO6customyAESS10Foundation0E0VKccAEmF":{"name":"custom(_:)","abstract":"\u003cp\u003eEncode the \u003ccode\u003eData\u003c/code\u003e as a custom value encoded by the given closure.\u003c/p\u003e","parent_name":"DataEncoding"},"Classes/URLEncodedFormEncoder/BoolEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC12BoolEncodingO7numericyA2EmF":{"name":"numeric","abstract":"\u003cp\u003eEncodes \u003ccode\u003etrue\u003c/code\u003e as \u003ccode\u003e1\u003c/code\u003e, \u003ccode\u003efalse\u003c/code\u003e as \u003ccode\u003e0\u003c/code\u003e.\u003c/p\u003e","parent_name":"BoolEncoding"},"Classes/URLEncodedFormEncoder/BoolEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC12BoolEncodingO7literalyA2EmF":{"name":"literal","abstract":"\u003cp\u003eEncodes \u003ccode\u003etrue\u003c/code\u003e as \u0026ldquo;true\u0026rdquo;, \u003ccode\u003efalse\u003c/code\u003e as \u0026ldquo;false\u0026rdquo;. This is the default encoding.\u003c/p\u003e","parent_name":"BoolEncoding"},"Classes/URLEncodedFormEncoder/ArrayEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC13ArrayEncodingO8bracketsyA2EmF":{"name":"brackets","abstract":"\u003cp\u003eAn empty set of square brackets (\u0026ldquo;[]\u0026rdquo;) are appended to the key for every value. This is the default encoding.\u003c/p\u003e","parent_name":"ArrayEncoding"},"Classes/URLEncodedFormEncoder/ArrayEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC13ArrayEncodingO10noBracketsyA2EmF":{"name":"noBrackets","abstract":"\u003cp\u003eNo brackets are appended to the key and the key is encoded as is.\u003c/p\u003e","parent_name":"ArrayEncoding"},"Classes/URLEncodedFormEncoder/ArrayEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC13ArrayEncodingO15indexInBracketsyA2EmF":{"name":"indexInBrackets","abstract":"\u003cp\u003eBrackets containing the item index are appended. This matches the jQuery and Node.js behavior.\u003c/p\u003e","parent_name":"ArrayEncoding"},"Classes/URLEncodedFormEncoder/ArrayEncoding.html#/s:9Alamofire21URLEncodedFormEncoderC13ArrayEncodingO6customyAES2S_SitccAEmF":{"name":"custom(_:)","abstract":"\u003cp\u003eProvide a custom array key encoding with the given closure.\u003c/p\u003e","parent_name":"ArrayEncoding"},"Classes/URLEncodedFormEncoder/ArrayEncoding.html":{"name":"ArrayEncoding","abstract":"\u003cp\u003eEncoding to use for \u003ccode\u003eArray\u003c/code\u003e values.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder/BoolEncoding.html":{"name":"BoolEncoding","abstract":"\u003cp\u003eEncoding to use for \u003ccode\u003eBool\u003c/code\u003e values.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder/DataEncoding.html":{"name":"DataEncoding","abstract":"\u003cp\u003eEncoding to use for \u003ccode\u003eData\u003c/code\u003e values.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder/DateEncoding.html":{"name":"DateEncoding","abstract":"\u003cp\u003eEncoding to use for \u003ccode\u003eDate\u003c/code\u003e values.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder/KeyEncoding.html":{"name":"KeyEncoding","abstract":"\u003cp\u003eEncoding to use for keys.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder/KeyPathEncoding.html":{"name":"KeyPathEncoding","abstract":"\u003cp\u003eEncoding to use for nested object and \u003ccode\u003eEncodable\u003c/code\u003e value key paths.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder/NilEncoding.html":{"name":"NilEncoding","abstract":"\u003cp\u003eEncoding to use for \u003ccode\u003enil\u003c/code\u003e values.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder/SpaceEncoding.html":{"name":"SpaceEncoding","abstract":"\u003cp\u003eEncoding to use for spaces.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder/Error.html":{"name":"Error","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/URLEncodedFormEncoder.html\"\u003eURLEncodedFormEncoder\u003c/a\u003e\u003c/code\u003e error.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder.html#/s:9Alamofire21URLEncodedFormEncoderC24alphabetizeKeyValuePairsSbvp":{"name":"alphabetizeKeyValuePairs","abstract":"\u003cp\u003eWhether or not to sort the encoded key value pairs.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder.html#/s:9Alamofire21URLEncodedFormEncoderC13arrayEncodingAC05ArrayF0Ovp":{"name":"arrayEncoding","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/URLEncodedFormEncoder/ArrayEncoding.html\"\u003eArrayEncoding\u003c/a\u003e\u003c/code\u003e to use.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder.html#/s:9Alamofire21URLEncodedFormEncoderC12boolEncodingAC04BoolF0Ovp":{"name":"boolEncoding","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/URLEncodedFormEncoder/BoolEncoding.html\"\u003eBoolEncoding\u003c/a\u003e\u003c/code\u003e to use.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder.html#/s:9Alamofire21URLEncodedFormEncoderC12dataEncodingAC04DataF0Ovp":{"name":"dataEncoding","abstract":"\u003cp\u003eTHe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/URLEncodedFormEncoder/DataEncoding.html\"\u003eDataEncoding\u003c/a\u003e\u003c/code\u003e to use.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder.html#/s:9Alamofire21URLEncodedFormEncoderC12dateEncodingAC04DateF0Ovp":{"name":"dateEncoding","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/URLEncodedFormEncoder/DateEncoding.html\"\u003eDateEncoding\u003c/a\u003e\u003c/code\u003e to use.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder.html#/s:9Alamofire21URLEncodedFormEncoderC11keyEncodingAC03KeyF0Ovp":{"name":"keyEncoding","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/URLEncodedFormEncoder/KeyEncoding.html\"\u003eKeyEncoding\u003c/a\u003e\u003c/code\u003e to use.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder.html#/s:9Alamofire21URLEncodedFormEncoderC15keyPathEncodingAC03KeyfG0Vvp":{"name":"keyPathEncoding","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/URLEncodedFormEncoder/KeyPathEncoding.html\"\u003eKeyPathEncoding\u003c/a\u003e\u003c/code\u003e to use.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder.html#/s:9Alamofire21URLEncodedFormEncoderC11nilEncodingAC03NilF0Vvp":{"name":"nilEncoding","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/URLEncodedFormEncoder/NilEncoding.html\"\u003eNilEncoding\u003c/a\u003e\u003c/code\u003e to use.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder.html#/s:9Alamofire21URLEncodedFormEncoderC13spaceEncodingAC05SpaceF0Ovp":{"name":"spaceEncoding","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/URLEncodedFormEncoder/SpaceEncoding.html\"\u003eSpaceEncoding\u003c/a\u003e\u003c/code\u003e to use.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder.html#/s:9Alamofire21URLEncodedFormEncoderC17allowedCharacters10Foundation12CharacterSetVvp":{"name":"allowedCharacters","abstract":"\u003cp\u003eThe \u003ccode\u003eCharacterSet\u003c/code\u003e of allowed (non-escaped) characters.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder.html#/s:9Alamofire21URLEncodedFormEncoderC24alphabetizeKeyValuePairs13arrayEncoding04boolJ004dataJ004dateJ003keyJ00n4PathJ003nilJ005spaceJ017allowedCharactersACSb_AC05ArrayJ0OAC04BoolJ0OAC04DataJ0OAC04DateJ0OAC0fJ0OAC0foJ0VAC03NilJ0VAC05SpaceJ0O10Foundation12CharacterSetVtcfc":{"name":"init(alphabetizeKeyValuePairs:arrayEncoding:boolEncoding:dataEncoding:dateEncoding:keyEncoding:keyPathEncoding:nilEncoding:spaceEncoding:allowedCharacters:)","abstract":"\u003cp\u003eCreates an instance from the supplied parameters.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder.html#/s:9Alamofire21URLEncodedFormEncoderC6encodeySSSE_pKF":{"name":"encode(_:)","abstract":"\u003cp\u003eEncodes the \u003ccode\u003evalue\u003c/code\u003e as a URL form encoded \u003ccode\u003eString\u003c/code\u003e.\u003c/p\u003e","parent_name":"URLEncodedFormEncoder"},"Classes/URLEncodedFormEncoder.html#/s:9Alamofire21URLEncodedFormEncoderC6encodey10Foundation4DataVSE_pKF":{"name":"encode(_:)","abstract":"\u003cp\u003eEncodes the value as \u003ccode\u003eData\u003c/code\u003e. This is performed by first creating an encoded \u003ccode\u003eString\u003c/code\u003e and then returning the","parent_name":"URLEncodedFormEncoder"},"Classes/DisabledTrustEvaluator.html#/s:9Alamofire22DisabledTrustEvaluatorCACycfc":{"name":"init()","abstract":"\u003cp\u003eCreates an instance.\u003c/p\u003e","parent_name":"DisabledTrustEvaluator"},"Classes/DisabledTrustEvaluator.html#/s:9Alamofire21ServerTrustEvaluatingP8evaluate_7forHostySo03SecC3Refa_SStKF":{"name":"evaluate(_:forHost:)","parent_name":"DisabledTrustEvaluator"},"Classes/CompositeTrustEvaluator.html#/s:9Alamofire23CompositeTrustEvaluatorC10evaluatorsACSayAA06ServerC10Evaluating_pG_tcfc":{"name":"init(evaluators:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003eCompositeTrustEvaluator\u003c/code\u003e from the provided evaluators.\u003c/p\u003e","parent_name":"CompositeTrustEvaluator"},"Classes/CompositeTrustEvaluator.html#/s:9Alamofire21ServerTrustEvaluatingP8evaluate_7forHostySo03SecC3Refa_SStKF":{"name":"evaluate(_:forHost:)","parent_name":"CompositeTrustEvaluator"},"Classes/PublicKeysTrustEvaluator.html#/s:9Alamofire24PublicKeysTrustEvaluatorC4keys24performDefaultValidation12validateHostACSaySo9SecKeyRefaG_S2btcfc":{"name":"init(keys:performDefaultValidation:validateHost:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003ePublicKeysTrustEvaluator\u003c/code\u003e from the provided parameters.\u003c/p\u003e","parent_name":"PublicKeysTrustEvaluator"},"Classes/PublicKeysTrustEvaluator.html#/s:9Alamofire21ServerTrustEvaluatingP8evaluate_7forHostySo03SecC3Refa_SStKF":{"name":"evaluate(_:forHost:)","parent_name":"PublicKeysTrustEvaluator"},"Classes/PinnedCertificatesTrustEvaluator.html#/s:9Alamofire32PinnedCertificatesTrustEvaluatorC12certificates016acceptSelfSignedC024performDefaultValidation12validateHostACSaySo17SecCertificateRefaG_S3btcfc":{"name":"init(certificates:acceptSelfSignedCertificates:performDefaultValidation:validateHost:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003ePinnedCertificatesTrustEvaluator\u003c/code\u003e from the provided parameters.\u003c/p\u003e","parent_name":"PinnedCertificatesTrustEvaluator"},"Classes/PinnedCertificatesTrustEvaluator.html#/s:9Alamofire21ServerTrustEvaluatingP8evaluate_7forHostySo03SecC3Refa_SStKF":{"name":"evaluate(_:forHost:)","parent_name":"PinnedCertificatesTrustEvaluator"},"Classes/RevocationTrustEvaluator/Options.html#/s:9Alamofire24RevocationTrustEvaluatorC7OptionsV3crlAEvpZ":{"name":"crl","abstract":"\u003cp\u003ePerform revocation checking using the CRL (Certification Revocation List) method.\u003c/p\u003e","parent_name":"Options"},"Classes/RevocationTrustEvaluator/Options.html#/s:9Alamofire24RevocationTrustEvaluatorC7OptionsV21networkAccessDisabledAEvpZ":{"name":"networkAccessDisabled","abstract":"\u003cp\u003eConsult only locally cached replies; do not use network access.\u003c/p\u003e","parent_name":"Options"},"Classes/RevocationTrustEvaluator/Options.html#/s:9Alamofire24RevocationTrustEvaluatorC7OptionsV4ocspAEvpZ":{"name":"ocsp","abstract":"\u003cp\u003ePerform revocation checking using OCSP (Online Certificate Status Protocol).\u003c/p\u003e","parent_name":"Options"},"Classes/RevocationTrustEvaluator/Options.html#/s:9Alamofire24RevocationTrustEvaluatorC7OptionsV9preferCRLAEvpZ":{"name":"preferCRL","abstract":"\u003cp\u003ePrefer CRL revocation checking over OCSP; by default, OCSP is preferred.\u003c/p\u003e","parent_name":"Options"},"Classes/RevocationTrustEvaluator/Options.html#/s:9Alamofire24RevocationTrustEvaluatorC7OptionsV23requirePositiveResponseAEvpZ":{"name":"requirePositiveResponse","abstract":"\u003cp\u003eRequire a positive response to pass the policy. If the flag is not set, revocation checking is done on a","parent_name":"Options"},"Classes/RevocationTrustEvaluator/Options.html#/s:9Alamofire24RevocationTrustEvaluatorC7OptionsV3anyAEvpZ":{"name":"any","abstract":"\u003cp\u003ePerform either OCSP or CRL checking. The checking is performed according to the method(s) specified in the","parent_name":"Options"},"Classes/RevocationTrustEvaluator/Options.html#/s:9Alamofire24RevocationTrustEvaluatorC7OptionsV8rawValueSuvp":{"name":"rawValue","abstract":"\u003cp\u003eThe raw value of the option.\u003c/p\u003e","parent_name":"Options"},"Classes/RevocationTrustEvaluator/Options.html#/s:9Alamofire24RevocationTrustEvaluatorC7OptionsV8rawValueAESu_tcfc":{"name":"init(rawValue:)","abstract":"\u003cp\u003eCreates an \u003ccode\u003eOptions\u003c/code\u003e value with the given \u003ccode\u003eCFOptionFlags\u003c/code\u003e.\u003c/p\u003e","parent_name":"Options"},"Classes/RevocationTrustEvaluator/Options.html":{"name":"Options","abstract":"\u003cp\u003eRepresents the options to be use when evaluating the status of a certificate.","parent_name":"RevocationTrustEvaluator"},"Classes/RevocationTrustEvaluator.html#/s:9Alamofire24RevocationTrustEvaluatorC24performDefaultValidation12validateHost7optionsACSb_SbAC7OptionsVtcfc":{"name":"init(performDefaultValidation:validateHost:options:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003eRevocationTrustEvaluator\u003c/code\u003e using the provided parameters.\u003c/p\u003e","parent_name":"RevocationTrustEvaluator"},"Classes/RevocationTrustEvaluator.html#/s:9Alamofire21ServerTrustEvaluatingP8evaluate_7forHostySo03SecC3Refa_SStKF":{"name":"evaluate(_:forHost:)","parent_name":"RevocationTrustEvaluator"},"Classes/DefaultTrustEvaluator.html#/s:9Alamofire21DefaultTrustEvaluatorC12validateHostACSb_tcfc":{"name":"init(validateHost:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003eDefaultTrustEvaluator\u003c/code\u003e.\u003c/p\u003e","parent_name":"DefaultTrustEvaluator"},"Classes/DefaultTrustEvaluator.html#/s:9Alamofire21ServerTrustEvaluatingP8evaluate_7forHostySo03SecC3Refa_SStKF":{"name":"evaluate(_:forHost:)","parent_name":"DefaultTrustEvaluator"},"Classes/ServerTrustManager.html#/s:9Alamofire18ServerTrustManagerC23allHostsMustBeEvaluatedSbvp":{"name":"allHostsMustBeEvaluated","abstract":"\u003cp\u003eDetermines whether all hosts for this \u003ccode\u003eServerTrustManager\u003c/code\u003e must be evaluated. \u003ccode\u003etrue\u003c/code\u003e by default.\u003c/p\u003e","parent_name":"ServerTrustManager"},"Classes/ServerTrustManager.html#/s:9Alamofire18ServerTrustManagerC10evaluatorsSDySSAA0bC10Evaluating_pGvp":{"name":"evaluators","abstract":"\u003cp\u003eThe dictionary of policies mapped to a particular host.\u003c/p\u003e","parent_name":"ServerTrustManager"},"Classes/ServerTrustManager.html#/s:9Alamofire18ServerTrustManagerC23allHostsMustBeEvaluated10evaluatorsACSb_SDySSAA0bC10Evaluating_pGtcfc":{"name":"init(allHostsMustBeEvaluated:evaluators:)","abstract":"\u003cp\u003eInitializes the \u003ccode\u003eServerTrustManager\u003c/code\u003e instance with the given evaluators.\u003c/p\u003e","parent_name":"ServerTrustManager"},"Classes/ServerTrustManager.html#/s:9Alamofire18ServerTrustManagerC06serverC9Evaluator7forHostAA0bC10Evaluating_pSgSS_tKF":{"name":"serverTrustEvaluator(forHost:)","abstract":"\u003cp\u003eReturns the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ServerTrustEvaluating.html\"\u003eServerTrustEvaluating\u003c/a\u003e\u003c/code\u003e value for the given host, if one is set.\u003c/p\u003e","parent_name":"ServerTrustManager"},"Classes/ConnectionLostRetryPolicy.html#/s:9Alamofire25ConnectionLostRetryPolicyC10retryLimit22exponentialBackoffBase0hI5Scale20retryableHTTPMethodsACSu_SuSdShyAA10HTTPMethodVGtcfc":{"name":"init(retryLimit:exponentialBackoffBase:exponentialBackoffScale:retryableHTTPMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003eConnectionLostRetryPolicy\u003c/code\u003e instance from the specified parameters.\u003c/p\u003e","parent_name":"ConnectionLostRetryPolicy"},"Classes/RetryPolicy.html#/s:9Alamofire11RetryPolicyC07defaultB5LimitSuvpZ":{"name":"defaultRetryLimit","abstract":"\u003cp\u003eThe default retry limit for retry policies.\u003c/p\u003e","parent_name":"RetryPolicy"},"Classes/RetryPolicy.html#/s:9Alamofire11RetryPolicyC29defaultExponentialBackoffBaseSuvpZ":{"name":"defaultExponentialBackoffBase","abstract":"\u003cp\u003eThe default exponential backoff base for retry policies (must be a minimum of 2).\u003c/p\u003e","parent_name":"RetryPolicy"},"Classes/RetryPolicy.html#/s:9Alamofire11RetryPolicyC30defaultExponentialBackoffScaleSdvpZ":{"name":"defaultExponentialBackoffScale","abstract":"\u003cp\u003eThe default exponential backoff scale for retry policies.\u003c/p\u003e","parent_name":"RetryPolicy"},"Classes/RetryPolicy.html#/s:9Alamofire11RetryPolicyC27defaultRetryableHTTPMethodsShyAA10HTTPMethodVGvpZ":{"name":"defaultRetryableHTTPMethods","abstract":"\u003cp\u003eThe default HTTP methods to retry.","parent_name":"RetryPolicy"},"Classes/RetryPolicy.html#/s:9Alamofire11RetryPolicyC31defaultRetryableHTTPStatusCodesShySiGvpZ":{"name":"defaultRetryableHTTPStatusCodes","abstract":"\u003cp\u003eThe default HTTP status codes to retry.","parent_name":"RetryPolicy"},"Classes/RetryPolicy.html#/s:9Alamofire11RetryPolicyC29defaultRetryableURLErrorCodesShy10Foundation0F0V4CodeVGvpZ":{"name":"defaultRetryableURLErrorCodes","abstract":"\u003cp\u003eThe default URL error codes to retry.\u003c/p\u003e","parent_name":"RetryPolicy"},"Classes/RetryPolicy.html#/s:9Alamofire11RetryPolicyC10retryLimitSuvp":{"name":"retryLimit","abstract":"\u003cp\u003eThe total number of times the request is allowed to be retried.\u003c/p\u003e","parent_name":"RetryPolicy"},"Classes/RetryPolicy.html#/s:9Alamofire11RetryPolicyC22exponentialBackoffBaseSuvp":{"name":"exponentialBackoffBase","abstract":"\u003cp\u003eThe base of the exponential backoff policy (should always be greater than or equal to 2).\u003c/p\u003e","parent_name":"RetryPolicy"},"Classes/RetryPolicy.html#/s:9Alamofire11RetryPolicyC23exponentialBackoffScaleSdvp":{"name":"exponentialBackoffScale","abstract":"\u003cp\u003eThe scale of the exponential backoff.\u003c/p\u003e","parent_name":"RetryPolicy"},"Classes/RetryPolicy.html#/s:9Alamofire11RetryPolicyC20retryableHTTPMethodsShyAA10HTTPMethodVGvp":{"name":"retryableHTTPMethods","abstract":"\u003cp\u003eThe HTTP methods that are allowed to be retried.\u003c/p\u003e","parent_name":"RetryPolicy"},"Classes/RetryPolicy.html#/s:9Alamofire11RetryPolicyC24retryableHTTPStatusCodesShySiGvp":{"name":"retryableHTTPStatusCodes","abstract":"\u003cp\u003eThe HTTP status codes that are automatically retried by the policy.\u003c/p\u003e","parent_name":"RetryPolicy"},"Classes/RetryPolicy.html#/s:9Alamofire11RetryPolicyC22retryableURLErrorCodesShy10Foundation0E0V4CodeVGvp":{"name":"retryableURLErrorCodes","abstract":"\u003cp\u003eThe URL error codes that are automatically retried by the policy.\u003c/p\u003e","parent_name":"RetryPolicy"},"Classes/RetryPolicy.html#/s:9Alamofire11RetryPolicyC10retryLimit22exponentialBackoffBase0fG5Scale20retryableHTTPMethods0J15HTTPStatusCodes0j8URLErrorM0ACSu_SuSdShyAA10HTTPMethodVGShySiGShy10Foundation0N0V4CodeVGtcfc":{"name":"init(retryLimit:exponentialBackoffBase:exponentialBackoffScale:retryableHTTPMethods:retryableHTTPStatusCodes:retryableURLErrorCodes:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003eRetryPolicy\u003c/code\u003e from the specified parameters.\u003c/p\u003e","parent_name":"RetryPolicy"},"Classes/RetryPolicy.html#/s:9Alamofire14RequestRetrierP5retry_3for5dueTo10completionyAA0B0C_AA7SessionCs5Error_pyAA11RetryResultOYbctF":{"name":"retry(_:for:dueTo:completion:)","parent_name":"RetryPolicy"},"Classes/RetryPolicy.html#/s:9Alamofire11RetryPolicyC06shouldB07request5dueToSbAA7RequestC_s5Error_ptF":{"name":"shouldRetry(request:dueTo:)","abstract":"\u003cp\u003eDetermines whether or not to retry the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"RetryPolicy"},"Classes/DecodableResponseSerializer.html#/s:9Alamofire18ResponseSerializerP16dataPreprocessorAA04DataE0_pvp":{"name":"dataPreprocessor","parent_name":"DecodableResponseSerializer"},"Classes/DecodableResponseSerializer.html#/s:9Alamofire27DecodableResponseSerializerC7decoderAA11DataDecoder_pvp":{"name":"decoder","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataDecoder.html\"\u003eDataDecoder\u003c/a\u003e\u003c/code\u003e instance used to decode responses.\u003c/p\u003e","parent_name":"DecodableResponseSerializer"},"Classes/DecodableResponseSerializer.html#/s:9Alamofire18ResponseSerializerP05emptyB5CodesShySiGvp":{"name":"emptyResponseCodes","parent_name":"DecodableResponseSerializer"},"Classes/DecodableResponseSerializer.html#/s:9Alamofire18ResponseSerializerP19emptyRequestMethodsShyAA10HTTPMethodVGvp":{"name":"emptyRequestMethods","parent_name":"DecodableResponseSerializer"},"Classes/DecodableResponseSerializer.html#/s:9Alamofire27DecodableResponseSerializerC16dataPreprocessor7decoder05emptyC5Codes0H14RequestMethodsACyxGAA04DataF0_p_AA0L7Decoder_pShySiGShyAA10HTTPMethodVGtcfc":{"name":"init(dataPreprocessor:decoder:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates an instance using the values provided.\u003c/p\u003e","parent_name":"DecodableResponseSerializer"},"Classes/DecodableResponseSerializer.html#/s:9Alamofire30DataResponseSerializerProtocolP9serialize7request8response4data5error16SerializedObjectQz10Foundation10URLRequestVSg_So17NSHTTPURLResponseCSgAK0B0VSgs5Error_pSgtKF":{"name":"serialize(request:response:data:error:)","parent_name":"DecodableResponseSerializer"},"Classes/JSONResponseSerializer.html#/s:9Alamofire18ResponseSerializerP16dataPreprocessorAA04DataE0_pvp":{"name":"dataPreprocessor","parent_name":"JSONResponseSerializer"},"Classes/JSONResponseSerializer.html#/s:9Alamofire18ResponseSerializerP05emptyB5CodesShySiGvp":{"name":"emptyResponseCodes","parent_name":"JSONResponseSerializer"},"Classes/JSONResponseSerializer.html#/s:9Alamofire18ResponseSerializerP19emptyRequestMethodsShyAA10HTTPMethodVGvp":{"name":"emptyRequestMethods","parent_name":"JSONResponseSerializer"},"Classes/JSONResponseSerializer.html#/s:9Alamofire22JSONResponseSerializerC7optionsSo20NSJSONReadingOptionsVvp":{"name":"options","abstract":"\u003cp\u003e\u003ccode\u003eJSONSerialization.ReadingOptions\u003c/code\u003e used when serializing a response.\u003c/p\u003e","parent_name":"JSONResponseSerializer"},"Classes/JSONResponseSerializer.html#/s:9Alamofire22JSONResponseSerializerC16dataPreprocessor18emptyResponseCodes0F14RequestMethods7optionsAcA04DataE0_p_ShySiGShyAA10HTTPMethodVGSo20NSJSONReadingOptionsVtcfc":{"name":"init(dataPreprocessor:emptyResponseCodes:emptyRequestMethods:options:)","abstract":"\u003cp\u003eCreates an instance with the provided values.\u003c/p\u003e","parent_name":"JSONResponseSerializer"},"Classes/JSONResponseSerializer.html#/s:9Alamofire30DataResponseSerializerProtocolP9serialize7request8response4data5error16SerializedObjectQz10Foundation10URLRequestVSg_So17NSHTTPURLResponseCSgAK0B0VSgs5Error_pSgtKF":{"name":"serialize(request:response:data:error:)","parent_name":"JSONResponseSerializer"},"Classes/StringResponseSerializer.html#/s:9Alamofire18ResponseSerializerP16dataPreprocessorAA04DataE0_pvp":{"name":"dataPreprocessor","parent_name":"StringResponseSerializer"},"Classes/StringResponseSerializer.html#/s:9Alamofire24StringResponseSerializerC8encodingSS10FoundationE8EncodingVSgvp":{"name":"encoding","abstract":"\u003cp\u003eOptional string encoding used to validate the response.\u003c/p\u003e","parent_name":"StringResponseSerializer"},"Classes/StringResponseSerializer.html#/s:9Alamofire18ResponseSerializerP05emptyB5CodesShySiGvp":{"name":"emptyResponseCodes","parent_name":"StringResponseSerializer"},"Classes/StringResponseSerializer.html#/s:9Alamofire18ResponseSerializerP19emptyRequestMethodsShyAA10HTTPMethodVGvp":{"name":"emptyRequestMethods","parent_name":"StringResponseSerializer"},"Classes/StringResponseSerializer.html#/s:9Alamofire24StringResponseSerializerC16dataPreprocessor8encoding05emptyC5Codes0H14RequestMethodsAcA04DataF0_p_SS10FoundationE8EncodingVSgShySiGShyAA10HTTPMethodVGtcfc":{"name":"init(dataPreprocessor:encoding:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates an instance with the provided values.\u003c/p\u003e","parent_name":"StringResponseSerializer"},"Classes/StringResponseSerializer.html#/s:9Alamofire30DataResponseSerializerProtocolP9serialize7request8response4data5error16SerializedObjectQz10Foundation10URLRequestVSg_So17NSHTTPURLResponseCSgAK0B0VSgs5Error_pSgtKF":{"name":"serialize(request:response:data:error:)","parent_name":"StringResponseSerializer"},"Classes/DataResponseSerializer.html#/s:9Alamofire18ResponseSerializerP16dataPreprocessorAA04DataE0_pvp":{"name":"dataPreprocessor","parent_name":"DataResponseSerializer"},"Classes/DataResponseSerializer.html#/s:9Alamofire18ResponseSerializerP05emptyB5CodesShySiGvp":{"name":"emptyResponseCodes","parent_name":"DataResponseSerializer"},"Classes/DataResponseSerializer.html#/s:9Alamofire18ResponseSerializerP19emptyRequestMethodsShyAA10HTTPMethodVGvp":{"name":"emptyRequestMethods","parent_name":"DataResponseSerializer"},"Classes/DataResponseSerializer.html#/s:9Alamofire22DataResponseSerializerC16dataPreprocessor05emptyC5Codes0G14RequestMethodsAcA0bF0_p_ShySiGShyAA10HTTPMethodVGtcfc":{"name":"init(dataPreprocessor:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003eDataResponseSerializer\u003c/code\u003e using the provided parameters.\u003c/p\u003e","parent_name":"DataResponseSerializer"},"Classes/DataResponseSerializer.html#/s:9Alamofire30DataResponseSerializerProtocolP9serialize7request8response4data5error16SerializedObjectQz10Foundation10URLRequestVSg_So17NSHTTPURLResponseCSgAK0B0VSgs5Error_pSgtKF":{"name":"serialize(request:response:data:error:)","parent_name":"DataResponseSerializer"},"Classes/Interceptor.html#/s:9Alamofire11InterceptorC8adaptersSayAA14RequestAdapter_pGvp":{"name":"adapters","abstract":"\u003cp\u003eAll \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestAdapter.html\"\u003eRequestAdapter\u003c/a\u003e\u003c/code\u003es associated with the instance. These adapters will be run until one fails.\u003c/p\u003e","parent_name":"Interceptor"},"Classes/Interceptor.html#/s:9Alamofire11InterceptorC8retriersSayAA14RequestRetrier_pGvp":{"name":"retriers","abstract":"\u003cp\u003eAll \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestRetrier.html\"\u003eRequestRetrier\u003c/a\u003e\u003c/code\u003es associated with the instance. These retriers will be run one at a time until one triggers retry.\u003c/p\u003e","parent_name":"Interceptor"},"Classes/Interceptor.html#/s:9Alamofire11InterceptorC12adaptHandler05retryD0ACy10Foundation10URLRequestV_AA7SessionCys6ResultOyAHs5Error_pGYbctYbc_yAA7RequestC_AJsAM_pyAA05RetryI0OYbctYbctcfc":{"name":"init(adaptHandler:retryHandler:)","abstract":"\u003cp\u003eCreates an instance from \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbTypealiases.html#/s:9Alamofire12AdaptHandlera\"\u003eAdaptHandler\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbTypealiases.html#/s:9Alamofire12RetryHandlera\"\u003eRetryHandler\u003c/a\u003e\u003c/code\u003e closures.\u003c/p\u003e","parent_name":"Interceptor"},"Classes/Interceptor.html#/s:9Alamofire11InterceptorC7adapter7retrierAcA14RequestAdapter_p_AA0E7Retrier_ptcfc":{"name":"init(adapter:retrier:)","abstract":"\u003cp\u003eCreates an instance from \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestAdapter.html\"\u003eRequestAdapter\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestRetrier.html\"\u003eRequestRetrier\u003c/a\u003e\u003c/code\u003e values.\u003c/p\u003e","parent_name":"Interceptor"},"Classes/Interceptor.html#/s:9Alamofire11InterceptorC8adapters8retriers12interceptorsACSayAA14RequestAdapter_pG_SayAA0F7Retrier_pGSayAA0fB0_pGtcfc":{"name":"init(adapters:retriers:interceptors:)","abstract":"\u003cp\u003eCreates an instance from the arrays of \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestAdapter.html\"\u003eRequestAdapter\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestRetrier.html\"\u003eRequestRetrier\u003c/a\u003e\u003c/code\u003e values.\u003c/p\u003e","parent_name":"Interceptor"},"Classes/Interceptor.html#/s:9Alamofire14RequestAdapterP5adapt_3for10completiony10Foundation10URLRequestV_AA7SessionCys6ResultOyAIs5Error_pGYbctF":{"name":"adapt(_:for:completion:)","parent_name":"Interceptor"},"Classes/Interceptor.html#/s:9Alamofire14RequestAdapterP5adapt_5using10completiony10Foundation10URLRequestV_AA0bC5StateVys6ResultOyAIs5Error_pGYbctF":{"name":"adapt(_:using:completion:)","parent_name":"Interceptor"},"Classes/Interceptor.html#/s:9Alamofire14RequestRetrierP5retry_3for5dueTo10completionyAA0B0C_AA7SessionCs5Error_pyAA11RetryResultOYbctF":{"name":"retry(_:for:dueTo:completion:)","parent_name":"Interceptor"},"Classes/Retrier.html#/s:9Alamofire7RetrierCyACyAA7RequestC_AA7SessionCs5Error_pyAA11RetryResultOctccfc":{"name":"init(_:)","abstract":"\u003cp\u003eCreates an instance using the provided closure.\u003c/p\u003e","parent_name":"Retrier"},"Classes/Retrier.html#/s:9Alamofire14RequestRetrierP5retry_3for5dueTo10completionyAA0B0C_AA7SessionCs5Error_pyAA11RetryResultOYbctF":{"name":"retry(_:for:dueTo:completion:)","parent_name":"Retrier"},"Classes/Adapter.html#/s:9Alamofire7AdapterCyACy10Foundation10URLRequestV_AA7SessionCys6ResultOyAFs5Error_pGctccfc":{"name":"init(_:)","abstract":"\u003cp\u003eCreates an instance using the provided closure.\u003c/p\u003e","parent_name":"Adapter"},"Classes/Adapter.html#/s:9Alamofire14RequestAdapterP5adapt_3for10completiony10Foundation10URLRequestV_AA7SessionCys6ResultOyAIs5Error_pGYbctF":{"name":"adapt(_:for:completion:)","parent_name":"Adapter"},"Classes/Adapter.html#/s:9Alamofire14RequestAdapterP5adapt_5using10completiony10Foundation10URLRequestV_AA0bC5StateVys6ResultOyAIs5Error_pGYbctF":{"name":"adapt(_:using:completion:)","parent_name":"Adapter"},"Classes/OfflineRetrier.html#/s:9Alamofire14OfflineRetrierC11defaultWait8Dispatch0F12TimeIntervalOvpZ":{"name":"defaultWait","abstract":"\u003cp\u003eDefault amount of time to wait for connectivity to be restored before failure. \u003ccode\u003e.seconds(5)\u003c/code\u003e by default.\u003c/p\u003e","parent_name":"OfflineRetrier"},"Classes/OfflineRetrier.html#/s:9Alamofire14OfflineRetrierC015defaultURLErrorB5CodesShy10Foundation0E0V4CodeVGvpZ":{"name":"defaultURLErrorOfflineCodes","abstract":"\u003cp\u003eDefault \u003ccode\u003eSet\u0026lt;URLError.Code\u0026gt;\u003c/code\u003e used to check for offline errors. \u003ccode\u003e[.notConnectedToInternet]\u003c/code\u003e by default.\u003c/p\u003e","parent_name":"OfflineRetrier"},"Classes/OfflineRetrier.html#/s:9Alamofire14OfflineRetrierC09defaultIsB5ErrorySbs0F0_pYbcvpZ":{"name":"defaultIsOfflineError","abstract":"\u003cp\u003eDefault method of detecting whether a particular \u003ccode\u003eany Error\u003c/code\u003e means connectivity is offline.\u003c/p\u003e","parent_name":"OfflineRetrier"},"Classes/OfflineRetrier.html#/s:9Alamofire14OfflineRetrierC7monitor11maximumWait02isB5ErrorAC7Network13NWPathMonitorCyXA_8Dispatch0L12TimeIntervalOSbs0H0_pYbctcfc":{"name":"init(monitor:maximumWait:isOfflineError:)","abstract":"\u003cp\u003eCreates an instance from the provided \u003ccode\u003eNWPathMonitor\u003c/code\u003e, maximum wait for connectivity, and offline error predicate.\u003c/p\u003e","parent_name":"OfflineRetrier"},"Classes/OfflineRetrier.html#/s:9Alamofire14OfflineRetrierC21requiredInterfaceType11maximumWait02isB5ErrorAC7Network11NWInterfaceV0eF0O_8Dispatch0M12TimeIntervalOSbs0J0_pYbctcfc":{"name":"init(requiredInterfaceType:maximumWait:isOfflineError:)","abstract":"\u003cp\u003eCreates an instance using an \u003ccode\u003eNWPathMonitor\u003c/code\u003e configured with the provided \u003ccode\u003eInterfaceType\u003c/code\u003e, maximum wait for","parent_name":"OfflineRetrier"},"Classes/OfflineRetrier.html#/s:9Alamofire14OfflineRetrierC24prohibitedInterfaceTypes11maximumWait02isB5ErrorACSay7Network11NWInterfaceV0E4TypeOG_8Dispatch0N12TimeIntervalOSbs0J0_pYbctcfc":{"name":"init(prohibitedInterfaceTypes:maximumWait:isOfflineError:)","abstract":"\u003cp\u003eCreates an instance using an \u003ccode\u003eNWPathMonitor\u003c/code\u003e configured with the provided \u003ccode\u003eInterfaceType\u003c/code\u003es, maximum wait for","parent_name":"OfflineRetrier"},"Classes/OfflineRetrier.html#/s:9Alamofire14RequestRetrierP5retry_3for5dueTo10completionyAA0B0C_AA7SessionCs5Error_pyAA11RetryResultOYbctF":{"name":"retry(_:for:dueTo:completion:)","parent_name":"OfflineRetrier"},"Classes/NetworkReachabilityManager/NetworkReachabilityStatus/ConnectionType.html#/s:9Alamofire26NetworkReachabilityManagerC0bC6StatusO14ConnectionTypeO14ethernetOrWiFiyA2GmF":{"name":"ethernetOrWiFi","abstract":"\u003cp\u003eThe connection type is either over Ethernet or WiFi.\u003c/p\u003e","parent_name":"ConnectionType"},"Classes/NetworkReachabilityManager/NetworkReachabilityStatus/ConnectionType.html#/s:9Alamofire26NetworkReachabilityManagerC0bC6StatusO14ConnectionTypeO8cellularyA2GmF":{"name":"cellular","abstract":"\u003cp\u003eThe connection type is a cellular connection.\u003c/p\u003e","parent_name":"ConnectionType"},"Classes/NetworkReachabilityManager/NetworkReachabilityStatus.html#/s:9Alamofire26NetworkReachabilityManagerC0bC6StatusO7unknownyA2EmF":{"name":"unknown","abstract":"\u003cp\u003eIt is unknown whether the network is reachable.\u003c/p\u003e","parent_name":"NetworkReachabilityStatus"},"Classes/NetworkReachabilityManager/NetworkReachabilityStatus.html#/s:9Alamofire26NetworkReachabilityManagerC0bC6StatusO12notReachableyA2EmF":{"name":"notReachable","abstract":"\u003cp\u003eThe network is not reachable.\u003c/p\u003e","parent_name":"NetworkReachabilityStatus"},"Classes/NetworkReachabilityManager/NetworkReachabilityStatus.html#/s:9Alamofire26NetworkReachabilityManagerC0bC6StatusO9reachableyA2E14ConnectionTypeOcAEmF":{"name":"reachable(_:)","abstract":"\u003cp\u003eThe network is reachable on the associated \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/NetworkReachabilityManager/NetworkReachabilityStatus/ConnectionType.html\"\u003eConnectionType\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"NetworkReachabilityStatus"},"Classes/NetworkReachabilityManager/NetworkReachabilityStatus/ConnectionType.html":{"name":"ConnectionType","abstract":"\u003cp\u003eDefines the various connection types detected by reachability flags.\u003c/p\u003e","parent_name":"NetworkReachabilityStatus"},"Classes/NetworkReachabilityManager/NetworkReachabilityStatus.html":{"name":"NetworkReachabilityStatus","abstract":"\u003cp\u003eDefines the various states of network reachability.\u003c/p\u003e","parent_name":"NetworkReachabilityManager"},"Classes/NetworkReachabilityManager.html#/s:9Alamofire26NetworkReachabilityManagerC8Listenera":{"name":"Listener","abstract":"\u003cp\u003eA closure executed when the network reachability status changes. The closure takes a single argument: the","parent_name":"NetworkReachabilityManager"},"Classes/NetworkReachabilityManager.html#/s:9Alamofire26NetworkReachabilityManagerC7defaultACSgvpZ":{"name":"default","abstract":"\u003cp\u003eDefault \u003ccode\u003eNetworkReachabilityManager\u003c/code\u003e for the zero address and a \u003ccode\u003elistenerQueue\u003c/code\u003e of \u003ccode\u003e.main\u003c/code\u003e.\u003c/p\u003e","parent_name":"NetworkReachabilityManager"},"Classes/NetworkReachabilityManager.html#/s:9Alamofire26NetworkReachabilityManagerC11isReachableSbvp":{"name":"isReachable","abstract":"\u003cp\u003eWhether the network is currently reachable.\u003c/p\u003e","parent_name":"NetworkReachabilityManager"},"Classes/NetworkReachabilityManager.html#/s:9Alamofire26NetworkReachabilityManagerC21isReachableOnCellularSbvp":{"name":"isReachableOnCellular","abstract":"\u003cp\u003eWhether the network is currently reachable over the cellular interface.\u003c/p\u003e","parent_name":"NetworkReachabilityManager"},"Classes/NetworkReachabilityManager.html#/s:9Alamofire26NetworkReachabilityManagerC27isReachableOnEthernetOrWiFiSbvp":{"name":"isReachableOnEthernetOrWiFi","abstract":"\u003cp\u003eWhether the network is currently reachable over Ethernet or WiFi interface.\u003c/p\u003e","parent_name":"NetworkReachabilityManager"},"Classes/NetworkReachabilityManager.html#/s:9Alamofire26NetworkReachabilityManagerC17reachabilityQueueSo17OS_dispatch_queueCvp":{"name":"reachabilityQueue","abstract":"\u003cp\u003e\u003ccode\u003eDispatchQueue\u003c/code\u003e on which reachability will update.\u003c/p\u003e","parent_name":"NetworkReachabilityManager"},"Classes/NetworkReachabilityManager.html#/s:9Alamofire26NetworkReachabilityManagerC5flagsSo09SCNetworkC5FlagsVSgvp":{"name":"flags","abstract":"\u003cp\u003eFlags of the current reachability type, if any.\u003c/p\u003e","parent_name":"NetworkReachabilityManager"},"Classes/NetworkReachabilityManager.html#/s:9Alamofire26NetworkReachabilityManagerC6statusAC0bC6StatusOvp":{"name":"status","abstract":"\u003cp\u003eThe current network reachability status.\u003c/p\u003e","parent_name":"NetworkReachabilityManager"},"Classes/NetworkReachabilityManager.html#/s:9Alamofire26NetworkReachabilityManagerC4hostACSgSS_tcfc":{"name":"init(host:)","abstract":"\u003cp\u003eCreates an instance with the specified host.\u003c/p\u003e","parent_name":"NetworkReachabilityManager"},"Classes/NetworkReachabilityManager.html#/s:9Alamofire26NetworkReachabilityManagerCACSgycfc":{"name":"init()","abstract":"\u003cp\u003eCreates an instance that monitors the address 0.0.0.0.\u003c/p\u003e","parent_name":"NetworkReachabilityManager"},"Classes/NetworkReachabilityManager.html#/s:9Alamofire26NetworkReachabilityManagerC14startListening7onQueue0G16UpdatePerformingSbSo17OS_dispatch_queueC_yAC0bC6StatusOctF":{"name":"startListening(onQueue:onUpdatePerforming:)","abstract":"\u003cp\u003eStarts listening for changes in network reachability status.\u003c/p\u003e","parent_name":"NetworkReachabilityManager"},"Classes/NetworkReachabilityManager.html#/s:9Alamofire26NetworkReachabilityManagerC13stopListeningyyF":{"name":"stopListening()","abstract":"\u003cp\u003eStops listening for changes in network reachability status.\u003c/p\u003e","parent_name":"NetworkReachabilityManager"},"Classes/MultipartFormData.html#/s:9Alamofire17MultipartFormDataC23encodingMemoryThresholds6UInt64VvpZ":{"name":"encodingMemoryThreshold","abstract":"\u003cp\u003eDefault memory threshold used when encoding \u003ccode\u003eMultipartFormData\u003c/code\u003e, in bytes.\u003c/p\u003e","parent_name":"MultipartFormData"},"Classes/MultipartFormData.html#/s:9Alamofire17MultipartFormDataC11contentTypeSSvp":{"name":"contentType","abstract":"\u003cp\u003eThe \u003ccode\u003eContent-Type\u003c/code\u003e header value containing the boundary used to generate the \u003ccode\u003emultipart/form-data\u003c/code\u003e.\u003c/p\u003e","parent_name":"MultipartFormData"},"Classes/MultipartFormData.html#/s:9Alamofire17MultipartFormDataC13contentLengths6UInt64Vvp":{"name":"contentLength","abstract":"\u003cp\u003eThe content length of all body parts used to generate the \u003ccode\u003emultipart/form-data\u003c/code\u003e not including the boundaries.\u003c/p\u003e","parent_name":"MultipartFormData"},"Classes/MultipartFormData.html#/s:9Alamofire17MultipartFormDataC8boundarySSvp":{"name":"boundary","abstract":"\u003cp\u003eThe boundary used to separate the body parts in the encoded form data.\u003c/p\u003e","parent_name":"MultipartFormData"},"Classes/MultipartFormData.html#/s:9Alamofire17MultipartFormDataC11fileManager8boundaryACSo06NSFileF0C_SSSgtcfc":{"name":"init(fileManager:boundary:)","abstract":"\u003cp\u003eCreates an instance.\u003c/p\u003e","parent_name":"MultipartFormData"},"Classes/MultipartFormData.html#/s:9Alamofire17MultipartFormDataC6append_8withName04fileG08mimeTypey10Foundation0D0V_S2SSgAKtF":{"name":"append(_:withName:fileName:mimeType:)","abstract":"\u003cp\u003eCreates a body part from the data and appends it to the instance.\u003c/p\u003e","parent_name":"MultipartFormData"},"Classes/MultipartFormData.html#/s:9Alamofire17MultipartFormDataC6append_8withNamey10Foundation3URLV_SStF":{"name":"append(_:withName:)","abstract":"\u003cp\u003eCreates a body part from the file and appends it to the instance.\u003c/p\u003e","parent_name":"MultipartFormData"},"Classes/MultipartFormData.html#/s:9Alamofire17MultipartFormDataC6append_8withName04fileG08mimeTypey10Foundation3URLV_S3StF":{"name":"append(_:withName:fileName:mimeType:)","abstract":"\u003cp\u003eCreates a body part from the file and appends it to the instance.\u003c/p\u003e","parent_name":"MultipartFormData"},"Classes/MultipartFormData.html#/s:9Alamofire17MultipartFormDataC6append_10withLength4name8fileName8mimeTypeySo13NSInputStreamC_s6UInt64VS3StF":{"name":"append(_:withLength:name:fileName:mimeType:)","abstract":"\u003cp\u003eCreates a body part from the stream and appends it to the instance.\u003c/p\u003e","parent_name":"MultipartFormData"},"Classes/MultipartFormData.html#/s:9Alamofire17MultipartFormDataC6append_10withLength7headersySo13NSInputStreamC_s6UInt64VAA11HTTPHeadersVtF":{"name":"append(_:withLength:headers:)","abstract":"\u003cp\u003eCreates a body part with the stream, length, and headers and appends it to the instance.\u003c/p\u003e","parent_name":"MultipartFormData"},"Classes/MultipartFormData.html#/s:9Alamofire17MultipartFormDataC6encode10Foundation0D0VyKF":{"name":"encode()","abstract":"\u003cp\u003eEncodes all appended body parts into a single \u003ccode\u003eData\u003c/code\u003e value.\u003c/p\u003e","parent_name":"MultipartFormData"},"Classes/MultipartFormData.html#/s:9Alamofire17MultipartFormDataC012writeEncodedD02toy10Foundation3URLV_tKF":{"name":"writeEncodedData(to:)","abstract":"\u003cp\u003eWrites all appended body parts to the given file \u003ccode\u003eURL\u003c/code\u003e.\u003c/p\u003e","parent_name":"MultipartFormData"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC32sessionDidBecomeInvalidWithErrorySo12NSURLSessionC_s0J0_pSgtcSgvp":{"name":"sessionDidBecomeInvalidWithError","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_25didBecomeInvalidWithErrorySo12NSURLSessionC_s0J0_pSgtF\"\u003eurlSession(_:didBecomeInvalidWithError:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC23taskDidReceiveChallengeySo12NSURLSessionC_So0I4TaskCSo019NSURLAuthenticationH0CtcSgvp":{"name":"taskDidReceiveChallenge","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003eurlSession(_:task:didReceive:completionHandler:)\u003c/code\u003e.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC19taskDidSendBodyDataySo12NSURLSessionC_So0J4TaskCs5Int64VA2JtcSgvp":{"name":"taskDidSendBodyData","abstract":"\u003cp\u003eClosure that receives \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task15didSendBodyData14totalBytesSent0kl10ExpectedToH0ySo12NSURLSessionC_So0P4TaskCs5Int64VA2NtF\"\u003eurlSession(_:task:didSendBodyData:totalBytesSent:totalBytesExpectedToSend:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC21taskNeedNewBodyStreamySo12NSURLSessionC_So0J4TaskCtcSgvp":{"name":"taskNeedNewBodyStream","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003eurlSession(_:task:needNewBodyStream:)\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC30taskWillPerformHTTPRedirectionySo12NSURLSessionC_So0I4TaskCSo17NSHTTPURLResponseC10Foundation10URLRequestVtcSgvp":{"name":"taskWillPerformHTTPRedirection","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003eurlSession(_:task:willPerformHTTPRedirection:newRequest:completionHandler:)\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC30taskDidFinishCollectingMetricsySo12NSURLSessionC_So0J4TaskCSo0jkI0CtcSgvp":{"name":"taskDidFinishCollectingMetrics","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task19didFinishCollectingySo12NSURLSessionC_So0J4TaskCSo0jK7MetricsCtF\"\u003eurlSession(_:task:didFinishCollecting:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC15taskDidCompleteySo12NSURLSessionC_So0H4TaskCs5Error_pSgtcSgvp":{"name":"taskDidComplete","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task20didCompleteWithErrorySo12NSURLSessionC_So0K4TaskCs0J0_pSgtF\"\u003eurlSession(_:task:didCompleteWithError:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC28taskIsWaitingForConnectivityySo12NSURLSessionC_So0J4TaskCtcSgvp":{"name":"taskIsWaitingForConnectivity","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_28taskIsWaitingForConnectivityySo12NSURLSessionC_So0K4TaskCtF\"\u003eurlSession(_:taskIsWaitingForConnectivity:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC26dataTaskDidReceiveResponseySo12NSURLSessionC_So0j4DataF0CSo13NSURLResponseCtcSgvp":{"name":"dataTaskDidReceiveResponse","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003eurlSession(_:dataTask:didReceive:completionHandler:)\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC22dataTaskDidReceiveDataySo12NSURLSessionC_So0jiF0C10Foundation0I0VtcSgvp":{"name":"dataTaskDidReceiveData","abstract":"\u003cp\u003eClosure that receives the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_8dataTask10didReceiveySo12NSURLSessionC_So0j4DataG0CSo13NSURLResponseCtF\"\u003eurlSession(_:dataTask:didReceive:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC25dataTaskWillCacheResponseySo12NSURLSessionC_So0j4DataF0CSo19NSCachedURLResponseCtcSgvp":{"name":"dataTaskWillCacheResponse","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003eurlSession(_:dataTask:willCacheResponse:completionHandler:)\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC37downloadTaskDidFinishDownloadingToURLySo12NSURLSessionC_So0l8DownloadF0C10Foundation0K0VtcSgvp":{"name":"downloadTaskDidFinishDownloadingToURL","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_12downloadTask22didFinishDownloadingToySo12NSURLSessionC_So0l8DownloadG0C10Foundation3URLVtF\"\u003eurlSession(_:downloadTask:didFinishDownloadingTo:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC24downloadTaskDidWriteDataySo12NSURLSessionC_So0j8DownloadF0Cs5Int64VA2JtcSgvp":{"name":"downloadTaskDidWriteData","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_12downloadTask12didWriteData17totalBytesWritten0kl10ExpectedToI0ySo12NSURLSessionC_So0p8DownloadG0Cs5Int64VA2NtF\"\u003eurlSession(_:downloadTask:didWriteData:totalBytesWritten:totalBytesExpectedToWrite:)\u003c/a\u003e\u003c/code\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC29downloadTaskDidResumeAtOffsetySo12NSURLSessionC_So0k8DownloadF0Cs5Int64VAJtcSgvp":{"name":"downloadTaskDidResumeAtOffset","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_12downloadTask17didResumeAtOffset18expectedTotalBytesySo12NSURLSessionC_So0o8DownloadG0Cs5Int64VAMtF\"\u003eurlSession(_:downloadTask:didResumeAtOffset:expectedTotalBytes:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC33requestDidCreateInitialURLRequestyAA7RequestC_10Foundation0I0VtcSgvp":{"name":"requestDidCreateInitialURLRequest","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_26didCreateInitialURLRequestyAA7RequestC_10Foundation0H0VtF\"\u003erequest(_:didCreateInitialURLRequest:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC41requestDidFailToCreateURLRequestWithErroryAA7RequestC_AA7AFErrorOtcSgvp":{"name":"requestDidFailToCreateURLRequestWithError","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_34didFailToCreateURLRequestWithErroryAA7RequestC_AA7AFErrorOtF\"\u003erequest(_:didFailToCreateURLRequestWithError:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC038requestDidAdaptInitialRequestToAdaptedI0yAA0I0C_10Foundation10URLRequestVAItcSgvp":{"name":"requestDidAdaptInitialRequestToAdaptedRequest","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_22didAdaptInitialRequest2toyAA0H0C_10Foundation10URLRequestVAKtF\"\u003erequest(_:didAdaptInitialRequest:to:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC40requestDidFailToAdaptURLRequestWithErroryAA7RequestC_10Foundation0J0VAA7AFErrorOtcSgvp":{"name":"requestDidFailToAdaptURLRequestWithError","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_24didFailToAdaptURLRequest9withErroryAA7RequestC_10Foundation0I0VAA7AFErrorOtF\"\u003erequest(_:didFailToAdaptURLRequest:withError:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC26requestDidCreateURLRequestyAA7RequestC_10Foundation0H0VtcSgvp":{"name":"requestDidCreateURLRequest","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_19didCreateURLRequestyAA7RequestC_10Foundation0G0VtF\"\u003erequest(_:didCreateURLRequest:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC20requestDidCreateTaskyAA7RequestC_So012NSURLSessionH0CtcSgvp":{"name":"requestDidCreateTask","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_13didCreateTaskyAA7RequestC_So012NSURLSessionG0CtF\"\u003erequest(_:didCreateTask:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC23requestDidGatherMetricsyAA7RequestC_So016NSURLSessionTaskH0CtcSgvp":{"name":"requestDidGatherMetrics","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_16didGatherMetricsyAA7RequestC_So016NSURLSessionTaskG0CtF\"\u003erequest(_:didGatherMetrics:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC32requestDidFailTaskEarlyWithErroryAA7RequestC_So012NSURLSessionH0CAA7AFErrorOtcSgvp":{"name":"requestDidFailTaskEarlyWithError","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_11didFailTask14earlyWithErroryAA7RequestC_So012NSURLSessionG0CAA7AFErrorOtF\"\u003erequest(_:didFailTask:earlyWithError:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC31requestDidCompleteTaskWithErroryAA7RequestC_So012NSURLSessionH0CAA7AFErrorOSgtcSgvp":{"name":"requestDidCompleteTaskWithError","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_15didCompleteTask4withyAA7RequestC_So012NSURLSessionG0CAA7AFErrorOSgtF\"\u003erequest(_:didCompleteTask:with:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC17requestIsRetryingyAA7RequestCcSgvp":{"name":"requestIsRetrying","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP17requestIsRetryingyyAA7RequestCF\"\u003erequestIsRetrying(_:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC16requestDidFinishyAA7RequestCcSgvp":{"name":"requestDidFinish","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP16requestDidFinishyyAA7RequestCF\"\u003erequestDidFinish(_:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC16requestDidResumeyAA7RequestCcSgvp":{"name":"requestDidResume","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP16requestDidResumeyyAA7RequestCF\"\u003erequestDidResume(_:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC20requestDidResumeTaskyAA7RequestC_So012NSURLSessionH0CtcSgvp":{"name":"requestDidResumeTask","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_13didResumeTaskyAA7RequestC_So012NSURLSessionG0CtF\"\u003erequest(_:didResumeTask:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC17requestDidSuspendyAA7RequestCcSgvp":{"name":"requestDidSuspend","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP17requestDidSuspendyyAA7RequestCF\"\u003erequestDidSuspend(_:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC21requestDidSuspendTaskyAA7RequestC_So012NSURLSessionH0CtcSgvp":{"name":"requestDidSuspendTask","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_14didSuspendTaskyAA7RequestC_So012NSURLSessionG0CtF\"\u003erequest(_:didSuspendTask:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC16requestDidCancelyAA7RequestCcSgvp":{"name":"requestDidCancel","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP16requestDidCancelyyAA7RequestCF\"\u003erequestDidCancel(_:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC20requestDidCancelTaskyAA7RequestC_So012NSURLSessionH0CtcSgvp":{"name":"requestDidCancelTask","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_13didCancelTaskyAA7RequestC_So012NSURLSessionG0CtF\"\u003erequest(_:didCancelTask:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC47requestDidValidateRequestResponseDataWithResultyAA0jH0C_10Foundation10URLRequestVSgSo17NSHTTPURLResponseCAG0J0VSgs0L0Oyyts5Error_pGtcSgvp":{"name":"requestDidValidateRequestResponseDataWithResult","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_18didValidateRequest8response4data10withResultyAA04DataG0C_10Foundation10URLRequestVSgSo17NSHTTPURLResponseCAK0L0VSgs0K0Oyyts5Error_pGtF\"\u003erequest(_:didValidateRequest:response:data:withResult:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC23requestDidParseResponseyAA11DataRequestC_AA0iH0Vy10Foundation0I0VSgAA7AFErrorOGtcSgvp":{"name":"requestDidParseResponse","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_16didParseResponseyAA11DataRequestC_AA0hG0Vy10Foundation0H0VSgAA7AFErrorOGtF\"\u003erequest(_:didParseResponse:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC43requestDidValidateRequestResponseWithResultyAA010DataStreamH0C_10Foundation10URLRequestVSgSo17NSHTTPURLResponseCs0K0Oyyts5Error_pGtcSgvp":{"name":"requestDidValidateRequestResponseWithResult","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_18didValidateRequest8response10withResultyAA010DataStreamG0C_10Foundation10URLRequestVSgSo17NSHTTPURLResponseCs0J0Oyyts5Error_pGtF\"\u003erequest(_:didValidateRequest:response:withResult:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC26requestDidCreateUploadableyAA13UploadRequestC_AF0H0OtcSgvp":{"name":"requestDidCreateUploadable","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_19didCreateUploadableyAA13UploadRequestC_AG0G0OtF\"\u003erequest(_:didCreateUploadable:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC41requestDidFailToCreateUploadableWithErroryAA13UploadRequestC_AA7AFErrorOtcSgvp":{"name":"requestDidFailToCreateUploadableWithError","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_34didFailToCreateUploadableWithErroryAA13UploadRequestC_AA7AFErrorOtF\"\u003erequest(_:didFailToCreateUploadableWithError:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC28requestDidProvideInputStreamyAA13UploadRequestC_So07NSInputI0CtcSgvp":{"name":"requestDidProvideInputStream","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_21didProvideInputStreamyAA13UploadRequestC_So07NSInputH0CtF\"\u003erequest(_:didProvideInputStream:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC46requestDidFinishDownloadingUsingTaskWithResultyAA15DownloadRequestC_So012NSURLSessionJ0Cs0L0Oy10Foundation3URLVAA7AFErrorOGtcSgvp":{"name":"requestDidFinishDownloadingUsingTaskWithResult","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_25didFinishDownloadingUsing4withyAA15DownloadRequestC_So16NSURLSessionTaskCs6ResultOy10Foundation3URLVAA7AFErrorOGtF\"\u003erequest(_:didFinishDownloadingUsing:with:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC30requestDidCreateDestinationURLyAA15DownloadRequestC_10Foundation0I0VtcSgvp":{"name":"requestDidCreateDestinationURL","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_23didCreateDestinationURLyAA15DownloadRequestC_10Foundation0H0VtF\"\u003erequest(_:didCreateDestinationURL:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC50requestDidValidateRequestResponseFileURLWithResultyAA08DownloadH0C_10Foundation10URLRequestVSgSo17NSHTTPURLResponseCAG3URLVSgs0L0Oyyts5Error_pGtcSgvp":{"name":"requestDidValidateRequestResponseFileURLWithResult","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003erequest(_:didValidateRequest:response:temporaryURL:destinationURL:withResult:)\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC31requestDidParseDownloadResponseyAA0H7RequestC_AA0hI0Vy10Foundation3URLVSgAA7AFErrorOGtcSgvp":{"name":"requestDidParseDownloadResponse","abstract":"\u003cp\u003eClosure called on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_16didParseResponseyAA11DataRequestC_AA0hG0Vy10Foundation0H0VSgAA7AFErrorOGtF\"\u003erequest(_:didParseResponse:)\u003c/a\u003e\u003c/code\u003e event.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP5queueSo012OS_dispatch_D0Cvp":{"name":"queue","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire19ClosureEventMonitorC5queueACSo012OS_dispatch_E0C_tcfc":{"name":"init(queue:)","abstract":"\u003cp\u003eCreates an instance using the provided queue.\u003c/p\u003e","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_25didBecomeInvalidWithErrorySo12NSURLSessionC_s0J0_pSgtF":{"name":"urlSession(_:didBecomeInvalidWithError:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task10didReceiveySo12NSURLSessionC_So0I4TaskCSo28NSURLAuthenticationChallengeCtF":{"name":"urlSession(_:task:didReceive:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task15didSendBodyData14totalBytesSent0kl10ExpectedToH0ySo12NSURLSessionC_So0P4TaskCs5Int64VA2NtF":{"name":"urlSession(_:task:didSendBodyData:totalBytesSent:totalBytesExpectedToSend:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_22taskNeedsNewBodyStreamySo12NSURLSessionC_So0K4TaskCtF":{"name":"urlSession(_:taskNeedsNewBodyStream:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task26willPerformHTTPRedirection10newRequestySo12NSURLSessionC_So0L4TaskCSo17NSHTTPURLResponseC10Foundation10URLRequestVtF":{"name":"urlSession(_:task:willPerformHTTPRedirection:newRequest:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task19didFinishCollectingySo12NSURLSessionC_So0J4TaskCSo0jK7MetricsCtF":{"name":"urlSession(_:task:didFinishCollecting:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task20didCompleteWithErrorySo12NSURLSessionC_So0K4TaskCs0J0_pSgtF":{"name":"urlSession(_:task:didCompleteWithError:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_28taskIsWaitingForConnectivityySo12NSURLSessionC_So0K4TaskCtF":{"name":"urlSession(_:taskIsWaitingForConnectivity:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_8dataTask10didReceiveySo12NSURLSessionC_So0j4DataG0CSo13NSURLResponseCtF":{"name":"urlSession(_:dataTask:didReceive:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_8dataTask10didReceiveySo12NSURLSessionC_So0j4DataG0C10Foundation0K0VtF":{"name":"urlSession(_:dataTask:didReceive:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_8dataTask17willCacheResponseySo12NSURLSessionC_So0k4DataG0CSo19NSCachedURLResponseCtF":{"name":"urlSession(_:dataTask:willCacheResponse:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_12downloadTask17didResumeAtOffset18expectedTotalBytesySo12NSURLSessionC_So0o8DownloadG0Cs5Int64VAMtF":{"name":"urlSession(_:downloadTask:didResumeAtOffset:expectedTotalBytes:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_12downloadTask12didWriteData17totalBytesWritten0kl10ExpectedToI0ySo12NSURLSessionC_So0p8DownloadG0Cs5Int64VA2NtF":{"name":"urlSession(_:downloadTask:didWriteData:totalBytesWritten:totalBytesExpectedToWrite:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_12downloadTask22didFinishDownloadingToySo12NSURLSessionC_So0l8DownloadG0C10Foundation3URLVtF":{"name":"urlSession(_:downloadTask:didFinishDownloadingTo:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_26didCreateInitialURLRequestyAA7RequestC_10Foundation0H0VtF":{"name":"request(_:didCreateInitialURLRequest:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_34didFailToCreateURLRequestWithErroryAA7RequestC_AA7AFErrorOtF":{"name":"request(_:didFailToCreateURLRequestWithError:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_22didAdaptInitialRequest2toyAA0H0C_10Foundation10URLRequestVAKtF":{"name":"request(_:didAdaptInitialRequest:to:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_24didFailToAdaptURLRequest9withErroryAA7RequestC_10Foundation0I0VAA7AFErrorOtF":{"name":"request(_:didFailToAdaptURLRequest:withError:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_19didCreateURLRequestyAA7RequestC_10Foundation0G0VtF":{"name":"request(_:didCreateURLRequest:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_13didCreateTaskyAA7RequestC_So012NSURLSessionG0CtF":{"name":"request(_:didCreateTask:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_16didGatherMetricsyAA7RequestC_So016NSURLSessionTaskG0CtF":{"name":"request(_:didGatherMetrics:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_11didFailTask14earlyWithErroryAA7RequestC_So012NSURLSessionG0CAA7AFErrorOtF":{"name":"request(_:didFailTask:earlyWithError:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_15didCompleteTask4withyAA7RequestC_So012NSURLSessionG0CAA7AFErrorOSgtF":{"name":"request(_:didCompleteTask:with:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP17requestIsRetryingyyAA7RequestCF":{"name":"requestIsRetrying(_:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP16requestDidFinishyyAA7RequestCF":{"name":"requestDidFinish(_:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP16requestDidResumeyyAA7RequestCF":{"name":"requestDidResume(_:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_13didResumeTaskyAA7RequestC_So012NSURLSessionG0CtF":{"name":"request(_:didResumeTask:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP17requestDidSuspendyyAA7RequestCF":{"name":"requestDidSuspend(_:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_14didSuspendTaskyAA7RequestC_So012NSURLSessionG0CtF":{"name":"request(_:didSuspendTask:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP16requestDidCancelyyAA7RequestCF":{"name":"requestDidCancel(_:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_13didCancelTaskyAA7RequestC_So012NSURLSessionG0CtF":{"name":"request(_:didCancelTask:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_18didValidateRequest8response4data10withResultyAA04DataG0C_10Foundation10URLRequestVSgSo17NSHTTPURLResponseCAK0L0VSgs0K0Oyyts5Error_pGtF":{"name":"request(_:didValidateRequest:response:data:withResult:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_16didParseResponseyAA11DataRequestC_AA0hG0Vy10Foundation0H0VSgAA7AFErrorOGtF":{"name":"request(_:didParseResponse:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_18didValidateRequest8response10withResultyAA010DataStreamG0C_10Foundation10URLRequestVSgSo17NSHTTPURLResponseCs0J0Oyyts5Error_pGtF":{"name":"request(_:didValidateRequest:response:withResult:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_19didCreateUploadableyAA13UploadRequestC_AG0G0OtF":{"name":"request(_:didCreateUploadable:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_34didFailToCreateUploadableWithErroryAA13UploadRequestC_AA7AFErrorOtF":{"name":"request(_:didFailToCreateUploadableWithError:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_21didProvideInputStreamyAA13UploadRequestC_So07NSInputH0CtF":{"name":"request(_:didProvideInputStream:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_25didFinishDownloadingUsing4withyAA15DownloadRequestC_So16NSURLSessionTaskCs6ResultOy10Foundation3URLVAA7AFErrorOGtF":{"name":"request(_:didFinishDownloadingUsing:with:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_23didCreateDestinationURLyAA15DownloadRequestC_10Foundation0H0VtF":{"name":"request(_:didCreateDestinationURL:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_18didValidateRequest8response7fileURL10withResultyAA08DownloadG0C_10Foundation10URLRequestVSgSo17NSHTTPURLResponseCAK0J0VSgs0L0Oyyts5Error_pGtF":{"name":"request(_:didValidateRequest:response:fileURL:withResult:)","parent_name":"ClosureEventMonitor"},"Classes/ClosureEventMonitor.html#/s:9Alamofire12EventMonitorP7request_16didParseResponseyAA15DownloadRequestC_AA0hG0Vy10Foundation3URLVSgAA7AFErrorOGtF":{"name":"request(_:didParseResponse:)","parent_name":"ClosureEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP5queueSo012OS_dispatch_D0Cvp":{"name":"queue","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire21CompositeEventMonitorC8monitorsSayAA0cD0_pGvp":{"name":"monitors","abstract":"\u003cp\u003eUnderlying \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/EventMonitor.html\"\u003eEventMonitor\u003c/a\u003e\u003c/code\u003es performed by the instance.\u003c/p\u003e","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_25didBecomeInvalidWithErrorySo12NSURLSessionC_s0J0_pSgtF":{"name":"urlSession(_:didBecomeInvalidWithError:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task10didReceiveySo12NSURLSessionC_So0I4TaskCSo28NSURLAuthenticationChallengeCtF":{"name":"urlSession(_:task:didReceive:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task15didSendBodyData14totalBytesSent0kl10ExpectedToH0ySo12NSURLSessionC_So0P4TaskCs5Int64VA2NtF":{"name":"urlSession(_:task:didSendBodyData:totalBytesSent:totalBytesExpectedToSend:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_22taskNeedsNewBodyStreamySo12NSURLSessionC_So0K4TaskCtF":{"name":"urlSession(_:taskNeedsNewBodyStream:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task26willPerformHTTPRedirection10newRequestySo12NSURLSessionC_So0L4TaskCSo17NSHTTPURLResponseC10Foundation10URLRequestVtF":{"name":"urlSession(_:task:willPerformHTTPRedirection:newRequest:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task19didFinishCollectingySo12NSURLSessionC_So0J4TaskCSo0jK7MetricsCtF":{"name":"urlSession(_:task:didFinishCollecting:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_4task20didCompleteWithErrorySo12NSURLSessionC_So0K4TaskCs0J0_pSgtF":{"name":"urlSession(_:task:didCompleteWithError:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_28taskIsWaitingForConnectivityySo12NSURLSessionC_So0K4TaskCtF":{"name":"urlSession(_:taskIsWaitingForConnectivity:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_8dataTask10didReceiveySo12NSURLSessionC_So0j4DataG0CSo13NSURLResponseCtF":{"name":"urlSession(_:dataTask:didReceive:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_8dataTask10didReceiveySo12NSURLSessionC_So0j4DataG0C10Foundation0K0VtF":{"name":"urlSession(_:dataTask:didReceive:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_8dataTask17willCacheResponseySo12NSURLSessionC_So0k4DataG0CSo19NSCachedURLResponseCtF":{"name":"urlSession(_:dataTask:willCacheResponse:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_12downloadTask17didResumeAtOffset18expectedTotalBytesySo12NSURLSessionC_So0o8DownloadG0Cs5Int64VAMtF":{"name":"urlSession(_:downloadTask:didResumeAtOffset:expectedTotalBytes:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_12downloadTask12didWriteData17totalBytesWritten0kl10ExpectedToI0ySo12NSURLSessionC_So0p8DownloadG0Cs5Int64VA2NtF":{"name":"urlSession(_:downloadTask:didWriteData:totalBytesWritten:totalBytesExpectedToWrite:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP10urlSession_12downloadTask22didFinishDownloadingToySo12NSURLSessionC_So0l8DownloadG0C10Foundation3URLVtF":{"name":"urlSession(_:downloadTask:didFinishDownloadingTo:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_26didCreateInitialURLRequestyAA7RequestC_10Foundation0H0VtF":{"name":"request(_:didCreateInitialURLRequest:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_34didFailToCreateURLRequestWithErroryAA7RequestC_AA7AFErrorOtF":{"name":"request(_:didFailToCreateURLRequestWithError:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_22didAdaptInitialRequest2toyAA0H0C_10Foundation10URLRequestVAKtF":{"name":"request(_:didAdaptInitialRequest:to:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_24didFailToAdaptURLRequest9withErroryAA7RequestC_10Foundation0I0VAA7AFErrorOtF":{"name":"request(_:didFailToAdaptURLRequest:withError:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_19didCreateURLRequestyAA7RequestC_10Foundation0G0VtF":{"name":"request(_:didCreateURLRequest:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_13didCreateTaskyAA7RequestC_So012NSURLSessionG0CtF":{"name":"request(_:didCreateTask:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_16didGatherMetricsyAA7RequestC_So016NSURLSessionTaskG0CtF":{"name":"request(_:didGatherMetrics:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_11didFailTask14earlyWithErroryAA7RequestC_So012NSURLSessionG0CAA7AFErrorOtF":{"name":"request(_:didFailTask:earlyWithError:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_15didCompleteTask4withyAA7RequestC_So012NSURLSessionG0CAA7AFErrorOSgtF":{"name":"request(_:didCompleteTask:with:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP17requestIsRetryingyyAA7RequestCF":{"name":"requestIsRetrying(_:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP16requestDidFinishyyAA7RequestCF":{"name":"requestDidFinish(_:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP16requestDidResumeyyAA7RequestCF":{"name":"requestDidResume(_:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_13didResumeTaskyAA7RequestC_So012NSURLSessionG0CtF":{"name":"request(_:didResumeTask:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP17requestDidSuspendyyAA7RequestCF":{"name":"requestDidSuspend(_:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_14didSuspendTaskyAA7RequestC_So012NSURLSessionG0CtF":{"name":"request(_:didSuspendTask:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP16requestDidCancelyyAA7RequestCF":{"name":"requestDidCancel(_:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_13didCancelTaskyAA7RequestC_So012NSURLSessionG0CtF":{"name":"request(_:didCancelTask:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_18didValidateRequest8response4data10withResultyAA04DataG0C_10Foundation10URLRequestVSgSo17NSHTTPURLResponseCAK0L0VSgs0K0Oyyts5Error_pGtF":{"name":"request(_:didValidateRequest:response:data:withResult:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_16didParseResponseyAA11DataRequestC_AA0hG0Vy10Foundation0H0VSgAA7AFErrorOGtF":{"name":"request(_:didParseResponse:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_16didParseResponseyAA11DataRequestC_AA0hG0Vyqd__AA7AFErrorOGts8SendableRd__lF":{"name":"request(_:didParseResponse:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_18didValidateRequest8response10withResultyAA010DataStreamG0C_10Foundation10URLRequestVSgSo17NSHTTPURLResponseCs0J0Oyyts5Error_pGtF":{"name":"request(_:didValidateRequest:response:withResult:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_14didParseStreamyAA04DataG7RequestC_s6ResultOyqd__AA7AFErrorOGts8SendableRd__lF":{"name":"request(_:didParseStream:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_19didCreateUploadableyAA13UploadRequestC_AG0G0OtF":{"name":"request(_:didCreateUploadable:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_34didFailToCreateUploadableWithErroryAA13UploadRequestC_AA7AFErrorOtF":{"name":"request(_:didFailToCreateUploadableWithError:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_21didProvideInputStreamyAA13UploadRequestC_So07NSInputH0CtF":{"name":"request(_:didProvideInputStream:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_25didFinishDownloadingUsing4withyAA15DownloadRequestC_So16NSURLSessionTaskCs6ResultOy10Foundation3URLVAA7AFErrorOGtF":{"name":"request(_:didFinishDownloadingUsing:with:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_23didCreateDestinationURLyAA15DownloadRequestC_10Foundation0H0VtF":{"name":"request(_:didCreateDestinationURL:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_18didValidateRequest8response7fileURL10withResultyAA08DownloadG0C_10Foundation10URLRequestVSgSo17NSHTTPURLResponseCAK0J0VSgs0L0Oyyts5Error_pGtF":{"name":"request(_:didValidateRequest:response:fileURL:withResult:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_16didParseResponseyAA15DownloadRequestC_AA0hG0Vy10Foundation3URLVSgAA7AFErrorOGtF":{"name":"request(_:didParseResponse:)","parent_name":"CompositeEventMonitor"},"Classes/CompositeEventMonitor.html#/s:9Alamofire12EventMonitorP7request_16didParseResponseyAA15DownloadRequestC_AA0hG0Vyqd__AA7AFErrorOGts8SendableRd__lF":{"name":"request(_:didParseResponse:)","parent_name":"CompositeEventMonitor"},"Classes/AuthenticationInterceptor/RefreshWindow.html#/s:9Alamofire25AuthenticationInterceptorC13RefreshWindowV8intervalSdvp":{"name":"interval","abstract":"\u003cp\u003e\u003ccode\u003eTimeInterval\u003c/code\u003e defining the duration of the time window before the current time in which the number of","parent_name":"RefreshWindow"},"Classes/AuthenticationInterceptor/RefreshWindow.html#/s:9Alamofire25AuthenticationInterceptorC13RefreshWindowV15maximumAttemptsSivp":{"name":"maximumAttempts","abstract":"\u003cp\u003eTotal refresh attempts allowed within \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/AuthenticationInterceptor/RefreshWindow.html#/s:9Alamofire25AuthenticationInterceptorC13RefreshWindowV8intervalSdvp\"\u003einterval\u003c/a\u003e\u003c/code\u003e before throwing an \u003ccode\u003e.excessiveRefresh\u003c/code\u003e error.\u003c/p\u003e","parent_name":"RefreshWindow"},"Classes/AuthenticationInterceptor/RefreshWindow.html#/s:9Alamofire25AuthenticationInterceptorC13RefreshWindowV8interval15maximumAttemptsAEyx_GSd_Sitcfc":{"name":"init(interval:maximumAttempts:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003eRefreshWindow\u003c/code\u003e instance from the specified \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/AuthenticationInterceptor/RefreshWindow.html#/s:9Alamofire25AuthenticationInterceptorC13RefreshWindowV8intervalSdvp\"\u003einterval\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/AuthenticationInterceptor/RefreshWindow.html#/s:9Alamofire25AuthenticationInterceptorC13RefreshWindowV15maximumAttemptsSivp\"\u003emaximumAttempts\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"RefreshWindow"},"Classes/AuthenticationInterceptor.html#/s:9Alamofire25AuthenticationInterceptorC10Credentiala":{"name":"Credential","abstract":"\u003cp\u003eType of credential used to authenticate requests.\u003c/p\u003e","parent_name":"AuthenticationInterceptor"},"Classes/AuthenticationInterceptor/RefreshWindow.html":{"name":"RefreshWindow","abstract":"\u003cp\u003eType that defines a time window used to identify excessive refresh calls. When enabled, prior to executing a","parent_name":"AuthenticationInterceptor"},"Classes/AuthenticationInterceptor.html#/s:9Alamofire25AuthenticationInterceptorC10credential10CredentialQzSgvp":{"name":"credential","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/AuthenticationInterceptor.html#/s:9Alamofire25AuthenticationInterceptorC10Credentiala\"\u003eCredential\u003c/a\u003e\u003c/code\u003e used to authenticate requests.\u003c/p\u003e","parent_name":"AuthenticationInterceptor"},"Classes/AuthenticationInterceptor.html#/s:9Alamofire25AuthenticationInterceptorC13authenticator10credential13refreshWindowACyxGx_10CredentialQzSgAC07RefreshG0Vyx_GSgtcfc":{"name":"init(authenticator:credential:refreshWindow:)","abstract":"\u003cp\u003eCreates an \u003ccode\u003eAuthenticationInterceptor\u003c/code\u003e instance from the specified parameters.\u003c/p\u003e","parent_name":"AuthenticationInterceptor"},"Classes/AuthenticationInterceptor.html#/s:9Alamofire14RequestAdapterP5adapt_3for10completiony10Foundation10URLRequestV_AA7SessionCys6ResultOyAIs5Error_pGYbctF":{"name":"adapt(_:for:completion:)","parent_name":"AuthenticationInterceptor"},"Classes/AuthenticationInterceptor.html#/s:9Alamofire14RequestRetrierP5retry_3for5dueTo10completionyAA0B0C_AA7SessionCs5Error_pyAA11RetryResultOYbctF":{"name":"retry(_:for:dueTo:completion:)","parent_name":"AuthenticationInterceptor"},"Classes/UploadRequest/Uploadable.html#/s:9Alamofire13UploadRequestC10UploadableO4datayAE10Foundation4DataVcAEmF":{"name":"data(_:)","abstract":"\u003cp\u003eUpload from the provided \u003ccode\u003eData\u003c/code\u003e value.\u003c/p\u003e","parent_name":"Uploadable"},"Classes/UploadRequest/Uploadable.html#/s:9Alamofire13UploadRequestC10UploadableO4fileyAE10Foundation3URLV_SbtcAEmF":{"name":"file(_:shouldRemove:)","abstract":"\u003cp\u003eUpload from the provided file \u003ccode\u003eURL\u003c/code\u003e, as well as a \u003ccode\u003eBool\u003c/code\u003e determining whether the source file should be","parent_name":"Uploadable"},"Classes/UploadRequest/Uploadable.html#/s:9Alamofire13UploadRequestC10UploadableO6streamyAESo13NSInputStreamCcAEmF":{"name":"stream(_:)","abstract":"\u003cp\u003eUpload from the provided \u003ccode\u003eInputStream\u003c/code\u003e.\u003c/p\u003e","parent_name":"Uploadable"},"Classes/UploadRequest/Uploadable.html#/s:9Alamofire21UploadableConvertibleP06createB0AA13UploadRequestC0B0OyKF":{"name":"createUploadable()","parent_name":"Uploadable"},"Classes/UploadRequest/Uploadable.html":{"name":"Uploadable","abstract":"\u003cp\u003eType describing the origin of the upload, whether \u003ccode\u003eData\u003c/code\u003e, file, or stream.\u003c/p\u003e","parent_name":"UploadRequest"},"Classes/UploadRequest.html#/s:9Alamofire13UploadRequestC6uploadAA21UploadableConvertible_pvp":{"name":"upload","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/UploadableConvertible.html\"\u003eUploadableConvertible\u003c/a\u003e\u003c/code\u003e value used to produce the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest/Uploadable.html\"\u003eUploadable\u003c/a\u003e\u003c/code\u003e value for this instance.\u003c/p\u003e","parent_name":"UploadRequest"},"Classes/UploadRequest.html#/s:9Alamofire13UploadRequestC11fileManagerSo06NSFileE0Cvp":{"name":"fileManager","abstract":"\u003cp\u003e\u003ccode\u003eFileManager\u003c/code\u003e used to perform cleanup tasks, including the removal of multipart form encoded payloads written","parent_name":"UploadRequest"},"Classes/UploadRequest.html#/s:9Alamofire13UploadRequestC10uploadableAC10UploadableOSgvp":{"name":"uploadable","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest/Uploadable.html\"\u003eUploadable\u003c/a\u003e\u003c/code\u003e value used by the instance.\u003c/p\u003e","parent_name":"UploadRequest"},"Classes/UploadRequest.html#/s:9Alamofire13UploadRequestC7cleanupyyF":{"name":"cleanup()","parent_name":"UploadRequest"},"Classes/SessionDelegate.html#/s:9Alamofire15SessionDelegateC11fileManagerACSo06NSFileE0C_tcfc":{"name":"init(fileManager:)","abstract":"\u003cp\u003eCreates an instance from the given \u003ccode\u003eFileManager\u003c/code\u003e.\u003c/p\u003e","parent_name":"SessionDelegate"},"Classes/SessionDelegate.html#/c:@CM@Alamofire@objc(cs)SessionDelegate(im)URLSession:didBecomeInvalidWithError:":{"name":"urlSession(_:didBecomeInvalidWithError:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"SessionDelegate"},"Classes/SessionDelegate.html#/c:@CM@Alamofire@objc(cs)SessionDelegate(im)URLSession:task:didReceiveChallenge:completionHandler:":{"name":"urlSession(_:task:didReceive:completionHandler:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"SessionDelegate"},"Classes/SessionDelegate.html#/c:@CM@Alamofire@objc(cs)SessionDelegate(im)URLSession:task:didSendBodyData:totalBytesSent:totalBytesExpectedToSend:":{"name":"urlSession(_:task:didSendBodyData:totalBytesSent:totalBytesExpectedToSend:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"SessionDelegate"},"Classes/SessionDelegate.html#/c:@CM@Alamofire@objc(cs)SessionDelegate(im)URLSession:task:needNewBodyStream:":{"name":"urlSession(_:task:needNewBodyStream:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"SessionDelegate"},"Classes/SessionDelegate.html#/c:@CM@Alamofire@objc(cs)SessionDelegate(im)URLSession:task:willPerformHTTPRedirection:newRequest:completionHandler:":{"name":"urlSession(_:task:willPerformHTTPRedirection:newRequest:completionHandler:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"SessionDelegate"},"Classes/SessionDelegate.html#/c:@CM@Alamofire@objc(cs)SessionDelegate(im)URLSession:task:didFinishCollectingMetrics:":{"name":"urlSession(_:task:didFinishCollecting:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"SessionDelegate"},"Classes/SessionDelegate.html#/c:@CM@Alamofire@objc(cs)SessionDelegate(im)URLSession:task:didCompleteWithError:":{"name":"urlSession(_:task:didCompleteWithError:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"SessionDelegate"},"Classes/SessionDelegate.html#/c:@CM@Alamofire@objc(cs)SessionDelegate(im)URLSession:taskIsWaitingForConnectivity:":{"name":"urlSession(_:taskIsWaitingForConnectivity:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"SessionDelegate"},"Classes/SessionDelegate.html#/c:@CM@Alamofire@objc(cs)SessionDelegate(im)URLSession:dataTask:didReceiveResponse:completionHandler:":{"name":"urlSession(_:dataTask:didReceive:completionHandler:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"SessionDelegate"},"Classes/SessionDelegate.html#/c:@CM@Alamofire@objc(cs)SessionDelegate(im)URLSession:dataTask:didReceiveData:":{"name":"urlSession(_:dataTask:didReceive:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"SessionDelegate"},"Classes/SessionDelegate.html#/c:@CM@Alamofire@objc(cs)SessionDelegate(im)URLSession:dataTask:willCacheResponse:completionHandler:":{"name":"urlSession(_:dataTask:willCacheResponse:completionHandler:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"SessionDelegate"},"Classes/SessionDelegate.html#/c:@CM@Alamofire@objc(cs)SessionDelegate(im)URLSession:webSocketTask:didOpenWithProtocol:":{"name":"urlSession(_:webSocketTask:didOpenWithProtocol:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"SessionDelegate"},"Classes/SessionDelegate.html#/c:@CM@Alamofire@objc(cs)SessionDelegate(im)URLSession:webSocketTask:didCloseWithCode:reason:":{"name":"urlSession(_:webSocketTask:didCloseWith:reason:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"SessionDelegate"},"Classes/SessionDelegate.html#/c:@CM@Alamofire@objc(cs)SessionDelegate(im)URLSession:downloadTask:didResumeAtOffset:expectedTotalBytes:":{"name":"urlSession(_:downloadTask:didResumeAtOffset:expectedTotalBytes:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"SessionDelegate"},"Classes/SessionDelegate.html#/c:@CM@Alamofire@objc(cs)SessionDelegate(im)URLSession:downloadTask:didWriteData:totalBytesWritten:totalBytesExpectedToWrite:":{"name":"urlSession(_:downloadTask:didWriteData:totalBytesWritten:totalBytesExpectedToWrite:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"SessionDelegate"},"Classes/SessionDelegate.html#/c:@CM@Alamofire@objc(cs)SessionDelegate(im)URLSession:downloadTask:didFinishDownloadingToURL:":{"name":"urlSession(_:downloadTask:didFinishDownloadingTo:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"SessionDelegate"},"Classes/Session/RequestSetup.html#/s:9Alamofire7SessionC12RequestSetupO4lazyyA2EmF":{"name":"lazy","abstract":"\u003cp\u003eCalls the needed lifetime methods on created \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003es only after they have \u003ccode\u003eresume\u003c/code\u003e called. \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003es are","parent_name":"RequestSetup"},"Classes/Session/RequestSetup.html#/s:9Alamofire7SessionC12RequestSetupO5eageryA2EmF":{"name":"eager","abstract":"\u003cp\u003eCalls the needed lifetime methods on created \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003es immediately upon creation. Default in Alamofire","parent_name":"RequestSetup"},"Classes/Session.html#/s:9Alamofire7SessionC7defaultACvpZ":{"name":"default","abstract":"\u003cp\u003eShared singleton instance used by all \u003ccode\u003eAF.request\u003c/code\u003e APIs. Cannot be modified.\u003c/p\u003e","parent_name":"Session"},"Classes/Session/RequestSetup.html":{"name":"RequestSetup","abstract":"\u003cp\u003eType describing the timing of \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e setup after creation.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC7sessionSo12NSURLSessionCvp":{"name":"session","abstract":"\u003cp\u003eUnderlying \u003ccode\u003eURLSession\u003c/code\u003e used to create \u003ccode\u003eURLSessionTasks\u003c/code\u003e for this instance, and for which this instance\u0026rsquo;s","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC8delegateAA0B8DelegateCvp":{"name":"delegate","abstract":"\u003cp\u003eInstance\u0026rsquo;s \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/SessionDelegate.html\"\u003eSessionDelegate\u003c/a\u003e\u003c/code\u003e, which handles the \u003ccode\u003eURLSessionDelegate\u003c/code\u003e methods and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e interaction.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC9rootQueueSo17OS_dispatch_queueCvp":{"name":"rootQueue","abstract":"\u003cp\u003eRoot \u003ccode\u003eDispatchQueue\u003c/code\u003e for all internal callbacks and state update. \u003cstrong\u003eMUST\u003c/strong\u003e be a serial queue.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC24startRequestsImmediatelySbvp":{"name":"startRequestsImmediately","abstract":"\u003cp\u003eValue determining whether this instance automatically calls \u003ccode\u003eresume()\u003c/code\u003e on all created \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003es.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC12requestSetupAC07RequestD0Ovp":{"name":"requestSetup","abstract":"\u003cp\u003eValue determining the timing of \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e setup after creation. \u003ccode\u003e.lazy\u003c/code\u003e by default.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC12requestQueueSo17OS_dispatch_queueCvp":{"name":"requestQueue","abstract":"\u003cp\u003e\u003ccode\u003eDispatchQueue\u003c/code\u003e on which \u003ccode\u003eURLRequest\u003c/code\u003es are created asynchronously. By default this queue uses \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Session.html#/s:9Alamofire7SessionC9rootQueueSo17OS_dispatch_queueCvp\"\u003erootQueue\u003c/a\u003e\u003c/code\u003e as its","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC18serializationQueueSo17OS_dispatch_queueCvp":{"name":"serializationQueue","abstract":"\u003cp\u003e\u003ccode\u003eDispatchQueue\u003c/code\u003e passed to all \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003es on which they perform their response serialization. By default this","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC11interceptorAA18RequestInterceptor_pSgvp":{"name":"interceptor","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestInterceptor.html\"\u003eRequestInterceptor\u003c/a\u003e\u003c/code\u003e used for all \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e created by the instance. \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestInterceptor.html\"\u003eRequestInterceptor\u003c/a\u003e\u003c/code\u003es can also be added on a","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC18serverTrustManagerAA06ServerdE0CSgvp":{"name":"serverTrustManager","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/ServerTrustManager.html\"\u003eServerTrustManager\u003c/a\u003e\u003c/code\u003e instance used to evaluate all trust challenges and provide certificate and key pinning.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC15redirectHandlerAA08RedirectD0_pSgvp":{"name":"redirectHandler","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RedirectHandler.html\"\u003eRedirectHandler\u003c/a\u003e\u003c/code\u003e instance used to provide customization for request redirection.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC21cachedResponseHandlerAA06CacheddE0_pSgvp":{"name":"cachedResponseHandler","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/CachedResponseHandler.html\"\u003eCachedResponseHandler\u003c/a\u003e\u003c/code\u003e instance used to provide customization of cached response handling.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC12eventMonitorAA014CompositeEventD0Cvp":{"name":"eventMonitor","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/CompositeEventMonitor.html\"\u003eCompositeEventMonitor\u003c/a\u003e\u003c/code\u003e used to compose any passed \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/EventMonitor.html\"\u003eEventMonitor\u003c/a\u003e\u003c/code\u003es. \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/EventMonitor.html\"\u003eEventMonitor\u003c/a\u003e\u003c/code\u003es can also be added on a","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC20defaultEventMonitorsSayAA0D7Monitor_pGvp":{"name":"defaultEventMonitors","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/EventMonitor.html\"\u003eEventMonitor\u003c/a\u003e\u003c/code\u003es included in all instances unless overwritten. \u003ccode\u003e[AlamofireNotifications()]\u003c/code\u003e by default.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC7session8delegate9rootQueue24startRequestsImmediately12requestSetup0jF0013serializationF011interceptor18serverTrustManager15redirectHandler014cachedResponseR013eventMonitorsACSo12NSURLSessionC_AA0B8DelegateCSo17OS_dispatch_queueCSbAC07RequestK0OAUSgAxA18RequestInterceptor_pSgAA06ServeroP0CSgAA08RedirectR0_pSgAA06CachedtR0_pSgSayAA12EventMonitor_pGtcfc":{"name":"init(session:delegate:rootQueue:startRequestsImmediately:requestSetup:requestQueue:serializationQueue:interceptor:serverTrustManager:redirectHandler:cachedResponseHandler:eventMonitors:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003eSession\u003c/code\u003e from a \u003ccode\u003eURLSession\u003c/code\u003e and other parameters.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC13configuration8delegate9rootQueue24startRequestsImmediately12requestSetup0jF0013serializationF011interceptor18serverTrustManager15redirectHandler014cachedResponseR013eventMonitorsACSo25NSURLSessionConfigurationC_AA0B8DelegateCSo17OS_dispatch_queueCSbAC07RequestK0OAUSgAxA18RequestInterceptor_pSgAA06ServeroP0CSgAA08RedirectR0_pSgAA06CachedtR0_pSgSayAA12EventMonitor_pGtcfc":{"name":"init(configuration:delegate:rootQueue:startRequestsImmediately:requestSetup:requestQueue:serializationQueue:interceptor:serverTrustManager:redirectHandler:cachedResponseHandler:eventMonitors:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003eSession\u003c/code\u003e from a \u003ccode\u003eURLSessionConfiguration\u003c/code\u003e.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC15withAllRequests7performyyShyAA7RequestCGYbc_tF":{"name":"withAllRequests(perform:)","abstract":"\u003cp\u003ePerform an action on all active \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003es.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC17cancelAllRequests17completingOnQueue10completionySo17OS_dispatch_queueC_yyYbcSgtF":{"name":"cancelAllRequests(completingOnQueue:completion:)","abstract":"\u003cp\u003eCancel all active \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003es, optionally calling a completion handler when complete.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC15RequestModifiera":{"name":"RequestModifier","abstract":"\u003cp\u003eClosure which provides a \u003ccode\u003eURLRequest\u003c/code\u003e for mutation.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC7request_6method10parameters8encoding7headers11interceptor25shouldAutomaticallyResume0C8ModifierAA11DataRequestCAA14URLConvertible_p_AA10HTTPMethodVSDySSs8Sendable_pGSgAA17ParameterEncoding_pAA11HTTPHeadersVSgAA0N11Interceptor_pSgSbSgy10Foundation10URLRequestVzYbKcSgtF":{"name":"request(_:method:parameters:encoding:headers:interceptor:shouldAutomaticallyResume:requestModifier:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataRequest.html\"\u003eDataRequest\u003c/a\u003e\u003c/code\u003e from a \u003ccode\u003eURLRequest\u003c/code\u003e created using the passed components and a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestInterceptor.html\"\u003eRequestInterceptor\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC7request_6method10parameters7encoder7headers11interceptor25shouldAutomaticallyResume0C8ModifierAA11DataRequestCAA14URLConvertible_p_AA10HTTPMethodVxSgAA16ParameterEncoder_pAA11HTTPHeadersVSgAA0N11Interceptor_pSgSbSgy10Foundation10URLRequestVzYbKcSgtSERzs8SendableRzlF":{"name":"request(_:method:parameters:encoder:headers:interceptor:shouldAutomaticallyResume:requestModifier:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataRequest.html\"\u003eDataRequest\u003c/a\u003e\u003c/code\u003e from a \u003ccode\u003eURLRequest\u003c/code\u003e created using the passed components, \u003ccode\u003eEncodable\u003c/code\u003e parameters, and a","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC7request_11interceptor25shouldAutomaticallyResumeAA11DataRequestCAA21URLRequestConvertible_p_AA0I11Interceptor_pSgSbSgtF":{"name":"request(_:interceptor:shouldAutomaticallyResume:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataRequest.html\"\u003eDataRequest\u003c/a\u003e\u003c/code\u003e from a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/URLRequestConvertible.html\"\u003eURLRequestConvertible\u003c/a\u003e\u003c/code\u003e value and a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestInterceptor.html\"\u003eRequestInterceptor\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC13streamRequest_6method10parameters7encoder7headers32automaticallyCancelOnStreamError11interceptor25shouldAutomaticallyResume15requestModifierAA04DatalD0CAA14URLConvertible_p_AA10HTTPMethodVxSgAA16ParameterEncoder_pAA11HTTPHeadersVSgSbAA0D11Interceptor_pSgSbSgy10Foundation10URLRequestVzYbKcSgtSERzs8SendableRzlF":{"name":"streamRequest(_:method:parameters:encoder:headers:automaticallyCancelOnStreamError:interceptor:shouldAutomaticallyResume:requestModifier:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest.html\"\u003eDataStreamRequest\u003c/a\u003e\u003c/code\u003e from the passed components, \u003ccode\u003eEncodable\u003c/code\u003e parameters, and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestInterceptor.html\"\u003eRequestInterceptor\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC13streamRequest_6method7headers32automaticallyCancelOnStreamError11interceptor25shouldAutomaticallyResume15requestModifierAA04DatajD0CAA14URLConvertible_p_AA10HTTPMethodVAA11HTTPHeadersVSgSbAA0D11Interceptor_pSgSbSgy10Foundation10URLRequestVzYbKcSgtF":{"name":"streamRequest(_:method:headers:automaticallyCancelOnStreamError:interceptor:shouldAutomaticallyResume:requestModifier:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest.html\"\u003eDataStreamRequest\u003c/a\u003e\u003c/code\u003e from the passed components and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestInterceptor.html\"\u003eRequestInterceptor\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC13streamRequest_32automaticallyCancelOnStreamError11interceptor25shouldAutomaticallyResumeAA04DatahD0CAA21URLRequestConvertible_p_SbAA0D11Interceptor_pSgSbSgtF":{"name":"streamRequest(_:automaticallyCancelOnStreamError:interceptor:shouldAutomaticallyResume:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest.html\"\u003eDataStreamRequest\u003c/a\u003e\u003c/code\u003e from the passed \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/URLRequestConvertible.html\"\u003eURLRequestConvertible\u003c/a\u003e\u003c/code\u003e value and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestInterceptor.html\"\u003eRequestInterceptor\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC8download_6method10parameters8encoding7headers11interceptor25shouldAutomaticallyResume15requestModifier2toAA15DownloadRequestCAA14URLConvertible_p_AA10HTTPMethodVSDySSs8Sendable_pGSgAA17ParameterEncoding_pAA11HTTPHeadersVSgAA0P11Interceptor_pSgSbSgy10Foundation10URLRequestVzYbKcSgA0_3URLV011destinationZ0_AN7OptionsV7optionstA5__So17NSHTTPURLResponseCtYbcSgtF":{"name":"download(_:method:parameters:encoding:headers:interceptor:shouldAutomaticallyResume:requestModifier:to:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DownloadRequest.html\"\u003eDownloadRequest\u003c/a\u003e\u003c/code\u003e using a \u003ccode\u003eURLRequest\u003c/code\u003e created using the passed components, \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestInterceptor.html\"\u003eRequestInterceptor\u003c/a\u003e\u003c/code\u003e, and","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC8download_6method10parameters7encoder7headers11interceptor25shouldAutomaticallyResume15requestModifier2toAA15DownloadRequestCAA14URLConvertible_p_AA10HTTPMethodVxSgAA16ParameterEncoder_pAA11HTTPHeadersVSgAA0P11Interceptor_pSgSbSgy10Foundation10URLRequestVzYbKcSgAZ3URLV011destinationY0_AN7OptionsV7optionstA3__So17NSHTTPURLResponseCtYbcSgtSERzs8SendableRzlF":{"name":"download(_:method:parameters:encoder:headers:interceptor:shouldAutomaticallyResume:requestModifier:to:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DownloadRequest.html\"\u003eDownloadRequest\u003c/a\u003e\u003c/code\u003e from a \u003ccode\u003eURLRequest\u003c/code\u003e created using the passed components, \u003ccode\u003eEncodable\u003c/code\u003e parameters, and","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC8download_11interceptor25shouldAutomaticallyResume2toAA15DownloadRequestCAA21URLRequestConvertible_p_AA0J11Interceptor_pSgSbSg10Foundation3URLV011destinationO0_AI7OptionsV7optionstAP_So17NSHTTPURLResponseCtYbcSgtF":{"name":"download(_:interceptor:shouldAutomaticallyResume:to:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DownloadRequest.html\"\u003eDownloadRequest\u003c/a\u003e\u003c/code\u003e from a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/URLRequestConvertible.html\"\u003eURLRequestConvertible\u003c/a\u003e\u003c/code\u003e value, a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestInterceptor.html\"\u003eRequestInterceptor\u003c/a\u003e\u003c/code\u003e, and a \u003ccode\u003eDestination\u003c/code\u003e.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC8download12resumingWith11interceptor25shouldAutomaticallyResume2toAA15DownloadRequestC10Foundation4DataV_AA0L11Interceptor_pSgSbSgAK3URLV011destinationP0_AJ7OptionsV7optionstAR_So17NSHTTPURLResponseCtYbcSgtF":{"name":"download(resumingWith:interceptor:shouldAutomaticallyResume:to:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DownloadRequest.html\"\u003eDownloadRequest\u003c/a\u003e\u003c/code\u003e from the \u003ccode\u003eresumeData\u003c/code\u003e produced from a previously cancelled \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DownloadRequest.html\"\u003eDownloadRequest\u003c/a\u003e\u003c/code\u003e, as","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC6upload_2to6method7headers11interceptor25shouldAutomaticallyResume11fileManager15requestModifierAA13UploadRequestC10Foundation4DataV_AA14URLConvertible_pAA10HTTPMethodVAA11HTTPHeadersVSgAA0P11Interceptor_pSgSbSgSo06NSFileL0CyAN10URLRequestVzYbKcSgtF":{"name":"upload(_:to:method:headers:interceptor:shouldAutomaticallyResume:fileManager:requestModifier:)","abstract":"\u003cp\u003eCreates an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest.html\"\u003eUploadRequest\u003c/a\u003e\u003c/code\u003e for the given \u003ccode\u003eData\u003c/code\u003e, \u003ccode\u003eURLRequest\u003c/code\u003e components, and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestInterceptor.html\"\u003eRequestInterceptor\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC6upload_4with11interceptor25shouldAutomaticallyResume11fileManagerAA13UploadRequestC10Foundation4DataV_AA21URLRequestConvertible_pAA0L11Interceptor_pSgSbSgSo06NSFileJ0CtF":{"name":"upload(_:with:interceptor:shouldAutomaticallyResume:fileManager:)","abstract":"\u003cp\u003eCreates an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest.html\"\u003eUploadRequest\u003c/a\u003e\u003c/code\u003e for the given \u003ccode\u003eData\u003c/code\u003e using the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/URLRequestConvertible.html\"\u003eURLRequestConvertible\u003c/a\u003e\u003c/code\u003e value and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestInterceptor.html\"\u003eRequestInterceptor\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC6upload_2to6method7headers11interceptor25shouldAutomaticallyResume11fileManager15requestModifierAA13UploadRequestC10Foundation3URLV_AA14URLConvertible_pAA10HTTPMethodVAA11HTTPHeadersVSgAA0P11Interceptor_pSgSbSgSo06NSFileL0CyAN10URLRequestVzYbKcSgtF":{"name":"upload(_:to:method:headers:interceptor:shouldAutomaticallyResume:fileManager:requestModifier:)","abstract":"\u003cp\u003eCreates an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest.html\"\u003eUploadRequest\u003c/a\u003e\u003c/code\u003e for the file at the given file \u003ccode\u003eURL\u003c/code\u003e, using a \u003ccode\u003eURLRequest\u003c/code\u003e from the provided","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC6upload_4with11interceptor25shouldAutomaticallyResume11fileManagerAA13UploadRequestC10Foundation3URLV_AA21URLRequestConvertible_pAA0L11Interceptor_pSgSbSgSo06NSFileJ0CtF":{"name":"upload(_:with:interceptor:shouldAutomaticallyResume:fileManager:)","abstract":"\u003cp\u003eCreates an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest.html\"\u003eUploadRequest\u003c/a\u003e\u003c/code\u003e for the file at the given file \u003ccode\u003eURL\u003c/code\u003e using the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/URLRequestConvertible.html\"\u003eURLRequestConvertible\u003c/a\u003e\u003c/code\u003e value and","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC6upload_2to6method7headers11interceptor11fileManager15requestModifierAA13UploadRequestCSo13NSInputStreamC_AA14URLConvertible_pAA10HTTPMethodVAA11HTTPHeadersVSgAA0M11Interceptor_pSgSo06NSFileI0Cy10Foundation10URLRequestVzYbKcSgtF":{"name":"upload(_:to:method:headers:interceptor:fileManager:requestModifier:)","abstract":"\u003cp\u003eCreates an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest.html\"\u003eUploadRequest\u003c/a\u003e\u003c/code\u003e from the \u003ccode\u003eInputStream\u003c/code\u003e provided using a \u003ccode\u003eURLRequest\u003c/code\u003e from the provided components and","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC6upload_4with11interceptor25shouldAutomaticallyResume11fileManagerAA13UploadRequestCSo13NSInputStreamC_AA21URLRequestConvertible_pAA0L11Interceptor_pSgSbSgSo06NSFileJ0CtF":{"name":"upload(_:with:interceptor:shouldAutomaticallyResume:fileManager:)","abstract":"\u003cp\u003eCreates an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest.html\"\u003eUploadRequest\u003c/a\u003e\u003c/code\u003e from the provided \u003ccode\u003eInputStream\u003c/code\u003e using the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/URLRequestConvertible.html\"\u003eURLRequestConvertible\u003c/a\u003e\u003c/code\u003e value and","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC6upload17multipartFormData2to14usingThreshold6method7headers11interceptor11fileManager15requestModifierAA13UploadRequestCyAA09MultiparteF0Cc_AA14URLConvertible_ps6UInt64VAA10HTTPMethodVAA11HTTPHeadersVSgAA0R11Interceptor_pSgSo06NSFileN0Cy10Foundation10URLRequestVzYbKcSgtF":{"name":"upload(multipartFormData:to:usingThreshold:method:headers:interceptor:fileManager:requestModifier:)","abstract":"\u003cp\u003eCreates an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest.html\"\u003eUploadRequest\u003c/a\u003e\u003c/code\u003e for the multipart form data built using a closure and sent using the provided","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC6upload17multipartFormData4with14usingThreshold11interceptor11fileManagerAA13UploadRequestCyAA09MultiparteF0Cc_AA21URLRequestConvertible_ps6UInt64VAA0N11Interceptor_pSgSo06NSFileL0CtF":{"name":"upload(multipartFormData:with:usingThreshold:interceptor:fileManager:)","abstract":"\u003cp\u003eCreates an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest.html\"\u003eUploadRequest\u003c/a\u003e\u003c/code\u003e using a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/MultipartFormData.html\"\u003eMultipartFormData\u003c/a\u003e\u003c/code\u003e building closure, the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/URLRequestConvertible.html\"\u003eURLRequestConvertible\u003c/a\u003e\u003c/code\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC6upload17multipartFormData2to14usingThreshold6method7headers11interceptor25shouldAutomaticallyResume11fileManager15requestModifierAA13UploadRequestCAA09MultiparteF0C_AA14URLConvertible_ps6UInt64VAA10HTTPMethodVAA11HTTPHeadersVSgAA0U11Interceptor_pSgSbSgSo06NSFileQ0Cy10Foundation10URLRequestVzYbKcSgtF":{"name":"upload(multipartFormData:to:usingThreshold:method:headers:interceptor:shouldAutomaticallyResume:fileManager:requestModifier:)","abstract":"\u003cp\u003eCreates an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest.html\"\u003eUploadRequest\u003c/a\u003e\u003c/code\u003e for the prebuilt \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/MultipartFormData.html\"\u003eMultipartFormData\u003c/a\u003e\u003c/code\u003e value using the provided \u003ccode\u003eURLRequest\u003c/code\u003e components","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC6upload17multipartFormData4with14usingThreshold11interceptor25shouldAutomaticallyResume11fileManagerAA13UploadRequestCAA09MultiparteF0C_AA21URLRequestConvertible_ps6UInt64VAA0Q11Interceptor_pSgSbSgSo06NSFileO0CtF":{"name":"upload(multipartFormData:with:usingThreshold:interceptor:shouldAutomaticallyResume:fileManager:)","abstract":"\u003cp\u003eCreates an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/UploadRequest.html\"\u003eUploadRequest\u003c/a\u003e\u003c/code\u003e for the prebuilt \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/MultipartFormData.html\"\u003eMultipartFormData\u003c/a\u003e\u003c/code\u003e value using the providing \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/URLRequestConvertible.html\"\u003eURLRequestConvertible\u003c/a\u003e\u003c/code\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire15RequestDelegateP20sessionConfigurationSo012NSURLSessionE0Cvp":{"name":"sessionConfiguration","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire15RequestDelegateP16startImmediatelySbvp":{"name":"startImmediately","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire7SessionC14readyToPerform7requestyAA7RequestC_tF":{"name":"readyToPerform(request:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire15RequestDelegateP7cleanup5afteryAA0B0C_tF":{"name":"cleanup(after:)","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire15RequestDelegateP11retryResult3for5dueTo10completionyAA0B0C_AA7AFErrorOyAA05RetryE0OYbctF":{"name":"retryResult(for:dueTo:completion:)","parent_name":"Session"},"Classes/Session.html#/s:9Alamofire15RequestDelegateP05retryB0_9withDelayyAA0B0C_SdSgtF":{"name":"retryRequest(_:withDelay:)","parent_name":"Session"},"Classes/URLEncodedFormParameterEncoder/Destination.html#/s:9Alamofire30URLEncodedFormParameterEncoderC11DestinationO15methodDependentyA2EmF":{"name":"methodDependent","abstract":"\u003cp\u003eApplies the encoded query string to any existing query string for \u003ccode\u003e.get\u003c/code\u003e, \u003ccode\u003e.head\u003c/code\u003e, and \u003ccode\u003e.delete\u003c/code\u003e request.","parent_name":"Destination"},"Classes/URLEncodedFormParameterEncoder/Destination.html#/s:9Alamofire30URLEncodedFormParameterEncoderC11DestinationO11queryStringyA2EmF":{"name":"queryString","abstract":"\u003cp\u003eApplies the encoded query string to any existing query string from the \u003ccode\u003eURLRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"Destination"},"Classes/URLEncodedFormParameterEncoder/Destination.html#/s:9Alamofire30URLEncodedFormParameterEncoderC11DestinationO8httpBodyyA2EmF":{"name":"httpBody","abstract":"\u003cp\u003eApplies the encoded query string to the \u003ccode\u003ehttpBody\u003c/code\u003e of the \u003ccode\u003eURLRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"Destination"},"Classes/URLEncodedFormParameterEncoder/Destination.html":{"name":"Destination","abstract":"\u003cp\u003eDefines where the URL-encoded string should be set for each \u003ccode\u003eURLRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"URLEncodedFormParameterEncoder"},"Classes/URLEncodedFormParameterEncoder.html#/s:9Alamofire30URLEncodedFormParameterEncoderC7defaultACvpZ":{"name":"default","abstract":"\u003cp\u003eReturns an encoder with default parameters.\u003c/p\u003e","parent_name":"URLEncodedFormParameterEncoder"},"Classes/URLEncodedFormParameterEncoder.html#/s:9Alamofire30URLEncodedFormParameterEncoderC7encoderAA0bcE0Cvp":{"name":"encoder","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/URLEncodedFormEncoder.html\"\u003eURLEncodedFormEncoder\u003c/a\u003e\u003c/code\u003e to use.\u003c/p\u003e","parent_name":"URLEncodedFormParameterEncoder"},"Classes/URLEncodedFormParameterEncoder.html#/s:9Alamofire30URLEncodedFormParameterEncoderC11destinationAC11DestinationOvp":{"name":"destination","abstract":"\u003cp\u003eThe \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/URLEncodedFormParameterEncoder/Destination.html\"\u003eDestination\u003c/a\u003e\u003c/code\u003e for the URL-encoded string.\u003c/p\u003e","parent_name":"URLEncodedFormParameterEncoder"},"Classes/URLEncodedFormParameterEncoder.html#/s:9Alamofire30URLEncodedFormParameterEncoderC7encoder11destinationAcA0bcE0C_AC11DestinationOtcfc":{"name":"init(encoder:destination:)","abstract":"\u003cp\u003eCreates an instance with the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/URLEncodedFormEncoder.html\"\u003eURLEncodedFormEncoder\u003c/a\u003e\u003c/code\u003e instance and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/URLEncodedFormParameterEncoder/Destination.html\"\u003eDestination\u003c/a\u003e\u003c/code\u003e value.\u003c/p\u003e","parent_name":"URLEncodedFormParameterEncoder"},"Classes/URLEncodedFormParameterEncoder.html#/s:9Alamofire16ParameterEncoderP6encode_4into10Foundation10URLRequestVqd__Sg_AHtKSERd__s8SendableRd__lF":{"name":"encode(_:into:)","parent_name":"URLEncodedFormParameterEncoder"},"Classes/JSONParameterEncoder.html#/s:9Alamofire20JSONParameterEncoderC7defaultACvpZ":{"name":"default","abstract":"\u003cp\u003eReturns an encoder with default parameters.\u003c/p\u003e","parent_name":"JSONParameterEncoder"},"Classes/JSONParameterEncoder.html#/s:9Alamofire20JSONParameterEncoderC13prettyPrintedACvpZ":{"name":"prettyPrinted","abstract":"\u003cp\u003eReturns an encoder with \u003ccode\u003eJSONEncoder.outputFormatting\u003c/code\u003e set to \u003ccode\u003e.prettyPrinted\u003c/code\u003e.\u003c/p\u003e","parent_name":"JSONParameterEncoder"},"Classes/JSONParameterEncoder.html#/s:9Alamofire20JSONParameterEncoderC10sortedKeysACvpZ":{"name":"sortedKeys","abstract":"\u003cp\u003eReturns an encoder with \u003ccode\u003eJSONEncoder.outputFormatting\u003c/code\u003e set to \u003ccode\u003e.sortedKeys\u003c/code\u003e.\u003c/p\u003e","parent_name":"JSONParameterEncoder"},"Classes/JSONParameterEncoder.html#/s:9Alamofire20JSONParameterEncoderC7encoder10Foundation11JSONEncoderCvp":{"name":"encoder","abstract":"\u003cp\u003e\u003ccode\u003eJSONEncoder\u003c/code\u003e used to encode parameters.\u003c/p\u003e","parent_name":"JSONParameterEncoder"},"Classes/JSONParameterEncoder.html#/s:9Alamofire20JSONParameterEncoderC7encoderAC10Foundation11JSONEncoderC_tcfc":{"name":"init(encoder:)","abstract":"\u003cp\u003eCreates an instance with the provided \u003ccode\u003eJSONEncoder\u003c/code\u003e.\u003c/p\u003e","parent_name":"JSONParameterEncoder"},"Classes/JSONParameterEncoder.html#/s:9Alamofire16ParameterEncoderP6encode_4into10Foundation10URLRequestVqd__Sg_AHtKSERd__s8SendableRd__lF":{"name":"encode(_:into:)","parent_name":"JSONParameterEncoder"},"Classes/AlamofireNotifications.html#/s:9Alamofire0A13NotificationsCACycfc":{"name":"init()","abstract":"\u003cp\u003eCreates an instance.\u003c/p\u003e","parent_name":"AlamofireNotifications"},"Classes/AlamofireNotifications.html#/s:9Alamofire12EventMonitorP16requestDidResumeyyAA7RequestCF":{"name":"requestDidResume(_:)","parent_name":"AlamofireNotifications"},"Classes/AlamofireNotifications.html#/s:9Alamofire12EventMonitorP17requestDidSuspendyyAA7RequestCF":{"name":"requestDidSuspend(_:)","parent_name":"AlamofireNotifications"},"Classes/AlamofireNotifications.html#/s:9Alamofire12EventMonitorP16requestDidCancelyyAA7RequestCF":{"name":"requestDidCancel(_:)","parent_name":"AlamofireNotifications"},"Classes/AlamofireNotifications.html#/s:9Alamofire12EventMonitorP16requestDidFinishyyAA7RequestCF":{"name":"requestDidFinish(_:)","parent_name":"AlamofireNotifications"},"Classes/AlamofireNotifications.html#/s:9Alamofire12EventMonitorP7request_13didResumeTaskyAA7RequestC_So012NSURLSessionG0CtF":{"name":"request(_:didResumeTask:)","parent_name":"AlamofireNotifications"},"Classes/AlamofireNotifications.html#/s:9Alamofire12EventMonitorP7request_14didSuspendTaskyAA7RequestC_So012NSURLSessionG0CtF":{"name":"request(_:didSuspendTask:)","parent_name":"AlamofireNotifications"},"Classes/AlamofireNotifications.html#/s:9Alamofire12EventMonitorP7request_13didCancelTaskyAA7RequestC_So012NSURLSessionG0CtF":{"name":"request(_:didCancelTask:)","parent_name":"AlamofireNotifications"},"Classes/AlamofireNotifications.html#/s:9Alamofire12EventMonitorP7request_15didCompleteTask4withyAA7RequestC_So012NSURLSessionG0CAA7AFErrorOSgtF":{"name":"request(_:didCompleteTask:with:)","parent_name":"AlamofireNotifications"},"Classes/Request/ResponseDisposition.html#/s:9Alamofire7RequestC19ResponseDispositionO5allowyA2EmF":{"name":"allow","abstract":"\u003cp\u003eAllow the request to continue normally.\u003c/p\u003e","parent_name":"ResponseDisposition"},"Classes/Request/ResponseDisposition.html#/s:9Alamofire7RequestC19ResponseDispositionO6cancelyA2EmF":{"name":"cancel","abstract":"\u003cp\u003eCancel the request, similar to calling \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC6cancelACXDyF\"\u003ecancel()\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"ResponseDisposition"},"Classes/Request/State.html#/s:9Alamofire7RequestC5StateO11initializedyA2EmF":{"name":"initialized","abstract":"\u003cp\u003eInitial state of the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"State"},"Classes/Request/State.html#/s:9Alamofire7RequestC5StateO7resumedyA2EmF":{"name":"resumed","abstract":"\u003cp\u003e\u003ccode\u003eState\u003c/code\u003e set when \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC6resumeACXDyF\"\u003eresume()\u003c/a\u003e\u003c/code\u003e is called. Any tasks created for the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e will have \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC6resumeACXDyF\"\u003eresume()\u003c/a\u003e\u003c/code\u003e called on","parent_name":"State"},"Classes/Request/State.html#/s:9Alamofire7RequestC5StateO9suspendedyA2EmF":{"name":"suspended","abstract":"\u003cp\u003e\u003ccode\u003eState\u003c/code\u003e set when \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC7suspendACXDyF\"\u003esuspend()\u003c/a\u003e\u003c/code\u003e is called. Any tasks created for the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e will have \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC7suspendACXDyF\"\u003esuspend()\u003c/a\u003e\u003c/code\u003e called on","parent_name":"State"},"Classes/Request/State.html#/s:9Alamofire7RequestC5StateO9cancelledyA2EmF":{"name":"cancelled","abstract":"\u003cp\u003e\u003ccode\u003eState\u003c/code\u003e set when \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC6cancelACXDyF\"\u003ecancel()\u003c/a\u003e\u003c/code\u003e is called. Any tasks created for the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e will have \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC6cancelACXDyF\"\u003ecancel()\u003c/a\u003e\u003c/code\u003e called on","parent_name":"State"},"Classes/Request/State.html#/s:9Alamofire7RequestC5StateO8finishedyA2EmF":{"name":"finished","abstract":"\u003cp\u003e\u003ccode\u003eState\u003c/code\u003e set when all response serialization completion closures have been cleared on the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e and","parent_name":"State"},"Classes/Request/State.html":{"name":"State","abstract":"\u003cp\u003eState of the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e, with managed transitions between states set when calling \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC6resumeACXDyF\"\u003eresume()\u003c/a\u003e\u003c/code\u003e, \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC7suspendACXDyF\"\u003esuspend()\u003c/a\u003e\u003c/code\u003e, or","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC2id10Foundation4UUIDVvp":{"name":"id","abstract":"\u003cp\u003e\u003ccode\u003eUUID\u003c/code\u003e providing a unique identifier for the \u003ccode\u003eRequest\u003c/code\u003e, used in the \u003ccode\u003eHashable\u003c/code\u003e and \u003ccode\u003eEquatable\u003c/code\u003e conformances.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC15underlyingQueueSo17OS_dispatch_queueCvp":{"name":"underlyingQueue","abstract":"\u003cp\u003eThe serial queue for all internal async actions.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC18serializationQueueSo17OS_dispatch_queueCvp":{"name":"serializationQueue","abstract":"\u003cp\u003eThe queue used for all serialization actions. By default it\u0026rsquo;s a serial queue that targets \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC15underlyingQueueSo17OS_dispatch_queueCvp\"\u003eunderlyingQueue\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC12eventMonitorAA05EventD0_pSgvp":{"name":"eventMonitor","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/EventMonitor.html\"\u003eEventMonitor\u003c/a\u003e\u003c/code\u003e used for event callbacks.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC11interceptorAA0B11Interceptor_pSgvp":{"name":"interceptor","abstract":"\u003cp\u003eThe \u003ccode\u003eRequest\u003c/code\u003e\u0026lsquo;s interceptor.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC25shouldAutomaticallyResumeSbSgvp":{"name":"shouldAutomaticallyResume","abstract":"\u003cp\u003eWhether the instance should call \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC6resumeACXDyF\"\u003eresume()\u003c/a\u003e\u003c/code\u003e automatically once the first response handler has been added.","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC8delegateAA0B8Delegate_pSgvp":{"name":"delegate","abstract":"\u003cp\u003eThe \u003ccode\u003eRequest\u003c/code\u003e\u0026lsquo;s delegate.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC5stateAC5StateOvp":{"name":"state","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request/State.html\"\u003eState\u003c/a\u003e\u003c/code\u003e of the \u003ccode\u003eRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC13isInitializedSbvp":{"name":"isInitialized","abstract":"\u003cp\u003eReturns whether \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC5stateAC5StateOvp\"\u003estate\u003c/a\u003e\u003c/code\u003e is \u003ccode\u003e.initialized\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC9isResumedSbvp":{"name":"isResumed","abstract":"\u003cp\u003eReturns whether \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC5stateAC5StateOvp\"\u003estate\u003c/a\u003e\u003c/code\u003e is \u003ccode\u003e.resumed\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC11isSuspendedSbvp":{"name":"isSuspended","abstract":"\u003cp\u003eReturns whether \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC5stateAC5StateOvp\"\u003estate\u003c/a\u003e\u003c/code\u003e is \u003ccode\u003e.suspended\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC11isCancelledSbvp":{"name":"isCancelled","abstract":"\u003cp\u003eReturns whether \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC5stateAC5StateOvp\"\u003estate\u003c/a\u003e\u003c/code\u003e is \u003ccode\u003e.cancelled\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC10isFinishedSbvp":{"name":"isFinished","abstract":"\u003cp\u003eReturns whether \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC5stateAC5StateOvp\"\u003estate\u003c/a\u003e\u003c/code\u003e is \u003ccode\u003e.finished\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC15ProgressHandlera":{"name":"ProgressHandler","abstract":"\u003cp\u003eClosure type executed when monitoring the upload or download progress of a request.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC14uploadProgressSo10NSProgressCvp":{"name":"uploadProgress","abstract":"\u003cp\u003e\u003ccode\u003eProgress\u003c/code\u003e of the upload of the body of the executed \u003ccode\u003eURLRequest\u003c/code\u003e. Reset to \u003ccode\u003e0\u003c/code\u003e if the \u003ccode\u003eRequest\u003c/code\u003e is retried.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC16downloadProgressSo10NSProgressCvp":{"name":"downloadProgress","abstract":"\u003cp\u003e\u003ccode\u003eProgress\u003c/code\u003e of the download of any response data. Reset to \u003ccode\u003e0\u003c/code\u003e if the \u003ccode\u003eRequest\u003c/code\u003e is retried.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC21uploadProgressHandlerySo10NSProgressCYbc7handler_So17OS_dispatch_queueC0J0tSgvp":{"name":"uploadProgressHandler","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC15ProgressHandlera\"\u003eProgressHandler\u003c/a\u003e\u003c/code\u003e called when \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC14uploadProgressSo10NSProgressCvp\"\u003euploadProgress\u003c/a\u003e\u003c/code\u003e is updated, on the provided \u003ccode\u003eDispatchQueue\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC23downloadProgressHandlerySo10NSProgressCYbc7handler_So17OS_dispatch_queueC0J0tSgvp":{"name":"downloadProgressHandler","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC15ProgressHandlera\"\u003eProgressHandler\u003c/a\u003e\u003c/code\u003e called when \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC16downloadProgressSo10NSProgressCvp\"\u003edownloadProgress\u003c/a\u003e\u003c/code\u003e is updated, on the provided \u003ccode\u003eDispatchQueue\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC15redirectHandlerAA08RedirectD0_pSgvp":{"name":"redirectHandler","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RedirectHandler.html\"\u003eRedirectHandler\u003c/a\u003e\u003c/code\u003e set on the instance.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC21cachedResponseHandlerAA06CacheddE0_pSgvp":{"name":"cachedResponseHandler","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/CachedResponseHandler.html\"\u003eCachedResponseHandler\u003c/a\u003e\u003c/code\u003e set on the instance.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC10credentialSo15NSURLCredentialCSgvp":{"name":"credential","abstract":"\u003cp\u003e\u003ccode\u003eURLCredential\u003c/code\u003e used for authentication challenges. Created by calling one of the \u003ccode\u003eauthenticate\u003c/code\u003e methods.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC8requestsSay10Foundation10URLRequestVGvp":{"name":"requests","abstract":"\u003cp\u003eAll \u003ccode\u003eURLRequest\u003c/code\u003es created on behalf of the \u003ccode\u003eRequest\u003c/code\u003e, including original and adapted requests.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC05firstB010Foundation10URLRequestVSgvp":{"name":"firstRequest","abstract":"\u003cp\u003eFirst \u003ccode\u003eURLRequest\u003c/code\u003e created on behalf of the \u003ccode\u003eRequest\u003c/code\u003e. May not be the first one actually executed.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC04lastB010Foundation10URLRequestVSgvp":{"name":"lastRequest","abstract":"\u003cp\u003eLast \u003ccode\u003eURLRequest\u003c/code\u003e created on behalf of the \u003ccode\u003eRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC7request10Foundation10URLRequestVSgvp":{"name":"request","abstract":"\u003cp\u003eCurrent \u003ccode\u003eURLRequest\u003c/code\u003e created on behalf of the \u003ccode\u003eRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC17performedRequestsSay10Foundation10URLRequestVGvp":{"name":"performedRequests","abstract":"\u003cp\u003e\u003ccode\u003eURLRequest\u003c/code\u003es from all of the \u003ccode\u003eURLSessionTask\u003c/code\u003es executed on behalf of the \u003ccode\u003eRequest\u003c/code\u003e. May be different from","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC8responseSo17NSHTTPURLResponseCSgvp":{"name":"response","abstract":"\u003cp\u003e\u003ccode\u003eHTTPURLResponse\u003c/code\u003e received from the server, if any. If the \u003ccode\u003eRequest\u003c/code\u003e was retried, this is the response of the","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC5tasksSaySo16NSURLSessionTaskCGvp":{"name":"tasks","abstract":"\u003cp\u003eAll \u003ccode\u003eURLSessionTask\u003c/code\u003es created on behalf of the \u003ccode\u003eRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC9firstTaskSo012NSURLSessionD0CSgvp":{"name":"firstTask","abstract":"\u003cp\u003eFirst \u003ccode\u003eURLSessionTask\u003c/code\u003e created on behalf of the \u003ccode\u003eRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC8lastTaskSo012NSURLSessionD0CSgvp":{"name":"lastTask","abstract":"\u003cp\u003eLast \u003ccode\u003eURLSessionTask\u003c/code\u003e created on behalf of the \u003ccode\u003eRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC4taskSo16NSURLSessionTaskCSgvp":{"name":"task","abstract":"\u003cp\u003eCurrent \u003ccode\u003eURLSessionTask\u003c/code\u003e created on behalf of the \u003ccode\u003eRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC10allMetricsSaySo016NSURLSessionTaskD0CGvp":{"name":"allMetrics","abstract":"\u003cp\u003eAll \u003ccode\u003eURLSessionTaskMetrics\u003c/code\u003e gathered on behalf of the \u003ccode\u003eRequest\u003c/code\u003e. Should correspond to the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html#/s:9Alamofire7RequestC5tasksSaySo16NSURLSessionTaskCGvp\"\u003etasks\u003c/a\u003e\u003c/code\u003e created.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC12firstMetricsSo016NSURLSessionTaskD0CSgvp":{"name":"firstMetrics","abstract":"\u003cp\u003eFirst \u003ccode\u003eURLSessionTaskMetrics\u003c/code\u003e gathered on behalf of the \u003ccode\u003eRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC11lastMetricsSo016NSURLSessionTaskD0CSgvp":{"name":"lastMetrics","abstract":"\u003cp\u003eLast \u003ccode\u003eURLSessionTaskMetrics\u003c/code\u003e gathered on behalf of the \u003ccode\u003eRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC7metricsSo23NSURLSessionTaskMetricsCSgvp":{"name":"metrics","abstract":"\u003cp\u003eCurrent \u003ccode\u003eURLSessionTaskMetrics\u003c/code\u003e gathered on behalf of the \u003ccode\u003eRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC10retryCountSivp":{"name":"retryCount","abstract":"\u003cp\u003eNumber of times the \u003ccode\u003eRequest\u003c/code\u003e has been retried.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC5errorAA7AFErrorOSgvp":{"name":"error","abstract":"\u003cp\u003e\u003ccode\u003eError\u003c/code\u003e returned from Alamofire internally, from the network request directly, or any validators executed.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC6cancelACXDyF":{"name":"cancel()","abstract":"\u003cp\u003eCancels the instance. Once cancelled, a \u003ccode\u003eRequest\u003c/code\u003e can no longer be resumed or suspended.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC7suspendACXDyF":{"name":"suspend()","abstract":"\u003cp\u003eSuspends the instance.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC6resumeACXDyF":{"name":"resume()","abstract":"\u003cp\u003eResumes the instance.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC12authenticate8username8password11persistenceACXDSS_SSSo26NSURLCredentialPersistenceVtF":{"name":"authenticate(username:password:persistence:)","abstract":"\u003cp\u003eAssociates a credential using the provided values with the instance.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC12authenticate4withACXDSo15NSURLCredentialC_tF":{"name":"authenticate(with:)","abstract":"\u003cp\u003eAssociates the provided credential with the instance.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC16downloadProgress5queue7closureACXDSo012OS_dispatch_E0C_ySo10NSProgressCctF":{"name":"downloadProgress(queue:closure:)","abstract":"\u003cp\u003eSets a closure to be called periodically during the lifecycle of the instance as data is read from the server.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC14uploadProgress5queue7closureACXDSo012OS_dispatch_E0C_ySo10NSProgressCctF":{"name":"uploadProgress(queue:closure:)","abstract":"\u003cp\u003eSets a closure to be called periodically during the lifecycle of the instance as data is sent to the server.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC8redirect5usingACXDAA15RedirectHandler_p_tF":{"name":"redirect(using:)","abstract":"\u003cp\u003eSets the redirect handler for the instance which will be used if a redirect response is encountered.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC13cacheResponse5usingACXDAA06CachedD7Handler_p_tF":{"name":"cacheResponse(using:)","abstract":"\u003cp\u003eSets the cached response handler for the \u003ccode\u003eRequest\u003c/code\u003e which will be used when attempting to cache a response.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC15cURLDescription2on7callingACXDSo17OS_dispatch_queueC_ySSctF":{"name":"cURLDescription(on:calling:)","abstract":"\u003cp\u003eSets a handler to be called when the cURL description of the request is available.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC15cURLDescription7callingACXDySSc_tF":{"name":"cURLDescription(calling:)","abstract":"\u003cp\u003eSets a handler to be called when the cURL description of the request is available.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC20onURLRequestCreation0C07performACXDSo17OS_dispatch_queueC_y10Foundation0D0VctF":{"name":"onURLRequestCreation(on:perform:)","abstract":"\u003cp\u003eSets a closure to called whenever Alamofire creates a \u003ccode\u003eURLRequest\u003c/code\u003e for this instance.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC24onURLSessionTaskCreation0C07performACXDSo17OS_dispatch_queueC_ySo012NSURLSessionE0CctF":{"name":"onURLSessionTaskCreation(on:perform:)","abstract":"\u003cp\u003eSets a closure to be called whenever the instance creates a \u003ccode\u003eURLSessionTask\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC11interceptoryACXDAA0B11Interceptor_pF":{"name":"interceptor(_:)","abstract":"\u003cp\u003eAdds a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestInterceptor.html\"\u003eRequestInterceptor\u003c/a\u003e\u003c/code\u003e for this instance, called after the interceptors of the parent \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Session.html\"\u003eSession\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC5adapt5usingACXDAA0B7Adapter_p_tF":{"name":"adapt(using:)","abstract":"\u003cp\u003eAdds a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestAdapter.html\"\u003eRequestAdapter\u003c/a\u003e\u003c/code\u003e for this instance, called after the adapters of the parent \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Session.html\"\u003eSession\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC5retry5usingACXDAA0B7Retrier_p_tF":{"name":"retry(using:)","abstract":"\u003cp\u003eAdds a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestRetrier.html\"\u003eRequestRetrier\u003c/a\u003e\u003c/code\u003e for this instance, called after the retriers of the parent \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Session.html\"\u003eSession\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC12eventMonitoryACXDAA05EventD0_pF":{"name":"eventMonitor(_:)","abstract":"\u003cp\u003eAdds an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/EventMonitor.html\"\u003eEventMonitor\u003c/a\u003e\u003c/code\u003e for this instance, called after the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/EventMonitor.html\"\u003eEventMonitor\u003c/a\u003e\u003c/code\u003es of the parent \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Session.html\"\u003eSession\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC21didResumeNotificationSo18NSNotificationNameavpZ":{"name":"didResumeNotification","abstract":"\u003cp\u003ePosted when a \u003ccode\u003eRequest\u003c/code\u003e is resumed. The \u003ccode\u003eNotification\u003c/code\u003e contains the resumed \u003ccode\u003eRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC22didSuspendNotificationSo18NSNotificationNameavpZ":{"name":"didSuspendNotification","abstract":"\u003cp\u003ePosted when a \u003ccode\u003eRequest\u003c/code\u003e is suspended. The \u003ccode\u003eNotification\u003c/code\u003e contains the suspended \u003ccode\u003eRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC21didCancelNotificationSo18NSNotificationNameavpZ":{"name":"didCancelNotification","abstract":"\u003cp\u003ePosted when a \u003ccode\u003eRequest\u003c/code\u003e is cancelled. The \u003ccode\u003eNotification\u003c/code\u003e contains the cancelled \u003ccode\u003eRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC21didFinishNotificationSo18NSNotificationNameavpZ":{"name":"didFinishNotification","abstract":"\u003cp\u003ePosted when a \u003ccode\u003eRequest\u003c/code\u003e is finished. The \u003ccode\u003eNotification\u003c/code\u003e contains the completed \u003ccode\u003eRequest\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC25didResumeTaskNotificationSo18NSNotificationNameavpZ":{"name":"didResumeTaskNotification","abstract":"\u003cp\u003ePosted when a \u003ccode\u003eURLSessionTask\u003c/code\u003e is resumed. The \u003ccode\u003eNotification\u003c/code\u003e contains the \u003ccode\u003eRequest\u003c/code\u003e associated with the \u003ccode\u003eURLSessionTask\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC26didSuspendTaskNotificationSo18NSNotificationNameavpZ":{"name":"didSuspendTaskNotification","abstract":"\u003cp\u003ePosted when a \u003ccode\u003eURLSessionTask\u003c/code\u003e is suspended. The \u003ccode\u003eNotification\u003c/code\u003e contains the \u003ccode\u003eRequest\u003c/code\u003e associated with the \u003ccode\u003eURLSessionTask\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC25didCancelTaskNotificationSo18NSNotificationNameavpZ":{"name":"didCancelTaskNotification","abstract":"\u003cp\u003ePosted when a \u003ccode\u003eURLSessionTask\u003c/code\u003e is cancelled. The \u003ccode\u003eNotification\u003c/code\u003e contains the \u003ccode\u003eRequest\u003c/code\u003e associated with the \u003ccode\u003eURLSessionTask\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC27didCompleteTaskNotificationSo18NSNotificationNameavpZ":{"name":"didCompleteTaskNotification","abstract":"\u003cp\u003ePosted when a \u003ccode\u003eURLSessionTask\u003c/code\u003e is completed. The \u003ccode\u003eNotification\u003c/code\u003e contains the \u003ccode\u003eRequest\u003c/code\u003e associated with the \u003ccode\u003eURLSessionTask\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request/ResponseDisposition.html":{"name":"ResponseDisposition","abstract":"\u003cp\u003eType indicating how a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataRequest.html\"\u003eDataRequest\u003c/a\u003e\u003c/code\u003e or \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest.html\"\u003eDataStreamRequest\u003c/a\u003e\u003c/code\u003e should proceed after receiving an \u003ccode\u003eHTTPURLResponse\u003c/code\u003e.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:SQ2eeoiySbx_xtFZ":{"name":"==(_:_:)","parent_name":"Request"},"Classes/Request.html#/s:SH4hash4intoys6HasherVz_tF":{"name":"hash(into:)","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC11descriptionSSvp":{"name":"description","abstract":"\u003cp\u003eA textual representation of this instance, including the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/HTTPMethod.html\"\u003eHTTPMethod\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003eURL\u003c/code\u003e if the \u003ccode\u003eURLRequest\u003c/code\u003e has been","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC15cURLDescriptionSSyF":{"name":"cURLDescription()","abstract":"\u003cp\u003ecURL representation of the instance.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC14uploadProgress15bufferingPolicyAA8StreamOfVySo10NSProgressCGScS12ContinuationV09BufferingF0OyAI__G_tF":{"name":"uploadProgress(bufferingPolicy:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/StreamOf.html\"\u003eStreamOf\u0026lt;Progress\u0026gt;\u003c/a\u003e\u003c/code\u003e for the instance\u0026rsquo;s upload progress.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC16downloadProgress15bufferingPolicyAA8StreamOfVySo10NSProgressCGScS12ContinuationV09BufferingF0OyAI__G_tF":{"name":"downloadProgress(bufferingPolicy:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/StreamOf.html\"\u003eStreamOf\u0026lt;Progress\u0026gt;\u003c/a\u003e\u003c/code\u003e for the instance\u0026rsquo;s download progress.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC11urlRequests15bufferingPolicyAA8StreamOfVy10Foundation10URLRequestVGScS12ContinuationV09BufferingF0OyAJ__G_tF":{"name":"urlRequests(bufferingPolicy:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/StreamOf.html\"\u003eStreamOf\u0026lt;URLRequest\u0026gt;\u003c/a\u003e\u003c/code\u003e for the \u003ccode\u003eURLRequest\u003c/code\u003es produced for the instance.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC15urlSessionTasks15bufferingPolicyAA8StreamOfVySo16NSURLSessionTaskCGScS12ContinuationV09BufferingG0OyAI__G_tF":{"name":"urlSessionTasks(bufferingPolicy:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/StreamOf.html\"\u003eStreamOf\u0026lt;URLSessionTask\u0026gt;\u003c/a\u003e\u003c/code\u003e for the \u003ccode\u003eURLSessionTask\u003c/code\u003es produced for the instance.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC16cURLDescriptions15bufferingPolicyAA8StreamOfVySSGScS12ContinuationV09BufferingE0OySS__G_tF":{"name":"cURLDescriptions(bufferingPolicy:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/StreamOf.html\"\u003eStreamOf\u0026lt;String\u0026gt;\u003c/a\u003e\u003c/code\u003e for the cURL descriptions produced for the instance.\u003c/p\u003e","parent_name":"Request"},"Classes/Request.html#/s:9Alamofire7RequestC16ValidationResulta":{"name":"ValidationResult","abstract":"\u003cp\u003eUsed to represent whether a validation succeeded or failed.\u003c/p\u003e","parent_name":"Request"},"Classes/DownloadRequest/Downloadable.html#/s:9Alamofire15DownloadRequestC12DownloadableO7requestyAeA21URLRequestConvertible_pcAEmF":{"name":"request(_:)","abstract":"\u003cp\u003eDownload should be started from the \u003ccode\u003eURLRequest\u003c/code\u003e produced by the associated \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/URLRequestConvertible.html\"\u003eURLRequestConvertible\u003c/a\u003e\u003c/code\u003e value.\u003c/p\u003e","parent_name":"Downloadable"},"Classes/DownloadRequest/Downloadable.html#/s:9Alamofire15DownloadRequestC12DownloadableO10resumeDatayAE10Foundation0F0VcAEmF":{"name":"resumeData(_:)","abstract":"\u003cp\u003eDownload should be started from the associated resume \u003ccode\u003eData\u003c/code\u003e value.\u003c/p\u003e","parent_name":"Downloadable"},"Classes/DownloadRequest/Options.html#/s:9Alamofire15DownloadRequestC7OptionsV29createIntermediateDirectoriesAEvpZ":{"name":"createIntermediateDirectories","abstract":"\u003cp\u003eSpecifies that intermediate directories for the destination URL should be created.\u003c/p\u003e","parent_name":"Options"},"Classes/DownloadRequest/Options.html#/s:9Alamofire15DownloadRequestC7OptionsV18removePreviousFileAEvpZ":{"name":"removePreviousFile","abstract":"\u003cp\u003eSpecifies that any previous file at the destination \u003ccode\u003eURL\u003c/code\u003e should be removed.\u003c/p\u003e","parent_name":"Options"},"Classes/DownloadRequest/Options.html#/s:SY8rawValue03RawB0Qzvp":{"name":"rawValue","parent_name":"Options"},"Classes/DownloadRequest/Options.html#/s:s9OptionSetP8rawValuex03RawD0Qz_tcfc":{"name":"init(rawValue:)","parent_name":"Options"},"Classes/DownloadRequest/Options.html":{"name":"Options","abstract":"\u003cp\u003eA set of options to be executed prior to moving a downloaded file from the temporary \u003ccode\u003eURL\u003c/code\u003e to the destination","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC11Destinationa":{"name":"Destination","abstract":"\u003cp\u003eA closure executed once a \u003ccode\u003eDownloadRequest\u003c/code\u003e has successfully completed in order to determine where to move the","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC09suggestedB11Destination3for2in7options10Foundation3URLV011destinationJ0_AC7OptionsVAGtAJ_So17NSHTTPURLResponseCtYbcSo21NSSearchPathDirectoryV_So0nO10DomainMaskVAMtFZ":{"name":"suggestedDownloadDestination(for:in:options:)","abstract":"\u003cp\u003eCreates a download file destination closure which uses the default file manager to move the temporary file to a","parent_name":"DownloadRequest"},"Classes/DownloadRequest/Downloadable.html":{"name":"Downloadable","abstract":"\u003cp\u003eType describing the source used to create the underlying \u003ccode\u003eURLSessionDownloadTask\u003c/code\u003e.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC10resumeData10Foundation0E0VSgvp":{"name":"resumeData","abstract":"\u003cp\u003eIf the download is resumable and is eventually cancelled or fails, this value may be used to resume the download","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC7fileURL10Foundation0E0VSgvp":{"name":"fileURL","abstract":"\u003cp\u003eIf the download is successful, the \u003ccode\u003eURL\u003c/code\u003e where the file was downloaded.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC12downloadableAC12DownloadableOvp":{"name":"downloadable","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DownloadRequest/Downloadable.html\"\u003eDownloadable\u003c/a\u003e\u003c/code\u003e value used for this instance.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC4task13forResumeData5usingSo16NSURLSessionTaskC10Foundation0G0V_So0I0CtF":{"name":"task(forResumeData:using:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003eURLSessionTask\u003c/code\u003e from the provided resume data.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC6cancelACXDyF":{"name":"cancel()","abstract":"\u003cp\u003eCancels the instance. Once cancelled, a \u003ccode\u003eDownloadRequest\u003c/code\u003e can no longer be resumed or suspended.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC6cancel19producingResumeDataACXDSb_tF":{"name":"cancel(producingResumeData:)","abstract":"\u003cp\u003eCancels the instance, optionally producing resume data. Once cancelled, a \u003ccode\u003eDownloadRequest\u003c/code\u003e can no longer be","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC6cancel21byProducingResumeDataACXDy10Foundation0H0VSgc_tF":{"name":"cancel(byProducingResumeData:)","abstract":"\u003cp\u003eCancels the instance while producing resume data. Once cancelled, a \u003ccode\u003eDownloadRequest\u003c/code\u003e can no longer be resumed","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC8validateyACXDs6ResultOyyts5Error_pG10Foundation10URLRequestVSg_So17NSHTTPURLResponseCAI3URLVSgtYbcF":{"name":"validate(_:)","abstract":"\u003cp\u003eValidates the request, using the specified closure.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC8response5queue17completionHandlerACXDSo012OS_dispatch_E0C_yAA0B8ResponseVy10Foundation3URLVSgAA7AFErrorOGctF":{"name":"response(queue:completionHandler:)","abstract":"\u003cp\u003eAdds a handler to be called once the request has finished.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC8response5queue0D10Serializer17completionHandlerACXDSo012OS_dispatch_E0C_xyAA0B8ResponseVy16SerializedObjectQzAA7AFErrorOGYbctAA0bkF8ProtocolRzlF":{"name":"response(queue:responseSerializer:completionHandler:)","abstract":"\u003cp\u003eAdds a handler to be called once the request has finished.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC8response5queue0D10Serializer17completionHandlerACXDSo012OS_dispatch_E0C_xyAA0B8ResponseVy16SerializedObjectQzAA7AFErrorOGYbctAA0kF0RzlF":{"name":"response(queue:responseSerializer:completionHandler:)","abstract":"\u003cp\u003eAdds a handler to be called once the request has finished.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC11responseURL5queue17completionHandlerACXDSo012OS_dispatch_F0C_yAA0B8ResponseVy10Foundation0E0VAA7AFErrorOGctF":{"name":"responseURL(queue:completionHandler:)","abstract":"\u003cp\u003eAdds a handler using a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/URLResponseSerializer.html\"\u003eURLResponseSerializer\u003c/a\u003e\u003c/code\u003e to be called once the request is finished.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC12responseData5queue16dataPreprocessor18emptyResponseCodes0iC7Methods17completionHandlerACXDSo012OS_dispatch_F0C_AA0eH0_pShySiGShyAA10HTTPMethodVGyAA0bJ0Vy10Foundation0E0VAA7AFErrorOGctF":{"name":"responseData(queue:dataPreprocessor:emptyResponseCodes:emptyRequestMethods:completionHandler:)","abstract":"\u003cp\u003eAdds a handler using a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataResponseSerializer.html\"\u003eDataResponseSerializer\u003c/a\u003e\u003c/code\u003e to be called once the request has finished.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC14responseString5queue16dataPreprocessor8encoding18emptyResponseCodes0jC7Methods17completionHandlerACXDSo012OS_dispatch_F0C_AA04DataH0_pSS10FoundationE8EncodingVSgShySiGShyAA10HTTPMethodVGyAA0bK0VySSAA7AFErrorOGctF":{"name":"responseString(queue:dataPreprocessor:encoding:emptyResponseCodes:emptyRequestMethods:completionHandler:)","abstract":"\u003cp\u003eAdds a handler using a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/StringResponseSerializer.html\"\u003eStringResponseSerializer\u003c/a\u003e\u003c/code\u003e to be called once the request has finished.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC12responseJSON5queue16dataPreprocessor18emptyResponseCodes0iC7Methods7options17completionHandlerACXDSo012OS_dispatch_F0C_AA04DataH0_pShySiGShyAA10HTTPMethodVGSo20NSJSONReadingOptionsVyAA0bJ0VyypAA7AFErrorOGctF":{"name":"responseJSON(queue:dataPreprocessor:emptyResponseCodes:emptyRequestMethods:options:completionHandler:)","abstract":"\u003cp\u003eAdds a handler using a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/JSONResponseSerializer.html\"\u003eJSONResponseSerializer\u003c/a\u003e\u003c/code\u003e to be called once the request has finished.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC17responseDecodable2of5queue16dataPreprocessor7decoder18emptyResponseCodes0kC7Methods17completionHandlerACXDxm_So012OS_dispatch_G0CAA04DataI0_pAA0S7Decoder_pShySiGShyAA10HTTPMethodVGyAA0bL0VyxAA7AFErrorOGctSeRzlF":{"name":"responseDecodable(of:queue:dataPreprocessor:decoder:emptyResponseCodes:emptyRequestMethods:completionHandler:)","abstract":"\u003cp\u003eAdds a handler using a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DecodableResponseSerializer.html\"\u003eDecodableResponseSerializer\u003c/a\u003e\u003c/code\u003e to be called once the request has finished.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC15publishResponse5using2onAA0bE9PublisherVyq_Gx_So17OS_dispatch_queueCtAA0E10SerializerRz16SerializedObjectQzRs_r0_lF":{"name":"publishResponse(using:on:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadResponsePublisher.html\"\u003eDownloadResponsePublisher\u003c/a\u003e\u003c/code\u003e for this instance using the given \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ResponseSerializer.html\"\u003eResponseSerializer\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003eDispatchQueue\u003c/code\u003e.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC15publishResponse5using2onAA0bE9PublisherVyq_Gx_So17OS_dispatch_queueCtAA0bE18SerializerProtocolRz16SerializedObjectQzRs_r0_lF":{"name":"publishResponse(using:on:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadResponsePublisher.html\"\u003eDownloadResponsePublisher\u003c/a\u003e\u003c/code\u003e for this instance using the given \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DownloadResponseSerializerProtocol.html\"\u003eDownloadResponseSerializerProtocol\u003c/a\u003e\u003c/code\u003e and","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC10publishURL5queueAA0B17ResponsePublisherVy10Foundation0E0VGSo012OS_dispatch_F0C_tF":{"name":"publishURL(queue:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadResponsePublisher.html\"\u003eDownloadResponsePublisher\u003c/a\u003e\u003c/code\u003e for this instance and uses a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/URLResponseSerializer.html\"\u003eURLResponseSerializer\u003c/a\u003e\u003c/code\u003e to serialize the","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC11publishData5queue12preprocessor18emptyResponseCodes0hC7MethodsAA0bI9PublisherVy10Foundation0E0VGSo012OS_dispatch_F0C_AA0E12Preprocessor_pShySiGShyAA10HTTPMethodVGtF":{"name":"publishData(queue:preprocessor:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadResponsePublisher.html\"\u003eDownloadResponsePublisher\u003c/a\u003e\u003c/code\u003e for this instance and uses a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataResponseSerializer.html\"\u003eDataResponseSerializer\u003c/a\u003e\u003c/code\u003e to serialize the","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC13publishString5queue12preprocessor8encoding18emptyResponseCodes0iC7MethodsAA0bJ9PublisherVySSGSo012OS_dispatch_F0C_AA16DataPreprocessor_pSS10FoundationE8EncodingVSgShySiGShyAA10HTTPMethodVGtF":{"name":"publishString(queue:preprocessor:encoding:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadResponsePublisher.html\"\u003eDownloadResponsePublisher\u003c/a\u003e\u003c/code\u003e for this instance and uses a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/StringResponseSerializer.html\"\u003eStringResponseSerializer\u003c/a\u003e\u003c/code\u003e to serialize the","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC16publishDecodable4type5queue12preprocessor7decoder18emptyResponseCodes0jK7MethodsAA0bK9PublisherVyxGxm_So012OS_dispatch_G0CAA16DataPreprocessor_pAA0Q7Decoder_pShySiGShyAA10HTTPMethodVGtSeRzs8SendableRzlF":{"name":"publishDecodable(type:queue:preprocessor:decoder:emptyResponseCodes:emptyResponseMethods:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC16publishDecodable4type5queue12preprocessor7decoder18emptyResponseCodes0jC7MethodsAA0bK9PublisherVyxGxm_So012OS_dispatch_G0CAA16DataPreprocessor_pAA0Q7Decoder_pShySiGShyAA10HTTPMethodVGtSeRzs8SendableRzlF":{"name":"publishDecodable(type:queue:preprocessor:decoder:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadResponsePublisher.html\"\u003eDownloadResponsePublisher\u003c/a\u003e\u003c/code\u003e for this instance and uses a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DecodableResponseSerializer.html\"\u003eDecodableResponseSerializer\u003c/a\u003e\u003c/code\u003e to serialize","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC19publishUnserialized2onAA0B17ResponsePublisherVy10Foundation3URLVSgGSo17OS_dispatch_queueC_tF":{"name":"publishUnserialized(on:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadResponsePublisher.html\"\u003eDownloadResponsePublisher\u003c/a\u003e\u003c/code\u003e for this instance which does not serialize the response before publishing.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC15serializingData23automaticallyCancelling16dataPreprocessor18emptyResponseCodes0jC7MethodsAA0B4TaskVy10Foundation0E0VGSb_AA0eI0_pShySiGShyAA10HTTPMethodVGtF":{"name":"serializingData(automaticallyCancelling:dataPreprocessor:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadTask.html\"\u003eDownloadTask\u003c/a\u003e\u003c/code\u003e to \u003ccode\u003eawait\u003c/code\u003e a \u003ccode\u003eData\u003c/code\u003e value.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC20serializingDecodable_23automaticallyCancelling16dataPreprocessor7decoder18emptyResponseCodes0kC7MethodsAA0B4TaskVyxGxm_SbAA04DataI0_pAA0P7Decoder_pShySiGShyAA10HTTPMethodVGtSeRzs8SendableRzlF":{"name":"serializingDecodable(_:automaticallyCancelling:dataPreprocessor:decoder:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadTask.html\"\u003eDownloadTask\u003c/a\u003e\u003c/code\u003e to \u003ccode\u003eawait\u003c/code\u003e serialization of a \u003ccode\u003eDecodable\u003c/code\u003e value.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC28serializingDownloadedFileURL23automaticallyCancellingAA0B4TaskVy10Foundation0G0VGSb_tF":{"name":"serializingDownloadedFileURL(automaticallyCancelling:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadTask.html\"\u003eDownloadTask\u003c/a\u003e\u003c/code\u003e to \u003ccode\u003eawait\u003c/code\u003e serialization of the downloaded file\u0026rsquo;s \u003ccode\u003eURL\u003c/code\u003e on disk.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC17serializingString23automaticallyCancelling16dataPreprocessor8encoding18emptyResponseCodes0kC7MethodsAA0B4TaskVySSGSb_AA04DataI0_pSS10FoundationE8EncodingVSgShySiGShyAA10HTTPMethodVGtF":{"name":"serializingString(automaticallyCancelling:dataPreprocessor:encoding:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadTask.html\"\u003eDownloadTask\u003c/a\u003e\u003c/code\u003e to \u003ccode\u003eawait\u003c/code\u003e serialization of a \u003ccode\u003eString\u003c/code\u003e value.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC011serializingB05using23automaticallyCancellingAA0B4TaskVy16SerializedObjectQzGx_SbtAA18ResponseSerializerRzlF":{"name":"serializingDownload(using:automaticallyCancelling:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadTask.html\"\u003eDownloadTask\u003c/a\u003e\u003c/code\u003e to \u003ccode\u003eawait\u003c/code\u003e serialization using the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ResponseSerializer.html\"\u003eResponseSerializer\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC011serializingB05using23automaticallyCancellingAA0B4TaskVy16SerializedObjectQzGx_SbtAA0B26ResponseSerializerProtocolRzlF":{"name":"serializingDownload(using:automaticallyCancelling:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DownloadTask.html\"\u003eDownloadTask\u003c/a\u003e\u003c/code\u003e to \u003ccode\u003eawait\u003c/code\u003e serialization using the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DownloadResponseSerializerProtocol.html\"\u003eDownloadResponseSerializerProtocol\u003c/a\u003e\u003c/code\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC10Validationa":{"name":"Validation","abstract":"\u003cp\u003eA closure used to validate a request that takes a URL request, a URL response, a temporary URL and a","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC8validate10statusCodeACXDx_tSTRzSi7ElementRtzlF":{"name":"validate(statusCode:)","abstract":"\u003cp\u003eValidates that the response has a status code in the specified sequence.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC8validate11contentTypeACXDxyXA_tSTRzSS7ElementRtzlF":{"name":"validate(contentType:)","abstract":"\u003cp\u003eValidates that the response has a \u003ccode\u003eContent-Type\u003c/code\u003e in the specified sequence.\u003c/p\u003e","parent_name":"DownloadRequest"},"Classes/DownloadRequest.html#/s:9Alamofire15DownloadRequestC8validateACXDyF":{"name":"validate()","abstract":"\u003cp\u003eValidates that the response has a status code in the default acceptable range of 200\u0026hellip;299, and that the content","parent_name":"DownloadRequest"},"Classes/DataStreamRequest/CancellationToken.html#/s:9Alamofire17DataStreamRequestC17CancellationTokenV6cancelyyF":{"name":"cancel()","abstract":"\u003cp\u003eCancel the ongoing stream by canceling the underlying \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest.html\"\u003eDataStreamRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"CancellationToken"},"Classes/DataStreamRequest/Completion.html#/s:9Alamofire17DataStreamRequestC10CompletionV7request10Foundation10URLRequestVSgvp":{"name":"request","abstract":"\u003cp\u003eLast \u003ccode\u003eURLRequest\u003c/code\u003e issued by the instance.\u003c/p\u003e","parent_name":"Completion"},"Classes/DataStreamRequest/Completion.html#/s:9Alamofire17DataStreamRequestC10CompletionV8responseSo17NSHTTPURLResponseCSgvp":{"name":"response","abstract":"\u003cp\u003eLast \u003ccode\u003eHTTPURLResponse\u003c/code\u003e received by the instance.\u003c/p\u003e","parent_name":"Completion"},"Classes/DataStreamRequest/Completion.html#/s:9Alamofire17DataStreamRequestC10CompletionV7metricsSo23NSURLSessionTaskMetricsCSgvp":{"name":"metrics","abstract":"\u003cp\u003eLast \u003ccode\u003eURLSessionTaskMetrics\u003c/code\u003e produced for the instance.\u003c/p\u003e","parent_name":"Completion"},"Classes/DataStreamRequest/Completion.html#/s:9Alamofire17DataStreamRequestC10CompletionV5errorAA7AFErrorOSgvp":{"name":"error","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbEnums/AFError.html\"\u003eAFError\u003c/a\u003e\u003c/code\u003e produced for the instance, if any.\u003c/p\u003e","parent_name":"Completion"},"Classes/DataStreamRequest/Event.html#/s:9Alamofire17DataStreamRequestC5EventO6streamyAEy_xq_Gs6ResultOyxq_GcAGms8SendableRzs5ErrorR_r0_lF":{"name":"stream(_:)","abstract":"\u003cp\u003eOutput produced every time the instance receives additional \u003ccode\u003eData\u003c/code\u003e. The associated value contains the","parent_name":"Event"},"Classes/DataStreamRequest/Event.html#/s:9Alamofire17DataStreamRequestC5EventO8completeyAEy_xq_GAC10CompletionVcAGms8SendableRzs5ErrorR_r0_lF":{"name":"complete(_:)","abstract":"\u003cp\u003eOutput produced when the instance has completed, whether due to stream end, cancellation, or an error.","parent_name":"Event"},"Classes/DataStreamRequest/Stream.html#/s:9Alamofire17DataStreamRequestC0C0V5eventAC5EventOy_xq_Gvp":{"name":"event","abstract":"\u003cp\u003eLatest \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest/Event.html\"\u003eEvent\u003c/a\u003e\u003c/code\u003e from the stream.\u003c/p\u003e","parent_name":"Stream"},"Classes/DataStreamRequest/Stream.html#/s:9Alamofire17DataStreamRequestC0C0V5tokenAC17CancellationTokenVvp":{"name":"token","abstract":"\u003cp\u003eToken used to cancel the stream.\u003c/p\u003e","parent_name":"Stream"},"Classes/DataStreamRequest/Stream.html#/s:9Alamofire17DataStreamRequestC0C0V6cancelyyF":{"name":"cancel()","abstract":"\u003cp\u003eCancel the ongoing stream by canceling the underlying \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest.html\"\u003eDataStreamRequest\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"Stream"},"Classes/DataStreamRequest/Stream.html#/s:9Alamofire17DataStreamRequestC0C0V6results6ResultOyxq_GSgvp":{"name":"result","abstract":"\u003cp\u003eIncoming \u003ccode\u003eResult\u003c/code\u003e values from \u003ccode\u003eEvent.stream\u003c/code\u003e.\u003c/p\u003e","parent_name":"Stream"},"Classes/DataStreamRequest/Stream.html#/s:9Alamofire17DataStreamRequestC0C0V5valuexSgvp":{"name":"value","abstract":"\u003cp\u003e\u003ccode\u003eSuccess\u003c/code\u003e value of the instance, if any.\u003c/p\u003e","parent_name":"Stream"},"Classes/DataStreamRequest/Stream.html#/s:9Alamofire17DataStreamRequestC0C0V5errorq_Sgvp":{"name":"error","abstract":"\u003cp\u003e\u003ccode\u003eFailure\u003c/code\u003e value of the instance, if any.\u003c/p\u003e","parent_name":"Stream"},"Classes/DataStreamRequest/Stream.html#/s:9Alamofire17DataStreamRequestC0C0V10completionAC10CompletionVSgvp":{"name":"completion","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest/Completion.html\"\u003eCompletion\u003c/a\u003e\u003c/code\u003e value of the instance, if any.\u003c/p\u003e","parent_name":"Stream"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC7Handlera":{"name":"Handler","abstract":"\u003cp\u003eClosure type handling \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest/Stream.html\"\u003eDataStreamRequest.Stream\u003c/a\u003e\u003c/code\u003e values.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest/Stream.html":{"name":"Stream","abstract":"\u003cp\u003eType encapsulating an \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest/Event.html\"\u003eEvent\u003c/a\u003e\u003c/code\u003e as it flows through the stream, as well as a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest/CancellationToken.html\"\u003eCancellationToken\u003c/a\u003e\u003c/code\u003e which can be used","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest/Event.html":{"name":"Event","abstract":"\u003cp\u003eType representing an event flowing through the stream. Contains either the \u003ccode\u003eResult\u003c/code\u003e of processing streamed","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest/Completion.html":{"name":"Completion","abstract":"\u003cp\u003eValue containing the state of a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest.html\"\u003eDataStreamRequest\u003c/a\u003e\u003c/code\u003e when the stream was completed.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest/CancellationToken.html":{"name":"CancellationToken","abstract":"\u003cp\u003eType used to cancel an ongoing stream.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC11convertibleAA21URLRequestConvertible_pvp":{"name":"convertible","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/URLRequestConvertible.html\"\u003eURLRequestConvertible\u003c/a\u003e\u003c/code\u003e value used to create \u003ccode\u003eURLRequest\u003c/code\u003es for this instance.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC021automaticallyCancelOnC5ErrorSbvp":{"name":"automaticallyCancelOnStreamError","abstract":"\u003cp\u003eWhether or not the instance will be cancelled if stream parsing encounters an error.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC8validateyACXDs6ResultOyyts5Error_pG10Foundation10URLRequestVSg_So17NSHTTPURLResponseCtYbcF":{"name":"validate(_:)","abstract":"\u003cp\u003eValidates the \u003ccode\u003eURLRequest\u003c/code\u003e and \u003ccode\u003eHTTPURLResponse\u003c/code\u003e received for the instance using the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC10Validationa\"\u003eValidation\u003c/a\u003e\u003c/code\u003e closure.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC07asInputC010bufferSizeSo07NSInputC0CSgSi_tF":{"name":"asInputStream(bufferSize:)","abstract":"\u003cp\u003eProduces an \u003ccode\u003eInputStream\u003c/code\u003e that receives the \u003ccode\u003eData\u003c/code\u003e received by the instance.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC14onHTTPResponse0E07performACXDSo17OS_dispatch_queueC_ySo17NSHTTPURLResponseC_yAA0D0C19ResponseDispositionOctctF":{"name":"onHTTPResponse(on:perform:)","abstract":"\u003cp\u003eSets a closure called whenever the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataRequest.html\"\u003eDataRequest\u003c/a\u003e\u003c/code\u003e produces an \u003ccode\u003eHTTPURLResponse\u003c/code\u003e and providing a completion","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC14onHTTPResponse0E07performACXDSo17OS_dispatch_queueC_ySo17NSHTTPURLResponseCctF":{"name":"onHTTPResponse(on:perform:)","abstract":"\u003cp\u003eSets a closure called whenever the \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataRequest.html\"\u003eDataRequest\u003c/a\u003e\u003c/code\u003e produces an \u003ccode\u003eHTTPURLResponse\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC08responseC02on6streamACXDSo17OS_dispatch_queueC_yAC0C0Vy_10Foundation0B0Vs5NeverOGKctF":{"name":"responseStream(on:stream:)","abstract":"\u003cp\u003eAdds a \u003ccode\u003eStreamHandler\u003c/code\u003e which performs no parsing on incoming \u003ccode\u003eData\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC08responseC05using2on6streamACXDx_So17OS_dispatch_queueCyAC0C0Vy_16SerializedObjectQzAA7AFErrorOGKctAA0bC10SerializerRzlF":{"name":"responseStream(using:on:stream:)","abstract":"\u003cp\u003eAdds a \u003ccode\u003eStreamHandler\u003c/code\u003e which uses the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataStreamSerializer.html\"\u003eDataStreamSerializer\u003c/a\u003e\u003c/code\u003e to process incoming \u003ccode\u003eData\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC08responseC6String2on6streamACXDSo17OS_dispatch_queueC_yAC0C0Vy_SSs5NeverOGKctF":{"name":"responseStreamString(on:stream:)","abstract":"\u003cp\u003eAdds a \u003ccode\u003eStreamHandler\u003c/code\u003e which parses incoming \u003ccode\u003eData\u003c/code\u003e as a UTF8 \u003ccode\u003eString\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC08responseC9Decodable2of2on5using12preprocessor6streamACXDxm_So17OS_dispatch_queueCAA0B7Decoder_pAA0B12Preprocessor_pyAC0C0Vy_xAA7AFErrorOGKctSeRzlF":{"name":"responseStreamDecodable(of:on:using:preprocessor:stream:)","abstract":"\u003cp\u003eAdds a \u003ccode\u003eStreamHandler\u003c/code\u003e which parses incoming \u003ccode\u003eData\u003c/code\u003e using the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataDecoder.html\"\u003eDataDecoder\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC07publishC05using2onAA0bC9PublisherVy16SerializedObjectQzGx_So17OS_dispatch_queueCtAA0bC10SerializerRzlF":{"name":"publishStream(using:on:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataStreamPublisher.html\"\u003eDataStreamPublisher\u003c/a\u003e\u003c/code\u003e for this instance using the given \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataStreamSerializer.html\"\u003eDataStreamSerializer\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003eDispatchQueue\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC07publishB05queueAA0bC9PublisherVy10Foundation0B0VGSo012OS_dispatch_F0C_tF":{"name":"publishData(queue:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataStreamPublisher.html\"\u003eDataStreamPublisher\u003c/a\u003e\u003c/code\u003e for this instance which uses a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/PassthroughStreamSerializer.html\"\u003ePassthroughStreamSerializer\u003c/a\u003e\u003c/code\u003e to stream \u003ccode\u003eData\u003c/code\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC13publishString5queueAA0bC9PublisherVySSGSo012OS_dispatch_G0C_tF":{"name":"publishString(queue:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataStreamPublisher.html\"\u003eDataStreamPublisher\u003c/a\u003e\u003c/code\u003e for this instance which uses a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/StringStreamSerializer.html\"\u003eStringStreamSerializer\u003c/a\u003e\u003c/code\u003e to serialize stream","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC16publishDecodable4type5queue7decoder12preprocessorAA0bC9PublisherVyxGxm_So012OS_dispatch_H0CAA0B7Decoder_pAA0B12Preprocessor_ptSeRzs8SendableRzlF":{"name":"publishDecodable(type:queue:decoder:preprocessor:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataStreamPublisher.html\"\u003eDataStreamPublisher\u003c/a\u003e\u003c/code\u003e for this instance which uses a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DecodableStreamSerializer.html\"\u003eDecodableStreamSerializer\u003c/a\u003e\u003c/code\u003e with the provided","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC13httpResponses15bufferingPolicyAA0C2OfVySo17NSHTTPURLResponseCGScS12ContinuationV09BufferingH0OyAI__G_tF":{"name":"httpResponses(bufferingPolicy:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/StreamOf.html\"\u003eStreamOf\u0026lt;HTTPURLResponse\u0026gt;\u003c/a\u003e\u003c/code\u003e for the instance\u0026rsquo;s responses.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC14onHTTPResponse7performACXDAA0D0C19ResponseDispositionOSo17NSHTTPURLResponseCYaYbc_tF":{"name":"onHTTPResponse(perform:)","abstract":"\u003cp\u003eSets an async closure returning a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request/ResponseDisposition.html\"\u003eRequest.ResponseDisposition\u003c/a\u003e\u003c/code\u003e, called whenever the \u003ccode\u003eDataStreamRequest\u003c/code\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC14onHTTPResponse7performACXDySo17NSHTTPURLResponseCYaYbc_tF":{"name":"onHTTPResponse(perform:)","abstract":"\u003cp\u003eSets an async closure called whenever the \u003ccode\u003eDataStreamRequest\u003c/code\u003e produces an \u003ccode\u003eHTTPURLResponse\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC10streamTaskAA0bcF0VyF":{"name":"streamTask()","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataStreamTask.html\"\u003eDataStreamTask\u003c/a\u003e\u003c/code\u003e used to \u003ccode\u003eawait\u003c/code\u003e streams of serialized values.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC10Validationa":{"name":"Validation","abstract":"\u003cp\u003eA closure used to validate a request that takes a \u003ccode\u003eURLRequest\u003c/code\u003e and \u003ccode\u003eHTTPURLResponse\u003c/code\u003e and returns whether the","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC8validate10statusCodeACXDx_tSTRzSi7ElementRtzlF":{"name":"validate(statusCode:)","abstract":"\u003cp\u003eValidates that the response has a status code in the specified sequence.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC8validate11contentTypeACXDxyXA_tSTRzSS7ElementRtzlF":{"name":"validate(contentType:)","abstract":"\u003cp\u003eValidates that the response has a content type in the specified sequence.\u003c/p\u003e","parent_name":"DataStreamRequest"},"Classes/DataStreamRequest.html#/s:9Alamofire17DataStreamRequestC8validateACXDyF":{"name":"validate()","abstract":"\u003cp\u003eValidates that the response has a status code in the default acceptable range of 200\u0026hellip;299, and that the content","parent_name":"DataStreamRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC11convertibleAA21URLRequestConvertible_pvp":{"name":"convertible","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/URLRequestConvertible.html\"\u003eURLRequestConvertible\u003c/a\u003e\u003c/code\u003e value used to create \u003ccode\u003eURLRequest\u003c/code\u003es for this instance.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC4data10Foundation0B0VSgvp":{"name":"data","abstract":"\u003cp\u003e\u003ccode\u003eData\u003c/code\u003e read from the server so far.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC8validateyACXDs6ResultOyyts5Error_pG10Foundation10URLRequestVSg_So17NSHTTPURLResponseCAI0B0VSgtcF":{"name":"validate(_:)","abstract":"\u003cp\u003eValidates the request, using the specified closure.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC14onHTTPResponse0D07performACXDSo17OS_dispatch_queueC_ySo17NSHTTPURLResponseC_yAA0C0C19ResponseDispositionOctctF":{"name":"onHTTPResponse(on:perform:)","abstract":"\u003cp\u003eSets a closure called whenever the \u003ccode\u003eDataRequest\u003c/code\u003e produces an \u003ccode\u003eHTTPURLResponse\u003c/code\u003e and providing a completion","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC14onHTTPResponse0D07performACXDSo17OS_dispatch_queueC_ySo17NSHTTPURLResponseCctF":{"name":"onHTTPResponse(on:perform:)","abstract":"\u003cp\u003eSets a closure called whenever the \u003ccode\u003eDataRequest\u003c/code\u003e produces an \u003ccode\u003eHTTPURLResponse\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC8response5queue17completionHandlerACXDSo012OS_dispatch_E0C_yAA0B8ResponseVy10Foundation0B0VSgAA7AFErrorOGctF":{"name":"response(queue:completionHandler:)","abstract":"\u003cp\u003eAdds a handler to be called once the request has finished.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC8response5queue0D10Serializer17completionHandlerACXDSo012OS_dispatch_E0C_xyAA0B8ResponseVy16SerializedObjectQzAA7AFErrorOGctAA0bkF8ProtocolRzlF":{"name":"response(queue:responseSerializer:completionHandler:)","abstract":"\u003cp\u003eAdds a handler to be called once the request has finished.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC8response5queue0D10Serializer17completionHandlerACXDSo012OS_dispatch_E0C_xyAA0B8ResponseVy16SerializedObjectQzAA7AFErrorOGctAA0kF0RzlF":{"name":"response(queue:responseSerializer:completionHandler:)","abstract":"\u003cp\u003eAdds a handler to be called once the request has finished.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC08responseB05queue16dataPreprocessor18emptyResponseCodes0hC7Methods17completionHandlerACXDSo012OS_dispatch_E0C_AA0bG0_pShySiGShyAA10HTTPMethodVGyAA0bI0Vy10Foundation0B0VAA7AFErrorOGctF":{"name":"responseData(queue:dataPreprocessor:emptyResponseCodes:emptyRequestMethods:completionHandler:)","abstract":"\u003cp\u003eAdds a handler using a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataResponseSerializer.html\"\u003eDataResponseSerializer\u003c/a\u003e\u003c/code\u003e to be called once the request has finished.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC14responseString5queue16dataPreprocessor8encoding18emptyResponseCodes0jC7Methods17completionHandlerACXDSo012OS_dispatch_F0C_AA0bH0_pSS10FoundationE8EncodingVSgShySiGShyAA10HTTPMethodVGyAA0bK0VySSAA7AFErrorOGctF":{"name":"responseString(queue:dataPreprocessor:encoding:emptyResponseCodes:emptyRequestMethods:completionHandler:)","abstract":"\u003cp\u003eAdds a handler using a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/StringResponseSerializer.html\"\u003eStringResponseSerializer\u003c/a\u003e\u003c/code\u003e to be called once the request has finished.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC12responseJSON5queue16dataPreprocessor18emptyResponseCodes0iC7Methods7options17completionHandlerACXDSo012OS_dispatch_F0C_AA0bH0_pShySiGShyAA10HTTPMethodVGSo20NSJSONReadingOptionsVyAA0bJ0VyypAA7AFErrorOGctF":{"name":"responseJSON(queue:dataPreprocessor:emptyResponseCodes:emptyRequestMethods:options:completionHandler:)","abstract":"\u003cp\u003eAdds a handler using a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/JSONResponseSerializer.html\"\u003eJSONResponseSerializer\u003c/a\u003e\u003c/code\u003e to be called once the request has finished.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC17responseDecodable2of5queue16dataPreprocessor7decoder18emptyResponseCodes0kC7Methods17completionHandlerACXDxm_So012OS_dispatch_G0CAA0bI0_pAA0B7Decoder_pShySiGShyAA10HTTPMethodVGyAA0bL0VyxAA7AFErrorOGctSeRzlF":{"name":"responseDecodable(of:queue:dataPreprocessor:decoder:emptyResponseCodes:emptyRequestMethods:completionHandler:)","abstract":"\u003cp\u003eAdds a handler using a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DecodableResponseSerializer.html\"\u003eDecodableResponseSerializer\u003c/a\u003e\u003c/code\u003e to be called once the request has finished.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC15publishResponse5using2onAA0bE9PublisherVyq_Gx_So17OS_dispatch_queueCtAA0E10SerializerRz16SerializedObjectQzRs_r0_lF":{"name":"publishResponse(using:on:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataResponsePublisher.html\"\u003eDataResponsePublisher\u003c/a\u003e\u003c/code\u003e for this instance using the given \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ResponseSerializer.html\"\u003eResponseSerializer\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003eDispatchQueue\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC07publishB05queue12preprocessor18emptyResponseCodes0gC7MethodsAA0bH9PublisherVy10Foundation0B0VGSo012OS_dispatch_E0C_AA0B12Preprocessor_pShySiGShyAA10HTTPMethodVGtF":{"name":"publishData(queue:preprocessor:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataResponsePublisher.html\"\u003eDataResponsePublisher\u003c/a\u003e\u003c/code\u003e for this instance and uses a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataResponseSerializer.html\"\u003eDataResponseSerializer\u003c/a\u003e\u003c/code\u003e to serialize the","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC13publishString5queue12preprocessor8encoding18emptyResponseCodes0iC7MethodsAA0bJ9PublisherVySSGSo012OS_dispatch_F0C_AA0B12Preprocessor_pSS10FoundationE8EncodingVSgShySiGShyAA10HTTPMethodVGtF":{"name":"publishString(queue:preprocessor:encoding:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataResponsePublisher.html\"\u003eDataResponsePublisher\u003c/a\u003e\u003c/code\u003e for this instance and uses a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/StringResponseSerializer.html\"\u003eStringResponseSerializer\u003c/a\u003e\u003c/code\u003e to serialize the","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC16publishDecodable4type5queue12preprocessor7decoder18emptyResponseCodes0jK7MethodsAA0bK9PublisherVyxGxm_So012OS_dispatch_G0CAA0B12Preprocessor_pAA0B7Decoder_pShySiGShyAA10HTTPMethodVGtSeRzs8SendableRzlF":{"name":"publishDecodable(type:queue:preprocessor:decoder:emptyResponseCodes:emptyResponseMethods:)","abstract":"\u003cp\u003eUndocumented\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC16publishDecodable4type5queue12preprocessor7decoder18emptyResponseCodes0jC7MethodsAA0bK9PublisherVyxGxm_So012OS_dispatch_G0CAA0B12Preprocessor_pAA0B7Decoder_pShySiGShyAA10HTTPMethodVGtSeRzs8SendableRzlF":{"name":"publishDecodable(type:queue:preprocessor:decoder:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataResponsePublisher.html\"\u003eDataResponsePublisher\u003c/a\u003e\u003c/code\u003e for this instance and uses a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DecodableResponseSerializer.html\"\u003eDecodableResponseSerializer\u003c/a\u003e\u003c/code\u003e to serialize the","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC19publishUnserialized5queueAA0B17ResponsePublisherVy10Foundation0B0VSgGSo012OS_dispatch_F0C_tF":{"name":"publishUnserialized(queue:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataResponsePublisher.html\"\u003eDataResponsePublisher\u003c/a\u003e\u003c/code\u003e for this instance which does not serialize the response before publishing.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC13httpResponses15bufferingPolicyAA8StreamOfVySo17NSHTTPURLResponseCGScS12ContinuationV09BufferingG0OyAI__G_tF":{"name":"httpResponses(bufferingPolicy:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/StreamOf.html\"\u003eStreamOf\u0026lt;HTTPURLResponse\u0026gt;\u003c/a\u003e\u003c/code\u003e for the instance\u0026rsquo;s responses.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC14onHTTPResponse7performACXDAA0C0C19ResponseDispositionOSo17NSHTTPURLResponseCYaYbc_tF":{"name":"onHTTPResponse(perform:)","abstract":"\u003cp\u003eSets an async closure returning a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request/ResponseDisposition.html\"\u003eRequest.ResponseDisposition\u003c/a\u003e\u003c/code\u003e, called whenever the \u003ccode\u003eDataRequest\u003c/code\u003e produces an","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC14onHTTPResponse7performACXDySo17NSHTTPURLResponseCYaYbc_tF":{"name":"onHTTPResponse(perform:)","abstract":"\u003cp\u003eSets an async closure called whenever the \u003ccode\u003eDataRequest\u003c/code\u003e produces an \u003ccode\u003eHTTPURLResponse\u003c/code\u003e.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC011serializingB023automaticallyCancelling16dataPreprocessor18emptyResponseCodes0iC7MethodsAA0B4TaskVy10Foundation0B0VGSb_AA0bH0_pShySiGShyAA10HTTPMethodVGtF":{"name":"serializingData(automaticallyCancelling:dataPreprocessor:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataTask.html\"\u003eDataTask\u003c/a\u003e\u003c/code\u003e to \u003ccode\u003eawait\u003c/code\u003e a \u003ccode\u003eData\u003c/code\u003e value.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC20serializingDecodable_23automaticallyCancelling16dataPreprocessor7decoder18emptyResponseCodes0kC7MethodsAA0B4TaskVyxGxm_SbAA0bI0_pAA0B7Decoder_pShySiGShyAA10HTTPMethodVGtSeRzs8SendableRzlF":{"name":"serializingDecodable(_:automaticallyCancelling:dataPreprocessor:decoder:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataTask.html\"\u003eDataTask\u003c/a\u003e\u003c/code\u003e to \u003ccode\u003eawait\u003c/code\u003e serialization of a \u003ccode\u003eDecodable\u003c/code\u003e value.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC17serializingString23automaticallyCancelling16dataPreprocessor8encoding18emptyResponseCodes0kC7MethodsAA0B4TaskVySSGSb_AA0bI0_pSS10FoundationE8EncodingVSgShySiGShyAA10HTTPMethodVGtF":{"name":"serializingString(automaticallyCancelling:dataPreprocessor:encoding:emptyResponseCodes:emptyRequestMethods:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataTask.html\"\u003eDataTask\u003c/a\u003e\u003c/code\u003e to \u003ccode\u003eawait\u003c/code\u003e serialization of a \u003ccode\u003eString\u003c/code\u003e value.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC19serializingResponse5using23automaticallyCancellingAA0B4TaskVy16SerializedObjectQzGx_SbtAA0E10SerializerRzlF":{"name":"serializingResponse(using:automaticallyCancelling:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataTask.html\"\u003eDataTask\u003c/a\u003e\u003c/code\u003e to \u003ccode\u003eawait\u003c/code\u003e serialization using the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ResponseSerializer.html\"\u003eResponseSerializer\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC19serializingResponse5using23automaticallyCancellingAA0B4TaskVy16SerializedObjectQzGx_SbtAA0bE18SerializerProtocolRzlF":{"name":"serializingResponse(using:automaticallyCancelling:)","abstract":"\u003cp\u003eCreates a \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbStructs/DataTask.html\"\u003eDataTask\u003c/a\u003e\u003c/code\u003e to \u003ccode\u003eawait\u003c/code\u003e serialization using the provided \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/DataResponseSerializerProtocol.html\"\u003eDataResponseSerializerProtocol\u003c/a\u003e\u003c/code\u003e instance.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC10Validationa":{"name":"Validation","abstract":"\u003cp\u003eA closure used to validate a request that takes a URL request, a URL response and data, and returns whether the","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC8validate10statusCodeACXDx_tSTRzSi7ElementRtzlF":{"name":"validate(statusCode:)","abstract":"\u003cp\u003eValidates that the response has a status code in the specified sequence.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC8validate11contentTypeACXDxyXA_tSTRzSS7ElementRtzlF":{"name":"validate(contentType:)","abstract":"\u003cp\u003eValidates that the response has a content type in the specified sequence.\u003c/p\u003e","parent_name":"DataRequest"},"Classes/DataRequest.html#/s:9Alamofire11DataRequestC8validateACXDyF":{"name":"validate()","abstract":"\u003cp\u003eValidates that the response has a status code in the default acceptable range of 200\u0026hellip;299, and that the content","parent_name":"DataRequest"},"Classes/DataRequest.html":{"name":"DataRequest","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e subclass which handles in-memory \u003ccode\u003eData\u003c/code\u003e download using \u003ccode\u003eURLSessionDataTask\u003c/code\u003e.\u003c/p\u003e"},"Classes/DataStreamRequest.html":{"name":"DataStreamRequest","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e subclass which streams HTTP response \u003ccode\u003eData\u003c/code\u003e through a \u003ccode\u003eHandler\u003c/code\u003e closure.\u003c/p\u003e"},"Classes/DownloadRequest.html":{"name":"DownloadRequest","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e subclass which downloads \u003ccode\u003eData\u003c/code\u003e to a file on disk using \u003ccode\u003eURLSessionDownloadTask\u003c/code\u003e.\u003c/p\u003e"},"Classes/Request.html":{"name":"Request","abstract":"\u003cp\u003e\u003ccode\u003eRequest\u003c/code\u003e is the common superclass of all Alamofire request types and provides common state, delegate, and callback"},"Classes/AlamofireNotifications.html":{"name":"AlamofireNotifications","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/EventMonitor.html\"\u003eEventMonitor\u003c/a\u003e\u003c/code\u003e that provides Alamofire\u0026rsquo;s notifications.\u003c/p\u003e"},"Classes/JSONParameterEncoder.html":{"name":"JSONParameterEncoder","abstract":"\u003cp\u003eA \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ParameterEncoder.html\"\u003eParameterEncoder\u003c/a\u003e\u003c/code\u003e that encodes types as JSON body data.\u003c/p\u003e"},"Classes/URLEncodedFormParameterEncoder.html":{"name":"URLEncodedFormParameterEncoder","abstract":"\u003cp\u003eA \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ParameterEncoder.html\"\u003eParameterEncoder\u003c/a\u003e\u003c/code\u003e that encodes types as URL-encoded query strings to be set on the URL or as body data, depending"},"Classes/Session.html":{"name":"Session","abstract":"\u003cp\u003e\u003ccode\u003eSession\u003c/code\u003e creates and manages Alamofire\u0026rsquo;s \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/Request.html\"\u003eRequest\u003c/a\u003e\u003c/code\u003e types during their lifetimes. It also provides common"},"Classes/SessionDelegate.html":{"name":"SessionDelegate","abstract":"\u003cp\u003eClass which implements the various \u003ccode\u003eURLSessionDelegate\u003c/code\u003e methods to connect various Alamofire features.\u003c/p\u003e"},"Classes/UploadRequest.html":{"name":"UploadRequest","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbClasses/DataRequest.html\"\u003eDataRequest\u003c/a\u003e\u003c/code\u003e subclass which handles \u003ccode\u003eData\u003c/code\u003e upload from memory, file, or stream using \u003ccode\u003eURLSessionUploadTask\u003c/code\u003e.\u003c/p\u003e"},"Classes/AuthenticationInterceptor.html":{"name":"AuthenticationInterceptor","abstract":"\u003cp\u003eThe \u003ccode\u003eAuthenticationInterceptor\u003c/code\u003e class manages the queuing and threading complexity of authenticating requests."},"Classes/CompositeEventMonitor.html":{"name":"CompositeEventMonitor","abstract":"\u003cp\u003eAn \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/EventMonitor.html\"\u003eEventMonitor\u003c/a\u003e\u003c/code\u003e which can contain multiple \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/EventMonitor.html\"\u003eEventMonitor\u003c/a\u003e\u003c/code\u003es and calls their methods on their queues.\u003c/p\u003e"},"Classes/ClosureEventMonitor.html":{"name":"ClosureEventMonitor","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/EventMonitor.html\"\u003eEventMonitor\u003c/a\u003e\u003c/code\u003e that allows optional closures to be set to receive events.\u003c/p\u003e"},"Classes/MultipartFormData.html":{"name":"MultipartFormData","abstract":"\u003cp\u003eConstructs \u003ccode\u003emultipart/form-data\u003c/code\u003e for uploads within an HTTP or HTTPS body. There are currently two ways to encode"},"Classes/NetworkReachabilityManager.html":{"name":"NetworkReachabilityManager","abstract":"\u003cp\u003eThe \u003ccode\u003eNetworkReachabilityManager\u003c/code\u003e class listens for reachability changes of hosts and addresses for both cellular and"},"Classes/OfflineRetrier.html":{"name":"OfflineRetrier","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestRetrier.html\"\u003eRequestRetrier\u003c/a\u003e\u003c/code\u003e which uses \u003ccode\u003eNWPathMonitor\u003c/code\u003e to detect when connectivity is restored to retry failed requests.\u003c/p\u003e"},"Classes/Adapter.html":{"name":"Adapter","abstract":"\u003cp\u003eClosure-based \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestAdapter.html\"\u003eRequestAdapter\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e"},"Classes/Retrier.html":{"name":"Retrier","abstract":"\u003cp\u003eClosure-based \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestRetrier.html\"\u003eRequestRetrier\u003c/a\u003e\u003c/code\u003e.\u003c/p\u003e"},"Classes/Interceptor.html":{"name":"Interceptor","abstract":"\u003cp\u003e\u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestInterceptor.html\"\u003eRequestInterceptor\u003c/a\u003e\u003c/code\u003e which can use multiple \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestAdapter.html\"\u003eRequestAdapter\u003c/a\u003e\u003c/code\u003e and \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/RequestRetrier.html\"\u003eRequestRetrier\u003c/a\u003e\u003c/code\u003e values.\u003c/p\u003e"},"Classes/DataResponseSerializer.html":{"name":"DataResponseSerializer","abstract":"\u003cp\u003eA \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ResponseSerializer.html\"\u003eResponseSerializer\u003c/a\u003e\u003c/code\u003e that performs minimal response checking and returns any response \u003ccode\u003eData\u003c/code\u003e as-is. By default, a"},"Classes/StringResponseSerializer.html":{"name":"StringResponseSerializer","abstract":"\u003cp\u003eA \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ResponseSerializer.html\"\u003eResponseSerializer\u003c/a\u003e\u003c/code\u003e that decodes the response data as a \u003ccode\u003eString\u003c/code\u003e. By default, a request returning \u003ccode\u003enil\u003c/code\u003e or no"},"Classes/JSONResponseSerializer.html":{"name":"JSONResponseSerializer","abstract":"\u003cp\u003eA \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ResponseSerializer.html\"\u003eResponseSerializer\u003c/a\u003e\u003c/code\u003e that decodes the response data using \u003ccode\u003eJSONSerialization\u003c/code\u003e. By default, a request returning"},"Classes/DecodableResponseSerializer.html":{"name":"DecodableResponseSerializer","abstract":"\u003cp\u003eA \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ResponseSerializer.html\"\u003eResponseSerializer\u003c/a\u003e\u003c/code\u003e that decodes the response data as a \u003ccode\u003eDecodable\u003c/code\u003e value using any decoder that conforms to"},"Classes/RetryPolicy.html":{"name":"RetryPolicy","abstract":"\u003cp\u003eA retry policy that retries requests using an exponential backoff for allowed HTTP methods and HTTP status codes"},"Classes/ConnectionLostRetryPolicy.html":{"name":"ConnectionLostRetryPolicy","abstract":"\u003cp\u003eA retry policy that automatically retries idempotent requests for network connection lost errors. For more"},"Classes/ServerTrustManager.html":{"name":"ServerTrustManager","abstract":"\u003cp\u003eResponsible for managing the mapping of \u003ccode\u003e\u003ca href=\"36f8f5912051ae747ef441d6511ca4cbProtocols/ServerTrustEvaluating.html\"\u003eServerTrustEvaluating\u003c/a\u003e\u003c/code\u003e values to given hosts.\u003c/p\u003e"},"Classes/DefaultTrustEvaluator.html":{"name":"DefaultTrustEvaluator","abstract":"\u003cp\u003eAn evaluator which uses the default server trust evaluation while allowing you to control whether to validate the"},"Classes/RevocationTrustEvaluator.html":{"name":"RevocationTrustEvaluator","abstract":"\u003cp\u003eAn evaluator which Uses the default and revoked server trust evaluations allowing you to control whether to validate"},"Classes/PinnedCertificatesTrustEvaluator.html":{"name":"PinnedCertificatesTrustEvaluator","abstract":"\u003cp\u003eUses the pinned certificates to validate the server trust. The server trust is considered valid if one of the pinned"},"Classes/PublicKeysTrustEvaluator.html":{"name":"PublicKeysTrustEvaluator","abstract":"\u003cp\u003eUses the pinned public keys to validate the server trust. The server trust is considered valid if one of the pinned"},"Classes/CompositeTrustEvaluator.html":{"name":"CompositeTrustEvaluator","abstract":"\u003cp\u003eUses the provided evaluators to validate the server trust. The trust is only considered valid if all of the"},"Classes/DisabledTrustEvaluator.html":{"name":"DisabledTrustEvaluator","abstract":"\u003cp\u003eDisables all evaluation which in turn will always consider any server trust as valid.\u003c/p\u003e"},"Classes/URLEncodedFormEncoder.html":{"name":"URLEncodedFormEncoder","abstract":"\u003cp\u003eAn object that encodes instances into URL-encoded query strings.\u003c/p\u003e"},"Classes.html":{"name":"Classes","abstract":"\u003cp\u003eThe following classes are available globally.\u003c/p\u003e"},"Global%20Variables.html":{"name":"Global Variables","abstract":"\u003cp\u003eThe following global variables are available globally.\u003c/p\u003e"},"Enums.html":{"name":"Enumerations","abstract":"\u003cp\u003eThe following enumerations are available globally.\u003c/p\u003e"},"Extensions.html":{"name":"Extensions","abstract":"\u003cp\u003eThe following extensions are available globally.\u003c/p\u003e"},"Protocols.html":{"name":"Protocols","abstract":"\u003cp\u003eThe following protocols are available globally.\u003c/p\u003e"},"Structs.html":{"name":"Structures","abstract":"\u003cp\u003eThe following structures are available globally.\u003c/p\u003e"},"Typealiases.html":{"name":"Type Aliases","abstract":"\u003cp\u003eThe following type aliases are available globally.\u003c/p\u003e"}};
+window.jazzySearchAliases = {"renamed":{"SessionManager":["Session"],"ServerTrustPolicyManager":["ServerTrustManager"],"URLStringConvertible":["URLConvertible"]},"related":{"Alamofire.request":["AF"],"TaskDelegate":["SessionDelegate"],"ServerTrustPolicy":["ServerTrustEvaluating"],"performDefaultEvaluation":["DefaultTrustEvaluator"],"performRevokedEvaluation":["RevocationTrustEvaluator"],"pinCertificates":["PinnedCertificatesTrustEvaluator"],"pinPublicKeys":["PublicKeysTrustEvaluator"],"disableEvaluation":["DisabledTrustEvaluator"],"customEvaluation":["CompositeTrustEvaluator","ServerTrustEvaluating"],"DefaultDataResponse":["DataResponse"],"DefaultDownloadResponse":["DownloadResponse"],"Timeline":["Request.metrics"],"RequestAdapter":["RequestInterceptor","Interceptor"],"RequestRetrier":["RequestInterceptor","RetryPolicy"],"timeout":["Session.RequestModifier","URLSessionConfiguration"],"auth":["AuthenticationInterceptor","Authenticator","AuthenticationCredential","Request.authenticate(username:password:persistence:)","HTTPHeader.authorization(bearerToken:)"],"cert pinning":["PinnedCertificatesTrustEvaluator","PublicKeysTrustEvaluator","ServerTrustManager"],"certificate pinning":["PinnedCertificatesTrustEvaluator","PublicKeysTrustEvaluator","ServerTrustManager"],"ssl pinning":["PinnedCertificatesTrustEvaluator","PublicKeysTrustEvaluator","ServerTrustManager"],"reachability":["NetworkReachabilityManager"],"redirect":["RedirectHandler","Redirector"]}};